@@ -0,0 +1,195 @@
+/* This is the audit trail for the Containerlab Studio backends. Every API request, lab lifecycle job and web terminal
+   session is recorded with who did it, on which server, to what, the result and how long it took. Records are JSON lines
+   in one file per day so both backends can append to the same directory, and old days are dropped after the retention. */
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_DIR = process.env.AUDIT_LOG_DIR || path.join(__dirname, 'data', 'audit');
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 90;
+const MAX_QUERY_LIMIT = 1000;
+
+// Requests that are not worth recording: health probes, CORS preflights, the runtime config and reading the audit log itself
+const SKIPPED_PATHS = ['/health', '/test', '/api/config', '/api/audit'];
+
+const AUDIT_FILE = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+const auditFile = (day) => path.join(AUDIT_DIR, `audit-${day}.jsonl`);
+
+const ensureDir = () => fs.mkdirSync(AUDIT_DIR, { recursive: true, mode: 0o700 });
+
+/*
+ * This is the function to write one audit record.
+ * entry: { source, user, serverIp, action, target, result ('success' or 'failure'), durationMs, ... } - the time is added
+ * here. Auditing must never break the operation it records, so write errors are only logged.
+ */
+const record = (entry) => {
+    const now = new Date();
+    try {
+        ensureDir();
+        // A single appended line is written in one go, so lines from both backends never interleave
+        fs.appendFileSync(auditFile(dayOf(now)), `${JSON.stringify({ time: now.toISOString(), ...entry })}\n`, { mode: 0o600 });
+    } catch (error) {
+        console.error('Error writing audit record:', error.message);
+    }
+};
+
+// The file, directory, topology or lab a request acts on, taken from the fields the routes use for it
+const describeTarget = (req) => {
+    const body = req.body || {};
+    const query = req.query || {};
+    const params = req.params || {};
+    const value = (key) => body[key] || query[key] || params[key];
+
+    if (value('sourcePath') || value('destinationPath')) {
+        return `${value('sourcePath')} -> ${value('destinationPath')}`;
+    }
+    if (value('oldPath') || value('newPath')) {
+        return `${value('oldPath')} -> ${value('newPath')}`;
+    }
+    if (value('targetDirectory') && req.file) {
+        return path.posix.join(value('targetDirectory'), req.file.originalname);
+    }
+    const fileName = value('fileName') || value('directoryName');
+    if (value('path') && fileName) {
+        return path.posix.join(value('path'), fileName);
+    }
+    return value('topoFile') || value('path') || value('labName') || value('gitRepoUrl') || value('id') || value('section')
+        || (req.file && req.file.originalname) || null;
+};
+
+/*
+ * This is the function to create the middleware that audits every API request of a backend.
+ * getUser(req) returns the acting username; it is called when the response has been sent, after the route and any
+ * upload middleware have filled in req.user, req.body and req.file. Failed requests keep the error they answered with.
+ * A request without a user (a login, or one refused for want of a session) records the username it sent as
+ * attemptedUser, which is never trusted as the user.
+ */
+const auditRequests = (source, getUser) => (req, res, next) => {
+    if (req.method === 'OPTIONS' || SKIPPED_PATHS.some(skipped => req.path === skipped || req.path.startsWith(`${skipped}/`))) {
+        return next();
+    }
+
+    const startedAt = Date.now();
+    let errorMessage = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && typeof body === 'object' && body.error) {
+            errorMessage = typeof body.error === 'string' ? body.error : JSON.stringify(body.error);
+        }
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : req.path;
+        const body = req.body || {};
+        const user = getUser(req) || null;
+        record({
+            source,
+            user,
+            ...(!user && typeof body.username === 'string' && { attemptedUser: body.username }),
+            action: `${req.method} ${route}`,
+            method: req.method,
+            serverIp: body.serverIp || req.query.serverIp || body.sourceServerIp || null,
+            target: describeTarget(req),
+            result: res.statusCode < 400 ? 'success' : 'failure',
+            statusCode: res.statusCode,
+            error: res.statusCode < 400 ? null : errorMessage,
+            durationMs: Date.now() - startedAt,
+            clientIp: req.ip
+        });
+    });
+    next();
+};
+
+// Keep only RETENTION_DAYS days of audit files
+const pruneOldFiles = () => {
+    if (!fs.existsSync(AUDIT_DIR)) {
+        return;
+    }
+    const oldestKept = dayOf(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    fs.readdirSync(AUDIT_DIR).forEach(file => {
+        const match = AUDIT_FILE.exec(file);
+        if (match && match[1] < oldestKept) {
+            fs.rmSync(path.join(AUDIT_DIR, file), { force: true });
+        }
+    });
+};
+
+// A from or to filter as an ISO time, a date the client got wrong is a bad request rather than a server error
+const filterTime = (name, value) => {
+    if (!value) {
+        return null;
+    }
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        const error = new Error(`The ${name} filter must be an ISO date or timestamp`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return time.toISOString();
+};
+
+/*
+ * This is the function to search the audit trail, newest first.
+ * Filters: user, serverIp, source, result and method match exactly; action and target match a substring; from and to
+ * are ISO dates or timestamps, others throw with statusCode 400; changesOnly leaves out GET requests. At most limit
+ * records are returned (default 200, up to 1000).
+ */
+const query = ({ user, serverIp, source, result, method, action, target, from, to, changesOnly, limit } = {}) => {
+    const fromTime = filterTime('from', from);
+    const toTime = filterTime('to', to);
+    if (!fs.existsSync(AUDIT_DIR)) {
+        return [];
+    }
+    const max = Math.min(parseInt(limit, 10) || 200, MAX_QUERY_LIMIT);
+    const matches = (entry) => (!user || entry.user === user)
+        && (!serverIp || entry.serverIp === serverIp)
+        && (!source || entry.source === source)
+        && (!result || entry.result === result)
+        && (!method || entry.method === method)
+        && (!changesOnly || entry.method !== 'GET')
+        && (!action || (entry.action || '').toLowerCase().includes(action.toLowerCase()))
+        && (!target || (entry.target || '').toLowerCase().includes(target.toLowerCase()))
+        && (!fromTime || entry.time >= fromTime)
+        && (!toTime || entry.time <= toTime);
+
+    // Day files are read newest first and only as far back as needed
+    const days = fs.readdirSync(AUDIT_DIR)
+        .map(file => AUDIT_FILE.exec(file))
+        .filter(Boolean)
+        .map(match => match[1])
+        .filter(day => (!fromTime || day >= fromTime.slice(0, 10)) && (!toTime || day <= toTime.slice(0, 10)))
+        .sort()
+        .reverse();
+
+    const entries = [];
+    for (const day of days) {
+        const lines = fs.readFileSync(auditFile(day), 'utf8').split('\n').filter(Boolean).reverse();
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+            if (matches(entry)) {
+                entries.push(entry);
+                if (entries.length >= max) {
+                    return entries;
+                }
+            }
+        }
+    }
+    return entries;
+};
+
+pruneOldFiles();
+// Prune once a day; the timer alone must not keep the process alive
+setInterval(pruneOldFiles, 24 * 60 * 60 * 1000).unref();
+
+module.exports = {
+    record,
+    auditRequests,
+    query
+};
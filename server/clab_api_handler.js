@@ -3,6 +3,13 @@ const cors = require('cors');
 const axios = require('axios');
 const bodyParser = require('body-parser');
 const yaml = require('js-yaml');
+const multer = require('multer');
+const credentialStore = require('./credential_store');
+const jobQueue = require('./job_queue');
+const labLocks = require('./lab_locks');
+const settingsStore = require('./settings_store');
+const auditLog = require('./audit_log');
+const sessionAuth = require('./session_auth');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -16,8 +23,32 @@ app.use(cors({
 
 app.use(bodyParser.json());
 
-// Store tokens in memory (consider using Redis or similar in production)
+// Jobs and audit records from this handler are tagged with this name, to tell them apart from the Express backend's
+const BACKEND_SOURCE = 'clab_api_handler';
+
+// Record every API request in the audit trail, as the user of its session
+app.use(auditLog.auditRequests(BACKEND_SOURCE, (req) => req.user && req.user.username));
+
+// Every API route needs a session token issued by the Express backend, the user is always the one it names
+app.use('/api', sessionAuth.requireSession);
+
+// Store tokens in memory (consider using Redis or similar in production), per user and server
 const tokens = {};
+const tokenKey = (username, serverIp) => `${username}@${serverIp}`;
+
+// Log in to the containerlab API of a server as the user, with the password from their credential vault
+const loginWithStoredPassword = async (username, serverIp) => {
+  const loginResponse = await axios.post(`http://${serverIp}:8080/login`, {
+    username,
+    password: credentialStore.getPassword(username, serverIp)
+  });
+  const token = loginResponse.data.token;
+  if (!token) {
+    throw new Error('Authentication failed: No token received');
+  }
+  tokens[tokenKey(username, serverIp)] = token;
+  return token;
+};
 
 // Helper function to get containerlab API URL
 const getContainerlabApiUrl = (serverIp) => `http://${serverIp}:8080/api/v1`;
@@ -25,7 +56,7 @@ const getContainerlabApiUrl = (serverIp) => `http://${serverIp}:8080/api/v1`;
 // Middleware to check if token exists
 const checkToken = (req, res, next) => {
   const serverIp = req.body.serverIp || req.query.serverIp;
-  const token = tokens[serverIp];
+  const token = tokens[tokenKey(req.user.username, serverIp)];
 
   if (!serverIp) {
     return res.status(400).json({ success: false, error: 'Server IP is required' });
@@ -57,9 +88,9 @@ app.post('/api/containerlab/login', async (req, res) => {
     });
 
     if (response.data.token) {
-      // Store the token
-      tokens[serverIp] = response.data.token;
-      console.log(`Token stored for server ${serverIp}`);
+      // Store the token for the session's user, whoever the containerlab account is
+      tokens[tokenKey(req.user.username, serverIp)] = response.data.token;
+      console.log(`Token stored for ${req.user.username} on server ${serverIp}`);
     }
 
     res.json(response.data);
@@ -75,33 +106,24 @@ app.post('/api/containerlab/login', async (req, res) => {
 // New endpoint to check if a lab exists (for validation before reconfiguring)
 app.get('/api/containerlab/labs/inspect/:labName', async (req, res) => {
   try {
-    const { serverIp, username } = req.query;
+    const { serverIp } = req.query;
+    const { username } = req.user;
     const { labName } = req.params;
     
-    if (!serverIp || !username || !labName) {
+    if (!serverIp || !labName) {
       return res.status(400).json({
         success: false,
-        error: 'Server IP, username, and lab name are required'
+        error: 'Server IP and lab name are required'
       });
     }
     
     // Get authentication token or use existing one
-    let token = tokens[serverIp];
+    let token = tokens[tokenKey(username, serverIp)];
     
     if (!token) {
       try {
-        const loginResponse = await axios.post(`http://${serverIp}:8080/login`, {
-          username,
-          password: 'ul678clab'  // Consider using a more secure approach
-        });
-        
-        token = loginResponse.data.token;
-        if (!token) {
-          throw new Error('Authentication failed: No token received');
-        }
-        
-        tokens[serverIp] = token;
-        console.log(`New token generated for server ${serverIp}`);
+        token = await loginWithStoredPassword(username, serverIp);
+        console.log(`New token generated for ${username} on server ${serverIp}`);
       } catch (error) {
         console.error(`Authentication failed for server ${serverIp}:`, error.message);
         return res.status(401).json({
@@ -135,18 +157,8 @@ app.get('/api/containerlab/labs/inspect/:labName', async (req, res) => {
         console.log(`Token expired for server ${serverIp}, regenerating...`);
         try {
           // Regenerate token
-          const loginResponse = await axios.post(`http://${serverIp}:8080/login`, {
-            username,
-            password: 'ul678clab'
-          });
-          
-          const newToken = loginResponse.data.token;
-          if (!newToken) {
-            throw new Error('Token regeneration failed: No token received');
-          }
-          
-          tokens[serverIp] = newToken;
-          console.log(`Token regenerated for server ${serverIp}`);
+          const newToken = await loginWithStoredPassword(username, serverIp);
+          console.log(`Token regenerated for ${username} on server ${serverIp}`);
           
           // Retry the request with the new token
           try {
@@ -216,242 +228,224 @@ app.get('/api/containerlab/labs/inspect/:labName', async (req, res) => {
   }
 });
 
-// Deploy lab using official containerlab API endpoint
-app.post('/api/containerlab/labs/deploy', async (req, res) => {
-  const multer = require('multer');
-  const fs = require('fs');
-  const path = require('path');
-  const { Readable } = require('stream');
-  
-  // Setup multer for file handling
-  const storage = multer.memoryStorage();
-  const upload = multer({ storage }).single('file');
-  
+jobQueue.markInterruptedJobs(BACKEND_SOURCE);
+
+// Topology uploads are small, so they are kept in memory
+const uploadTopology = multer({ storage: multer.memoryStorage() }).single('file');
+
+// Start a job and answer straight away with its id, the log can be followed through /api/jobs/:id/log on port 3001
+// The lab is locked by name for the whole job and deploys wait for a free slot, and the user's quota of operations in
+// progress is checked, the same way as on the server backend
+const submitJob = (res, { type, owner, serverIp, target, labName }, work) => {
+  let lock;
   try {
-    // Process uploaded file
-    upload(req, res, async function(err) {
-      if (err) {
-        return res.status(500).json({ success: false, error: err.message });
-      }
-      
-      const { serverIp, username } = req.body;
-      
-      if (!serverIp || !username || !req.file) {
-        return res.status(400).json({
-          success: false,
-          error: 'Server IP, username and YAML file are required'
-        });
-      }
-      
-      // Set response headers for streaming
-      res.setHeader('Content-Type', 'text/plain');
-      res.setHeader('Transfer-Encoding', 'chunked');
-      
-      res.write(`Starting deployment process...\n`);
-      res.write(`Target server: ${serverIp}\n`);
-      res.write(`Username: ${username}\n`);
-      res.write(`Topology file: ${req.file.originalname}\n\n`);
-      
-      // Get authentication token
-      res.write(`Authenticating with containerlab API server...\n`);
-      let token = tokens[serverIp];
-      
-      if (!token) {
-        try {
-          const loginResponse = await axios.post(`http://${serverIp}:8080/login`, {
-            username,
-            password: 'ul678clab'  // Consider using a more secure approach
-          });
-          
-          token = loginResponse.data.token;
-          if (!token) {
-            throw new Error('Authentication failed: No token received');
-          }
-          
-          tokens[serverIp] = token;
-          res.write(`Successfully authenticated\n\n`);
-        } catch (error) {
-          res.write(`Authentication failed: ${error.message}\n`);
-          return res.end();
-        }
-      } else {
-        res.write(`Using cached authentication token\n\n`);
-      }
-      
-      // Parse YAML to get lab name and convert to JSON
-      try {
-        const yamlContent = req.file.buffer.toString('utf8');
-        const parsedYaml = yaml.load(yamlContent);
-        const labName = parsedYaml.name;
-        
-        res.write(`Deploying lab "${labName}" to containerlab server...\n\n`);
-        
-        // Make request to the official containerlab API
-        try {
-          // Prepare the request data in the expected format
-          const requestData = {
-            topologyContent: parsedYaml
-          };
-          
-          // Debug what we're sending
-          console.log('Sending to containerlab API:', JSON.stringify(requestData, null, 2));
-          res.write(`Preparing request to containerlab API...\n\n`);
-          
-          // Set up a progress indicator that sends updates every 5 seconds
-          const progressInterval = setInterval(() => {
-            const timestamp = new Date().toISOString().split('T')[1].split('.')[0]; // HH:MM:SS format
-            res.write(`[${timestamp}] Deployment in progress... Still working\n`);
-          }, 5000);
-          
-          try {
-            const deployResponse = await axios({
-              method: 'post',
-              url: `http://${serverIp}:8080/api/v1/labs`,
-              data: requestData,
-              headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-              },
-              responseType: 'stream'
-            });
-            
-            // Clear the progress indicator once we get a response
-            clearInterval(progressInterval);
-            
-            // Stream the response back to the client
-            deployResponse.data.on('data', (chunk) => {
-              res.write(chunk);
-            });
-            
-            deployResponse.data.on('end', () => {
-              res.write('\n\nDeployment completed successfully.');
-              res.end();
-            });
-            
-            deployResponse.data.on('error', (err) => {
-              // Clear the interval on stream error
-              clearInterval(progressInterval);
-              res.write(`\n\nStream error: ${err.message}`);
-              res.end();
-            });
-          } catch (error) {
-            // Clear the progress interval
-            clearInterval(progressInterval);
-            
-            res.write(`\n\nError making deployment request: ${error.message}\n`);
-            
-            // Try to extract and display the actual error from containerlab API
-            if (error.response) {
-              res.write(`Status: ${error.response.status}\n`);
-              
-              // Handle different response types
-              if (error.response.data) {
-                // If it's a stream, we need to read it
-                if (typeof error.response.data.pipe === 'function') {
-                  let errorData = '';
-                  error.response.data.on('data', chunk => {
-                    errorData += chunk.toString();
-                  });
-                  error.response.data.on('end', () => {
-                    try {
-                      // Try to parse as JSON
-                      const parsedError = JSON.parse(errorData);
-                      res.write(`\nContainerlab error: ${parsedError.error || 'Unknown error'}\n`);
-                    } catch (e) {
-                      // If not JSON, use as is
-                      res.write(`\nContainerlab error: ${errorData}\n`);
-                    }
-                    res.end();
-                  });
-                } else {
-                  // If it's already parsed JSON or string
-                  if (typeof error.response.data === 'string') {
-                    res.write(`\nContainerlab error: ${error.response.data}\n`);
-                  } else if (error.response.data.error) {
-                    res.write(`\nContainerlab error: ${error.response.data.error}\n`);
-                  } else {
-                    res.write(`\nContainerlab error details: ${JSON.stringify(error.response.data, null, 2)}\n`);
-                  }
-                  res.end();
-                }
-              } else {
-                res.write('\nNo detailed error information available from containerlab\n');
-                res.end();
-              }
-            } else {
-              res.write('\nNo response received from containerlab API server\n');
-              res.end();
-            }
-          }
-        } catch (error) {
-          res.write(`Error parsing YAML or other unexpected error: ${error.message}\n`);
-          res.end();
-        }
-      } catch (error) {
-        res.write(`Error parsing YAML: ${error.message}\n`);
-        res.end();
-      }
+    jobQueue.checkJobQuota(owner, settingsStore.getQuota(owner).maxConcurrentJobs);
+    lock = labLocks.acquireLabLock({ serverIp, lab: `lab:${labName}`, owner: owner || 'unknown', type, source: BACKEND_SOURCE });
+  } catch (error) {
+    console.log(`Refused ${type} of lab ${labName} on ${serverIp}: ${error.message}`);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message, lock: error.lock });
+  }
+
+  const job = jobQueue.createJob({ type, owner: owner || 'unknown', serverIp, target, source: BACKEND_SOURCE });
+  labLocks.attachJob(lock, job.id);
+  console.log(`Job ${job.id}: ${type} ${target} on ${serverIp} by ${job.owner}`);
+
+  let slot = null;
+  const waitFor = labLocks.usesDeploySlot(type)
+    ? async (log) => { slot = await labLocks.acquireDeploySlot(serverIp, job.id, log); }
+    : undefined;
+  jobQueue.runJob(job, work, { waitFor }).then(finishedJob => {
+    auditLog.record({
+      source: BACKEND_SOURCE,
+      user: finishedJob.owner,
+      action: `job ${type}`,
+      serverIp,
+      target: labName,
+      result: finishedJob.status === 'succeeded' ? 'success' : 'failure',
+      error: finishedJob.result && finishedJob.result.error,
+      durationMs: finishedJob.durationMs,
+      jobId: finishedJob.id
+    });
+  }).finally(() => {
+    labLocks.releaseDeploySlot(slot);
+    labLocks.releaseLabLock(lock);
+  });
+  res.status(202).json({ success: true, jobId: job.id, job });
+};
+
+// The lab name of an uploaded topology, or null when the file is not valid YAML
+const readLabName = (file) => {
+  try {
+    return yaml.load(file.buffer.toString('utf8')).name || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Turn a containerlab API error (JSON, text or a stream when responseType is 'stream') into a readable message
+const readApiError = async (error) => {
+  if (!error.response) {
+    return 'No response received from containerlab API server';
+  }
+  let data = error.response.data;
+  if (data && typeof data.pipe === 'function') {
+    data = await new Promise((resolve) => {
+      let text = '';
+      data.on('data', chunk => { text += chunk.toString(); });
+      data.on('end', () => resolve(text));
+      data.on('error', () => resolve(text));
+    });
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      // If not JSON, use as is
+    }
+  }
+  if (!data) {
+    return `Status ${error.response.status}, no detailed error information available from containerlab`;
+  }
+  if (typeof data === 'string') {
+    return `Containerlab error: ${data}`;
+  }
+  if (data.error) {
+    return `Containerlab error: ${data.error}`;
+  }
+  return `Containerlab error details: ${JSON.stringify(data, null, 2)}`;
+};
+
+/*
+ * This is the function to deploy (or reconfigure) an uploaded topology through the official containerlab API as a job.
+ * The API's streamed output goes into the job log.
+ */
+const deployWithApi = ({ serverIp, username, file, reconfigure }) => async (log) => {
+  const operation = reconfigure ? 'Reconfiguration' : 'Deployment';
+
+  log(`Starting ${operation.toLowerCase()} process...\n`);
+  log(`Target server: ${serverIp}\n`);
+  log(`Username: ${username}\n`);
+  log(`Topology file: ${file.originalname}\n\n`);
+
+  // Get authentication token
+  log(`Authenticating with containerlab API server...\n`);
+  let token = tokens[tokenKey(username, serverIp)];
+  if (!token) {
+    token = await loginWithStoredPassword(username, serverIp);
+    log(`Successfully authenticated\n\n`);
+  } else {
+    log(`Using cached authentication token\n\n`);
+  }
+
+  // Parse YAML to get lab name and convert to JSON
+  const parsedYaml = yaml.load(file.buffer.toString('utf8'));
+  const labName = parsedYaml.name;
+  log(`${reconfigure ? 'Reconfiguring' : 'Deploying'} lab "${labName}" on containerlab server...\n\n`);
+
+  const requestData = { topologyContent: parsedYaml };
+  log(`Preparing request to containerlab API...\n\n`);
+
+  // Set up a progress indicator that logs every 5 seconds until the API starts answering
+  const progressInterval = setInterval(() => {
+    const timestamp = new Date().toISOString().split('T')[1].split('.')[0]; // HH:MM:SS format
+    log(`[${timestamp}] ${operation} in progress... Still working\n`);
+  }, 5000);
+
+  try {
+    const url = `http://${serverIp}:8080/api/v1/labs${reconfigure ? '?reconfigure=true' : ''}`;
+    if (reconfigure) {
+      log(`Using API endpoint with reconfigure flag: ${url}\n`);
+    }
+
+    const deployResponse = await axios({
+      method: 'post',
+      url,
+      data: requestData,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      responseType: 'stream'
     });
+    clearInterval(progressInterval);
+
+    await new Promise((resolve, reject) => {
+      deployResponse.data.on('data', chunk => log(chunk.toString()));
+      deployResponse.data.on('end', resolve);
+      deployResponse.data.on('error', reject);
+    });
+
+    log(`\n\n${operation} completed successfully.`);
+    return { success: true, message: `${operation} completed successfully`, labName };
   } catch (error) {
-    console.error('Unexpected error:', error);
-    if (!res.headersSent) {
-      return res.status(500).json({
+    clearInterval(progressInterval);
+    log(`\n\nError making ${operation.toLowerCase()} request: ${error.message}\n`);
+    const details = await readApiError(error);
+    log(`\n${details}\n`);
+    return { success: false, message: `${operation} failed`, error: details, labName };
+  }
+};
+
+// Deploy lab using official containerlab API endpoint
+app.post('/api/containerlab/labs/deploy', (req, res) => {
+  uploadTopology(req, res, (err) => {
+    if (err) {
+      return res.status(500).json({ success: false, error: err.message });
+    }
+
+    const { serverIp } = req.body;
+    const { username } = req.user;
+    if (!serverIp || !req.file) {
+      return res.status(400).json({
         success: false,
-        error: error.message
+        error: 'Server IP and YAML file are required'
       });
-    } else {
-      res.write(`\nUnexpected error: ${error.message}`);
-      res.end();
     }
-  }
+
+    const labName = readLabName(req.file);
+    if (!labName) {
+      return res.status(400).json({ success: false, error: 'The topology file is not valid YAML or has no lab name' });
+    }
+
+    submitJob(res, { type: 'deploy', owner: username, serverIp, target: req.file.originalname, labName },
+      deployWithApi({ serverIp, username, file: req.file, reconfigure: false }));
+  });
 });
 
 // Save lab configuration endpoint
-app.post('/api/containerlab/labs/:labName/save', checkToken, async (req, res) => {
-  try {
-    const { serverIp } = req.body;
-    const { labName } = req.params;
-    const token = req.token;
+app.post('/api/containerlab/labs/:labName/save', checkToken, (req, res) => {
+  const { serverIp } = req.body;
+  const { username } = req.user;
+  const { labName } = req.params;
+  const token = req.token;
 
+  submitJob(res, { type: 'save', owner: username, serverIp, target: labName, labName }, async (log) => {
     console.log('=== Save Lab Request ===');
-    console.log(`Time: ${new Date().toISOString()}`);
     console.log(`Lab Name: ${labName}`);
     console.log(`Server IP: ${serverIp}`);
-    console.log(`Token present: ${!!token}`);
-    console.log(`API URL: ${getContainerlabApiUrl(serverIp)}/labs/${labName}/save`);
+    log(`Saving lab "${labName}" on ${serverIp}...\n`);
 
-    const response = await axios.post(
-      `${getContainerlabApiUrl(serverIp)}/labs/${labName}/save`,
-      {},
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'accept': 'application/json'
+    try {
+      const response = await axios.post(
+        `${getContainerlabApiUrl(serverIp)}/labs/${labName}/save`,
+        {},
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'accept': 'application/json'
+          }
         }
-      }
-    );
-
-    console.log('Save operation successful');
-    console.log('Response:', JSON.stringify(response.data, null, 2));
+      );
 
-    res.json(response.data);
-  } catch (error) {
-    console.error('=== Save Lab Error ===');
-    console.error(`Time: ${new Date().toISOString()}`);
-    console.error(`Lab Name: ${labName}`);
-    console.error(`Server IP: ${serverIp}`);
-    console.error('Error details:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+      log(`${JSON.stringify(response.data, null, 2)}\n`);
+      log('Save operation successful\n');
+      return { success: true, message: 'Lab saved successfully', data: response.data };
+    } catch (error) {
+      console.error('=== Save Lab Error ===', error.message);
+      const details = await readApiError(error);
+      log(`Save operation failed: ${error.message}\n${details}\n`);
+      return { success: false, error: error.message, details };
     }
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data
-    });
-  }
+  });
 });
 
 // Get lab information endpoint
@@ -485,33 +479,21 @@ app.get('/api/containerlab/labs/:labName', checkToken, async (req, res) => {
 // List all labs endpoint
 app.get('/api/containerlab/labs', async (req, res) => {
   try {
-    const { serverIp, username } = req.query;
+    const { serverIp } = req.query;
+    const { username } = req.user;
     
     if (!serverIp) {
       return res.status(400).json({ success: false, error: 'Server IP is required' });
     }
 
     // Get authentication token or use existing one
-    let token = tokens[serverIp];
+    let token = tokens[tokenKey(username, serverIp)];
     
     if (!token) {
       try {
-        // If username is not provided, use a default
-        const userToAuth = username || 'admin';
-        console.log(`No existing token found for ${serverIp}, attempting to authenticate as ${userToAuth}`);
-        
-        const loginResponse = await axios.post(`http://${serverIp}:8080/login`, {
-          username: userToAuth,
-          password: 'ul678clab'  // Consider using a more secure approach
-        });
-        
-        token = loginResponse.data.token;
-        if (!token) {
-          throw new Error('Authentication failed: No token received');
-        }
-        
-        tokens[serverIp] = token;
-        console.log(`New token generated for server ${serverIp}`);
+        console.log(`No existing token found for ${username} on ${serverIp}, attempting to authenticate`);
+        token = await loginWithStoredPassword(username, serverIp);
+        console.log(`New token generated for ${username} on server ${serverIp}`);
       } catch (error) {
         console.error(`Authentication failed for server ${serverIp}:`, error.message);
         return res.status(401).json({
@@ -540,19 +522,8 @@ app.get('/api/containerlab/labs', async (req, res) => {
         console.log(`Token expired for server ${serverIp}, regenerating...`);
         try {
           // Regenerate token
-          const userToAuth = username || 'admin';
-          const loginResponse = await axios.post(`http://${serverIp}:8080/login`, {
-            username: userToAuth,
-            password: 'ul678clab'
-          });
-          
-          const newToken = loginResponse.data.token;
-          if (!newToken) {
-            throw new Error('Token regeneration failed: No token received');
-          }
-          
-          tokens[serverIp] = newToken;
-          console.log(`Token regenerated for server ${serverIp}`);
+          const newToken = await loginWithStoredPassword(username, serverIp);
+          console.log(`Token regenerated for ${username} on server ${serverIp}`);
           
           // Retry the request with the new token
           const retryResponse = await axios.get(
@@ -593,256 +564,93 @@ app.get('/api/containerlab/labs', async (req, res) => {
 });
 
 // Deploy lab endpoint
-app.post('/api/containerlab/labs/:labName/deploy', checkToken, async (req, res) => {
-  try {
-    const { serverIp, labData } = req.body;
-    const { labName } = req.params;
-    const token = req.token;
-
-    const response = await axios.post(
-      `${getContainerlabApiUrl(serverIp)}/labs/${labName}/deploy`,
-      labData,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'accept': 'application/json',
-          'Content-Type': 'application/json'
+app.post('/api/containerlab/labs/:labName/deploy', checkToken, (req, res) => {
+  const { serverIp, labData } = req.body;
+  const { username } = req.user;
+  const { labName } = req.params;
+  const token = req.token;
+
+  submitJob(res, { type: 'deploy', owner: username, serverIp, target: labName, labName }, async (log) => {
+    log(`Deploying lab "${labName}" on ${serverIp}...\n`);
+    try {
+      const response = await axios.post(
+        `${getContainerlabApiUrl(serverIp)}/labs/${labName}/deploy`,
+        labData,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'accept': 'application/json',
+            'Content-Type': 'application/json'
+          }
         }
-      }
-    );
+      );
 
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error deploying lab:', error.message);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data
-    });
-  }
+      log(`${JSON.stringify(response.data, null, 2)}\n`);
+      return { success: true, message: 'Lab deployed successfully', data: response.data };
+    } catch (error) {
+      console.error('Error deploying lab:', error.message);
+      const details = await readApiError(error);
+      log(`Deployment failed: ${error.message}\n${details}\n`);
+      return { success: false, error: error.message, details };
+    }
+  });
 });
 
 // Destroy lab endpoint
-app.delete('/api/containerlab/labs/:labName', checkToken, async (req, res) => {
-  try {
-    const { serverIp } = req.body;
-    const { labName } = req.params;
-    const token = req.token;
-
-    const response = await axios.delete(
-      `${getContainerlabApiUrl(serverIp)}/labs/${labName}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'accept': 'application/json'
+app.delete('/api/containerlab/labs/:labName', checkToken, (req, res) => {
+  const { serverIp } = req.body;
+  const { username } = req.user;
+  const { labName } = req.params;
+  const token = req.token;
+
+  submitJob(res, { type: 'destroy', owner: username, serverIp, target: labName, labName }, async (log) => {
+    log(`Destroying lab "${labName}" on ${serverIp}...\n`);
+    try {
+      const response = await axios.delete(
+        `${getContainerlabApiUrl(serverIp)}/labs/${labName}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'accept': 'application/json'
+          }
         }
-      }
-    );
+      );
 
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error destroying lab:', error.message);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data
-    });
-  }
+      log(`${JSON.stringify(response.data, null, 2)}\n`);
+      return { success: true, message: 'Lab destroyed successfully', data: response.data };
+    } catch (error) {
+      console.error('Error destroying lab:', error.message);
+      const details = await readApiError(error);
+      log(`Destroy failed: ${error.message}\n${details}\n`);
+      return { success: false, error: error.message, details };
+    }
+  });
 });
 
 // Reconfigure lab using official containerlab API endpoint
-app.post('/api/containerlab/labs/reconfigure', async (req, res) => {
-  const multer = require('multer');
-  const fs = require('fs');
-  const path = require('path');
-  const { Readable } = require('stream');
-  
-  // Setup multer for file handling
-  const storage = multer.memoryStorage();
-  const upload = multer({ storage }).single('file');
-  
-  try {
-    // Process uploaded file
-    upload(req, res, async function(err) {
-      if (err) {
-        return res.status(500).json({ success: false, error: err.message });
-      }
-      
-      const { serverIp, username } = req.body;
-      
-      if (!serverIp || !username || !req.file) {
-        return res.status(400).json({
-          success: false,
-          error: 'Server IP, username and YAML file are required'
-        });
-      }
-      
-      // Set response headers for streaming
-      res.setHeader('Content-Type', 'text/plain');
-      res.setHeader('Transfer-Encoding', 'chunked');
-      
-      res.write(`Starting reconfiguration process...\n`);
-      res.write(`Target server: ${serverIp}\n`);
-      res.write(`Username: ${username}\n`);
-      res.write(`Topology file: ${req.file.originalname}\n\n`);
-      
-      // Get authentication token
-      res.write(`Authenticating with containerlab API server...\n`);
-      let token = tokens[serverIp];
-      
-      if (!token) {
-        try {
-          const loginResponse = await axios.post(`http://${serverIp}:8080/login`, {
-            username,
-            password: 'ul678clab'  // Consider using a more secure approach
-          });
-          
-          token = loginResponse.data.token;
-          if (!token) {
-            throw new Error('Authentication failed: No token received');
-          }
-          
-          tokens[serverIp] = token;
-          res.write(`Successfully authenticated\n\n`);
-        } catch (error) {
-          res.write(`Authentication failed: ${error.message}\n`);
-          return res.end();
-        }
-      } else {
-        res.write(`Using cached authentication token\n\n`);
-      }
-      
-      // Parse YAML to get lab name and convert to JSON
-      try {
-        const yamlContent = req.file.buffer.toString('utf8');
-        const parsedYaml = yaml.load(yamlContent);
-        const labName = parsedYaml.name;
-        
-        res.write(`Reconfiguring lab "${labName}" on containerlab server...\n\n`);
-        
-        // Make request to the official containerlab API
-        try {
-          // Prepare the request data in the expected format
-          const requestData = {
-            topologyContent: parsedYaml
-          };
-          
-          // Debug what we're sending
-          console.log('Sending to containerlab API for reconfiguration:', JSON.stringify(requestData, null, 2));
-          res.write(`Preparing request to containerlab API...\n\n`);
-          
-          // Set up a progress indicator that sends updates every 5 seconds
-          const progressInterval = setInterval(() => {
-            const timestamp = new Date().toISOString().split('T')[1].split('.')[0]; // HH:MM:SS format
-            res.write(`[${timestamp}] Reconfiguration in progress... Still working\n`);
-          }, 5000);
-          
-          try {
-            // Always use reconfigure=true for this endpoint
-            const reconfigureUrl = `http://${serverIp}:8080/api/v1/labs?reconfigure=true`;
-            res.write(`Using API endpoint with reconfigure flag: ${reconfigureUrl}\n`);
-            
-            const deployResponse = await axios({
-              method: 'post',
-              url: reconfigureUrl,
-              data: requestData,
-              headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-              },
-              responseType: 'stream'
-            });
-            
-            // Clear the progress indicator once we get a response
-            clearInterval(progressInterval);
-            
-            // Stream the response back to the client
-            deployResponse.data.on('data', (chunk) => {
-              res.write(chunk);
-            });
-            
-            deployResponse.data.on('end', () => {
-              res.write('\n\nReconfiguration completed successfully.');
-              res.end();
-            });
-            
-            deployResponse.data.on('error', (err) => {
-              // Clear the interval on stream error
-              clearInterval(progressInterval);
-              res.write(`\n\nStream error: ${err.message}`);
-              res.end();
-            });
-          } catch (error) {
-            // Clear the progress interval
-            clearInterval(progressInterval);
-            
-            res.write(`\n\nError making reconfiguration request: ${error.message}\n`);
-            
-            // Try to extract and display the actual error from containerlab API
-            if (error.response) {
-              res.write(`Status: ${error.response.status}\n`);
-              
-              // Handle different response types
-              if (error.response.data) {
-                // If it's a stream, we need to read it
-                if (typeof error.response.data.pipe === 'function') {
-                  let errorData = '';
-                  error.response.data.on('data', chunk => {
-                    errorData += chunk.toString();
-                  });
-                  error.response.data.on('end', () => {
-                    try {
-                      // Try to parse as JSON
-                      const parsedError = JSON.parse(errorData);
-                      res.write(`\nContainerlab error: ${parsedError.error || 'Unknown error'}\n`);
-                    } catch (e) {
-                      // If not JSON, use as is
-                      res.write(`\nContainerlab error: ${errorData}\n`);
-                    }
-                    res.end();
-                  });
-                } else {
-                  // If it's already parsed JSON or string
-                  if (typeof error.response.data === 'string') {
-                    res.write(`\nContainerlab error: ${error.response.data}\n`);
-                  } else if (error.response.data.error) {
-                    res.write(`\nContainerlab error: ${error.response.data.error}\n`);
-                  } else {
-                    res.write(`\nContainerlab error details: ${JSON.stringify(error.response.data, null, 2)}\n`);
-                  }
-                  res.end();
-                }
-              } else {
-                res.write('\nNo detailed error information available from containerlab\n');
-                res.end();
-              }
-            } else {
-              res.write('\nNo response received from containerlab API server\n');
-              res.end();
-            }
-          }
-        } catch (error) {
-          res.write(`Error parsing YAML or other unexpected error: ${error.message}\n`);
-          res.end();
-        }
-      } catch (error) {
-        res.write(`Error parsing YAML: ${error.message}\n`);
-        res.end();
-      }
-    });
-  } catch (error) {
-    console.error('Unexpected error:', error);
-    if (!res.headersSent) {
-      return res.status(500).json({
+app.post('/api/containerlab/labs/reconfigure', (req, res) => {
+  uploadTopology(req, res, (err) => {
+    if (err) {
+      return res.status(500).json({ success: false, error: err.message });
+    }
+
+    const { serverIp } = req.body;
+    const { username } = req.user;
+    if (!serverIp || !req.file) {
+      return res.status(400).json({
         success: false,
-        error: error.message
+        error: 'Server IP and YAML file are required'
       });
-    } else {
-      res.write(`\nUnexpected error: ${error.message}`);
-      res.end();
     }
-  }
+
+    const labName = readLabName(req.file);
+    if (!labName) {
+      return res.status(400).json({ success: false, error: 'The topology file is not valid YAML or has no lab name' });
+    }
+
+    submitJob(res, { type: 'reconfigure', owner: username, serverIp, target: req.file.originalname, labName },
+      deployWithApi({ serverIp, username, file: req.file, reconfigure: true }));
+  });
 });
 
 // Health check endpoint
@@ -11,25 +11,90 @@ const { Client } = require('ssh2');
 const http = require('http');
 const os = require('os');
 const pty = require('node-pty');
+const axios = require('axios');
+const credentialStore = require('./credential_store');
+const sessionAuth = require('./session_auth');
+const pathSandbox = require('./path_sandbox');
+const sftpFiles = require('./sftp_files');
+const { createSshPool } = require('./ssh_pool');
+const jobQueue = require('./job_queue');
+const labLocks = require('./lab_locks');
+const auditLog = require('./audit_log');
+const settingsStore = require('./settings_store');
+const draftStore = require('./draft_store');
+const templateStore = require('./template_store');
+const runtimeConfig = require('./runtime_config');
+const yaml = require('js-yaml');
 
 const app = express();
-const port = 3001;
+const port = parseInt(process.env.BACKEND_API_PORT, 10) || 3001;
 
 const server = http.createServer(app);
 
+// Jobs and audit records from this backend are tagged with this name, to tell them apart from the containerlab API handler's
+const BACKEND_SOURCE = 'containerlab_server_backend';
+
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'DELETE'],
-  allowedHeaders: ['Content-Type']
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+// Drafts hold a whole topology design, so they get a larger body limit than the other routes
+app.use('/api/drafts', express.json({ limit: draftStore.MAX_DRAFT_SIZE }));
+app.use('/api/templates', express.json({ limit: templateStore.MAX_TEMPLATE_SIZE }));
 app.use(express.json());
 
+// Record every API request in the audit trail, as the user of its session. It comes before the session check so refused
+// requests and logins are recorded too, under the username they sent as attemptedUser
+app.use(auditLog.auditRequests(BACKEND_SOURCE, (req) => req.user && req.user.username));
+
+// Log in with the auth service and get a signed session token for the other routes
+app.post('/api/session', async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ success: false, error: 'Username and password are required' });
+  }
+
+  try {
+    const user = await sessionAuth.verifyUser(username, password);
+    console.log(`Session issued for user: ${user.username}`);
+    res.json({ success: true, token: sessionAuth.issueToken(user), user });
+  } catch (error) {
+    console.error(`Session login failed for user ${username}:`, error.message);
+    res.status(401).json({ success: false, error: error.response?.data?.message || error.message });
+  }
+});
+
+// The frontend loads its configuration before anyone has logged in, so this route needs no session
+app.get('/api/config', (req, res) => {
+  try {
+    res.json({ success: true, config: runtimeConfig.getRuntimeConfig() });
+  } catch (error) {
+    console.error('Error building runtime config:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Every other API route acts on behalf of the user in the session token, never on a username sent by the client
+app.use('/api', sessionAuth.requireSession);
+
 const wss = new WebSocket.Server({ 
   server,
   path: '/ws/ssh',
   perMessageDeflate: false,
-  clientTracking: true
+  clientTracking: true,
+  // Terminal sessions need a valid session token too, passed as ?token= since browsers cannot set WebSocket headers
+  verifyClient: (info, done) => {
+    const user = sessionAuth.verifyToken(sessionAuth.getTokenFromRequest(info.req));
+    if (!user) {
+      console.log('Rejected WebSocket connection without a valid session');
+      return done(false, 401, 'Authentication required');
+    }
+    info.req.user = user;
+    done(true);
+  }
 });
 
 const storage = multer.diskStorage({
@@ -39,21 +104,31 @@ const storage = multer.diskStorage({
             fs.mkdirSync(uploadDir, { recursive: true });
         }
         cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        cb(null, file.originalname);
     }
+    // No filename: multer gives every upload a unique name, so queued jobs never share or delete each other's file.
+    // The original name is only used for the path on the server
 });
 
 const upload = multer({ storage: storage });
 
+// Every SSH connection is made as the user asking, with the credentials they registered in the vault
 const sshConfig = {
-    username: 'kishore',
-    password: 'ul678clab',
     tryKeyboard: true,
     readyTimeout: 5000
 };
 
+// Build the node-ssh connect options for a user on a server from the credential vault
+const getSshConnectConfig = (serverIp, username, overrides = {}) => ({
+    ...sshConfig,
+    ...credentialStore.getSshAuth(username, serverIp),
+    host: serverIp,
+    username: username,
+    ...overrides
+});
+
+// Routes borrow their SSH connections from this pool instead of connecting for every request
+const sshPool = createSshPool(getSshConnectConfig);
+
 const resolvePath = (relativePath, basePath = '/opt') => {
     if (relativePath.startsWith('/')) {
         return relativePath;
@@ -112,381 +187,545 @@ app.get('/api/containerlab/inspect', (req, res) => {
     });
 });
 
-app.post('/api/containerlab/deploy', upload.single('file'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+jobQueue.markInterruptedJobs(BACKEND_SOURCE);
+
+// Quote a value for a remote shell command
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+// Run a clab command over SSH, sending its output to the job log as it arrives
+const runClabCommand = (ssh, command, log) => {
+    log(`Executing: ${command}\n`);
+    return ssh.execCommand(command, {
+        cwd: '/',
+        onStdout: (chunk) => {
+            log(`stdout: ${chunk.toString()}\n`);
+        },
+        onStderr: (chunk) => {
+            log(`stderr: ${chunk.toString()}\n`);
         }
+    });
+};
 
-        const { serverIp, username } = req.body;
-        if (!serverIp) {
-            return res.status(400).json({ error: 'Server IP is required' });
+/*
+ * This is the function to start a job and answer straight away with its id, the client then follows /api/jobs/:id/log.
+ * The lab (its topology file path) is locked for the whole job, so a second operation on the same lab is refused with
+ * a 409 naming the user who holds the lock. Deploys also wait for a free slot when the server has a deploy cap.
+ * A user with as many operations in progress as their quota allows is refused with a 429.
+ */
+const submitJob = (req, res, { type, serverIp, target, lab }, work) => {
+    let lock;
+    try {
+        jobQueue.checkJobQuota(req.user.username, settingsStore.getQuota(req.user.username).maxConcurrentJobs);
+        lock = labLocks.acquireLabLock({ serverIp, lab, owner: req.user.username, type, source: BACKEND_SOURCE });
+    } catch (error) {
+        console.log(`Refused ${type} of ${lab} on ${serverIp} by ${req.user.username}: ${error.message}`);
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
         }
-        if (!username) {
-            return res.status(400).json({ error: 'Username is required' });
+        return res.status(error.statusCode || 500).json({ success: false, error: error.message, lock: error.lock });
+    }
+
+    const job = jobQueue.createJob({ type, owner: req.user.username, serverIp, target, source: BACKEND_SOURCE });
+    labLocks.attachJob(lock, job.id);
+    console.log(`Job ${job.id}: ${type} ${target} on ${serverIp} by ${job.owner}`);
+
+    let slot = null;
+    const waitFor = labLocks.usesDeploySlot(type)
+        ? async (log) => { slot = await labLocks.acquireDeploySlot(serverIp, job.id, log); }
+        : undefined;
+    jobQueue.runJob(job, work, { waitFor }).then(finishedJob => {
+        auditLog.record({
+            source: BACKEND_SOURCE,
+            user: finishedJob.owner,
+            action: `job ${type}`,
+            serverIp,
+            target: lab,
+            result: finishedJob.status === 'succeeded' ? 'success' : 'failure',
+            error: finishedJob.result && finishedJob.result.error,
+            durationMs: finishedJob.durationMs,
+            jobId: finishedJob.id
+        });
+    }).finally(() => {
+        labLocks.releaseDeploySlot(slot);
+        labLocks.releaseLabLock(lock);
+    });
+    res.status(202).json({ success: true, jobId: job.id, job });
+};
+
+// A topology file named by the client, relative paths are taken from /opt as clab reports them, confined to the sandbox
+const resolveTopologyFile = (username, topoFile) => pathSandbox.resolveUserPath(username, resolvePath(String(topoFile)), { write: true });
+
+// Where an uploaded topology file is stored: <user root>/<topology name>/<file name>
+const uploadedTopologyPath = (username, file) => {
+    // Extract the topology name from the filename (remove .yaml extension)
+    const topologyName = file.originalname.replace(/\.ya?ml$/, '');
+    const userDir = pathSandbox.resolveChildPath(username, pathSandbox.getUserRoot(username), topologyName, { write: true });
+    return pathSandbox.resolveChildPath(username, userDir, file.originalname, { write: true });
+};
+
+/*
+ * This is the function to check a topology against the user's quota before it is deployed.
+ * maxNodesPerLab is checked on the topology itself; maxLabs counts the other labs the user already runs on the server,
+ * so reconfiguring a lab that is already deployed never counts twice. Throws when the quota would be exceeded.
+ */
+const checkDeployQuota = async ({ ssh, username, topologyContent, log }) => {
+    const { maxLabs, maxNodesPerLab } = settingsStore.getQuota(username);
+    if (!maxLabs && !maxNodesPerLab) {
+        return;
+    }
+
+    const topology = yaml.load(topologyContent) || {};
+    const nodeCount = Object.keys((topology.topology && topology.topology.nodes) || {}).length;
+    if (maxNodesPerLab && nodeCount > maxNodesPerLab) {
+        throw new Error(`The topology has ${nodeCount} nodes, your quota allows ${maxNodesPerLab} per lab`);
+    }
+
+    if (maxLabs) {
+        const result = await ssh.execCommand('clab inspect --all --format json');
+        const containers = result.code === 0 && result.stdout.trim() ? JSON.parse(result.stdout).containers || [] : [];
+        const otherLabs = new Set(containers
+            .filter(container => container.owner === username && container.lab_name !== topology.name)
+            .map(container => container.lab_name));
+        if (otherLabs.size >= maxLabs) {
+            throw new Error(`You already run ${otherLabs.size} labs on this server, your quota allows ${maxLabs}. Destroy one first`);
         }
+    }
+    log('Quota check passed\n');
+};
 
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+/*
+ * This is the function to deploy (or reconfigure) a topology as a job.
+ * An uploaded file is stored as <user root>/<topology name>/<file name> first; without one, an existing topology file on
+ * the server is reconfigured in place.
+ */
+const deployTopology = ({ serverIp, username, file, topoFile, reconfigure }) => async (log) => {
+    const verb = reconfigure ? 'Reconfigure' : 'Deployment';
+    let ssh = null;
+    try {
+        log('Connecting to server...\n');
+        ssh = await sshPool.acquire(serverIp, username);
+        log('Connected successfully\n');
+
+        // The topology file was sandboxed when the job was submitted, realpath now makes sure no symlink leads out of it
+        let remoteFilePath = topoFile ? await pathSandbox.resolveRemotePath(ssh, username, topoFile, { write: true }) : null;
+        if (file) {
+            remoteFilePath = uploadedTopologyPath(username, file);
+            const userDir = path.posix.dirname(remoteFilePath);
+
+            const sftp = await sftpFiles.openSftp(ssh);
+            log(`Ensuring containerlab_topologies directory exists at ${userDir}...\n`);
+            await sftpFiles.makeDirectory(sftp, userDir);
+
+            log(`Uploading file to ${remoteFilePath}...\n`);
+            await sftpFiles.uploadLocalFile(sftp, file.path, remoteFilePath);
+            log('File uploaded successfully\n');
+        }
 
-        const ssh = new NodeSSH();
-        
-        try {
-            res.write('Connecting to server...\n');
-            await ssh.connect({
-                ...sshConfig,
-                host: serverIp,
-                username: username,    
-                password: 'ul678clab',
-                tryKeyboard: true,
-                readyTimeout: 5000
-            });
-            res.write('Connected successfully\n');
-        } catch (error) {
-            res.write(`Failed to connect to server: ${error.message}\n`);
-            res.end();
-            return;
+        const topologyContent = file
+            ? fs.readFileSync(file.path, 'utf8')
+            : await sftpFiles.readTextFile(await sftpFiles.openSftp(ssh), remoteFilePath);
+        await checkDeployQuota({ ssh, username, topologyContent, log });
+
+        log(`Executing containerlab ${reconfigure ? 'reconfigure' : 'deploy'} command...\n`);
+        const command = `clab deploy --topo ${shellQuote(remoteFilePath)}${reconfigure ? ' --reconfigure' : ''}`;
+        const result = await runClabCommand(ssh, command, log);
+
+        if (result.code === 0) {
+            log('Operation completed successfully\n');
+            return {
+                success: true,
+                message: reconfigure ? 'Topology reconfigured successfully' : 'Topology deployed successfully',
+                filePath: remoteFilePath
+            };
+        }
+        log(`Operation failed: ${result.stderr}\n`);
+        return {
+            success: false,
+            message: `${verb} failed`,
+            error: result.stderr
+        };
+    } finally {
+        sshPool.release(ssh);
+        if (file && fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
         }
+    }
+};
+
+app.post('/api/containerlab/deploy', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { serverIp } = req.body;
+    const { username } = req.user;
+    if (!serverIp) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: 'Server IP is required' });
+    }
+
+    let lab;
+    try {
+        lab = uploadedTopologyPath(username, req.file);
+    } catch (error) {
+        fs.unlinkSync(req.file.path);
+        return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+
+    submitJob(req, res, { type: 'deploy', serverIp, target: req.file.originalname, lab },
+        deployTopology({ serverIp, username, file: req.file, reconfigure: false }));
+});
+
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', sshPool: sshPool.getStats() });
+});
 
-        // Extract the topology name from the filename (remove .yaml extension)
-        const topologyName = req.file.originalname.replace('.yaml', '');
-        const userDir = `/home/clab_nfs_share/containerlab_topologies/${username}/${topologyName}`;
-        const remoteFilePath = `${userDir}/${req.file.originalname}`;
+// An admin destroys another user's lab by naming its owner, the file is then found under the owner's root and clab runs as the owner
+app.post('/api/containerlab/destroy', (req, res) => {
+    const { serverIp, topoFile, owner } = req.body;
+    const { username } = req.user;
+    console.log(`Destroy request from ${username}:`, req.body);
+    
+    if (!serverIp || !topoFile) {
+        return res.status(400).json({ 
+            error: 'Server IP and topology file path are required' 
+        });
+    }
 
+    const labOwner = owner || username;
+    if (labOwner !== username && req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: "Only an admin can destroy another user's lab" });
+    }
+
+    let lab;
+    try {
+        lab = resolveTopologyFile(labOwner, topoFile);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+
+    submitJob(req, res, { type: 'destroy', serverIp, target: topoFile, lab }, async (log) => {
+        let ssh = null;
         try {
-            res.write(`Ensuring containerlab_topologies directory exists at ${userDir}...\n`);
-            await ssh.execCommand(`mkdir -p ${userDir}`, {
-                cwd: '/'
-            });
+            log(labOwner === username ? 'Connecting to server...\n' : `Connecting to server as ${labOwner}...\n`);
+            ssh = await sshPool.acquire(serverIp, labOwner);
+            log('Connected successfully\n');
 
-            res.write(`Uploading file to ${remoteFilePath}...\n`);
-            await ssh.putFile(req.file.path, remoteFilePath);
-            res.write('File uploaded successfully\n');
-
-            res.write('Executing containerlab deploy command...\n');
-            const deployCommand = `clab deploy --topo ${remoteFilePath}`;
-            const result = await ssh.execCommand(deployCommand, {
-                cwd: '/',
-                onStdout: (chunk) => {
-                    res.write(`stdout: ${chunk.toString()}\n`);
-                },
-                onStderr: (chunk) => {
-                    res.write(`stderr: ${chunk.toString()}\n`);
-                }
-            });
+            const topoPath = await pathSandbox.resolveRemotePath(ssh, labOwner, lab, { write: true });
+            log('Executing containerlab destroy command...\n');
+            const result = await runClabCommand(ssh, `clab destroy --topo ${shellQuote(topoPath)}`, log);
 
-            fs.unlinkSync(req.file.path);
-            
             if (result.code === 0) {
-                res.write('Operation completed successfully\n');
-                res.end(JSON.stringify({
-                    success: true,
-                    message: 'Topology deployed successfully',
-                    filePath: remoteFilePath
-                }));
-            } else {
-                res.write(`Operation failed: ${result.stderr}\n`);
-                res.end(JSON.stringify({
-                    success: false,
-                    message: 'Deployment failed',
-                    error: result.stderr
-                }));
+                log('Operation completed successfully\n');
+                return { success: true, message: 'Topology destroyed successfully' };
             }
-
-        } catch (error) {
-            if (fs.existsSync(req.file.path)) {
-                fs.unlinkSync(req.file.path);
-            }
-            
-            res.write(`Operation failed: ${error.message}\n`);
-            res.end(JSON.stringify({
-                error: `Deployment failed: ${error.message}`
-            }));
+            log(`Operation failed: ${result.stderr}\n`);
+            return { success: false, message: 'Destroy operation failed', error: result.stderr };
         } finally {
-            ssh.dispose();
+            sshPool.release(ssh);
         }
+    });
+});
 
+// Reconfigure either an uploaded topology file or, with topoFile, one that is already on the server
+app.post('/api/containerlab/reconfigure', upload.single('file'), (req, res) => {
+    const { serverIp, topoFile } = req.body;
+    const { username } = req.user;
+
+    if (!req.file && !topoFile) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    if (!serverIp) {
+        if (req.file) {
+            fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json({ error: 'Server IP is required' });
+    }
+
+    let lab;
+    try {
+        lab = req.file ? uploadedTopologyPath(username, req.file) : resolveTopologyFile(username, topoFile);
     } catch (error) {
-        if (req.file && fs.existsSync(req.file.path)) {
+        if (req.file) {
             fs.unlinkSync(req.file.path);
         }
-        
-        res.write(`Server error: ${error.message}\n`);
-        res.end(JSON.stringify({
-            error: `Server error: ${error.message}`
-        }));
+        return res.status(error.statusCode || 500).json({ success: false, error: error.message });
     }
-});
 
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok' });
+    submitJob(req, res, { type: 'reconfigure', serverIp, target: req.file ? req.file.originalname : topoFile, lab },
+        deployTopology({ serverIp, username, file: req.file, topoFile: req.file ? null : lab, reconfigure: true }));
 });
 
-app.post('/api/containerlab/destroy', async (req, res) => {
-    try {
-        const { serverIp, topoFile, username } = req.body;
-        console.log('Destroy request:', req.body);
-        
-        if (!serverIp || !topoFile || !username) {
-            return res.status(400).json({ 
-                error: 'Server IP, topology file path, and username are required' 
-            });
-        }
+app.post('/api/containerlab/save', (req, res) => {
+    const { serverIp, topoFile } = req.body;
+    const { username } = req.user;
+    console.log(`Save lab request from ${username}:`, req.body);
+    
+    if (!serverIp || !topoFile) {
+        return res.status(400).json({ 
+            error: 'Server IP and topology file path are required' 
+        });
+    }
 
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+    let lab;
+    try {
+        lab = resolveTopologyFile(username, topoFile);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
 
-        const ssh = new NodeSSH();
-        
+    submitJob(req, res, { type: 'save', serverIp, target: topoFile, lab }, async (log) => {
+        let ssh = null;
         try {
-            res.write('Connecting to server...\n');
-            await ssh.connect({
-                ...sshConfig,
-                host: serverIp,
-                username: username,    
-                password: 'ul678clab',
-                tryKeyboard: true,
-                readyTimeout: 5000
-            });
-            res.write('Connected successfully\n');
-        } catch (error) {
-            res.write(`Failed to connect to server: ${error.message}\n`);
-            res.end();
-            return;
-        }
+            log('Connecting to server...\n');
+            ssh = await sshPool.acquire(serverIp, username);
+            log('Connected successfully\n');
 
-        try {
-            res.write('Executing containerlab destroy command...\n');
-            const absoluteTopoPath = resolvePath(topoFile);
-            const destroyCommand = `clab destroy --topo ${absoluteTopoPath}`;
-            const result = await ssh.execCommand(destroyCommand, {
-                cwd: '/',
-                onStdout: (chunk) => {
-                    res.write(`stdout: ${chunk.toString()}\n`);
-                },
-                onStderr: (chunk) => {
-                    res.write(`stderr: ${chunk.toString()}\n`);
-                }
-            });
+            const topoPath = await pathSandbox.resolveRemotePath(ssh, username, lab, { write: true });
+            log('Executing containerlab save command...\n');
+            const result = await runClabCommand(ssh, `clab save -t ${shellQuote(topoPath)}`, log);
 
             if (result.code === 0) {
-                res.write('Operation completed successfully\n');
-                res.end(JSON.stringify({
-                    success: true,
-                    message: 'Topology destroyed successfully'
-                }));
-            } else {
-                res.write(`Operation failed: ${result.stderr}\n`);
-                res.end(JSON.stringify({
-                    success: false,
-                    message: 'Destroy operation failed',
-                    error: result.stderr
-                }));
+                log('Operation completed successfully\n');
+                return { success: true, message: 'Topology saved successfully' };
             }
-
-        } catch (error) {
-            res.write(`Operation failed: ${error.message}\n`);
-            res.end(JSON.stringify({
-                error: `Destroy operation failed: ${error.message}`
-            }));
+            log(`Operation failed: ${result.stderr}\n`);
+            return { success: false, message: 'Save operation failed', error: result.stderr };
         } finally {
-            ssh.dispose();
+            sshPool.release(ssh);
         }
+    });
+});
+
+// Jobs are visible to their owner and to admins
+const canSeeJob = (user, job) => job.owner === user.username || user.role === 'admin';
+
+// List lifecycle jobs, admins can pass all=true to see everyone's
+app.get('/api/jobs', (req, res) => {
+    const { serverIp, type, status, limit, all } = req.query;
+    const showAll = all === 'true' && req.user.role === 'admin';
 
+    try {
+        const jobs = jobQueue.listJobs({
+            owner: showAll ? undefined : req.user.username,
+            serverIp,
+            type,
+            status,
+            limit: parseInt(limit, 10) || 50
+        });
+        res.json({ success: true, jobs });
     } catch (error) {
-        res.write(`Server error: ${error.message}\n`);
-        res.end(JSON.stringify({
-            error: `Server error: ${error.message}`
-        }));
+        console.error('Error listing jobs:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/containerlab/reconfigure', upload.single('file'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job || !canSeeJob(req.user, job)) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+});
 
-        const { serverIp, username } = req.body;
-        if (!serverIp) {
-            return res.status(400).json({ error: 'Server IP is required' });
-        }
-        if (!username) {
-            return res.status(400).json({ error: 'Username is required' });
-        }
+// Replay a job's log, or follow it live with follow=true; the last line is the job as JSON
+app.get('/api/jobs/:id/log', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job || !canSeeJob(req.user, job)) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    jobQueue.streamJobLog(req, res, job.id, { follow: req.query.follow === 'true' });
+});
 
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+// Locks held on lab lifecycle operations, so the UI can show who is working on which lab
+app.get('/api/locks', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            locks: labLocks.listLocks({ serverIp: req.query.serverIp }),
+            maxConcurrentDeploys: labLocks.MAX_CONCURRENT_DEPLOYS
+        });
+    } catch (error) {
+        console.error('Error listing locks:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const ssh = new NodeSSH();
-        
-        try {
-            res.write('Connecting to server...\n');
-            await ssh.connect({
-                ...sshConfig,
-                host: serverIp,
-                username: username,    
-                password: 'ul678clab',
-                tryKeyboard: true,
-                readyTimeout: 5000
-            });
-            res.write('Connected successfully\n');
-        } catch (error) {
-            res.write(`Failed to connect to server: ${error.message}\n`);
-            res.end();
-            return;
-        }
+// Break a lock that is stuck, admins only. The job holding it (if any) keeps running
+app.delete('/api/locks/:id', (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'Only admins can break locks' });
+    }
+    const lock = labLocks.breakLock(req.params.id);
+    if (!lock) {
+        return res.status(404).json({ success: false, error: 'Lock not found' });
+    }
+    console.log(`Lock on ${lock.lab} (${lock.serverIp}) held by ${lock.owner} broken by admin ${req.user.username}`);
+    res.json({ success: true, lock });
+});
 
-        // Extract the topology name from the filename (remove .yaml extension)
-        const topologyName = req.file.originalname.replace('.yaml', '');
-        const userDir = `/home/clab_nfs_share/containerlab_topologies/${username}/${topologyName}`;
-        const remoteFilePath = `${userDir}/${req.file.originalname}`;
+// The clab servers and node catalog for every user, with their own quota; admins also get everyone's quotas and the
+// node passwords the web terminal logs in with
+app.get('/api/settings', (req, res) => {
+    try {
+        const settings = settingsStore.getSettings();
+        const isAdmin = req.user.role === 'admin';
+        res.json({
+            success: true,
+            settings: {
+                servers: settings.servers,
+                kinds: isAdmin ? settings.kinds : settings.kinds.map(entry => ({
+                    ...entry,
+                    credentials: { username: (entry.credentials || {}).username }
+                })),
+                images: settings.images,
+                quotas: isAdmin ? settings.quotas : undefined,
+                updatedAt: settings.updatedAt,
+                updatedBy: settings.updatedBy
+            },
+            quota: settingsStore.getQuota(req.user.username)
+        });
+    } catch (error) {
+        console.error('Error reading settings:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        try {
-            res.write(`Ensuring containerlab_topologies directory exists at ${userDir}...\n`);
-            await ssh.execCommand(`mkdir -p ${userDir}`, {
-                cwd: '/'
-            });
+// Replace one section of the settings (servers, kinds or quotas), admins only
+app.put('/api/settings/:section', (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'Only admins can change settings' });
+    }
+    try {
+        const settings = settingsStore.updateSection(req.params.section, req.body.value, req.user.username);
+        console.log(`Settings section ${req.params.section} updated by ${req.user.username}`);
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error(`Error updating settings section ${req.params.section}:`, error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
 
-            res.write(`Uploading updated file to ${remoteFilePath}...\n`);
-            await ssh.putFile(req.file.path, remoteFilePath);
-            res.write('File uploaded successfully\n');
-
-            res.write('Executing containerlab reconfigure command...\n');
-            const reconfigureCommand = `clab deploy --topo ${remoteFilePath} --reconfigure`;
-            const result = await ssh.execCommand(reconfigureCommand, {
-                cwd: '/',
-                onStdout: (chunk) => {
-                    res.write(`stdout: ${chunk.toString()}\n`);
-                },
-                onStderr: (chunk) => {
-                    res.write(`stderr: ${chunk.toString()}\n`);
-                }
-            });
+// Search the audit trail of both backends, admins only. See audit_log.query for the filters
+app.get('/api/audit', (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'Only admins can read the audit log' });
+    }
+    const { user, serverIp, source, result, method, action, target, from, to, changesOnly, limit } = req.query;
+    try {
+        const entries = auditLog.query({
+            user, serverIp, source, result, method, action, target, from, to, limit,
+            changesOnly: changesOnly === 'true'
+        });
+        res.json({ success: true, entries });
+    } catch (error) {
+        console.error('Error reading audit log:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
 
-            fs.unlinkSync(req.file.path);
-            
-            if (result.code === 0) {
-                res.write('Operation completed successfully\n');
-                res.end(JSON.stringify({
-                    success: true,
-                    message: 'Topology reconfigured successfully',
-                    filePath: remoteFilePath
-                }));
-            } else {
-                res.write(`Operation failed: ${result.stderr}\n`);
-                res.end(JSON.stringify({
-                    success: false,
-                    message: 'Reconfigure operation failed',
-                    error: result.stderr
-                }));
-            }
+// The designer drafts of the user, without their state
+app.get('/api/drafts', (req, res) => {
+    try {
+        res.json({ success: true, drafts: draftStore.listDrafts(req.user.username) });
+    } catch (error) {
+        console.error('Error listing drafts:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        } catch (error) {
-            if (fs.existsSync(req.file.path)) {
-                fs.unlinkSync(req.file.path);
-            }
-            
-            res.write(`Operation failed: ${error.message}\n`);
-            res.end(JSON.stringify({
-                error: `Reconfigure operation failed: ${error.message}`
-            }));
-        } finally {
-            ssh.dispose();
+app.get('/api/drafts/:id', (req, res) => {
+    try {
+        const draft = draftStore.getDraft(req.user.username, req.params.id);
+        if (!draft) {
+            return res.status(404).json({ success: false, error: 'Draft not found' });
         }
+        res.json({ success: true, draft });
+    } catch (error) {
+        console.error(`Error reading draft ${req.params.id}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
+// Save the designer state under a name, replacing the user's draft of the same name
+app.post('/api/drafts', (req, res) => {
+    const { name, state } = req.body;
+    try {
+        const draft = draftStore.saveDraft(req.user.username, name, state);
+        res.json({ success: true, draft });
     } catch (error) {
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-        }
-        
-        res.write(`Server error: ${error.message}\n`);
-        res.end(JSON.stringify({
-            error: `Server error: ${error.message}`
-        }));
+        console.error('Error saving draft:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/containerlab/save', async (req, res) => {
+app.delete('/api/drafts/:id', (req, res) => {
     try {
-        const { serverIp, topoFile, username } = req.body;
-        console.log('Save lab request:', req.body);
-        
-        if (!serverIp || !topoFile || !username) {
-            return res.status(400).json({ 
-                error: 'Server IP and topology file path are required' 
-            });
+        if (!draftStore.deleteDraft(req.user.username, req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Draft not found' });
         }
+        res.json({ success: true, message: 'Draft deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting draft ${req.params.id}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+// The topology templates, built-in and published, for everyone
+app.get('/api/templates', (req, res) => {
+    try {
+        res.json({ success: true, templates: templateStore.listTemplates(), canPublish: templateStore.canPublish(req.user) });
+    } catch (error) {
+        console.error('Error listing templates:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const ssh = new NodeSSH();
-        
-        try {
-            res.write('Connecting to server...\n');
-            await ssh.connect({
-                ...sshConfig,
-                host: serverIp,
-                username: username,    
-                password: 'ul678clab',
-                tryKeyboard: true,
-                readyTimeout: 5000
-            });
-            res.write('Connected successfully\n');
-        } catch (error) {
-            res.write(`Failed to connect to server: ${error.message}\n`);
-            res.end();
-            return;
+app.get('/api/templates/:id', (req, res) => {
+    try {
+        const template = templateStore.getTemplate(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
         }
+        res.json({ success: true, template });
+    } catch (error) {
+        console.error(`Error reading template ${req.params.id}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        try {
-            res.write('Executing containerlab save command...\n');
-            const absoluteTopoPath = resolvePath(topoFile);
-            const saveCommand = `clab save -t ${absoluteTopoPath}`;
-            const result = await ssh.execCommand(saveCommand, {
-                cwd: '/',
-                onStdout: (chunk) => {
-                    res.write(`stdout: ${chunk.toString()}\n`);
-                },
-                onStderr: (chunk) => {
-                    res.write(`stderr: ${chunk.toString()}\n`);
-                }
-            });
-
-            if (result.code === 0) {
-                res.write('Operation completed successfully\n');
-                res.end(JSON.stringify({
-                    success: true,
-                    message: 'Topology saved successfully'
-                }));
-            } else {
-                res.write(`Operation failed: ${result.stderr}\n`);
-                res.end(JSON.stringify({
-                    success: false,
-                    message: 'Save operation failed',
-                    error: result.stderr
-                }));
-            }
+// Publish a template, or replace one published before; instructors and admins only
+app.put('/api/templates/:id', (req, res) => {
+    if (!templateStore.canPublish(req.user)) {
+        return res.status(403).json({ success: false, error: 'Only instructors and admins can publish templates' });
+    }
+    const { template } = req.body;
+    if (!template || template.id !== req.params.id) {
+        return res.status(400).json({ success: false, error: 'The template id does not match the URL' });
+    }
+    try {
+        const saved = templateStore.saveTemplate(req.user, template);
+        console.log(`Template ${saved.id} published by ${req.user.username}`);
+        res.json({ success: true, template: saved });
+    } catch (error) {
+        console.error('Error publishing template:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
 
-        } catch (error) {
-            res.write(`Operation failed: ${error.message}\n`);
-            res.end(JSON.stringify({
-                error: `Save operation failed: ${error.message}`
-            }));
-        } finally {
-            ssh.dispose();
+app.delete('/api/templates/:id', (req, res) => {
+    if (!templateStore.canPublish(req.user)) {
+        return res.status(403).json({ success: false, error: 'Only instructors and admins can delete templates' });
+    }
+    try {
+        if (!templateStore.deleteTemplate(req.user, req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
         }
-
+        console.log(`Template ${req.params.id} deleted by ${req.user.username}`);
+        res.json({ success: true, message: 'Template deleted successfully' });
     } catch (error) {
-        res.write(`Server error: ${error.message}\n`);
-        res.end(JSON.stringify({
-            error: `Server error: ${error.message}`
-        }));
+        console.error(`Error deleting template ${req.params.id}:`, error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
     }
 });
 
@@ -501,13 +740,11 @@ app.get('/api/ports/free', async (req, res) => {
             });
         }
 
-        const ssh = new NodeSSH();
+        let ssh = null;
         
         try {
-            await ssh.connect({
-                ...sshConfig,
-                host: serverIp,
-            });
+            // A user without credentials for the server gets the vault's "No SSH credentials registered" error
+            ssh = await sshPool.acquire(serverIp, req.user.username);
 
             const findPortsScript = `
                 #!/bin/bash
@@ -544,7 +781,7 @@ app.get('/api/ports/free', async (req, res) => {
                 error: `SSH connection failed: ${error.message}`
             });
         } finally {
-            ssh.dispose();
+            sshPool.release(ssh);
         }
 
     } catch (error) {
@@ -556,147 +793,197 @@ app.get('/api/ports/free', async (req, res) => {
 });
 
 app.get('/api/files/list', async (req, res) => {
+  let ssh = null;
   try {
-    const { path, serverIp, username } = req.query;
+    const { path, serverIp } = req.query;
+    const { username } = req.user;
     
     if (!serverIp) {
       return res.status(400).json({ success: false, error: 'Server IP is required' });
     }
     
-    if (!username) {
-      return res.status(400).json({ success: false, error: 'Username is required' });
-    }
-    
     console.log(`Listing directory for user: ${username}`);
-
-    const ssh = new NodeSSH();
     
     // Connect with the actual user credentials
     console.log(`Connecting as user: ${username}`);
-    await ssh.connect({
-      host: serverIp,
-      username: username,
-      password: 'ul678clab', // Assuming all users have the same password
-      tryKeyboard: true,
-      readyTimeout: 5000
-    });
+    ssh = await sshPool.acquire(serverIp, username);
 
-    const { stdout } = await ssh.execCommand(`ls -la ${path}`, { cwd: '/' });
-    
-    const contents = stdout.split('\n')
-      .slice(1)
-      .filter(line => line.trim() && !line.endsWith('.') && !line.endsWith('..'))
-      .map(line => {
-        const parts = line.split(/\s+/);
-        const name = parts.slice(8).join(' ');
-        const isDirectory = line.startsWith('d');
-        return {
-          name,
-          type: isDirectory ? 'directory' : 'file',
-          path: `${path}/${name}`
-        };
-      });
+    const dirPath = await pathSandbox.resolveRemotePath(ssh, username, path);
+    const sftp = await sftpFiles.openSftp(ssh);
+    const contents = await sftpFiles.listDirectory(sftp, dirPath);
 
-    await ssh.dispose();
-    res.json({ success: true, contents });
+    res.json({ success: true, path: dirPath, contents });
   } catch (error) {
     console.error('Error listing directory:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  } finally {
+    sshPool.release(ssh);
   }
 });
 
 app.get('/api/files/read', async (req, res) => {
+  let ssh = null;
   try {
-    const { path, serverIp, username } = req.query;
+    const { path, serverIp } = req.query;
+    const { username } = req.user;
     
     if (!serverIp) {
       return res.status(400).json({ success: false, error: 'Server IP is required' });
     }
     
-    if (!username) {
-      return res.status(400).json({ success: false, error: 'Username is required' });
-    }
-    
     console.log(`Reading file for user: ${username}`);
-
-    const ssh = new NodeSSH();
     
     // Connect with the actual user credentials
     console.log(`Connecting as user: ${username}`);
-    await ssh.connect({
-      host: serverIp,
-      username: username,
-      password: 'ul678clab', // Assuming all users have the same password
-      tryKeyboard: true,
-      readyTimeout: 5000
-    });
+    ssh = await sshPool.acquire(serverIp, username);
 
-    const { stdout } = await ssh.execCommand(`cat ${path}`, { cwd: '/' });
+    const filePath = await pathSandbox.resolveRemotePath(ssh, username, path);
+    const sftp = await sftpFiles.openSftp(ssh);
+    const content = await sftpFiles.readTextFile(sftp, filePath);
     
-    await ssh.dispose();
-    res.json({ success: true, content: stdout });
+    res.json({ success: true, content });
   } catch (error) {
     console.error('Error reading file:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message, binary: error.statusCode === 415 });
+  } finally {
+    sshPool.release(ssh);
+  }
+});
+
+// Stream a file as-is, for binaries (images, .tar.gz bundles) and files too large for the editor
+app.get('/api/files/download', async (req, res) => {
+  let ssh = null;
+  try {
+    const { path, serverIp, inline } = req.query;
+    const { username } = req.user;
+
+    if (!serverIp) {
+      return res.status(400).json({ success: false, error: 'Server IP is required' });
+    }
+
+    console.log(`Downloading file for user: ${username}`);
+    ssh = await sshPool.acquire(serverIp, username);
+
+    const filePath = await pathSandbox.resolveRemotePath(ssh, username, path);
+    const sftp = await sftpFiles.openSftp(ssh);
+    const stats = await sftpFiles.stat(sftp, filePath);
+    if (sftpFiles.isDirectoryMode(stats.mode)) {
+      return res.status(400).json({ success: false, error: `${filePath} is a directory` });
+    }
+
+    const fileName = encodeURIComponent(filePath.split('/').pop());
+    res.setHeader('Content-Type', sftpFiles.getMimeType(filePath));
+    res.setHeader('Content-Length', stats.size);
+    res.setHeader('Content-Disposition', `${inline === 'true' ? 'inline' : 'attachment'}; filename*=UTF-8''${fileName}`);
+    await sftpFiles.streamToResponse(sftp, filePath, res);
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    // Once the body has started there is no way to report the error except cutting the response short
+    if (!res.headersSent) {
+      res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    } else {
+      // The transfer was cut off half way, so the connection is not handed out again
+      sshPool.release(ssh, { destroy: true });
+      ssh = null;
+    }
+  } finally {
+    sshPool.release(ssh);
+  }
+});
+
+// Check which startup-config and bind paths of a topology exist on the server, for the topology linter. Relative paths
+// are taken from the lab directory the topology is deployed to; paths outside the user's directories are not checked
+app.post('/api/files/exists', async (req, res) => {
+  const { serverIp, lab, paths } = req.body;
+  const { username } = req.user;
+
+  if (!serverIp) {
+    return res.status(400).json({ success: false, error: 'Server IP is required' });
+  }
+  if (!Array.isArray(paths) || paths.length > 200) {
+    return res.status(400).json({ success: false, error: 'A list of up to 200 paths is required' });
+  }
+
+  let ssh = null;
+  try {
+    ssh = await sshPool.acquire(serverIp, username);
+    const sftp = await sftpFiles.openSftp(ssh);
+    const userRoot = pathSandbox.getUserRoot(username);
+    const labDir = lab ? pathSandbox.resolveChildPath(username, userRoot, String(lab)) : userRoot;
+
+    const results = {};
+    for (const requestedPath of paths) {
+      try {
+        const remotePath = await pathSandbox.resolveRemotePath(ssh, username, path.posix.resolve(labDir, String(requestedPath)));
+        try {
+          const stats = await sftpFiles.stat(sftp, remotePath);
+          results[requestedPath] = { path: remotePath, exists: true, directory: sftpFiles.isDirectoryMode(stats.mode) };
+        } catch (error) {
+          if (error.statusCode !== 404) {
+            throw error;
+          }
+          results[requestedPath] = { path: remotePath, exists: false };
+        }
+      } catch (error) {
+        results[requestedPath] = { exists: null, error: error.message };
+      }
+    }
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Error checking paths:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  } finally {
+    sshPool.release(ssh);
   }
 });
 
 // Add this new endpoint for saving files
 app.post('/api/files/save', upload.single('file'), async (req, res) => {
-  const { serverIp, username, path } = req.body;
+  const { serverIp, path } = req.body;
+  const { username } = req.user;
   const file = req.file;
   
   if (!file) {
     return res.status(400).json({ success: false, error: 'No file provided' });
   }
   
-  if (!username) {
-    return res.status(400).json({ success: false, error: 'Username is required' });
-  }
-  
+  let ssh = null;
   try {
     console.log(`Saving file for user: ${username}`);
     console.log(`Target path: ${path}`);
     
-    const ssh = new NodeSSH();
-    
     // Connect with the actual user credentials
     console.log(`Connecting as user: ${username}`);
-    await ssh.connect({
-      host: serverIp,
-      username: username,
-      password: 'ul678clab', // Assuming all users have the same password
-      tryKeyboard: true,
-      readyTimeout: 5000
-    });
+    ssh = await sshPool.acquire(serverIp, username);
   
-    // Use the path provided by the user
-    const targetPath = `${path}/${file.originalname}`;
+    // Use the path provided by the user, as long as it is inside their own tree
+    const targetDir = await pathSandbox.resolveRemotePath(ssh, username, path, { write: true });
+    const targetPath = pathSandbox.resolveChildPath(username, targetDir, file.originalname, { write: true });
     
     // No need to create a separate directory - use the path selected by the user
     console.log(`Saving file to: ${targetPath}`);
     
-    // Upload the file
-    await ssh.putFile(file.path, targetPath);
+    // Stream the file, this overwrites an existing file in place
+    const sftp = await sftpFiles.openSftp(ssh);
+    await sftpFiles.uploadLocalFile(sftp, file.path, targetPath);
   
-    // Clean up the uploaded file
-    await fs.promises.unlink(file.path);
-  
-    ssh.dispose();
-    res.json({ success: true });
+    res.json({ success: true, path: targetPath });
   } catch (error) {
     console.error('Error saving file:', error);
-    // Clean up the uploaded file in case of error
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  } finally {
+    sshPool.release(ssh);
+    // Clean up the uploaded file
     if (file.path && fs.existsSync(file.path)) {
       await fs.promises.unlink(file.path);
     }
-    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Upload a file to a server directory
 app.post('/api/files/upload', upload.single('file'), async (req, res) => {
-  const { serverIp, targetDirectory, username } = req.body;
+  const { serverIp, targetDirectory } = req.body;
+  const { username } = req.user;
   const file = req.file;
   
   if (!file) {
@@ -704,46 +991,31 @@ app.post('/api/files/upload', upload.single('file'), async (req, res) => {
   }
   
   if (!serverIp || !targetDirectory) {
+    await fs.promises.unlink(file.path);
     return res.status(400).json({ success: false, error: 'Server IP and target directory are required' });
   }
   
+  let ssh = null;
   try {
     console.log(`Uploading file for user: ${username}`);
     
-    if (!username) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Username is required' 
-      });
-    }
-    
-    const ssh = new NodeSSH();
-    
     // Connect with the actual user credentials
     console.log(`Connecting as user: ${username}`);
-    await ssh.connect({
-      host: serverIp,
-      username: username,
-      password: 'ul678clab', // Assuming all users have the same password
-      tryKeyboard: true,
-      readyTimeout: 5000
-    });
+    ssh = await sshPool.acquire(serverIp, username);
     
     // Ensure target directory exists
-    console.log(`Ensuring directory exists: ${targetDirectory}`);
-    await ssh.execCommand(`mkdir -p "${targetDirectory}"`);
+    const targetDir = await pathSandbox.resolveRemotePath(ssh, username, targetDirectory, { write: true });
+    console.log(`Ensuring directory exists: ${targetDir}`);
+    const sftp = await sftpFiles.openSftp(ssh);
+    await sftpFiles.makeDirectory(sftp, targetDir);
     
     // Upload the file
-    const targetPath = `${targetDirectory}/${file.originalname}`;
+    const targetPath = pathSandbox.resolveChildPath(username, targetDir, file.originalname, { write: true });
     console.log(`Uploading file to: ${targetPath}`);
-    await ssh.putFile(file.path, targetPath);
-  
-    // Clean up the uploaded file
-    await fs.promises.unlink(file.path);
+    await sftpFiles.uploadLocalFile(sftp, file.path, targetPath);
     
     console.log('File uploaded successfully');
   
-    ssh.dispose();
     res.json({ 
       success: true, 
       message: 'File uploaded successfully',
@@ -751,70 +1023,57 @@ app.post('/api/files/upload', upload.single('file'), async (req, res) => {
     });
   } catch (error) {
     console.error('Error uploading file:', error);
-    // Clean up the uploaded file in case of error
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  } finally {
+    sshPool.release(ssh);
+    // Clean up the uploaded file
     if (file.path && fs.existsSync(file.path)) {
       await fs.promises.unlink(file.path);
     }
-    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Delete a file or directory
 app.delete('/api/files/delete', async (req, res) => {
-  const { serverIp, path, isDirectory, username } = req.body;
+  const { serverIp, path, isDirectory } = req.body;
+  const { username } = req.user;
   
   if (!serverIp || !path) {
     return res.status(400).json({ success: false, error: 'Server IP and path are required' });
   }
   
+  let ssh = null;
   try {
     console.log(`Deleting ${isDirectory ? 'directory' : 'file'} for user: ${username}`);
     
-    if (!username) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Username is required' 
-      });
-    }
-    
-    const ssh = new NodeSSH();
-    
     // Connect with the actual user credentials
     console.log(`Connecting as user: ${username}`);
-    await ssh.connect({
-      host: serverIp,
-      username: username,
-      password: 'ul678clab', // Assuming all users have the same password
-      tryKeyboard: true,
-      readyTimeout: 5000
-    });
+    ssh = await sshPool.acquire(serverIp, username);
     
-    // Delete the file or directory
-    console.log(`Attempting to delete ${isDirectory ? 'directory' : 'file'}: ${path}`);
-    const command = isDirectory ? `rm -rf "${path}"` : `rm "${path}"`;
-    const result = await ssh.execCommand(command);
-    
-    if (result.stderr) {
-      console.log('Deletion failed with error:', result.stderr);
-      throw new Error(result.stderr);
-    }
+    // Delete the file, directory or symlink itself, never one of the sandbox roots
+    const targetPath = await pathSandbox.resolveRemoteEntryPath(ssh, username, path, { write: true, allowRoot: false });
+    console.log(`Attempting to delete ${isDirectory ? 'directory' : 'file'}: ${targetPath}`);
+    const sftp = await sftpFiles.openSftp(ssh);
+    await sftpFiles.removePath(sftp, targetPath);
     
     console.log('Deletion completed successfully');
     
-    ssh.dispose();
     res.json({ 
       success: true, 
       message: `${isDirectory ? 'Directory' : 'File'} deleted successfully` 
     });
   } catch (error) {
     console.error('Error deleting file/directory:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  } finally {
+    sshPool.release(ssh);
   }
 });
 
 // Create a new directory
 app.post('/api/files/createDirectory', async (req, res) => {
-  const { serverIp, path, directoryName, username } = req.body;
+  const { serverIp, path, directoryName } = req.body;
+  const { username } = req.user;
   
   if (!serverIp || !path || !directoryName) {
     return res.status(400).json({ 
@@ -823,46 +1082,24 @@ app.post('/api/files/createDirectory', async (req, res) => {
     });
   }
   
+  let ssh = null;
   try {
     console.log(`Creating directory for user: ${username}`);
     
-    if (!username) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Username is required' 
-      });
-    }
-    
-    const ssh = new NodeSSH();
-    
     // Connect with the actual user credentials
     console.log(`Connecting as user: ${username}`);
-    await ssh.connect({
-      host: serverIp,
-      username: username,
-      password: 'ul678clab', // Assuming all users have the same password
-      tryKeyboard: true,
-      readyTimeout: 5000
-    });
-    
-    // Get user info to verify connection
-    const whoamiResult = await ssh.execCommand('whoami');
-    console.log('Connected as user:', whoamiResult.stdout);
+    ssh = await sshPool.acquire(serverIp, username);
     
     // Create the directory
-    const newDirectoryPath = `${path}/${directoryName}`;
+    const parentPath = await pathSandbox.resolveRemotePath(ssh, username, path, { write: true });
+    const newDirectoryPath = pathSandbox.resolveChildPath(username, parentPath, directoryName, { write: true });
     console.log('Attempting to create directory:', newDirectoryPath);
     
-    const result = await ssh.execCommand(`mkdir -p "${newDirectoryPath}"`);
-    
-    if (result.stderr) {
-      console.log('Directory creation failed with error:', result.stderr);
-      throw new Error(result.stderr);
-    }
+    const sftp = await sftpFiles.openSftp(ssh);
+    await sftpFiles.makeDirectory(sftp, newDirectoryPath);
     
     console.log('Directory created successfully');
     
-    ssh.dispose();
     res.json({ 
       success: true, 
       message: 'Directory created successfully',
@@ -870,13 +1107,16 @@ app.post('/api/files/createDirectory', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating directory:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  } finally {
+    sshPool.release(ssh);
   }
 });
 
 // Create a new empty file
 app.post('/api/files/createFile', async (req, res) => {
-  const { serverIp, path, fileName, content = '', username } = req.body;
+  const { serverIp, path, fileName, content = '' } = req.body;
+  const { username } = req.user;
   
   if (!serverIp || !path || !fileName) {
     return res.status(400).json({ 
@@ -885,47 +1125,25 @@ app.post('/api/files/createFile', async (req, res) => {
     });
   }
   
+  let ssh = null;
   try {
     console.log(`Creating file for user: ${username}`);
     
-    if (!username) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Username is required' 
-      });
-    }
-    
-    const ssh = new NodeSSH();
-    
     // Connect with the actual user credentials
     console.log(`Connecting as user: ${username}`);
-    await ssh.connect({
-      host: serverIp,
-      username: username,
-      password: 'ul678clab', // Assuming all users have the same password
-      tryKeyboard: true,
-      readyTimeout: 5000
-    });
+    ssh = await sshPool.acquire(serverIp, username);
     
     // Create the file
-    const newFilePath = `${path}/${fileName}`;
+    const parentPath = await pathSandbox.resolveRemotePath(ssh, username, path, { write: true });
+    const newFilePath = pathSandbox.resolveChildPath(username, parentPath, fileName, { write: true });
     console.log('Attempting to create file:', newFilePath);
     
     // Write content to file
-    const writeCommand = `cat > "${newFilePath}" << 'EOF'
-${content}
-EOF`;
-    
-    const result = await ssh.execCommand(writeCommand);
-    
-    if (result.stderr) {
-      console.log('File creation failed with error:', result.stderr);
-      throw new Error(result.stderr);
-    }
+    const sftp = await sftpFiles.openSftp(ssh);
+    await sftpFiles.writeContent(sftp, newFilePath, content);
     
     console.log('File created successfully');
     
-    ssh.dispose();
     res.json({ 
       success: true, 
       message: 'File created successfully',
@@ -933,7 +1151,9 @@ EOF`;
     });
   } catch (error) {
     console.error('Error creating file:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  } finally {
+    sshPool.release(ssh);
   }
 });
 
@@ -981,36 +1201,40 @@ app.get('/api/system/metrics', async (req, res) => {
 
 app.post('/api/files/copyPaste', async (req, res) => {
     try {
-        const { sourceServerIp, sourcePath, isDirectory, destinationServerIp, destinationPath, username } = req.body;
+        const { sourceServerIp, sourcePath, isDirectory, destinationServerIp, destinationPath } = req.body;
+        const { username } = req.user;
 
-        if (!sourceServerIp || !sourcePath || !destinationServerIp || !destinationPath || !username) {
+        if (!sourceServerIp || !sourcePath || !destinationServerIp || !destinationPath) {
             return res.status(400).json({ error: 'Missing required parameters' });
         }
 
-        const ssh = new NodeSSH();
+        let ssh = null;
         try {
             // Connect to the source server (assuming it's the same as the destination server for simplicity)
-            await ssh.connect({
-                ...sshConfig,
-                host: sourceServerIp, // Connect to source server
-                username: username,    
-                password: 'ul678clab',
-                tryKeyboard: true,
-                readyTimeout: 5000
-            });
+            ssh = await sshPool.acquire(sourceServerIp, username);
         } catch (error) {
             return res.status(500).json({ error: `Failed to connect to server: ${error.message}` });
         }
 
         let command;
-        // Extract the base name of the source item to append to the destination path
-        const itemName = path.basename(sourcePath);
-        const targetPath = path.posix.join(destinationPath, itemName); // Use posix.join for consistent path handling
+        let resolvedSource;
+        let targetPath;
+        try {
+            // Copying out of a shared directory is fine, copying into one is not
+            resolvedSource = await pathSandbox.resolveRemotePath(ssh, username, sourcePath);
+            const resolvedDestination = await pathSandbox.resolveRemotePath(ssh, username, destinationPath, { write: true });
+            // Extract the base name of the source item to append to the destination path
+            targetPath = pathSandbox.resolveChildPath(username, resolvedDestination, path.posix.basename(resolvedSource), { write: true });
+        } catch (error) {
+            sshPool.release(ssh);
+            return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
 
+        // SFTP has no server side copy, so this is the one file operation that still runs a command, on sandboxed paths
         if (isDirectory) {
-            command = `cp -r "${sourcePath}" "${targetPath}"`;
+            command = `cp -r -- ${shellQuote(resolvedSource)} ${shellQuote(targetPath)}`;
         } else {
-            command = `cp "${sourcePath}" "${targetPath}"`;
+            command = `cp -- ${shellQuote(resolvedSource)} ${shellQuote(targetPath)}`;
         }
 
         try {
@@ -1024,7 +1248,7 @@ app.post('/api/files/copyPaste', async (req, res) => {
         } catch (error) {
             res.status(500).json({ error: `Error executing copy command: ${error.message}` });
         } finally {
-            ssh.dispose();
+            sshPool.release(ssh);
         }
 
     } catch (error) {
@@ -1035,53 +1259,168 @@ app.post('/api/files/copyPaste', async (req, res) => {
 
 // Rename a file or directory
 app.post('/api/files/rename', async (req, res) => {
-    const { serverIp, oldPath, newPath, username } = req.body;
+    const { serverIp, oldPath, newPath } = req.body;
+    const { username } = req.user;
 
-    if (!serverIp || !oldPath || !newPath || !username) {
-        return res.status(400).json({ success: false, error: 'Server IP, old path, new path, and username are required' });
+    if (!serverIp || !oldPath || !newPath) {
+        return res.status(400).json({ success: false, error: 'Server IP, old path and new path are required' });
     }
 
+    let ssh = null;
     try {
-        const ssh = new NodeSSH();
-        await ssh.connect({
-            host: serverIp,
-            username: username,
-            password: 'ul678clab',
-            tryKeyboard: true,
-            readyTimeout: 5000
-        });
+        ssh = await sshPool.acquire(serverIp, username);
 
-        const command = `mv "${oldPath}" "${newPath}"`;
-        const result = await ssh.execCommand(command);
-
-        if (result.stderr) {
-            throw new Error(result.stderr);
-        }
+        const resolvedOldPath = await pathSandbox.resolveRemoteEntryPath(ssh, username, oldPath, { write: true, allowRoot: false });
+        const resolvedNewPath = await pathSandbox.resolveRemoteEntryPath(ssh, username, newPath, { write: true, allowRoot: false });
+        const sftp = await sftpFiles.openSftp(ssh);
+        await sftpFiles.rename(sftp, resolvedOldPath, resolvedNewPath);
 
-        ssh.dispose();
-        res.json({ success: true, message: 'Item renamed successfully' });
+        res.json({ success: true, message: 'Item renamed successfully', newPath: resolvedNewPath });
 
     } catch (error) {
         console.error('Error renaming item:', error);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    } finally {
+        sshPool.release(ssh);
     }
 });
 
+// List the servers a user has registered SSH credentials for (secrets are never returned)
+app.get('/api/credentials', (req, res) => {
+  try {
+    res.json({ success: true, credentials: credentialStore.listCredentials(req.user.username) });
+  } catch (error) {
+    console.error('Error listing credentials:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Register or replace the SSH password and/or private key of a user for a server
+app.post('/api/credentials', async (req, res) => {
+  const { serverIp, password, privateKey, passphrase } = req.body;
+  const { username } = req.user;
+
+  if (!serverIp) {
+    return res.status(400).json({ success: false, error: 'Server IP is required' });
+  }
+
+  if (!password && !privateKey) {
+    return res.status(400).json({ success: false, error: 'A password or a private key is required' });
+  }
+
+  // Verify the credentials against the server before storing them
+  const ssh = new NodeSSH();
+  try {
+    console.log(`Verifying credentials for user ${username} on ${serverIp}`);
+    await ssh.connect({
+      ...sshConfig,
+      host: serverIp,
+      username: username,
+      ...(password && { password }),
+      ...(privateKey && { privateKey }),
+      ...(passphrase && { passphrase })
+    });
+  } catch (error) {
+    console.error('Credential verification failed:', error.message);
+    return res.status(400).json({ success: false, error: `Could not log in to ${serverIp} with these credentials: ${error.message}` });
+  } finally {
+    ssh.dispose();
+  }
+
+  try {
+    const credential = credentialStore.setCredential(username, serverIp, { password, privateKey, passphrase });
+    // Pooled connections were opened with the old credentials
+    sshPool.closeConnections(serverIp, username);
+    res.json({ success: true, message: 'Credentials saved successfully', credential });
+  } catch (error) {
+    console.error('Error saving credentials:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/credentials', (req, res) => {
+  const { serverIp } = req.body;
+  const { username } = req.user;
+
+  if (!serverIp) {
+    return res.status(400).json({ success: false, error: 'Server IP is required' });
+  }
+
+  try {
+    if (!credentialStore.deleteCredential(username, serverIp)) {
+      return res.status(404).json({ success: false, error: 'No credentials registered for this server' });
+    }
+    sshPool.closeConnections(serverIp, username);
+    res.json({ success: true, message: 'Credentials removed successfully' });
+  } catch (error) {
+    console.error('Error deleting credentials:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Log in to the containerlab API with the user's stored password so the frontend never has to hold it
+app.post('/api/credentials/clab-token', async (req, res) => {
+  const { serverIp } = req.body;
+  const { username } = req.user;
+
+  if (!serverIp) {
+    return res.status(400).json({ success: false, error: 'Server IP is required' });
+  }
+
+  let password;
+  try {
+    password = credentialStore.getPassword(username, serverIp);
+  } catch (error) {
+    return res.status(401).json({ success: false, error: error.message });
+  }
+
+  try {
+    const response = await axios.post(`http://${serverIp}:8080/login`, { username, password });
+    if (!response.data.token) {
+      throw new Error('No token received');
+    }
+    res.json({ success: true, token: response.data.token });
+  } catch (error) {
+    console.error(`Containerlab API login failed for ${username} on ${serverIp}:`, error.message);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: `Containerlab API login failed: ${error.message}`
+    });
+  }
+});
+
+// Repository URLs git clone is given: http(s), ssh and git URLs or scp-like user@host:path, never options or ext::
+const GIT_URL = /^(?:(?:https?|ssh|git):\/\/[^\s]+|[\w.-]+@[\w.-]+:[^\s]+)$/;
+
 // Add a new API endpoint for cloning a git repository
 app.post('/api/git/clone', async (req, res) => {
   try {
-    const { gitRepoUrl, username } = req.body;
+    const { gitRepoUrl, serverIp } = req.body;
+    const { username } = req.user;
     
-    if (!gitRepoUrl || !username) {
+    if (!gitRepoUrl) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Git repository URL and username are required' 
+        error: 'Git repository URL is required' 
       });
     }
+    if (typeof gitRepoUrl !== 'string' || !GIT_URL.test(gitRepoUrl)) {
+      return res.status(400).json({ success: false, error: 'Only http(s), ssh and git repository URLs can be cloned' });
+    }
+    // The repository is cloned on one of the configured clab servers, never on a host the client picked
+    if (!settingsStore.getSettings().servers.some(server => server.ip === serverIp)) {
+      return res.status(400).json({ success: false, error: 'The server must be one of the configured clab servers' });
+    }
+
+    // The repository is cloned into a directory of the user's tree named after it, never anywhere else
+    let targetDir;
+    try {
+      const repoName = gitRepoUrl.replace(/\/+$/, '').split(/[/:]/).pop().replace(/\.git$/, '');
+      targetDir = pathSandbox.resolveChildPath(username, pathSandbox.getUserRoot(username), repoName, { write: true, allowRoot: false });
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
 
-    // Set the server IP to 10.83.12.237 for git operations
-    const serverIp = '10.83.12.237';
-    
     // Set up streaming response
     res.setHeader('Content-Type', 'text/plain');
     res.setHeader('Transfer-Encoding', 'chunked');
@@ -1096,44 +1435,34 @@ app.post('/api/git/clone', async (req, res) => {
     log(`Target server: ${serverIp}`);
     log(`Username: ${username}`);
 
-    // Get the repository name from the URL
-    const repoName = gitRepoUrl.split('/').pop().replace('.git', '');
-    const targetDir = `/home/clab_nfs_share/containerlab_topologies/${username}/${repoName}`;
-    
     log(`Repository will be cloned to: ${targetDir}`);
 
-    const ssh = new NodeSSH();
+    let ssh = null;
     
     try {
       // Update the SSH connection to match other parts of the file
       log('Connecting to server...');
-      await ssh.connect({
-        ...sshConfig,
-        host: serverIp,
-        username: username,    
-        password: 'ul678clab',
-        tryKeyboard: true,
-        readyTimeout: 10000
-      });
+      ssh = await sshPool.acquire(serverIp, username, { readyTimeout: 10000 });
       log('Connected successfully');
 
-      // Check if directory already exists
+      // Ensure parent directory exists
+      await ssh.execCommand(`mkdir -p -- ${shellQuote(pathSandbox.getUserRoot(username))}`, { cwd: '/' });
+
+      // Check if directory already exists, the user root is resolved on the server so a symlink cannot lead out of it
       log('Checking if repository directory already exists...');
-      const checkDirResult = await ssh.execCommand(`[ -d "${targetDir}" ] && echo "exists" || echo "not exists"`, { cwd: '/' });
+      const clonePath = await pathSandbox.resolveRemoteEntryPath(ssh, username, targetDir, { write: true, allowRoot: false });
+      const checkDirResult = await ssh.execCommand(`[ -e ${shellQuote(clonePath)} ] && echo "exists" || echo "not exists"`, { cwd: '/' });
       
       if (checkDirResult.stdout.trim() === 'exists') {
         log(`Repository directory already exists. Removing existing directory...`);
-        await ssh.execCommand(`rm -rf "${targetDir}"`, { cwd: '/' });
+        await ssh.execCommand(`rm -rf -- ${shellQuote(clonePath)}`, { cwd: '/' });
         log(`Existing directory removed`);
       }
 
-      // Ensure parent directory exists
-      const parentDir = `/home/clab_nfs_share/containerlab_topologies/${username}`;
-      await ssh.execCommand(`mkdir -p "${parentDir}"`, { cwd: '/' });
-      log(`Cloning repository ${gitRepoUrl} to ${targetDir}...`);
+      log(`Cloning repository ${gitRepoUrl} to ${clonePath}...`);
 
       // Clone the repository
-      const cloneResult = await ssh.execCommand(`git clone ${gitRepoUrl} "${targetDir}"`, {
+      const cloneResult = await ssh.execCommand(`git clone -- ${shellQuote(gitRepoUrl)} ${shellQuote(clonePath)}`, {
         cwd: '/',
         onStdout: (chunk) => {
           log(chunk.toString().trim());
@@ -1163,7 +1492,7 @@ app.post('/api/git/clone', async (req, res) => {
       res.end();
     } finally {
       if (ssh) {
-        ssh.dispose();
+        sshPool.release(ssh);
       }
     }
     
@@ -1186,11 +1515,50 @@ if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// The container of a lab deployed on this server with the given name and management IP, or null. Terminals only connect
+// to such nodes of the user's own labs (an admin's to any), so the catalog credentials are never sent to a host the client picked
+const findLabNode = (nodeName, nodeIp) => new Promise((resolve) => {
+  if (!nodeName || !nodeIp) {
+    return resolve(null);
+  }
+  exec('clab inspect --all --format json', { maxBuffer: 32 * 1024 * 1024 }, (error, stdout) => {
+    if (error) {
+      console.error('Could not list the lab nodes:', error.message);
+      return resolve(null);
+    }
+    try {
+      const containers = JSON.parse(stdout).containers || [];
+      const address = (cidr) => (cidr || '').split('/')[0];
+      resolve(containers.find(container => container.name === nodeName
+        && [address(container.ipv4_address), address(container.ipv6_address)].includes(nodeIp)) || null);
+    } catch (parseError) {
+      console.error('Could not parse the lab nodes:', parseError.message);
+      resolve(null);
+    }
+  });
+});
+
 wss.on('connection', (ws, req) => {
-  console.log('New WebSocket connection established');
+  console.log(`New WebSocket connection established for user: ${req.user.username}`);
   let sshClient = null;
   let sshStream = null;
   let dockerProcess = null;
+  // Set once the connection request has been received, input sent before the terminal is up is dropped
+  let connecting = false;
+
+  // Terminal sessions are audited when they open and when they close, with how long they lasted
+  const session = { startedAt: Date.now(), target: null, error: null };
+  const auditSession = (action) => auditLog.record({
+    source: BACKEND_SOURCE,
+    user: req.user.username,
+    action,
+    serverIp: (req.headers.host || '').split(':')[0] || null,
+    target: session.target,
+    result: session.error ? 'failure' : 'success',
+    error: session.error,
+    durationMs: action === 'terminal close' ? Date.now() - session.startedAt : null,
+    clientIp: req.socket.remoteAddress
+  });
 
   ws.on('message', async (message) => {
     if (sshStream) {
@@ -1199,16 +1567,40 @@ wss.on('connection', (ws, req) => {
     } else if (dockerProcess) {
         dockerProcess.write(message.toString());
         return;
+    } else if (connecting) {
+        return;
     }
+    connecting = true;
 
     try {
       const data = JSON.parse(message);
       console.log('Received connection request:', data);
-      const { nodeName, nodeIp, username, nodeKind } = data;
+      const { nodeName, nodeIp } = data;
+      session.target = `${nodeName} (${nodeIp})`;
+
+      // The kind and image come from the container, not the client, so the catalog entry matches the node reached
+      const node = await findLabNode(nodeName, nodeIp);
+      if (!node) {
+        session.error = `${nodeName} (${nodeIp}) is not a node of a lab on this server`;
+      } else if (node.owner !== req.user.username && req.user.role !== 'admin') {
+        session.error = `${nodeName} (${nodeIp}) is a node of a lab of another user`;
+      }
+      if (session.error) {
+        auditSession('terminal open');
+        ws.send(`\r\n\x1b[31mError: ${session.error}\x1b[0m`);
+        ws.close();
+        return;
+      }
+      session.target = `${nodeName} (${node.kind}, ${nodeIp})`;
+      auditSession('terminal open');
+
+      // The node catalog says how nodes of this kind and image are reached and which credentials they take
+      const kindEntry = settingsStore.findKindEntry(node.kind, node.image);
+      const credentials = kindEntry.credentials || {};
 
-      if (nodeKind === 'linux') {
+      if (kindEntry.terminal === 'docker-exec') {
           console.log(`Attempting docker exec to ${nodeName} with pty`);
-          dockerProcess = pty.spawn('docker', ['exec', '-it', nodeName, 'sh'], {
+          dockerProcess = pty.spawn('docker', ['exec', '-it', nodeName, ...(kindEntry.shell || 'sh').split(' ')], {
               name: 'xterm-256color',
               cols: data.cols || 80,
               rows: data.rows || 24,
@@ -1228,14 +1620,15 @@ wss.on('connection', (ws, req) => {
 
           dockerProcess.on('error', (err) => {
               console.error('Docker exec pty process error:', err);
+              session.error = err.message;
               ws.send(`\r\n\x1b[31mError: ${err.message}\x1b[0m`);
               ws.close();
           });
 
-      } else if (nodeKind === 'sonic-vm') {
-          console.log(`Attempting SSH connection to sonic-vm node ${nodeName}`);
-          // For sonic-vm, we'll use the node name directly with ssh command
-          dockerProcess = pty.spawn('ssh', ['-o', 'StrictHostKeyChecking=no', '-o', 'UserKnownHostsFile=/dev/null', 'admin@' + nodeName], {
+      } else if (kindEntry.terminal === 'ssh-cli') {
+          console.log(`Attempting SSH connection to ${node.kind} node ${nodeName}`);
+          // The ssh client of the server reaches the node by name and asks the user for the password
+          dockerProcess = pty.spawn('ssh', ['-o', 'StrictHostKeyChecking=no', '-o', 'UserKnownHostsFile=/dev/null', `${credentials.username || 'admin'}@${nodeName}`], {
               name: 'xterm-256color',
               cols: data.cols || 80,
               rows: data.rows || 24,
@@ -1248,13 +1641,14 @@ wss.on('connection', (ws, req) => {
           });
 
           dockerProcess.onExit(({ exitCode, signal }) => {
-              console.log(`SSH to sonic-vm process exited with code ${exitCode} and signal ${signal}`);
+              console.log(`SSH to ${nodeName} process exited with code ${exitCode} and signal ${signal}`);
               ws.send('\r\n\x1b[31mConnection closed\x1b[0m');
               ws.close();
           });
 
           dockerProcess.on('error', (err) => {
-              console.error('SSH to sonic-vm process error:', err);
+              console.error(`SSH to ${nodeName} process error:`, err);
+              session.error = err.message;
               ws.send(`\r\n\x1b[31mError: ${err.message}\x1b[0m`);
               ws.close();
           });
@@ -1265,27 +1659,27 @@ wss.on('connection', (ws, req) => {
           console.log(`Attempting SSH connection to ${nodeIp}`);
           sshClient.connect({
             host: nodeIp,
-            username: 'admin',
+            username: credentials.username || 'admin',
             tryKeyboard: true,
-            readyTimeout: 10000,
-            debug: console.log
+            readyTimeout: 10000
           });
 
           sshClient.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
             console.log('Keyboard interactive authentication requested');
-            const responses = prompts.map(() => 'admin');
+            const responses = prompts.map(() => credentials.password || '');
             finish(responses);
           });
 
           sshClient.on('authenticationRequired', (authMethods) => {
             console.log('Authentication required, methods:', authMethods);
             if (!authMethods || authMethods.length === 0) {
-              sshClient.authPassword('admin', 'admin');
+              sshClient.authPassword(credentials.username || 'admin', credentials.password || '');
             }
           });
 
           sshClient.on('error', (err) => {
             console.error('SSH connection error:', err);
+            session.error = err.message;
             ws.send(`\r\n\x1b[31mError: ${err.message}\x1b[0m`);
           });
 
@@ -1326,12 +1720,16 @@ wss.on('connection', (ws, req) => {
 
     } catch (error) {
       console.error('Error handling WebSocket message:', error);
+      session.error = error.message;
       ws.send(`\r\n\x1b[31mError: ${error.message}\x1b[0m`);
     }
   });
 
   ws.on('close', () => {
     console.log('WebSocket connection closed');
+    if (session.target) {
+      auditSession('terminal close');
+    }
     if (sshClient) {
       sshClient.end();
     } else if (dockerProcess) {
@@ -1341,6 +1739,7 @@ wss.on('connection', (ws, req) => {
 
   ws.on('error', (error) => {
     console.error('WebSocket error:', error);
+    session.error = error.message;
     if (sshClient) {
       sshClient.end();
     } else if (dockerProcess) {
@@ -0,0 +1,179 @@
+/* This is the credential vault for the Containerlab Studio backends. It keeps each user's SSH password and/or private key
+   for each clab server, encrypted at rest with AES-256-GCM, so that no shared password has to live in the source code. */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FILE = process.env.CREDENTIAL_STORE_FILE || path.join(__dirname, 'data', 'credentials.json');
+const KEY_FILE = process.env.CREDENTIAL_STORE_KEY_FILE || path.join(path.dirname(STORE_FILE), 'credentials.key');
+
+let encryptionKey = null;
+
+/*
+ * This is the function to get the 32 byte encryption key for the vault.
+ * If CREDENTIAL_STORE_KEY is set it is used as a passphrase, otherwise a random key is generated once
+ * and kept next to the store file (readable only by the backend user).
+ */
+const getEncryptionKey = () => {
+    if (encryptionKey) {
+        return encryptionKey;
+    }
+
+    if (process.env.CREDENTIAL_STORE_KEY) {
+        encryptionKey = crypto.scryptSync(process.env.CREDENTIAL_STORE_KEY, 'containerlab-studio-credentials', 32);
+        return encryptionKey;
+    }
+
+    if (fs.existsSync(KEY_FILE)) {
+        encryptionKey = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+        return encryptionKey;
+    }
+
+    console.warn(`CREDENTIAL_STORE_KEY is not set, generating a new vault key at ${KEY_FILE}`);
+    fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+    encryptionKey = crypto.randomBytes(32);
+    fs.writeFileSync(KEY_FILE, encryptionKey.toString('hex'), { mode: 0o600 });
+    return encryptionKey;
+};
+
+const encrypt = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secret), 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        data: data.toString('hex')
+    };
+};
+
+const decrypt = (entry) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(entry.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'hex'));
+    const data = Buffer.concat([decipher.update(Buffer.from(entry.data, 'hex')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+};
+
+const readStore = () => {
+    if (!fs.existsSync(STORE_FILE)) {
+        return { entries: {} };
+    }
+    return JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+};
+
+// Write to a temp file first so a crash never leaves a half written vault behind
+const writeStore = (store) => {
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    const tempFile = `${STORE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(store, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, STORE_FILE);
+};
+
+const entryKey = (username, serverIp) => `${username}@${serverIp}`;
+
+/*
+ * This is the function to add or replace the credentials of a user for a server.
+ * At least one of password or privateKey is required; the passphrase only applies to an encrypted private key.
+ */
+const setCredential = (username, serverIp, { password, privateKey, passphrase } = {}) => {
+    if (!username || !serverIp) {
+        throw new Error('Username and server IP are required');
+    }
+    if (!password && !privateKey) {
+        throw new Error('A password or a private key is required');
+    }
+
+    const store = readStore();
+    const key = entryKey(username, serverIp);
+    const now = new Date().toISOString();
+    const secret = {};
+    if (password) secret.password = password;
+    if (privateKey) secret.privateKey = privateKey;
+    if (passphrase) secret.passphrase = passphrase;
+
+    store.entries[key] = {
+        username,
+        serverIp,
+        hasPassword: !!password,
+        hasPrivateKey: !!privateKey,
+        createdAt: store.entries[key]?.createdAt || now,
+        updatedAt: now,
+        ...encrypt(secret)
+    };
+    writeStore(store);
+    return describeEntry(store.entries[key]);
+};
+
+// Only the non secret fields ever leave this module through the API
+const describeEntry = (entry) => ({
+    username: entry.username,
+    serverIp: entry.serverIp,
+    hasPassword: entry.hasPassword,
+    hasPrivateKey: entry.hasPrivateKey,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+});
+
+const listCredentials = (username) => {
+    const store = readStore();
+    return Object.values(store.entries)
+        .filter(entry => !username || entry.username === username)
+        .map(describeEntry);
+};
+
+const deleteCredential = (username, serverIp) => {
+    const store = readStore();
+    const key = entryKey(username, serverIp);
+    if (!store.entries[key]) {
+        return false;
+    }
+    delete store.entries[key];
+    writeStore(store);
+    return true;
+};
+
+const getCredential = (username, serverIp) => {
+    const entry = readStore().entries[entryKey(username, serverIp)];
+    return entry ? decrypt(entry) : null;
+};
+
+/*
+ * This is the function to get the node-ssh / ssh2 authentication options for a user on a server.
+ * It throws when the user has not registered any credentials for that server.
+ */
+const getSshAuth = (username, serverIp) => {
+    const secret = getCredential(username, serverIp);
+    if (!secret) {
+        throw new Error(`No SSH credentials registered for user ${username} on server ${serverIp}`);
+    }
+
+    const auth = {};
+    if (secret.privateKey) {
+        auth.privateKey = secret.privateKey;
+        if (secret.passphrase) auth.passphrase = secret.passphrase;
+    }
+    if (secret.password) {
+        auth.password = secret.password;
+    }
+    return auth;
+};
+
+/*
+ * This is the function to get the password of a user on a server, used for the containerlab API login
+ * which does not accept key based authentication.
+ */
+const getPassword = (username, serverIp) => {
+    const secret = getCredential(username, serverIp);
+    if (!secret || !secret.password) {
+        throw new Error(`No password registered for user ${username} on server ${serverIp}`);
+    }
+    return secret.password;
+};
+
+module.exports = {
+    setCredential,
+    listCredentials,
+    deleteCredential,
+    getSshAuth,
+    getPassword
+};
@@ -0,0 +1,104 @@
+/* This is the draft store of the topology designer. It keeps each user's named drafts (the designer state: nodes with
+   their positions, links, annotations, global settings and the YAML) in one JSON file per user, so a half built lab
+   can be picked up again after a refresh, a logout or on another computer. */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DRAFT_STORE_DIR = process.env.DRAFT_STORE_DIR || path.join(__dirname, 'data', 'drafts');
+const MAX_DRAFTS_PER_USER = parseInt(process.env.MAX_DRAFTS_PER_USER, 10) || 50;
+// The JSON body limit of the drafts route, a draft bigger than this is refused
+const MAX_DRAFT_SIZE = process.env.MAX_DRAFT_SIZE || '2mb';
+const MAX_NAME_LENGTH = 100;
+
+const draftError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Usernames come from the session token, they are still encoded so one can never name a path outside the store
+const userFile = (username) => path.join(DRAFT_STORE_DIR, `${encodeURIComponent(username)}.json`);
+
+const readDrafts = (username) => {
+    const file = userFile(username);
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8')).drafts || [];
+};
+
+// Write to a temp file first so a crash never leaves a half written file behind
+const writeDrafts = (username, drafts) => {
+    fs.mkdirSync(DRAFT_STORE_DIR, { recursive: true });
+    const file = userFile(username);
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ drafts }, null, 2));
+    fs.renameSync(tempFile, file);
+};
+
+// What the drafts list shows, without the designer state
+const describeDraft = (draft) => ({
+    id: draft.id,
+    name: draft.name,
+    topologyName: draft.state.topologyName || '',
+    nodeCount: (draft.state.nodes || []).length,
+    linkCount: (draft.state.edges || []).length,
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt
+});
+
+// A user's drafts, most recently saved first
+const listDrafts = (username) => readDrafts(username)
+    .map(describeDraft)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+const getDraft = (username, id) => readDrafts(username).find(draft => draft.id === id) || null;
+
+/*
+ * This is the function to save a draft under a name. A draft with the same name is replaced (it keeps its id), otherwise
+ * a new one is added; a user with MAX_DRAFTS_PER_USER drafts has to delete one first. Returns the draft without its state.
+ */
+const saveDraft = (username, name, state) => {
+    const draftName = typeof name === 'string' ? name.trim() : '';
+    if (!draftName || draftName.length > MAX_NAME_LENGTH) {
+        throw draftError(400, `A draft needs a name of up to ${MAX_NAME_LENGTH} characters`);
+    }
+    if (!state || typeof state !== 'object' || Array.isArray(state) || !Array.isArray(state.nodes) || !Array.isArray(state.edges)) {
+        throw draftError(400, 'A draft needs the designer state, with its nodes and edges');
+    }
+
+    const drafts = readDrafts(username);
+    const now = new Date().toISOString();
+    const existing = drafts.find(draft => draft.name === draftName);
+    if (!existing && drafts.length >= MAX_DRAFTS_PER_USER) {
+        throw draftError(409, `You already have ${MAX_DRAFTS_PER_USER} drafts, delete one to save another`);
+    }
+
+    const draft = {
+        id: existing ? existing.id : `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+        name: draftName,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        state
+    };
+    writeDrafts(username, existing ? drafts.map(entry => (entry.id === existing.id ? draft : entry)) : [...drafts, draft]);
+    return describeDraft(draft);
+};
+
+const deleteDraft = (username, id) => {
+    const drafts = readDrafts(username);
+    if (!drafts.some(draft => draft.id === id)) {
+        return false;
+    }
+    writeDrafts(username, drafts.filter(draft => draft.id !== id));
+    return true;
+};
+
+module.exports = {
+    MAX_DRAFT_SIZE,
+    listDrafts,
+    getDraft,
+    saveDraft,
+    deleteDraft
+};
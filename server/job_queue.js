@@ -0,0 +1,257 @@
+/* This is the job subsystem for lab lifecycle operations (deploy, destroy, reconfigure, save). Each operation runs as a job
+   that outlives the HTTP request that started it; its status and full log are persisted so any tab can replay or follow it.
+   Every job is kept as <id>.json (metadata) and <id>.log (output) so both backends can share the same directory safely. */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const JOBS_DIR = process.env.JOB_STORE_DIR || path.join(__dirname, 'data', 'jobs');
+const JOB_HISTORY_LIMIT = parseInt(process.env.JOB_HISTORY_LIMIT, 10) || 500;
+const FOLLOW_POLL_MS = 500;
+
+const JOB_ID = /^[a-z0-9]+-[a-f0-9]{8}$/;
+const FINISHED_STATUSES = ['succeeded', 'failed', 'interrupted'];
+
+const metaFile = (id) => path.join(JOBS_DIR, `${id}.json`);
+const logFile = (id) => path.join(JOBS_DIR, `${id}.log`);
+
+const ensureDir = () => fs.mkdirSync(JOBS_DIR, { recursive: true, mode: 0o700 });
+
+// Metadata is replaced atomically so a reader in the other backend never sees half a file
+const writeMeta = (job) => {
+    const tmpFile = `${metaFile(job.id)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(job, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, metaFile(job.id));
+};
+
+const getJob = (id) => {
+    if (!id || !JOB_ID.test(id)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(metaFile(id), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+};
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+const updateJob = (id, fields) => {
+    const job = { ...getJob(id), ...fields };
+    writeMeta(job);
+    return job;
+};
+
+const appendLog = (id, text) => {
+    fs.appendFileSync(logFile(id), text);
+};
+
+// The length of a buffer up to its last whole UTF-8 character, the bytes of a character still being written are left out
+const wholeCharacterLength = (buffer) => {
+    for (let back = 1; back <= Math.min(4, buffer.length); back++) {
+        const byte = buffer[buffer.length - back];
+        // Continuation bytes are 10xxxxxx, the first byte of a character says how many bytes it has
+        if ((byte & 0xc0) !== 0x80) {
+            const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+            return length > back ? buffer.length - back : buffer.length;
+        }
+    }
+    return buffer.length;
+};
+
+/*
+ * This is the function to read the log from a byte offset, for replaying a job or following it while it runs.
+ * size is the offset to read on from. It stops before a character that is only partly written, so a follower never
+ * splits a multi-byte character between two reads.
+ */
+const readLog = (id, offset = 0) => {
+    if (!getJob(id)) {
+        return null;
+    }
+    try {
+        const buffer = fs.readFileSync(logFile(id));
+        const size = wholeCharacterLength(buffer);
+        return { text: buffer.subarray(offset, size).toString('utf8'), size };
+    } catch (error) {
+        return { text: '', size: 0 };
+    }
+};
+
+/*
+ * This is the function to list jobs, newest first.
+ * Filters: owner, serverIp, type, status and limit (default 50).
+ */
+const listJobs = ({ owner, serverIp, type, status, limit = 50 } = {}) => {
+    if (!fs.existsSync(JOBS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(JOBS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => getJob(file.replace(/\.json$/, '')))
+        .filter(Boolean)
+        .filter(job => (!owner || job.owner === owner)
+            && (!serverIp || job.serverIp === serverIp)
+            && (!type || job.type === type)
+            && (!status || job.status === status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+};
+
+/*
+ * This is the function to check a user may start another job, with the maxConcurrentJobs of their quota (0 is unlimited).
+ * Queued and running jobs count whichever backend runs them. Throws with statusCode 429 when the quota is used up.
+ */
+const checkJobQuota = (owner, maxConcurrentJobs) => {
+    if (!maxConcurrentJobs) {
+        return;
+    }
+    const active = ['queued', 'running']
+        .reduce((count, status) => count + listJobs({ owner, status, limit: Infinity }).length, 0);
+    if (active >= maxConcurrentJobs) {
+        const error = new Error(`You already have ${active} lab operations in progress, your quota allows ${maxConcurrentJobs}`);
+        error.statusCode = 429;
+        throw error;
+    }
+};
+
+// Drop the oldest finished jobs beyond JOB_HISTORY_LIMIT
+const pruneHistory = () => {
+    const finished = listJobs({ limit: Infinity }).filter(isFinished);
+    finished.slice(JOB_HISTORY_LIMIT).forEach(job => {
+        fs.rmSync(metaFile(job.id), { force: true });
+        fs.rmSync(logFile(job.id), { force: true });
+    });
+};
+
+/*
+ * This is the function to record a new job.
+ * job: { type, owner, serverIp, target, source } where target is the topology file or lab name and source the backend
+ * that runs it.
+ */
+const createJob = ({ type, owner, serverIp, target, source }) => {
+    ensureDir();
+    const now = new Date();
+    const job = {
+        id: `${now.getTime().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+        type,
+        owner,
+        serverIp,
+        target,
+        source,
+        status: 'queued',
+        createdAt: now.toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+        result: null
+    };
+    writeMeta(job);
+    fs.writeFileSync(logFile(job.id), '', { mode: 0o600 });
+    pruneHistory();
+    return job;
+};
+
+/*
+ * This is the function to run a job in the background.
+ * work(log) does the operation, calls log(text) for its output and resolves to a result object whose success field
+ * decides whether the job succeeded. A thrown error fails the job. Returns a promise for the finished job.
+ * With waitFor(log) the job stays queued until that promise resolves, for example while it waits for a deploy slot.
+ */
+const runJob = (job, work, { waitFor } = {}) => {
+    let startedAt = new Date();
+    const log = (text) => appendLog(job.id, text);
+
+    const start = () => {
+        startedAt = new Date();
+        updateJob(job.id, { status: 'running', startedAt: startedAt.toISOString() });
+    };
+
+    const finish = (status, result) => {
+        const finishedAt = new Date();
+        console.log(`Job ${job.id} (${job.type} ${job.target} by ${job.owner}) ${status}`);
+        return updateJob(job.id, {
+            status,
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            result
+        });
+    };
+
+    return Promise.resolve()
+        .then(() => waitFor && waitFor(log))
+        .then(start)
+        .then(() => work(log))
+        .then(result => finish(result && result.success ? 'succeeded' : 'failed', result || { success: false }))
+        .catch(error => {
+            log(`Operation failed: ${error.message}\n`);
+            return finish('failed', { success: false, error: error.message });
+        });
+};
+
+// Jobs that were running when a backend stopped can never finish, so that backend marks them on startup
+const markInterruptedJobs = (source) => {
+    listJobs({ limit: Infinity })
+        .filter(job => job.source === source && !isFinished(job))
+        .forEach(job => {
+            appendLog(job.id, '\nThe backend restarted before this job finished, its outcome is unknown.\n');
+            updateJob(job.id, { status: 'interrupted', finishedAt: new Date().toISOString() });
+        });
+};
+
+/*
+ * This is the function to send a job's log over HTTP.
+ * The log so far is written straight away; with follow the response stays open and new output is sent as it arrives.
+ * Once the job has finished the response ends with the job itself as a final JSON line.
+ */
+const streamJobLog = (req, res, id, { follow = false } = {}) => {
+    const initial = readLog(id);
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.write(initial.text);
+
+    let offset = initial.size;
+    let timer = null;
+
+    const finishIfDone = () => {
+        const job = getJob(id);
+        if (!follow || !job || isFinished(job)) {
+            const rest = readLog(id, offset);
+            if (rest) {
+                res.write(rest.text);
+            }
+            res.end(`\n${JSON.stringify(job)}`);
+            return true;
+        }
+        return false;
+    };
+
+    if (finishIfDone()) {
+        return;
+    }
+
+    timer = setInterval(() => {
+        const next = readLog(id, offset);
+        if (next && next.text) {
+            res.write(next.text);
+            offset = next.size;
+        }
+        if (finishIfDone()) {
+            clearInterval(timer);
+        }
+    }, FOLLOW_POLL_MS);
+
+    req.on('close', () => clearInterval(timer));
+};
+
+module.exports = {
+    createJob,
+    runJob,
+    getJob,
+    listJobs,
+    checkJobQuota,
+    readLog,
+    isFinished,
+    markInterruptedJobs,
+    streamJobLog
+};
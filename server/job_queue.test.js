@@ -0,0 +1,131 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const JOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+process.env.JOB_STORE_DIR = JOBS_DIR;
+const jobQueue = require('./job_queue');
+
+const newJob = (fields = {}) => jobQueue.createJob({
+    type: 'deploy',
+    owner: 'alice',
+    serverIp: '10.0.0.1',
+    target: '/home/alice/lab.clab.yml',
+    source: 'backend',
+    ...fields
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(JOBS_DIR, { recursive: true, force: true });
+});
+
+test('records a queued job with an empty log', () => {
+    const job = newJob();
+    expect(job).toMatchObject({ status: 'queued', owner: 'alice', startedAt: null, result: null });
+    expect(jobQueue.getJob(job.id)).toEqual(job);
+    expect(jobQueue.readLog(job.id)).toEqual({ text: '', size: 0 });
+    expect(jobQueue.getJob('../../etc/passwd')).toBeNull();
+});
+
+test('runs a job to success and keeps its log', async () => {
+    const job = newJob();
+    const finished = await jobQueue.runJob(job, async (log) => {
+        log('deploying\n');
+        expect(jobQueue.getJob(job.id).status).toBe('running');
+        return { success: true, output: 'done' };
+    });
+    expect(finished).toMatchObject({ status: 'succeeded', result: { success: true, output: 'done' } });
+    expect(jobQueue.isFinished(finished)).toBe(true);
+    expect(jobQueue.readLog(job.id).text).toBe('deploying\n');
+    expect(jobQueue.readLog(job.id, 5).text).toBe('ying\n');
+});
+
+test('never splits a multi-byte character between two reads of the log', () => {
+    const job = newJob();
+    const bytes = Buffer.from('ready ✓\n');
+    fs.writeFileSync(path.join(JOBS_DIR, `${job.id}.log`), bytes.subarray(0, bytes.length - 2));
+    const first = jobQueue.readLog(job.id);
+    expect(first).toEqual({ text: 'ready ', size: 6 });
+
+    fs.writeFileSync(path.join(JOBS_DIR, `${job.id}.log`), bytes);
+    expect(jobQueue.readLog(job.id, first.size)).toEqual({ text: '✓\n', size: bytes.length });
+});
+
+test('fails a job that throws or does not succeed', async () => {
+    const thrown = await jobQueue.runJob(newJob(), async () => { throw new Error('clab exited with 1'); });
+    expect(thrown).toMatchObject({ status: 'failed', result: { success: false, error: 'clab exited with 1' } });
+    expect(jobQueue.readLog(thrown.id).text).toBe('Operation failed: clab exited with 1\n');
+
+    const unsuccessful = await jobQueue.runJob(newJob(), async () => ({ success: false }));
+    expect(unsuccessful.status).toBe('failed');
+});
+
+test('keeps a job queued until it may start', async () => {
+    const job = newJob();
+    let release;
+    const running = jobQueue.runJob(job, async () => ({ success: true }), {
+        waitFor: (log) => {
+            log('waiting for a deploy slot\n');
+            return new Promise(resolve => { release = resolve; });
+        }
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(jobQueue.getJob(job.id).status).toBe('queued');
+    release();
+    expect((await running).status).toBe('succeeded');
+});
+
+test('refuses a job beyond the quota of operations in progress', async () => {
+    expect(() => jobQueue.checkJobQuota('carol', 0)).not.toThrow();
+    const first = newJob({ owner: 'carol' });
+    newJob({ owner: 'carol' });
+    expect(() => jobQueue.checkJobQuota('carol', 2)).toThrow(expect.objectContaining({
+        statusCode: 429,
+        message: 'You already have 2 lab operations in progress, your quota allows 2'
+    }));
+    await jobQueue.runJob(first, async () => ({ success: true }));
+    expect(() => jobQueue.checkJobQuota('carol', 2)).not.toThrow();
+});
+
+test('lists jobs newest first with filters', () => {
+    const bobJob = newJob({ owner: 'bob', type: 'destroy' });
+    expect(jobQueue.listJobs({ owner: 'bob' }).map(job => job.id)).toEqual([bobJob.id]);
+    expect(jobQueue.listJobs({ owner: 'bob', type: 'deploy' })).toEqual([]);
+    const all = jobQueue.listJobs();
+    expect(all.map(job => job.createdAt)).toEqual([...all.map(job => job.createdAt)].sort().reverse());
+});
+
+test('marks the unfinished jobs of a restarted backend as interrupted', () => {
+    const mine = newJob({ source: 'restarted' });
+    const other = newJob({ source: 'other' });
+    jobQueue.markInterruptedJobs('restarted');
+    expect(jobQueue.getJob(mine.id).status).toBe('interrupted');
+    expect(jobQueue.readLog(mine.id).text).toMatch('The backend restarted before this job finished');
+    expect(jobQueue.getJob(other.id).status).toBe('queued');
+});
+
+test('streams the log of a finished job with the job as the last line', async () => {
+    const job = await jobQueue.runJob(newJob(), async (log) => {
+        log('line 1\n');
+        return { success: true };
+    });
+    const written = [];
+    const res = {
+        setHeader: jest.fn(),
+        write: (text) => written.push(text),
+        end: (text) => written.push(text)
+    };
+    jobQueue.streamJobLog({ on: jest.fn() }, res, job.id, { follow: true });
+    const lines = written.join('').split('\n');
+    expect(lines[0]).toBe('line 1');
+    expect(JSON.parse(lines[lines.length - 1])).toMatchObject({ id: job.id, status: 'succeeded' });
+});
@@ -0,0 +1,219 @@
+/* This is the locking layer for lab lifecycle operations. Only one deploy, destroy, reconfigure or save may run at a time
+   for a lab on a server, and the number of deploys running at once on a server can be capped. Locks are files created
+   with O_EXCL next to the job store, so both backends see the same locks and a lock is never handed out twice.
+   Every lock belongs to a job: once that job has finished the lock is stale and the next operation takes it over. */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jobQueue = require('./job_queue');
+
+const LOCKS_DIR = process.env.LOCK_STORE_DIR || path.join(__dirname, 'data', 'locks');
+// 0 means no limit on deploys running at the same time per server
+const MAX_CONCURRENT_DEPLOYS = parseInt(process.env.MAX_CONCURRENT_DEPLOYS_PER_SERVER, 10) || 0;
+// A lock taken for a request that never got as far as creating its job is stale after this long
+const UNCLAIMED_LOCK_MS = 60 * 1000;
+const SLOT_POLL_MS = 2000;
+
+// Operations that start containers and so count towards MAX_CONCURRENT_DEPLOYS_PER_SERVER
+const DEPLOY_TYPES = ['deploy', 'reconfigure'];
+
+const LOCK_ID = /^[a-f0-9]{40}$/;
+
+const lockError = (statusCode, message, lock) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.lock = lock;
+    return error;
+};
+
+const ensureDir = () => fs.mkdirSync(LOCKS_DIR, { recursive: true, mode: 0o700 });
+
+// The lock id is derived from the server and lab, so the file name itself is what makes a lock exclusive
+const lockId = (serverIp, lab) => crypto.createHash('sha1').update(`${serverIp}\n${lab}`).digest('hex');
+// Topology file paths are normalised, so /x/./lab.yaml and /x/lab.yaml are the same lab and take the same lock
+const normaliseLab = (lab) => (lab.startsWith('/') ? path.posix.normalize(lab).replace(/(.)\/+$/, '$1') : lab);
+const lockFile = (id) => path.join(LOCKS_DIR, `${id}.json`);
+const slotFile = (serverIp, slot) => path.join(LOCKS_DIR, `slot-${lockId(serverIp, 'deploy-slot')}-${slot}.json`);
+
+const readLockFile = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+};
+
+// Create a lock file only if it does not exist yet, returns false when someone else holds it
+const createExclusive = (file, data) => {
+    try {
+        fs.writeFileSync(file, JSON.stringify(data, null, 2), { flag: 'wx', mode: 0o600 });
+        return true;
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+const isStale = (lock) => {
+    if (!lock.jobId) {
+        return Date.now() - new Date(lock.acquiredAt).getTime() > UNCLAIMED_LOCK_MS;
+    }
+    const job = jobQueue.getJob(lock.jobId);
+    return !job || jobQueue.isFinished(job);
+};
+
+// Remove a lock file, but only if it still holds the given token (it may have been broken and taken over since)
+const removeIfOwned = (file, token) => {
+    const current = readLockFile(file);
+    if (current && current.token === token) {
+        fs.rmSync(file, { force: true });
+    }
+};
+
+const publicLock = (lock) => {
+    const { token, ...rest } = lock;
+    return { ...rest, stale: isStale(lock) };
+};
+
+/*
+ * This is the function to lock a lab on a server for one operation.
+ * lab is whatever identifies the lab to the backend (the topology file path or the lab name). A stale lock is taken
+ * over, otherwise a 409 error is thrown that carries the current holder in error.lock.
+ */
+const acquireLabLock = ({ serverIp, lab: requestedLab, owner, type, source }) => {
+    ensureDir();
+    const lab = normaliseLab(String(requestedLab));
+    const id = lockId(serverIp, lab);
+    const lock = {
+        id,
+        serverIp,
+        lab,
+        owner,
+        type,
+        source,
+        jobId: null,
+        acquiredAt: new Date().toISOString(),
+        token: crypto.randomBytes(16).toString('hex')
+    };
+
+    if (createExclusive(lockFile(id), lock)) {
+        return lock;
+    }
+
+    const holder = readLockFile(lockFile(id));
+    if (holder && !isStale(holder)) {
+        throw lockError(409, `${lab} on ${serverIp} is locked by ${holder.owner} (${holder.type} started ${holder.acquiredAt})`,
+            publicLock(holder));
+    }
+
+    console.log(`Taking over stale lock on ${lab} (${serverIp})${holder ? ` held by ${holder.owner}` : ''}`);
+    if (holder) {
+        removeIfOwned(lockFile(id), holder.token);
+    }
+    if (createExclusive(lockFile(id), lock)) {
+        return lock;
+    }
+    throw lockError(409, `${lab} on ${serverIp} was just locked by another operation`, publicLock(readLockFile(lockFile(id)) || lock));
+};
+
+// Record the job that holds the lock, from then on the lock lives exactly as long as the job runs
+const attachJob = (lock, jobId) => {
+    lock.jobId = jobId;
+    const current = readLockFile(lockFile(lock.id));
+    if (current && current.token === lock.token) {
+        fs.writeFileSync(lockFile(lock.id), JSON.stringify(lock, null, 2), { mode: 0o600 });
+    }
+};
+
+const releaseLabLock = (lock) => {
+    if (lock) {
+        removeIfOwned(lockFile(lock.id), lock.token);
+    }
+};
+
+const listLocks = ({ serverIp } = {}) => {
+    if (!fs.existsSync(LOCKS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(LOCKS_DIR)
+        .filter(file => /^[a-f0-9]{40}\.json$/.test(file))
+        .map(file => readLockFile(path.join(LOCKS_DIR, file)))
+        .filter(lock => lock && (!serverIp || lock.serverIp === serverIp))
+        .map(publicLock)
+        .sort((a, b) => a.acquiredAt.localeCompare(b.acquiredAt));
+};
+
+// Remove a lock whatever its state, for admins clearing a lock that is stuck; the job that held it is not stopped
+const breakLock = (id) => {
+    if (!LOCK_ID.test(id || '')) {
+        return null;
+    }
+    const lock = readLockFile(lockFile(id));
+    if (!lock) {
+        return null;
+    }
+    fs.rmSync(lockFile(id), { force: true });
+    return publicLock(lock);
+};
+
+const usesDeploySlot = (type) => MAX_CONCURRENT_DEPLOYS > 0 && DEPLOY_TYPES.includes(type);
+
+// Try each slot of the server once, taking over slots whose job has finished
+const tryTakeSlot = (serverIp, jobId) => {
+    for (let slot = 0; slot < MAX_CONCURRENT_DEPLOYS; slot++) {
+        const file = slotFile(serverIp, slot);
+        const entry = { serverIp, slot, jobId, token: crypto.randomBytes(16).toString('hex') };
+        if (createExclusive(file, entry)) {
+            return entry;
+        }
+        const holder = readLockFile(file);
+        if (holder && isStale(holder)) {
+            removeIfOwned(file, holder.token);
+            if (createExclusive(file, entry)) {
+                return entry;
+            }
+        }
+    }
+    return null;
+};
+
+/*
+ * This is the function to wait for a free deploy slot on a server.
+ * It resolves straight away when there is no cap, otherwise the job stays queued and polls until a slot frees up.
+ * Resolves to the slot, which has to be handed to releaseDeploySlot when the job finishes.
+ */
+const acquireDeploySlot = async (serverIp, jobId, log) => {
+    ensureDir();
+    let slot = tryTakeSlot(serverIp, jobId);
+    if (slot) {
+        return slot;
+    }
+
+    log(`${MAX_CONCURRENT_DEPLOYS} deploys are already running on ${serverIp}, waiting for one to finish...\n`);
+    while (!slot) {
+        await new Promise(resolve => setTimeout(resolve, SLOT_POLL_MS));
+        slot = tryTakeSlot(serverIp, jobId);
+    }
+    log('A deploy slot is free, starting\n');
+    return slot;
+};
+
+const releaseDeploySlot = (slot) => {
+    if (slot) {
+        removeIfOwned(slotFile(slot.serverIp, slot.slot), slot.token);
+    }
+};
+
+module.exports = {
+    MAX_CONCURRENT_DEPLOYS,
+    acquireLabLock,
+    attachJob,
+    releaseLabLock,
+    listLocks,
+    breakLock,
+    usesDeploySlot,
+    acquireDeploySlot,
+    releaseDeploySlot
+};
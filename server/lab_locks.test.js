@@ -0,0 +1,90 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lab-locks-'));
+process.env.JOB_STORE_DIR = path.join(STORE_DIR, 'jobs');
+process.env.LOCK_STORE_DIR = path.join(STORE_DIR, 'locks');
+process.env.MAX_CONCURRENT_DEPLOYS_PER_SERVER = '1';
+const jobQueue = require('./job_queue');
+const labLocks = require('./lab_locks');
+
+const SERVER = '10.0.0.1';
+
+const lockLab = (lab, fields = {}) => labLocks.acquireLabLock({ serverIp: SERVER, lab, owner: 'alice', type: 'deploy', source: 'backend', ...fields });
+
+const startJob = () => jobQueue.createJob({ type: 'deploy', owner: 'alice', serverIp: SERVER, target: 'lab', source: 'backend' });
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+afterAll(() => {
+    fs.rmSync(STORE_DIR, { recursive: true, force: true });
+});
+
+test('locks a lab for one operation at a time', () => {
+    const lock = lockLab('/home/alice/one.clab.yml');
+    labLocks.attachJob(lock, startJob().id);
+    expect(() => lockLab('/home/alice/one.clab.yml', { owner: 'bob' })).toThrow(expect.objectContaining({
+        statusCode: 409,
+        lock: expect.objectContaining({ owner: 'alice', type: 'deploy', stale: false })
+    }));
+    expect(labLocks.listLocks({ serverIp: SERVER }).map(item => item.lab)).toContain('/home/alice/one.clab.yml');
+
+    labLocks.releaseLabLock(lock);
+    labLocks.releaseLabLock(lockLab('/home/alice/one.clab.yml', { owner: 'bob' }));
+});
+
+test('takes the same lock for the same topology file however its path is written', () => {
+    const lock = lockLab('/home/alice/./labs/../two.clab.yml');
+    expect(lock.lab).toBe('/home/alice/two.clab.yml');
+    expect(() => lockLab('/home/alice//two.clab.yml/')).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => labLocks.acquireLabLock({ serverIp: '10.0.0.2', lab: '/home/alice/two.clab.yml', owner: 'alice', type: 'deploy' })).not.toThrow();
+    labLocks.releaseLabLock(lock);
+});
+
+test('takes over a lock whose job has finished', async () => {
+    const job = startJob();
+    const lock = lockLab('three');
+    labLocks.attachJob(lock, job.id);
+    await jobQueue.runJob(job, async () => ({ success: true }));
+
+    const next = lockLab('three', { owner: 'bob' });
+    expect(next.owner).toBe('bob');
+    // The old holder releasing late does not drop the new lock
+    labLocks.releaseLabLock(lock);
+    expect(() => lockLab('three')).toThrow(expect.objectContaining({ statusCode: 409 }));
+    labLocks.releaseLabLock(next);
+});
+
+test('lets an admin break a stuck lock', () => {
+    const lock = lockLab('four');
+    expect(labLocks.breakLock('not-a-lock-id')).toBeNull();
+    expect(labLocks.breakLock(lock.id)).toMatchObject({ id: lock.id, lab: 'four' });
+    expect(labLocks.breakLock(lock.id)).toBeNull();
+});
+
+test('caps the deploys running at once on a server', async () => {
+    jest.useFakeTimers();
+    expect(labLocks.usesDeploySlot('deploy')).toBe(true);
+    expect(labLocks.usesDeploySlot('destroy')).toBe(false);
+
+    const log = jest.fn();
+    const first = await labLocks.acquireDeploySlot(SERVER, startJob().id, log);
+    const waiting = labLocks.acquireDeploySlot(SERVER, startJob().id, log);
+    expect(log).toHaveBeenCalledWith(`1 deploys are already running on ${SERVER}, waiting for one to finish...\n`);
+
+    labLocks.releaseDeploySlot(first);
+    jest.advanceTimersByTime(2000);
+    const second = await waiting;
+    expect(second.slot).toBe(0);
+    expect(log).toHaveBeenLastCalledWith('A deploy slot is free, starting\n');
+    labLocks.releaseDeploySlot(second);
+});
@@ -0,0 +1,115 @@
+/* This is the path sandbox for the /api/files routes. Every client supplied path is canonicalised and confined to the
+   user's own topology tree (read/write) or one of the shared directories (read only) before it reaches the server. */
+const path = require('path');
+
+const USER_ROOT_BASE = process.env.USER_TOPOLOGY_ROOT || '/home/clab_nfs_share/containerlab_topologies';
+const SHARED_READONLY_ROOTS = (process.env.SHARED_READONLY_DIRS || '/home/clab_nfs_share/shared')
+    .split(',')
+    .map(dir => dir.trim())
+    .filter(Boolean)
+    .map(dir => path.posix.resolve(dir));
+
+// Anything a shell could interpret, plus control characters, is rejected rather than escaped
+const UNSAFE_CHARACTERS = /[`$;&|<>(){}[\]*?!~"'\\]/;
+const hasControlCharacter = (text) => Array.from(text).some(character => character.charCodeAt(0) < 0x20 || character.charCodeAt(0) === 0x7f);
+const VALID_USERNAME = /^[a-zA-Z0-9._-]+$/;
+
+// Errors carry the HTTP status the route should answer with
+const sandboxError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const isWithin = (candidate, root) => candidate === root || candidate.startsWith(`${root}/`);
+
+const getUserRoot = (username) => {
+    if (!username || !VALID_USERNAME.test(username)) {
+        throw sandboxError(400, 'Invalid username');
+    }
+    return path.posix.join(USER_ROOT_BASE, username);
+};
+
+/*
+ * This is the function to check an already canonical path against the user's allow-list.
+ * Options:
+ * - write: the operation modifies the path, so shared read-only directories are not allowed
+ * - allowRoot: the path may be one of the roots itself (false for delete and rename)
+ */
+const checkAllowed = (username, canonicalPath, { write = false, allowRoot = true } = {}) => {
+    const userRoot = getUserRoot(username);
+    const sharedRoot = SHARED_READONLY_ROOTS.find(root => isWithin(canonicalPath, root));
+
+    if (isWithin(canonicalPath, userRoot)) {
+        if (!allowRoot && canonicalPath === userRoot) {
+            throw sandboxError(403, 'Your topology root directory cannot be deleted or renamed');
+        }
+        return canonicalPath;
+    }
+
+    if (sharedRoot) {
+        if (write) {
+            throw sandboxError(403, `${canonicalPath} is in a shared read-only directory`);
+        }
+        return canonicalPath;
+    }
+
+    throw sandboxError(403, `Access denied: ${canonicalPath} is outside your allowed directories`);
+};
+
+/*
+ * This is the function to canonicalise a client supplied path for a user.
+ * Relative paths are taken relative to the user's topology root, "." and ".." segments are resolved,
+ * and the result must fall inside one of the allowed roots.
+ */
+const resolveUserPath = (username, requestedPath, options = {}) => {
+    if (!requestedPath || typeof requestedPath !== 'string') {
+        throw sandboxError(400, 'Path is required');
+    }
+    if (UNSAFE_CHARACTERS.test(requestedPath) || hasControlCharacter(requestedPath)) {
+        throw sandboxError(400, 'Path contains characters that are not allowed');
+    }
+
+    const canonicalPath = path.posix.resolve(getUserRoot(username), requestedPath);
+    return checkAllowed(username, canonicalPath, options);
+};
+
+// Resolve a new file or directory name inside a directory, the name itself must be a single path segment
+const resolveChildPath = (username, directory, name, options = {}) => {
+    if (!name || typeof name !== 'string' || name.includes('/') || name === '.' || name === '..') {
+        throw sandboxError(400, 'Invalid file or directory name');
+    }
+    return resolveUserPath(username, path.posix.join(directory, name), options);
+};
+
+/*
+ * This is the function to resolve a path on the remote server itself, following symlinks with realpath,
+ * so a link inside the user's tree cannot be used to reach another user's files.
+ */
+const resolveRemotePath = async (ssh, username, requestedPath, options = {}) => {
+    const canonicalPath = resolveUserPath(username, requestedPath, options);
+    const result = await ssh.execCommand(`realpath -m -- '${canonicalPath}'`, { cwd: '/' });
+    if (result.code !== 0 || !result.stdout.trim()) {
+        throw sandboxError(500, `Could not resolve ${canonicalPath}: ${result.stderr || 'unknown error'}`);
+    }
+    return checkAllowed(username, result.stdout.trim(), options);
+};
+
+/*
+ * This is the function to resolve a path whose last segment is the entry itself, for delete and rename.
+ * Only the parent directory goes through realpath, so a symlink resolves to the link and not to what it points to:
+ * removing a link removes the link, and a link into a shared directory can still be removed from the user's tree.
+ */
+const resolveRemoteEntryPath = async (ssh, username, requestedPath, options = {}) => {
+    const canonicalPath = resolveUserPath(username, requestedPath, options);
+    const parentPath = await resolveRemotePath(ssh, username, path.posix.dirname(canonicalPath), { write: options.write });
+    return checkAllowed(username, path.posix.join(parentPath, path.posix.basename(canonicalPath)), options);
+};
+
+module.exports = {
+    getUserRoot,
+    resolveUserPath,
+    resolveChildPath,
+    resolveRemotePath,
+    resolveRemoteEntryPath
+};
@@ -0,0 +1,77 @@
+/** @jest-environment node */
+const pathSandbox = require('./path_sandbox');
+
+const ROOT = '/home/clab_nfs_share/containerlab_topologies';
+const SHARED = '/home/clab_nfs_share/shared';
+
+// A server whose realpath follows the symlinks given, from a link path to its target
+const fakeServer = (links = {}) => ({
+    commands: [],
+    async execCommand(command) {
+        this.commands.push(command);
+        const requested = /^realpath -m -- '(.*)'$/.exec(command)[1];
+        const link = Object.keys(links).find(from => requested === from || requested.startsWith(`${from}/`));
+        return { code: 0, stdout: link ? links[link] + requested.slice(link.length) : requested, stderr: '' };
+    }
+});
+
+test('resolves paths relative to the user root', () => {
+    expect(pathSandbox.getUserRoot('alice')).toBe(`${ROOT}/alice`);
+    expect(pathSandbox.resolveUserPath('alice', 'labs/lab1.clab.yml')).toBe(`${ROOT}/alice/labs/lab1.clab.yml`);
+    expect(pathSandbox.resolveUserPath('alice', `${ROOT}/alice/labs/../lab2.clab.yml`)).toBe(`${ROOT}/alice/lab2.clab.yml`);
+});
+
+test('rejects paths outside the user root and bad usernames', () => {
+    expect(() => pathSandbox.resolveUserPath('alice', '../bob/lab.clab.yml')).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => pathSandbox.resolveUserPath('alice', '/etc/passwd')).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => pathSandbox.resolveUserPath('../alice', 'lab.clab.yml')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => pathSandbox.resolveUserPath('alice', '')).toThrow(expect.objectContaining({ statusCode: 400 }));
+});
+
+test('rejects shell and control characters', () => {
+    ['lab;rm -rf ~', 'lab$(id)', "lab'.yml", 'lab\n.yml', 'lab\u007f.yml'].forEach(requested => {
+        expect(() => pathSandbox.resolveUserPath('alice', requested)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+test('lets the shared directories be read but not written', () => {
+    expect(pathSandbox.resolveUserPath('alice', `${SHARED}/examples/lab.clab.yml`)).toBe(`${SHARED}/examples/lab.clab.yml`);
+    expect(() => pathSandbox.resolveUserPath('alice', `${SHARED}/examples/lab.clab.yml`, { write: true }))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+});
+
+test('keeps the user root itself from being deleted or renamed', () => {
+    expect(pathSandbox.resolveUserPath('alice', '.')).toBe(`${ROOT}/alice`);
+    expect(() => pathSandbox.resolveUserPath('alice', '.', { write: true, allowRoot: false }))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+});
+
+test('takes new names as a single path segment', () => {
+    expect(pathSandbox.resolveChildPath('alice', 'labs', 'lab1.clab.yml')).toBe(`${ROOT}/alice/labs/lab1.clab.yml`);
+    ['', '.', '..', 'a/b'].forEach(name => {
+        expect(() => pathSandbox.resolveChildPath('alice', 'labs', name)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+test('follows symlinks on the server, so a link cannot reach another user', async () => {
+    const ssh = fakeServer({ [`${ROOT}/alice/bob`]: `${ROOT}/bob` });
+    await expect(pathSandbox.resolveRemotePath(ssh, 'alice', 'bob/lab.clab.yml'))
+        .rejects.toMatchObject({ statusCode: 403 });
+    await expect(pathSandbox.resolveRemotePath(ssh, 'alice', 'labs/lab.clab.yml')).resolves.toBe(`${ROOT}/alice/labs/lab.clab.yml`);
+});
+
+test('deletes a symlink into a shared directory as the link, not its target', async () => {
+    const ssh = fakeServer({ [`${ROOT}/alice/examples`]: `${SHARED}/examples` });
+    await expect(pathSandbox.resolveRemotePath(ssh, 'alice', 'examples', { write: true, allowRoot: false }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    await expect(pathSandbox.resolveRemoteEntryPath(ssh, 'alice', 'examples', { write: true, allowRoot: false }))
+        .resolves.toBe(`${ROOT}/alice/examples`);
+    // Inside the link it is the shared directory that is written to
+    await expect(pathSandbox.resolveRemoteEntryPath(ssh, 'alice', 'examples/lab.clab.yml', { write: true, allowRoot: false }))
+        .rejects.toMatchObject({ statusCode: 403 });
+});
+
+test('reports a path the server cannot resolve', async () => {
+    const ssh = { execCommand: async () => ({ code: 1, stdout: '', stderr: 'realpath: failed' }) };
+    await expect(pathSandbox.resolveRemotePath(ssh, 'alice', 'lab.clab.yml')).rejects.toMatchObject({ statusCode: 500 });
+});
@@ -0,0 +1,86 @@
+/* This is the runtime configuration served to the frontend at startup. It replaces the REACT_APP_* values that used to be
+   baked into the bundle at build time, so one built image can run against any set of clab servers. The server list and
+   image catalog come from the settings store, everything else from the backend environment. */
+const settingsStore = require('./settings_store');
+
+const DEFAULT_SERVER_IP = '10.83.12.237';
+const DEFAULT_DOCS_URL = 'https://docs.google.com/document/d/1CKyCFyzjFMJbTFTtHYIofAoAlof8oMdmPElNkc1HKjk/edit?usp=sharing';
+
+// Features that can be switched per deployment with FEATURE_FLAGS ("edgeshark=false,act=true")
+const DEFAULT_FEATURES = {
+    act: false,
+    edgeshark: true,
+    gitClone: true
+};
+
+// The image a new node gets per kind, DEFAULT_IMAGES ("ceos=ceos:4.34.0F,linux=alpine") overrides them
+const DEFAULT_NODE_IMAGES = {
+    ceos: 'ceos:4.34.0F',
+    'sonic-vm': 'sonic-vm:202411',
+    linux: 'alpine'
+};
+
+const port = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Parse "key=value,key=value" lists as used by FEATURE_FLAGS and DEFAULT_IMAGES
+const parsePairs = (value) => (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((pairs, entry) => {
+        const separator = entry.indexOf('=');
+        if (separator > 0) {
+            pairs[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+        }
+        return pairs;
+    }, {});
+
+const parseFeatures = () => {
+    const features = { ...DEFAULT_FEATURES };
+    Object.entries(parsePairs(process.env.FEATURE_FLAGS)).forEach(([name, value]) => {
+        features[name] = ['true', '1', 'on', 'yes'].includes(value.toLowerCase());
+    });
+    return features;
+};
+
+// Every kind in the catalog gets a default: the configured one, or else the first catalog image of that kind
+const defaultImages = (images) => {
+    const defaults = { ...DEFAULT_NODE_IMAGES, ...parsePairs(process.env.DEFAULT_IMAGES) };
+    images.forEach(({ value, kind }) => {
+        if (!defaults[kind]) {
+            defaults[kind] = value;
+        }
+    });
+    return defaults;
+};
+
+/*
+ * This is the function to build the configuration document for GET /api/config.
+ * It is public (the login page needs it), so it only holds what the frontend bundle used to contain anyway.
+ */
+const getRuntimeConfig = () => {
+    const { servers, images } = settingsStore.getSettings();
+    const ports = {
+        auth: port('AUTH_API_PORT', 3000),
+        backend: port('BACKEND_API_PORT', 3001),
+        containerlabApi: port('CONTAINERLAB_API_PORT', 8080),
+        edgeshark: port('EDGESHARK_PORT', 5001)
+    };
+    const serverIp = process.env.SERVER_IP || (servers[0] && servers[0].ip) || DEFAULT_SERVER_IP;
+
+    return {
+        serverIp,
+        authApiUrl: process.env.AUTH_API_URL || `http://${serverIp}:${ports.auth}`,
+        backendApiUrl: process.env.BACKEND_API_URL || `http://${serverIp}:${ports.backend}`,
+        containerlabApiUrl: process.env.CONTAINERLAB_API_URL || `http://${serverIp}:${ports.containerlabApi}`,
+        ports,
+        servers,
+        features: parseFeatures(),
+        defaultImages: defaultImages(images),
+        docsUrl: process.env.DOCS_URL || DEFAULT_DOCS_URL
+    };
+};
+
+module.exports = {
+    getRuntimeConfig
+};
@@ -0,0 +1,128 @@
+/* This is the session layer for the Containerlab Studio backend. Users log in once through the auth service, the backend
+   signs a session token (HS256 JWT) with their identity, and every API route and terminal WebSocket derives the user from it. */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const AUTH_API_URL = process.env.AUTH_API_URL || 'http://localhost:3000';
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS, 10) || 12 * 60 * 60;
+const KEY_FILE = process.env.SESSION_KEY_FILE || path.join(__dirname, 'data', 'session.key');
+
+let signingKey = null;
+
+/*
+ * This is the function to get the HMAC key used to sign session tokens.
+ * When several clab servers run this backend, SESSION_SECRET must be the same on all of them so a token issued by one is
+ * accepted by the others. Without it a random key is generated once and kept next to the other backend data.
+ */
+const getSigningKey = () => {
+    if (signingKey) {
+        return signingKey;
+    }
+
+    if (process.env.SESSION_SECRET) {
+        signingKey = Buffer.from(process.env.SESSION_SECRET, 'utf8');
+        return signingKey;
+    }
+
+    if (fs.existsSync(KEY_FILE)) {
+        signingKey = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+        return signingKey;
+    }
+
+    console.warn(`SESSION_SECRET is not set, generating a new session signing key at ${KEY_FILE}`);
+    fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+    signingKey = crypto.randomBytes(32);
+    fs.writeFileSync(KEY_FILE, signingKey.toString('hex'), { mode: 0o600 });
+    return signingKey;
+};
+
+const base64url = (input) => Buffer.from(input).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+const sign = (data) => base64url(crypto.createHmac('sha256', getSigningKey()).update(data).digest());
+
+// Sign a session token for a user object as returned by the auth service
+const issueToken = (user) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: user.username,
+        role: user.role || 'user',
+        name: user.displayName || user.username,
+        iat: now,
+        exp: now + SESSION_TTL_SECONDS
+    }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+/*
+ * This is the function to verify a session token.
+ * It returns the user ({ username, role, displayName }) or null when the token is malformed, forged or expired.
+ */
+const verifyToken = (token) => {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+        if (!payload.sub || !payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return { username: payload.sub, role: payload.role, displayName: payload.name };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Check a username/password against the auth service, the same call the frontend login makes
+const verifyUser = async (username, password) => {
+    const response = await axios.post(`${AUTH_API_URL}/api/auth/verify-user`, { username, password });
+    if (!response.data.success) {
+        throw new Error(response.data.message || 'Authentication failed');
+    }
+    return response.data.user;
+};
+
+// Browsers cannot set headers on WebSockets or plain download links, so those pass the token as a query parameter
+const getTokenFromRequest = (req) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7);
+    }
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+};
+
+// Express middleware that rejects requests without a valid session and sets req.user for the ones with one
+const requireSession = (req, res, next) => {
+    const user = verifyToken(getTokenFromRequest(req));
+    if (!user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+};
+
+module.exports = {
+    issueToken,
+    verifyToken,
+    verifyUser,
+    getTokenFromRequest,
+    requireSession
+};
@@ -0,0 +1,73 @@
+/** @jest-environment node */
+process.env.SESSION_SECRET = 'test-secret';
+const crypto = require('crypto');
+const axios = require('axios');
+const sessionAuth = require('./session_auth');
+
+const USER = { username: 'alice', role: 'admin', displayName: 'Alice' };
+
+const fakeResponse = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+test('issues a token that verifies back to the user', () => {
+    expect(sessionAuth.verifyToken(sessionAuth.issueToken(USER))).toEqual(USER);
+    expect(sessionAuth.verifyToken(sessionAuth.issueToken({ username: 'bob' }))).toEqual({ username: 'bob', role: 'user', displayName: 'bob' });
+});
+
+test('rejects malformed, forged and expired tokens', () => {
+    const [header, , signature] = sessionAuth.issueToken(USER).split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: 'root', role: 'admin', exp: 9999999999 })).toString('base64url');
+    expect(sessionAuth.verifyToken(`${header}.${payload}.${signature}`)).toBeNull();
+
+    const otherKey = crypto.createHmac('sha256', 'other-secret').update(`${header}.${payload}`).digest('base64url');
+    expect(sessionAuth.verifyToken(`${header}.${payload}.${otherKey}`)).toBeNull();
+
+    expect(sessionAuth.verifyToken('')).toBeNull();
+    expect(sessionAuth.verifyToken('a.b')).toBeNull();
+
+    jest.useFakeTimers().setSystemTime(new Date('2030-01-01T00:00:00Z'));
+    const token = sessionAuth.issueToken(USER);
+    jest.setSystemTime(new Date('2030-01-02T00:00:01Z'));
+    expect(sessionAuth.verifyToken(token)).toBeNull();
+});
+
+test('reads the token from the Authorization header or the query string', () => {
+    expect(sessionAuth.getTokenFromRequest({ headers: { authorization: 'Bearer abc' }, url: '/api/files' })).toBe('abc');
+    expect(sessionAuth.getTokenFromRequest({ headers: {}, url: '/ws?nodeName=r1&token=xyz' })).toBe('xyz');
+    expect(sessionAuth.getTokenFromRequest({ headers: {}, url: '/api/files' })).toBeNull();
+});
+
+test('lets requests with a session through and sets the user', () => {
+    const req = { headers: { authorization: `Bearer ${sessionAuth.issueToken(USER)}` }, url: '/api/files' };
+    const next = jest.fn();
+    sessionAuth.requireSession(req, fakeResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual(USER);
+});
+
+test('answers 401 to requests without a valid session', () => {
+    const res = fakeResponse();
+    const next = jest.fn();
+    sessionAuth.requireSession({ headers: { authorization: 'Bearer forged' }, url: '/api/files' }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ success: false, error: 'Authentication required' });
+});
+
+test('checks the password with the auth service', async () => {
+    const post = jest.spyOn(axios, 'post')
+        .mockResolvedValueOnce({ data: { success: true, user: USER } })
+        .mockResolvedValueOnce({ data: { success: false, message: 'Invalid credentials' } });
+    await expect(sessionAuth.verifyUser('alice', 'secret')).resolves.toEqual(USER);
+    expect(post).toHaveBeenCalledWith('http://localhost:3000/api/auth/verify-user', { username: 'alice', password: 'secret' });
+    await expect(sessionAuth.verifyUser('alice', 'wrong')).rejects.toThrow('Invalid credentials');
+});
@@ -0,0 +1,331 @@
+/* This is the settings store for the admin console. It keeps the clab server list, the node catalog and per-user quotas
+   in one JSON file, so admins can change them at runtime instead of rebuilding the frontend. With several clab servers,
+   point SETTINGS_FILE at shared storage so every backend enforces the same quotas. */
+const fs = require('fs');
+const path = require('path');
+
+const SETTINGS_FILE = process.env.SETTINGS_FILE || path.join(__dirname, 'data', 'settings.json');
+
+const IPV4 = /^(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)$/;
+const SERVER_NAME = /^[A-Za-z0-9._-]{1,64}$/;
+const KIND = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const CATALOG_ID = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+// Arguments for docker exec and user names for ssh end up on a command line, so only plain words are accepted
+const COMMAND_WORDS = /^[A-Za-z0-9_./=:-]+( [A-Za-z0-9_./=:-]+)*$/;
+const TERMINAL_METHODS = ['ssh', 'ssh-cli', 'docker-exec'];
+const ICONS = ['router', 'switch', 'firewall', 'server'];
+// An interface name with one {n} (port number from 1) or {n0} (from 0) in it
+const INTERFACE_TEMPLATE = /^[A-Za-z][A-Za-z0-9/_.:-]*\{n0?\}[A-Za-z0-9/_.:-]*$/;
+const QUOTA_FIELDS = ['maxLabs', 'maxNodesPerLab', 'maxConcurrentJobs'];
+
+// Used until an admin saves the server list: CLAB_SERVERS ("name1:ip1,name2:ip2"), the same format as the frontend's
+const defaultServers = () => (process.env.CLAB_SERVERS || `ul-clab-1:${process.env.SERVER_IP || '10.83.12.237'}`)
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([name, ip]) => name && ip)
+    .map(([name, ip]) => ({ name: name.trim(), ip: ip.trim() }));
+
+/*
+ * The node catalog drives the designer palette, the kind and image drop downs and how the web terminal reaches a node.
+ * One entry per palette item; several entries may share a containerlab kind (FRR and a plain host are both "linux").
+ *   icon            - router, switch, firewall or server, or the URL of an image
+ *   interfaceNaming - the data plane interface names in the topology file, {n} being the port number counted from 1
+ *                     and {n0} the same counted from 0 (eth{n}, e1-{n}, Gi0-0-0-{n0})
+ *   interfaceAlias  - optional, the names the device CLI uses and containerlab accepts as aliases (Ethernet{n})
+ *   maxPorts        - how many data plane interfaces a node can have
+ *   credentials     - what the web terminal logs in with when terminal is 'ssh'
+ *   terminal        - 'ssh' to the management IP, 'ssh-cli' (ssh from the server to the node name, the user types the
+ *                     password) or 'docker-exec' running shell in the container
+ */
+const DEFAULT_KINDS = [
+    {
+        id: 'ceos',
+        label: 'Arista cEOS',
+        kind: 'ceos',
+        icon: 'router',
+        namePrefix: 'ceos',
+        interfaceNaming: 'eth{n}',
+        interfaceAlias: 'Ethernet{n}',
+        maxPorts: 54,
+        credentials: { username: 'admin', password: 'admin' },
+        terminal: 'ssh',
+        images: [
+            { value: 'arista_ceos:4.35.1F', label: '4.35.1F' },
+            { value: 'ceos:4.34.0F', label: '4.34.0F' },
+            { value: 'ceos:4.33.3F', label: '4.33.3F' },
+            { value: 'ceos:4.32.5.1M', label: '4.32.5.1M' },
+            { value: 'ceos:4.32.2F', label: '4.32.2F' },
+            { value: 'ceos:4.31.4M', label: '4.31.4M' },
+            { value: 'ceos:4.31.2F', label: '4.31.2F' },
+            { value: 'ceos:4.30.5M', label: '4.30.5M' },
+            { value: 'ceos:4.29.6M', label: '4.29.6M' },
+            { value: 'ceos:4.28.10M', label: '4.28.10M' }
+        ]
+    },
+    {
+        id: 'sonic-vm',
+        label: 'SONiC',
+        kind: 'sonic-vm',
+        icon: 'switch',
+        namePrefix: 'sonic',
+        interfaceNaming: 'eth{n}',
+        maxPorts: 54,
+        credentials: { username: 'admin', password: '' },
+        terminal: 'ssh-cli',
+        images: [{ value: 'sonic-vm:202411', label: 'sonic:202411' }]
+    },
+    {
+        id: 'linux',
+        label: 'Linux Host',
+        kind: 'linux',
+        icon: 'server',
+        namePrefix: 'linux',
+        interfaceNaming: 'eth{n}',
+        maxPorts: 54,
+        credentials: { username: 'root', password: '' },
+        terminal: 'docker-exec',
+        shell: 'sh',
+        images: [{ value: 'alpine', label: 'Alpine' }]
+    }
+];
+
+// How nodes of a kind that is not in the catalog are reached, as before the catalog existed
+const FALLBACK_KIND = {
+    interfaceNaming: 'eth{n}',
+    maxPorts: 54,
+    credentials: { username: 'admin', password: 'admin' },
+    terminal: 'ssh'
+};
+
+// 0 means unlimited
+const DEFAULT_QUOTA = { maxLabs: 0, maxNodesPerLab: 0, maxConcurrentJobs: 0 };
+
+const settingsError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Settings saved before the node catalog existed only have a flat image list, their images go to the entry of their kind
+const kindsFromImages = (images) => {
+    const kinds = DEFAULT_KINDS.map(entry => ({ ...entry, images: [] }));
+    images.forEach(({ value, label, kind }) => {
+        let entry = kinds.find(candidate => candidate.kind === kind);
+        if (!entry) {
+            entry = { ...FALLBACK_KIND, id: kind, label: kind, kind, icon: 'router', namePrefix: kind, images: [] };
+            kinds.push(entry);
+        }
+        entry.images.push({ value, label });
+    });
+    return kinds;
+};
+
+// The flat image list ({ value, label, kind }) used by the image drop downs and the default images
+const imagesOf = (kinds) => {
+    const seen = new Set();
+    return kinds.flatMap(entry => entry.images.map(image => ({ ...image, kind: entry.kind })))
+        .filter(image => {
+            const key = `${image.kind}/${image.value}`;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+};
+
+const readSettings = () => {
+    let stored = {};
+    if (fs.existsSync(SETTINGS_FILE)) {
+        stored = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+    }
+    const kinds = stored.kinds || (stored.images ? kindsFromImages(stored.images) : DEFAULT_KINDS);
+    return {
+        servers: stored.servers || defaultServers(),
+        kinds,
+        images: imagesOf(kinds),
+        quotas: {
+            defaults: { ...DEFAULT_QUOTA, ...(stored.quotas && stored.quotas.defaults) },
+            users: (stored.quotas && stored.quotas.users) || {}
+        },
+        updatedAt: stored.updatedAt || null,
+        updatedBy: stored.updatedBy || null
+    };
+};
+
+const writeSettings = (settings) => {
+    fs.mkdirSync(path.dirname(SETTINGS_FILE), { recursive: true });
+    const tmpFile = `${SETTINGS_FILE}.${process.pid}.tmp`;
+    // The image list is derived from the catalog, so it is not stored
+    const { images, ...stored } = settings;
+    fs.writeFileSync(tmpFile, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, SETTINGS_FILE);
+};
+
+const validateServers = (servers) => {
+    if (!Array.isArray(servers) || servers.length === 0) {
+        throw settingsError('At least one clab server is required');
+    }
+    const seen = new Set();
+    return servers.map(({ name, ip }) => {
+        if (!SERVER_NAME.test(name || '')) {
+            throw settingsError(`Invalid server name "${name}", use letters, digits, dots, dashes and underscores`);
+        }
+        if (!IPV4.test(ip || '')) {
+            throw settingsError(`Invalid IPv4 address "${ip}" for server ${name}`);
+        }
+        if (seen.has(ip)) {
+            throw settingsError(`Server ${ip} is listed twice`);
+        }
+        seen.add(ip);
+        return { name, ip };
+    });
+};
+
+const validateImages = (images, entryId) => {
+    if (!Array.isArray(images)) {
+        throw settingsError(`The images of ${entryId} must be a list`);
+    }
+    const seen = new Set();
+    return images.map(({ value, label }) => {
+        if (!value || /\s/.test(value)) {
+            throw settingsError(`Invalid image "${value}" for ${entryId}`);
+        }
+        if (seen.has(value)) {
+            throw settingsError(`Image ${value} is listed twice for ${entryId}`);
+        }
+        seen.add(value);
+        return { value, label: label || value };
+    });
+};
+
+const validateKinds = (kinds) => {
+    if (!Array.isArray(kinds) || kinds.length === 0) {
+        throw settingsError('The node catalog needs at least one entry');
+    }
+    const seen = new Set();
+    return kinds.map((entry) => {
+        const { id, label, kind, icon, namePrefix, interfaceNaming, interfaceAlias, maxPorts, credentials = {}, terminal, shell, images } = entry;
+        if (!CATALOG_ID.test(id || '')) {
+            throw settingsError(`Invalid catalog id "${id}", use letters, digits, dots, dashes and underscores`);
+        }
+        if (seen.has(id)) {
+            throw settingsError(`Catalog id ${id} is used twice`);
+        }
+        seen.add(id);
+        if (!KIND.test(kind || '')) {
+            throw settingsError(`Invalid kind "${kind}" for ${id}`);
+        }
+        if (icon && !ICONS.includes(icon) && !/^(https?:\/\/|\/)\S+$/.test(icon)) {
+            throw settingsError(`Invalid icon "${icon}" for ${id}, use ${ICONS.join(', ')} or an image URL`);
+        }
+        if (namePrefix && !/^[A-Za-z][A-Za-z0-9_-]*$/.test(namePrefix)) {
+            throw settingsError(`Invalid node name prefix "${namePrefix}" for ${id}`);
+        }
+        if (interfaceNaming && !INTERFACE_TEMPLATE.test(interfaceNaming)) {
+            throw settingsError(`Invalid interface naming "${interfaceNaming}" for ${id}, it needs {n} or {n0} for the port number`);
+        }
+        if (interfaceAlias && !INTERFACE_TEMPLATE.test(interfaceAlias)) {
+            throw settingsError(`Invalid interface alias "${interfaceAlias}" for ${id}, it needs {n} or {n0} for the port number`);
+        }
+        const ports = maxPorts === undefined || maxPorts === '' ? FALLBACK_KIND.maxPorts : Number(maxPorts);
+        if (!Number.isInteger(ports) || ports < 1 || ports > 1024) {
+            throw settingsError(`Invalid number of ports "${maxPorts}" for ${id}, use 1 to 1024`);
+        }
+        if (terminal && !TERMINAL_METHODS.includes(terminal)) {
+            throw settingsError(`Invalid terminal method "${terminal}" for ${id}, use ${TERMINAL_METHODS.join(', ')}`);
+        }
+        if (credentials.username && !COMMAND_WORDS.test(credentials.username)) {
+            throw settingsError(`Invalid username "${credentials.username}" for ${id}`);
+        }
+        if (shell && !COMMAND_WORDS.test(shell)) {
+            throw settingsError(`Invalid shell "${shell}" for ${id}`);
+        }
+        return {
+            id,
+            label: label || id,
+            kind,
+            icon: icon || 'router',
+            namePrefix: namePrefix || id.replace(/[^A-Za-z0-9_-]/g, ''),
+            interfaceNaming: interfaceNaming || FALLBACK_KIND.interfaceNaming,
+            interfaceAlias: interfaceAlias || undefined,
+            maxPorts: ports,
+            credentials: { username: credentials.username || '', password: credentials.password || '' },
+            terminal: terminal || FALLBACK_KIND.terminal,
+            shell: terminal === 'docker-exec' ? (shell || 'sh') : undefined,
+            images: validateImages(images || [], id)
+        };
+    });
+};
+
+const validateQuota = (quota, who) => {
+    const clean = {};
+    QUOTA_FIELDS.forEach(field => {
+        if (quota[field] === undefined || quota[field] === null || quota[field] === '') {
+            return;
+        }
+        const value = Number(quota[field]);
+        if (!Number.isInteger(value) || value < 0) {
+            throw settingsError(`${field} for ${who} must be a whole number, 0 for unlimited`);
+        }
+        clean[field] = value;
+    });
+    return clean;
+};
+
+const validateQuotas = ({ defaults = {}, users = {} } = {}) => ({
+    defaults: { ...DEFAULT_QUOTA, ...validateQuota(defaults, 'everyone') },
+    users: Object.fromEntries(Object.entries(users).map(([username, quota]) => [username, validateQuota(quota, username)]))
+});
+
+const VALIDATORS = {
+    servers: validateServers,
+    kinds: validateKinds,
+    quotas: validateQuotas
+};
+
+const getSettings = () => readSettings();
+
+/*
+ * This is the function to replace one section of the settings (servers, kinds or quotas).
+ * The value is validated first and a 400 error is thrown when it is not usable. Returns the new settings.
+ */
+const updateSection = (section, value, updatedBy) => {
+    if (!VALIDATORS[section]) {
+        const error = settingsError(`Unknown settings section "${section}"`);
+        error.statusCode = 404;
+        throw error;
+    }
+    const settings = readSettings();
+    settings[section] = VALIDATORS[section](value);
+    settings.updatedAt = new Date().toISOString();
+    settings.updatedBy = updatedBy;
+    writeSettings(settings);
+    // Read back, so what is derived from the saved section (the image list) is up to date
+    return readSettings();
+};
+
+/*
+ * This is the function to find the catalog entry for a node, from its kind and image as in the topology file.
+ * An entry listing the image wins over the first entry of the kind; kinds missing from the catalog get FALLBACK_KIND.
+ */
+const findKindEntry = (kind, image) => {
+    const { kinds } = readSettings();
+    const ofKind = kinds.filter(entry => entry.kind === kind);
+    return ofKind.find(entry => entry.images.some(candidate => candidate.value === image))
+        || ofKind[0]
+        || { ...FALLBACK_KIND, id: kind, label: kind, kind };
+};
+
+// The quota that applies to a user: their own limits on top of the defaults
+const getQuota = (username) => {
+    const { quotas } = readSettings();
+    return { ...quotas.defaults, ...(quotas.users[username] || {}) };
+};
+
+module.exports = {
+    getSettings,
+    updateSection,
+    findKindEntry,
+    getQuota
+};
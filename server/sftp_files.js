@@ -0,0 +1,268 @@
+/* This is the SFTP layer for the /api/files routes. It works on the SFTP subsystem of an already connected NodeSSH session
+   instead of running ls/cat/rm, so listings carry real metadata and file contents are streamed byte for byte. */
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+
+// Largest file /api/files/read will load into a JSON response, anything bigger has to be downloaded
+const READ_MAX_BYTES = parseInt(process.env.FILE_READ_MAX_BYTES, 10) || 5 * 1024 * 1024;
+// How much of a file is inspected when deciding whether it is binary
+const BINARY_SNIFF_BYTES = 8000;
+
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.gz': 'application/gzip',
+    '.tgz': 'application/gzip',
+    '.tar': 'application/x-tar',
+    '.zip': 'application/zip',
+    '.json': 'application/json',
+    '.yml': 'text/plain; charset=utf-8',
+    '.yaml': 'text/plain; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.cfg': 'text/plain; charset=utf-8',
+    '.conf': 'text/plain; charset=utf-8'
+};
+
+const filesError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// ssh2 reports missing files with SFTP status code 2 (NO_SUCH_FILE) and denied access with 3 (PERMISSION_DENIED)
+const toFilesError = (error, remotePath) => {
+    if (error.statusCode) {
+        return error;
+    }
+    if (error.code === 2) {
+        return filesError(404, `${remotePath} does not exist`);
+    }
+    if (error.code === 3) {
+        return filesError(403, `Permission denied on ${remotePath}`);
+    }
+    return filesError(500, `${remotePath}: ${error.message}`);
+};
+
+// Wrap a callback style SFTP method in a promise
+const call = (sftp, method, remotePath, ...args) => new Promise((resolve, reject) => {
+    sftp[method](remotePath, ...args, (error, result) => {
+        if (error) {
+            reject(toFilesError(error, remotePath));
+        } else {
+            resolve(result);
+        }
+    });
+});
+
+const isDirectoryMode = (mode) => (mode & S_IFMT) === S_IFDIR;
+const isSymlinkMode = (mode) => (mode & S_IFMT) === S_IFLNK;
+
+// Turn a numeric mode into the familiar "drwxr-xr-x" form
+const formatPermissions = (mode) => {
+    const type = isDirectoryMode(mode) ? 'd' : isSymlinkMode(mode) ? 'l' : '-';
+    const bits = ['r', 'w', 'x'];
+    let permissions = type;
+    for (let shift = 8; shift >= 0; shift--) {
+        permissions += (mode & (1 << shift)) ? bits[(8 - shift) % 3] : '-';
+    }
+    return permissions;
+};
+
+// The owner and group names are only available in the "ls -l" style longname the server sends with each entry
+const parseOwner = (longname, attrs) => {
+    const parts = (longname || '').split(/\s+/);
+    return {
+        owner: parts.length > 3 ? parts[2] : String(attrs.uid),
+        group: parts.length > 3 ? parts[3] : String(attrs.gid)
+    };
+};
+
+// Pooled connections keep their SFTP channel open between requests, it is opened again only if it was closed
+const sftpChannels = new WeakMap();
+
+const openSftp = async (ssh) => {
+    if (!sftpChannels.has(ssh)) {
+        const channel = ssh.requestSFTP();
+        sftpChannels.set(ssh, channel);
+        channel
+            .then(sftp => sftp.on('close', () => sftpChannels.delete(ssh)))
+            .catch(() => sftpChannels.delete(ssh));
+    }
+    return sftpChannels.get(ssh);
+};
+
+/*
+ * This is the function to list a directory with its metadata.
+ * Symlinks are followed to find out whether they point to a directory, so the file manager can still open them,
+ * and a broken link is listed as a file with its target.
+ */
+const listDirectory = async (sftp, dirPath) => {
+    const entries = await call(sftp, 'readdir', dirPath);
+
+    const contents = await Promise.all(entries
+        .filter(entry => entry.filename !== '.' && entry.filename !== '..')
+        .map(async (entry) => {
+            const entryPath = path.posix.join(dirPath, entry.filename);
+            const { mode, size, mtime } = entry.attrs;
+            const { owner, group } = parseOwner(entry.longname, entry.attrs);
+            const item = {
+                name: entry.filename,
+                type: isDirectoryMode(mode) ? 'directory' : 'file',
+                path: entryPath,
+                size,
+                modifiedAt: new Date(mtime * 1000).toISOString(),
+                mode: (mode & 0o7777).toString(8).padStart(4, '0'),
+                permissions: formatPermissions(mode),
+                owner,
+                group,
+                isSymlink: isSymlinkMode(mode),
+                linkTarget: null
+            };
+
+            if (item.isSymlink) {
+                item.linkTarget = await call(sftp, 'readlink', entryPath).catch(() => null);
+                const targetStats = await call(sftp, 'stat', entryPath).catch(() => null);
+                if (targetStats && isDirectoryMode(targetStats.mode)) {
+                    item.type = 'directory';
+                }
+            }
+
+            return item;
+        }));
+
+    return contents.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const stat = (sftp, remotePath) => call(sftp, 'stat', remotePath);
+
+// Binary files are recognised the same way git and grep do it, by a NUL byte near the start
+const looksBinary = (buffer) => buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+
+/*
+ * This is the function to read a text file for the editor and the topology import.
+ * The file is streamed in, and refused with a 413 when it is too large or a 415 when it is binary.
+ */
+const readTextFile = async (sftp, remotePath) => {
+    const stats = await stat(sftp, remotePath);
+    if (isDirectoryMode(stats.mode)) {
+        throw filesError(400, `${remotePath} is a directory`);
+    }
+    if (stats.size > READ_MAX_BYTES) {
+        throw filesError(413, `${remotePath} is ${stats.size} bytes, larger than the ${READ_MAX_BYTES} byte limit for the editor. Download it instead`);
+    }
+
+    const chunks = [];
+    await new Promise((resolve, reject) => {
+        sftp.createReadStream(remotePath)
+            .on('data', chunk => chunks.push(chunk))
+            .on('error', error => reject(toFilesError(error, remotePath)))
+            .on('end', resolve);
+    });
+
+    const buffer = Buffer.concat(chunks);
+    if (looksBinary(buffer)) {
+        throw filesError(415, `${remotePath} is a binary file. Download it instead`);
+    }
+    return buffer.toString('utf8');
+};
+
+const getMimeType = (remotePath) => MIME_TYPES[path.posix.extname(remotePath).toLowerCase()] || 'application/octet-stream';
+
+// Stream a remote file into an HTTP response, the response is ended (or destroyed on error) by the pipeline
+const streamToResponse = (sftp, remotePath, res) => new Promise((resolve, reject) => {
+    pipeline(sftp.createReadStream(remotePath), res, (error) => {
+        if (error) {
+            reject(toFilesError(error, remotePath));
+        } else {
+            resolve();
+        }
+    });
+});
+
+// Stream a file multer stored on the backend to the remote server
+const uploadLocalFile = (sftp, localPath, remotePath) => new Promise((resolve, reject) => {
+    pipeline(fs.createReadStream(localPath), sftp.createWriteStream(remotePath), (error) => {
+        if (error) {
+            reject(toFilesError(error, remotePath));
+        } else {
+            resolve();
+        }
+    });
+});
+
+const writeContent = (sftp, remotePath, content) => new Promise((resolve, reject) => {
+    const stream = sftp.createWriteStream(remotePath);
+    stream.on('error', error => reject(toFilesError(error, remotePath)));
+    stream.on('close', resolve);
+    stream.end(Buffer.from(content, 'utf8'));
+});
+
+// Create a directory and any missing parents, like mkdir -p
+const makeDirectory = async (sftp, dirPath) => {
+    const existing = await call(sftp, 'stat', dirPath).catch(() => null);
+    if (existing) {
+        if (!isDirectoryMode(existing.mode)) {
+            throw filesError(409, `${dirPath} already exists and is not a directory`);
+        }
+        return;
+    }
+
+    const parent = path.posix.dirname(dirPath);
+    if (parent !== dirPath) {
+        await makeDirectory(sftp, parent);
+    }
+    await call(sftp, 'mkdir', dirPath);
+};
+
+/*
+ * This is the function to delete a file, a symlink or a whole directory tree.
+ * Symlinks are removed themselves and never followed, so deleting a link cannot remove what it points to.
+ */
+const removePath = async (sftp, remotePath) => {
+    const stats = await call(sftp, 'lstat', remotePath);
+    if (!isDirectoryMode(stats.mode)) {
+        await call(sftp, 'unlink', remotePath);
+        return;
+    }
+
+    const entries = await call(sftp, 'readdir', remotePath);
+    for (const entry of entries) {
+        if (entry.filename !== '.' && entry.filename !== '..') {
+            await removePath(sftp, path.posix.join(remotePath, entry.filename));
+        }
+    }
+    await call(sftp, 'rmdir', remotePath);
+};
+
+const rename = async (sftp, oldPath, newPath) => {
+    const existing = await call(sftp, 'lstat', newPath).catch(() => null);
+    if (existing) {
+        throw filesError(409, `${newPath} already exists`);
+    }
+    await call(sftp, 'rename', oldPath, newPath);
+};
+
+module.exports = {
+    openSftp,
+    listDirectory,
+    stat,
+    isDirectoryMode,
+    readTextFile,
+    getMimeType,
+    streamToResponse,
+    uploadLocalFile,
+    writeContent,
+    makeDirectory,
+    removePath,
+    rename
+};
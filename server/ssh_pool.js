@@ -0,0 +1,260 @@
+/* This is the SSH connection pool for the Containerlab Studio backend. Routes borrow an already authenticated NodeSSH
+   connection per server+user instead of doing a full SSH handshake for every request, and hand it back when done. */
+const { NodeSSH } = require('node-ssh');
+
+const DEFAULT_OPTIONS = {
+    // Connections open at the same time for one server+user, further requests wait for one to be released
+    maxPerKey: parseInt(process.env.SSH_POOL_MAX_PER_KEY, 10) || 4,
+    // Connections open at the same time in total, idle connections of other users are closed to make room
+    maxTotal: parseInt(process.env.SSH_POOL_MAX_TOTAL, 10) || 32,
+    // Idle connections are closed after this long
+    idleTimeoutMs: parseInt(process.env.SSH_POOL_IDLE_TIMEOUT_MS, 10) || 60 * 1000,
+    // Idle connections older than this are probed with a no-op command before they are handed out again
+    healthCheckAfterMs: parseInt(process.env.SSH_POOL_HEALTH_CHECK_AFTER_MS, 10) || 10 * 1000,
+    healthCheckTimeoutMs: 5000,
+    // How long a request waits for a free connection before giving up
+    acquireTimeoutMs: parseInt(process.env.SSH_POOL_ACQUIRE_TIMEOUT_MS, 10) || 30 * 1000
+};
+
+const poolKey = (serverIp, username) => `${username}@${serverIp}`;
+
+const withTimeout = (promise, ms, message) => {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+};
+
+/*
+ * This is the function to create a pool.
+ * getConnectConfig(serverIp, username, overrides) returns the node-ssh connect options, so credentials are looked up
+ * only when a new connection is actually opened.
+ */
+const createSshPool = (getConnectConfig, options = {}) => {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    // key -> { idle: [{ ssh, idleSince }], busy: Set<ssh>, waiters: [{ resolve, reject, timer }] }
+    const pools = new Map();
+    // ssh -> key, for release()
+    const owners = new Map();
+
+    const getPool = (key) => {
+        if (!pools.has(key)) {
+            pools.set(key, { idle: [], busy: new Set(), waiters: [] });
+        }
+        return pools.get(key);
+    };
+
+    const totalConnections = () => {
+        let total = 0;
+        pools.forEach(pool => {
+            total += pool.idle.length + pool.busy.size;
+        });
+        return total;
+    };
+
+    const forget = (key, ssh) => {
+        const pool = pools.get(key);
+        if (pool) {
+            pool.idle = pool.idle.filter(entry => entry.ssh !== ssh);
+            pool.busy.delete(ssh);
+            if (!pool.idle.length && !pool.busy.size && !pool.waiters.length) {
+                pools.delete(key);
+            }
+        }
+        owners.delete(ssh);
+    };
+
+    const destroy = (key, ssh) => {
+        forget(key, ssh);
+        try {
+            ssh.dispose();
+        } catch (error) {
+            console.error(`Error closing pooled SSH connection ${key}:`, error.message);
+        }
+    };
+
+    // Make room under maxTotal by closing the longest idle connection of any server+user
+    const evictOldestIdle = () => {
+        let oldest = null;
+        pools.forEach((pool, key) => {
+            pool.idle.forEach(entry => {
+                if (!oldest || entry.idleSince < oldest.entry.idleSince) {
+                    oldest = { key, entry };
+                }
+            });
+        });
+        if (oldest) {
+            console.log(`SSH pool: closing idle connection ${oldest.key} to stay under ${settings.maxTotal} connections`);
+            destroy(oldest.key, oldest.entry.ssh);
+            return true;
+        }
+        return false;
+    };
+
+    const openConnection = async (key, serverIp, username, overrides) => {
+        const ssh = new NodeSSH();
+        const pool = getPool(key);
+        pool.busy.add(ssh);
+        owners.set(ssh, key);
+
+        try {
+            await ssh.connect(getConnectConfig(serverIp, username, overrides));
+        } catch (error) {
+            forget(key, ssh);
+            wakeWaiter(key);
+            throw error;
+        }
+
+        // A connection dropped by the server leaves the pool straight away instead of failing the next request
+        ssh.connection.on('close', () => {
+            if (owners.has(ssh)) {
+                console.log(`SSH pool: connection ${key} closed by the remote side`);
+                forget(key, ssh);
+                wakeWaiter(key);
+            }
+        });
+
+        console.log(`SSH pool: opened connection ${key} (${totalConnections()} open)`);
+        return ssh;
+    };
+
+    const isHealthy = async (entry) => {
+        if (!entry.ssh.isConnected()) {
+            return false;
+        }
+        if (Date.now() - entry.idleSince < settings.healthCheckAfterMs) {
+            return true;
+        }
+        try {
+            const result = await withTimeout(entry.ssh.execCommand('true'), settings.healthCheckTimeoutMs, 'health check timed out');
+            return result.code === 0;
+        } catch (error) {
+            return false;
+        }
+    };
+
+    /*
+     * This is the function to borrow a connection for a server+user.
+     * Idle connections are reused after a health check, new ones are opened while under the limits, and otherwise
+     * the request waits in line until a connection is released or acquireTimeoutMs passes.
+     */
+    const acquire = async (serverIp, username, overrides = {}) => {
+        const key = poolKey(serverIp, username);
+
+        while (getPool(key).idle.length) {
+            const entry = getPool(key).idle.pop();
+            getPool(key).busy.add(entry.ssh);
+            if (await isHealthy(entry)) {
+                return entry.ssh;
+            }
+            console.log(`SSH pool: dropping unhealthy connection ${key}`);
+            destroy(key, entry.ssh);
+        }
+
+        // Dropping connections can remove the pool entry, so look it up again before queueing on it
+        const pool = getPool(key);
+        if (pool.busy.size < settings.maxPerKey && (totalConnections() < settings.maxTotal || evictOldestIdle())) {
+            return openConnection(key, serverIp, username, overrides);
+        }
+
+        console.log(`SSH pool: waiting for a free connection ${key}`);
+        await new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                pool.waiters = pool.waiters.filter(w => w !== waiter);
+                reject(new Error(`Timed out waiting for a free SSH connection to ${serverIp}`));
+            }, settings.acquireTimeoutMs);
+            pool.waiters.push(waiter);
+        });
+        return acquire(serverIp, username, overrides);
+    };
+
+    // Wake the next request waiting for this server+user, or for any server+user when a total slot freed up
+    const wakeWaiter = (key) => {
+        const candidates = [pools.get(key), ...pools.values()].filter(Boolean);
+        for (const pool of candidates) {
+            const waiter = pool.waiters.shift();
+            if (waiter) {
+                clearTimeout(waiter.timer);
+                waiter.resolve();
+                return;
+            }
+        }
+    };
+
+    /*
+     * This is the function to hand a connection back.
+     * Pass { destroy: true } when the connection is in an unknown state (for example a command was cut off).
+     * Releasing null or undefined is a no-op so routes can release in a finally block even if acquire failed.
+     */
+    const release = (ssh, { destroy: shouldDestroy = false } = {}) => {
+        if (!ssh) {
+            return;
+        }
+        const key = owners.get(ssh);
+        if (!key) {
+            ssh.dispose();
+            return;
+        }
+
+        const pool = getPool(key);
+        pool.busy.delete(ssh);
+        if (shouldDestroy || !ssh.isConnected()) {
+            destroy(key, ssh);
+        } else {
+            pool.idle.push({ ssh, idleSince: Date.now() });
+        }
+        wakeWaiter(key);
+    };
+
+    // Close every idle connection for a server+user, used when their credentials change; busy ones close on release
+    const closeConnections = (serverIp, username) => {
+        const key = poolKey(serverIp, username);
+        const pool = pools.get(key);
+        if (!pool) {
+            return;
+        }
+        pool.idle.forEach(entry => destroy(key, entry.ssh));
+        pool.busy.forEach(ssh => owners.delete(ssh));
+        pool.busy.clear();
+        pools.delete(key);
+    };
+
+    const getStats = () => {
+        let idle = 0;
+        let inUse = 0;
+        let waiting = 0;
+        pools.forEach(pool => {
+            idle += pool.idle.length;
+            inUse += pool.busy.size;
+            waiting += pool.waiters.length;
+        });
+        return { total: idle + inUse, idle, inUse, waiting, maxTotal: settings.maxTotal, maxPerKey: settings.maxPerKey };
+    };
+
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        pools.forEach((pool, key) => {
+            pool.idle
+                .filter(entry => now - entry.idleSince >= settings.idleTimeoutMs)
+                .forEach(entry => {
+                    console.log(`SSH pool: closing idle connection ${key}`);
+                    destroy(key, entry.ssh);
+                });
+        });
+    }, Math.min(settings.idleTimeoutMs, 15 * 1000));
+    // The sweep alone must not keep the process alive
+    sweepTimer.unref();
+
+    return {
+        acquire,
+        release,
+        closeConnections,
+        getStats
+    };
+};
+
+module.exports = { createSshPool };
@@ -0,0 +1,173 @@
+/* This is the template store of the topology designer. A template is a parameterised topology (a ring, a leaf-spine, a
+   dual data center...) written as data: the parameters it asks for, the groups of nodes it creates and how the groups
+   are linked. The designer turns it into nodes and links (src/utils/templates.js). The built-in templates ship in
+   server/templates and cannot be changed; instructors and admins publish their own course templates next to them. */
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_STORE_DIR = process.env.TEMPLATE_STORE_DIR || path.join(__dirname, 'data', 'templates');
+// The roles (from the authentication service) allowed to publish templates
+const PUBLISHER_ROLES = (process.env.TEMPLATE_PUBLISHER_ROLES || 'admin,instructor').split(',').map(role => role.trim()).filter(Boolean);
+// The JSON body limit of the templates route
+const MAX_TEMPLATE_SIZE = process.env.MAX_TEMPLATE_SIZE || '256kb';
+
+const PARAMETER_TYPES = ['integer', 'string', 'boolean', 'select', 'image'];
+const TEMPLATE_ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const templateError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const readTemplates = (dir) => {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            } catch (error) {
+                console.error(`Skipping unreadable template ${file}:`, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean);
+};
+
+const builtInTemplates = () => readTemplates(BUILT_IN_DIR).map(template => ({ ...template, builtIn: true }));
+
+const publishedTemplates = () => readTemplates(TEMPLATE_STORE_DIR).map(template => ({ ...template, builtIn: false }));
+
+// Every template, the built-in ones first, each sorted by category and name
+const listTemplates = () => {
+    const byCategory = (a, b) => (a.category || '').localeCompare(b.category || '') || a.name.localeCompare(b.name);
+    return [...builtInTemplates().sort(byCategory), ...publishedTemplates().sort(byCategory)];
+};
+
+const getTemplate = (id) => listTemplates().find(template => template.id === id) || null;
+
+const canPublish = (user) => PUBLISHER_ROLES.includes(user.role);
+
+/*
+ * This is the function to check the shape of a template before it is published. Only the structure is checked here,
+ * the expressions in it are evaluated by the designer, which reports what it cannot generate.
+ */
+const validateTemplate = (template) => {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return 'A template must be an object';
+    }
+    if (typeof template.id !== 'string' || !TEMPLATE_ID.test(template.id)) {
+        return 'The template id must be lowercase letters, digits and dashes';
+    }
+    if (typeof template.name !== 'string' || !template.name.trim() || template.name.length > 100) {
+        return 'The template needs a name of up to 100 characters';
+    }
+    if (!Array.isArray(template.parameters || [])) {
+        return 'The template parameters must be a list';
+    }
+    const parameterNames = new Set();
+    for (const parameter of template.parameters || []) {
+        if (!parameter || typeof parameter.name !== 'string' || !IDENTIFIER.test(parameter.name) || parameter.name === 'i') {
+            return 'Every parameter needs a name made of letters, digits and underscores (and not "i")';
+        }
+        if (parameterNames.has(parameter.name)) {
+            return `The parameter "${parameter.name}" is declared twice`;
+        }
+        parameterNames.add(parameter.name);
+        if (!PARAMETER_TYPES.includes(parameter.type)) {
+            return `The parameter "${parameter.name}" must be of type ${PARAMETER_TYPES.join(', ')}`;
+        }
+        if (parameter.type === 'select' && (!Array.isArray(parameter.options) || parameter.options.length === 0)) {
+            return `The select parameter "${parameter.name}" needs options`;
+        }
+        if (parameter.type === 'image' && typeof parameter.kind !== 'string') {
+            return `The image parameter "${parameter.name}" needs the kind of its images`;
+        }
+    }
+    if (!Array.isArray(template.groups) || template.groups.length === 0) {
+        return 'The template needs at least one group of nodes';
+    }
+    const groupIds = new Set();
+    for (const group of template.groups) {
+        if (!group || typeof group.id !== 'string' || !IDENTIFIER.test(group.id)) {
+            return 'Every group needs an id made of letters, digits and underscores';
+        }
+        if (groupIds.has(group.id)) {
+            return `The group "${group.id}" is declared twice`;
+        }
+        groupIds.add(group.id);
+        if (typeof group.name !== 'string' || typeof group.kind !== 'string') {
+            return `The group "${group.id}" needs a name and a kind`;
+        }
+    }
+    if (!Array.isArray(template.links || [])) {
+        return 'The template links must be a list';
+    }
+    return null;
+};
+
+/*
+ * This is the function to publish a template, or replace one the user published before (admins may replace anyone's).
+ * The built-in templates cannot be replaced. Returns the saved template.
+ */
+const saveTemplate = (user, template) => {
+    const error = validateTemplate(template);
+    if (error) {
+        throw templateError(400, error);
+    }
+    if (builtInTemplates().some(entry => entry.id === template.id)) {
+        throw templateError(409, `"${template.id}" is a built-in template, publish yours under another id`);
+    }
+    const existing = publishedTemplates().find(entry => entry.id === template.id);
+    if (existing && existing.author !== user.username && user.role !== 'admin') {
+        throw templateError(403, `The template "${template.id}" was published by ${existing.author}`);
+    }
+
+    const now = new Date().toISOString();
+    const { builtIn, ...content } = template;
+    const saved = {
+        ...content,
+        name: template.name.trim(),
+        author: existing ? existing.author : user.username,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+
+    // Write to a temp file first so a crash never leaves a half written file behind
+    fs.mkdirSync(TEMPLATE_STORE_DIR, { recursive: true });
+    const file = path.join(TEMPLATE_STORE_DIR, `${template.id}.json`);
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(saved, null, 2));
+    fs.renameSync(tempFile, file);
+    return { ...saved, builtIn: false };
+};
+
+// Remove a published template, its author or an admin only. Returns false when there is no such template
+const deleteTemplate = (user, id) => {
+    if (builtInTemplates().some(entry => entry.id === id)) {
+        throw templateError(409, `"${id}" is a built-in template and cannot be deleted`);
+    }
+    const existing = publishedTemplates().find(entry => entry.id === id);
+    if (!existing) {
+        return false;
+    }
+    if (existing.author !== user.username && user.role !== 'admin') {
+        throw templateError(403, `The template "${id}" was published by ${existing.author}`);
+    }
+    fs.unlinkSync(path.join(TEMPLATE_STORE_DIR, `${id}.json`));
+    return true;
+};
+
+module.exports = {
+    MAX_TEMPLATE_SIZE,
+    canPublish,
+    listTemplates,
+    getTemplate,
+    saveTemplate,
+    deleteTemplate
+};
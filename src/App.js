@@ -1,13 +1,18 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import ContainerLab from './components/ContainerLab';
 import ACT from './components/ACT';
 import ClabServers from './components/ClabServers';
 import Login from './components/Login';
 import WebTerminal from './components/WebTerminal';
+import CredentialsModal from './components/CredentialsModal';
+import AdminConsole from './components/AdminConsole';
 import logo from './logo4.svg';
-import { TopologyProvider } from './contexts/TopologyContext';
-import { isAdmin } from './utils/auth';
+import { TopologyProvider, useTopology } from './contexts/TopologyContext';
+import { isAdmin, logout } from './utils/auth';
+import { loadSettings } from './utils/settings';
+import { getDocsUrl, isFeatureEnabled } from './utils/config';
+import { saveAutosave } from './utils/drafts';
 
 const App = () => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -19,6 +24,7 @@ const App = () => {
   };
 
   const handleLogout = () => {
+    logout();
     setIsAuthenticated(false);
     setUser(null);
   };
@@ -50,6 +56,24 @@ const App = () => {
 
 const MainApp = ({ user, onLogout }) => {
   const [mode, setMode] = useState('containerlab');
+  const [showCredentials, setShowCredentials] = useState(false);
+  const [showAdminConsole, setShowAdminConsole] = useState(false);
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+  const { topologyState, resetTopologyState } = useTopology();
+
+  // The design is autosaved straight away, then cleared so whoever logs in next starts with an empty designer
+  const handleLogout = () => {
+    saveAutosave(user?.username, topologyState);
+    resetTopologyState();
+    onLogout();
+  };
+
+  // The server list and image catalog are managed by admins at runtime, so they are loaded before the pages render
+  useEffect(() => {
+    loadSettings()
+      .catch(error => console.error('Error loading settings, using the built-in defaults:', error))
+      .finally(() => setSettingsLoaded(true));
+  }, []);
 
   return (
     <div className="app">
@@ -67,12 +91,14 @@ const MainApp = ({ user, onLogout }) => {
           >
             Dashboard
           </button>
-          {/* <button
-            className={`header-button ${mode === 'act' ? 'active' : ''}`}
-            onClick={() => setMode('act')}
-          >
-            ACT (BETA)
-          </button> */}
+          {isFeatureEnabled('act') && (
+            <button
+              className={`header-button ${mode === 'act' ? 'active' : ''}`}
+              onClick={() => setMode('act')}
+            >
+              ACT (BETA)
+            </button>
+          )}
         </div>
         <div className="header-logo-center">
           <img src={logo} alt="Containerlab Studio Logo" className="header-logo" />
@@ -82,18 +108,25 @@ const MainApp = ({ user, onLogout }) => {
             Welcome, {user?.displayName || user?.username}!
           </div>
           <div className="user-actions">
+            <button
+              className="settings-button"
+              title="SSH Credentials"
+              onClick={() => setShowCredentials(true)}
+            >
+              🔑
+            </button>
             {isAdmin() && (
               <button 
                 className="settings-button" 
                 title="Admin Settings"
-                onClick={() => alert('Admin Settings - Feature coming soon')}
+                onClick={() => setShowAdminConsole(true)}
               >
                 ⚙️
               </button>
             )}
-            <button onClick={onLogout}>Logout</button>
+            <button onClick={handleLogout}>Logout</button>
             <a 
-              href="https://docs.google.com/document/d/1CKyCFyzjFMJbTFTtHYIofAoAlof8oMdmPElNkc1HKjk/edit?usp=sharing" 
+              href={getDocsUrl()}
               target="_blank" 
               rel="noopener noreferrer"
               className="help-button"
@@ -105,12 +138,26 @@ const MainApp = ({ user, onLogout }) => {
         </div>
       </div>
 
-      {mode === 'containerlab' ? (
-        <ContainerLab user={user} onLogout={onLogout} parentSetMode={setMode} />
+      {!settingsLoaded ? (
+        <div style={{ padding: '20px' }}>Loading...</div>
+      ) : mode === 'containerlab' ? (
+        <ContainerLab user={user} onLogout={handleLogout} parentSetMode={setMode} />
       ) : mode === 'act' ? (
-        <ACT user={user} onLogout={onLogout} />
+        <ACT user={user} onLogout={handleLogout} />
       ) : (
-        <ClabServers user={user} onLogout={onLogout} />
+        <ClabServers user={user} onLogout={handleLogout} />
+      )}
+
+      <CredentialsModal
+        isOpen={showCredentials}
+        onClose={() => setShowCredentials(false)}
+      />
+
+      {isAdmin() && (
+        <AdminConsole
+          isOpen={showAdminConsole}
+          onClose={() => setShowAdminConsole(false)}
+        />
       )}
     </div>
   );
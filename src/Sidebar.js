@@ -1,15 +1,33 @@
 import React from 'react';
-import { Router, HardDrive, Sparkles } from 'lucide-react';
+import { Router, Network, Shield, HardDrive, Sparkles, LayoutTemplate } from 'lucide-react';
+import { getKindCatalog } from './utils/settings';
 
-const Sidebar = ({ onNodeClick, onGenerateClick }) => {
-  const onDragStart = (event, nodeType) => {
-    event.dataTransfer.setData('application/reactflow', nodeType);
+// Palette icons for the built-in catalog icon names, any other icon is the URL of an image
+const PALETTE_ICONS = {
+  router: Router,
+  switch: Network,
+  firewall: Shield,
+  server: HardDrive
+};
+
+const PaletteIcon = ({ icon }) => {
+  const Icon = PALETTE_ICONS[icon];
+  if (Icon) {
+    return <Icon size={24} className="node-icon" />;
+  }
+  return <img src={icon} alt="" width={24} height={24} className="node-icon" />;
+};
+
+/* This is the node palette. It offers one item per entry of the node catalog, which admins manage in the admin console. */
+const Sidebar = ({ onNodeClick, onGenerateClick, onTemplatesClick }) => {
+  const onDragStart = (event, catalogId) => {
+    event.dataTransfer.setData('application/reactflow', catalogId);
     event.dataTransfer.effectAllowed = 'move';
   };
 
-  const handleNodeClick = (nodeType) => {
+  const handleNodeClick = (catalogId) => {
     if (onNodeClick) {
-      onNodeClick(nodeType);
+      onNodeClick(catalogId);
     }
   };
 
@@ -17,29 +35,20 @@ const Sidebar = ({ onNodeClick, onGenerateClick }) => {
     <aside>
       <div className="description"><h3 className="settings-heading">Click or drag to add nodes</h3></div>
       <div className="node-buttons">
-        <div
-          className="node"
-          onDragStart={(event) => onDragStart(event, 'router')}
-          onClick={() => handleNodeClick('router')}
-          draggable
-          style={{ cursor: 'pointer' }}
-          title="cEOS Router - Click to create or drag to position"
-        >
-          <Router size={24} className="node-icon" />
-          <span className="node-label">Router</span>
-        </div>
-
-        <div
-          className="node"
-          onDragStart={(event) => onDragStart(event, 'linux-host')}
-          onClick={() => handleNodeClick('linux-host')}
-          draggable
-          style={{ cursor: 'pointer' }}
-          title="Linux Host - Click to create or drag to position"
-        >
-          <HardDrive size={24} className="node-icon" />
-          <span className="node-label">Linux Host</span>
-        </div>
+        {getKindCatalog().map((entry) => (
+          <div
+            key={entry.id}
+            className="node"
+            onDragStart={(event) => onDragStart(event, entry.id)}
+            onClick={() => handleNodeClick(entry.id)}
+            draggable
+            style={{ cursor: 'pointer' }}
+            title={`${entry.label} - Click to create or drag to position`}
+          >
+            <PaletteIcon icon={entry.icon} />
+            <span className="node-label">{entry.label}</span>
+          </div>
+        ))}
 
         <div
           className="node"
@@ -50,6 +59,18 @@ const Sidebar = ({ onNodeClick, onGenerateClick }) => {
           <Sparkles size={24} className="node-icon" />
           <span className="node-label">Generate</span>
         </div>
+
+        {onTemplatesClick && (
+          <div
+            className="node"
+            onClick={onTemplatesClick}
+            style={{ cursor: 'pointer' }}
+            title="Templates - Insert a ring, a campus, an MPLS core... from the template library"
+          >
+            <LayoutTemplate size={24} className="node-icon" />
+            <span className="node-label">Templates</span>
+          </div>
+        )}
       </div>
     </aside>
   );
@@ -0,0 +1,471 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import axios from 'axios';
+import { getBackendUrl, getClabServers } from '../utils/config';
+import { getAuthHeaders } from '../utils/auth';
+import { loadSettings, saveSettingsSection } from '../utils/settings';
+import { runJob } from '../utils/jobs';
+import AuditLogViewer from './AuditLogViewer';
+import LogModal from './LogModal';
+
+const SECTIONS = [
+  { id: 'servers', label: 'Servers' },
+  { id: 'labs', label: 'Labs' },
+  { id: 'kinds', label: 'Node Catalog' },
+  { id: 'quotas', label: 'Quotas' },
+  { id: 'audit', label: 'Audit Log' }
+];
+
+const QUOTA_FIELDS = [
+  { key: 'maxLabs', label: 'Labs per server' },
+  { key: 'maxNodesPerLab', label: 'Nodes per lab' },
+  { key: 'maxConcurrentJobs', label: 'Operations at once' }
+];
+
+const cellStyle = { padding: '6px', verticalAlign: 'middle' };
+const inputStyle = { width: '100%', marginBottom: 0, boxSizing: 'border-box' };
+
+// Success and error feedback shown under each section after saving
+const SaveStatus = ({ status }) => {
+  if (!status) return null;
+  return status.error ? (
+    <div className="warning-message">{status.error}</div>
+  ) : (
+    <div style={{ color: '#155724', backgroundColor: '#d4edda', border: '1px solid #c3e6cb', borderRadius: '4px', padding: '10px', marginBottom: '15px', textAlign: 'center' }}>
+      {status.message}
+    </div>
+  );
+};
+
+/* This is the hook shared by the editable sections: it keeps the edited copy of a section and saves it */
+const useSectionEditor = (section, initialValue, onSaved) => {
+  const [value, setValue] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    setValue(initialValue);
+  }, [initialValue]);
+
+  const save = async (valueToSave) => {
+    setSaving(true);
+    setStatus(null);
+    try {
+      const settings = await saveSettingsSection(section, valueToSave);
+      setStatus({ message: 'Saved. The change applies straight away.' });
+      onSaved(settings);
+    } catch (error) {
+      setStatus({ error: error.response?.data?.error || error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return { value, setValue, saving, status, save };
+};
+
+const ServersSection = ({ servers, onSaved }) => {
+  const { value: rows, setValue: setRows, saving, status, save } = useSectionEditor('servers', servers, onSaved);
+
+  const updateRow = (index, key, fieldValue) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [key]: fieldValue } : row)));
+  };
+
+  return (
+    <div>
+      <p className="helper-text">The clab servers users can deploy to and browse. Each one needs the Containerlab Studio backend running on port 3001.</p>
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '10px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+            <th style={cellStyle}>Name</th>
+            <th style={cellStyle}>IP address</th>
+            <th style={cellStyle}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index} style={{ borderBottom: '1px solid #eee' }}>
+              <td style={cellStyle}><input style={inputStyle} value={row.name} onChange={(e) => updateRow(index, 'name', e.target.value.trim())} /></td>
+              <td style={cellStyle}><input style={inputStyle} value={row.ip} onChange={(e) => updateRow(index, 'ip', e.target.value.trim())} /></td>
+              <td style={{ ...cellStyle, textAlign: 'right' }}>
+                <button className="delete-button" onClick={() => setRows(rows.filter((_, i) => i !== index))}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <SaveStatus status={status} />
+      <div className="actions">
+        <button onClick={() => setRows([...rows, { name: '', ip: '' }])}>Add server</button>
+        <button onClick={() => save(rows)} disabled={saving}>{saving ? 'Saving...' : 'Save servers'}</button>
+      </div>
+    </div>
+  );
+};
+
+const ICON_OPTIONS = ['router', 'switch', 'firewall', 'server'];
+
+const TERMINAL_OPTIONS = [
+  { value: 'ssh', label: 'SSH to the management IP' },
+  { value: 'ssh-cli', label: 'SSH from the server, password typed by the user' },
+  { value: 'docker-exec', label: 'docker exec' }
+];
+
+const emptyKindEntry = () => ({
+  id: '',
+  label: '',
+  kind: '',
+  icon: 'router',
+  namePrefix: '',
+  interfaceNaming: 'eth{n}',
+  interfaceAlias: '',
+  maxPorts: 54,
+  credentials: { username: 'admin', password: '' },
+  terminal: 'ssh',
+  images: [{ value: '', label: '' }]
+});
+
+const fieldLabelStyle = { display: 'block', fontSize: '12px', color: '#555', marginBottom: '2px' };
+
+/* This is the node catalog editor: each entry is a palette item with its kind, images, icon, interface naming and how the web terminal reaches it */
+const KindsSection = ({ kinds, onSaved }) => {
+  const { value: entries, setValue: setEntries, saving, status, save } = useSectionEditor('kinds', kinds, onSaved);
+
+  const updateEntry = (index, changes) => {
+    setEntries(entries.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const updateImage = (index, imageIndex, key, fieldValue) => {
+    const images = entries[index].images.map((image, i) => (i === imageIndex ? { ...image, [key]: fieldValue } : image));
+    updateEntry(index, { images });
+  };
+
+  const field = (index, label, key, placeholder) => (
+    <div>
+      <label style={fieldLabelStyle}>{label}</label>
+      <input style={inputStyle} value={entries[index][key] || ''} placeholder={placeholder} onChange={(e) => updateEntry(index, { [key]: e.target.value.trim() })} />
+    </div>
+  );
+
+  return (
+    <div>
+      <p className="helper-text">
+        The node palette of the topology designer. Several entries may share a containerlab kind (FRR and a plain host are
+        both <code>linux</code>); the images have to be present on the clab servers. Interface names use <code>{'{n}'}</code> for
+        the port number from 1 or <code>{'{n0}'}</code> from 0, e.g. <code>e1-{'{n}'}</code> with the alias <code>ethernet-1/{'{n}'}</code> for
+        SR Linux.
+      </p>
+      <div style={{ maxHeight: '450px', overflowY: 'auto' }}>
+        {entries.map((entry, index) => (
+          <div key={index} style={{ border: '1px solid #ddd', borderRadius: '4px', padding: '10px', marginBottom: '10px' }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', marginBottom: '8px' }}>
+              {field(index, 'ID', 'id', 'nokia_srlinux')}
+              <div>
+                <label style={fieldLabelStyle}>Label</label>
+                <input style={inputStyle} value={entry.label || ''} placeholder="Nokia SR Linux" onChange={(e) => updateEntry(index, { label: e.target.value })} />
+              </div>
+              {field(index, 'Kind', 'kind', 'nokia_srlinux')}
+              <div>
+                <label style={fieldLabelStyle}>Icon (name or image URL)</label>
+                <input style={inputStyle} list="catalog-icons" value={entry.icon || ''} onChange={(e) => updateEntry(index, { icon: e.target.value.trim() })} />
+              </div>
+              {field(index, 'Node name prefix', 'namePrefix', 'srl')}
+              {field(index, 'Interface naming', 'interfaceNaming', 'e1-{n}')}
+              {field(index, 'Interface alias (CLI names)', 'interfaceAlias', 'ethernet-1/{n}')}
+              <div>
+                <label style={fieldLabelStyle}>Ports</label>
+                <input type="number" min="1" style={inputStyle} value={entry.maxPorts ?? ''} onChange={(e) => updateEntry(index, { maxPorts: e.target.value })} />
+              </div>
+              <div>
+                <label style={fieldLabelStyle}>Terminal</label>
+                <select className="image-select" style={inputStyle} value={entry.terminal || 'ssh'} onChange={(e) => updateEntry(index, { terminal: e.target.value })}>
+                  {TERMINAL_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+              </div>
+              {entry.terminal === 'docker-exec' ? field(index, 'Shell', 'shell', 'sh') : <div />}
+              <div>
+                <label style={fieldLabelStyle}>Username</label>
+                <input style={inputStyle} value={entry.credentials?.username || ''} onChange={(e) => updateEntry(index, { credentials: { ...entry.credentials, username: e.target.value.trim() } })} />
+              </div>
+              <div>
+                <label style={fieldLabelStyle}>Password</label>
+                <input style={inputStyle} value={entry.credentials?.password || ''} disabled={entry.terminal !== 'ssh'} onChange={(e) => updateEntry(index, { credentials: { ...entry.credentials, password: e.target.value } })} />
+              </div>
+            </div>
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '5px' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                  <th style={cellStyle}>Image</th>
+                  <th style={cellStyle}>Label</th>
+                  <th style={cellStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entry.images.map((image, imageIndex) => (
+                  <tr key={imageIndex} style={{ borderBottom: '1px solid #eee' }}>
+                    <td style={cellStyle}><input style={inputStyle} value={image.value} placeholder="ghcr.io/nokia/srlinux:latest" onChange={(e) => updateImage(index, imageIndex, 'value', e.target.value.trim())} /></td>
+                    <td style={cellStyle}><input style={inputStyle} value={image.label} onChange={(e) => updateImage(index, imageIndex, 'label', e.target.value)} /></td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>
+                      <button className="delete-button" onClick={() => updateEntry(index, { images: entry.images.filter((_, i) => i !== imageIndex) })}>Remove</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="actions">
+              <button onClick={() => updateEntry(index, { images: [...entry.images, { value: '', label: '' }] })}>Add image</button>
+              <button className="delete-button" onClick={() => setEntries(entries.filter((_, i) => i !== index))}>Remove entry</button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <datalist id="catalog-icons">
+        {ICON_OPTIONS.map(icon => <option key={icon} value={icon} />)}
+      </datalist>
+      <SaveStatus status={status} />
+      <div className="actions">
+        <button onClick={() => setEntries([...entries, emptyKindEntry()])}>Add entry</button>
+        <button onClick={() => save(entries)} disabled={saving}>{saving ? 'Saving...' : 'Save catalog'}</button>
+      </div>
+    </div>
+  );
+};
+
+// Quotas are edited as a list of rows, the first one being the defaults for everyone
+const quotasToRows = (quotas) => [
+  { username: '', ...quotas.defaults },
+  ...Object.entries(quotas.users).map(([username, quota]) => ({ username, ...quota }))
+];
+
+const rowsToQuotas = ([defaults, ...users]) => {
+  const pick = (row) => Object.fromEntries(QUOTA_FIELDS
+    .filter(({ key }) => row[key] !== '' && row[key] !== undefined)
+    .map(({ key }) => [key, Number(row[key])]));
+  return {
+    defaults: pick(defaults),
+    users: Object.fromEntries(users.filter(row => row.username).map(row => [row.username, pick(row)]))
+  };
+};
+
+const QuotasSection = ({ quotas, onSaved }) => {
+  const initialRows = useMemo(() => quotasToRows(quotas), [quotas]);
+  const { value: rows, setValue: setRows, saving, status, save } = useSectionEditor('quotas', initialRows, onSaved);
+
+  const updateRow = (index, key, fieldValue) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [key]: fieldValue } : row)));
+  };
+
+  return (
+    <div>
+      <p className="helper-text">
+        Limits on what each user can run, 0 means unlimited. The first row applies to everyone; a user row overrides
+        only the fields filled in.
+      </p>
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '10px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+            <th style={cellStyle}>User</th>
+            {QUOTA_FIELDS.map(({ key, label }) => <th key={key} style={cellStyle}>{label}</th>)}
+            <th style={cellStyle}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index} style={{ borderBottom: '1px solid #eee' }}>
+              <td style={cellStyle}>
+                {index === 0 ? <strong>Everyone (default)</strong> : (
+                  <input style={inputStyle} value={row.username} placeholder="username" onChange={(e) => updateRow(index, 'username', e.target.value.trim())} />
+                )}
+              </td>
+              {QUOTA_FIELDS.map(({ key }) => (
+                <td key={key} style={cellStyle}>
+                  <input
+                    type="number"
+                    min="0"
+                    style={inputStyle}
+                    value={row[key] ?? ''}
+                    placeholder={index === 0 ? '0' : 'default'}
+                    onChange={(e) => updateRow(index, key, e.target.value)}
+                  />
+                </td>
+              ))}
+              <td style={{ ...cellStyle, textAlign: 'right' }}>
+                {index > 0 && (
+                  <button className="delete-button" onClick={() => setRows(rows.filter((_, i) => i !== index))}>Remove</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <SaveStatus status={status} />
+      <div className="actions">
+        <button onClick={() => setRows([...rows, { username: '' }])}>Add user</button>
+        <button onClick={() => save(rowsToQuotas(rows))} disabled={saving}>{saving ? 'Saving...' : 'Save quotas'}</button>
+      </div>
+    </div>
+  );
+};
+
+/* This is the section listing every user's labs on every server, where an admin can destroy any of them */
+const LabsSection = () => {
+  const [labs, setLabs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [operationLogs, setOperationLogs] = useState('');
+  const [operationServerIp, setOperationServerIp] = useState(null);
+  const [showLogModal, setShowLogModal] = useState(false);
+
+  const fetchLabs = useCallback(async () => {
+    setLoading(true);
+    const allLabs = [];
+    const newErrors = {};
+    for (const server of getClabServers()) {
+      try {
+        const response = await axios.get(`${getBackendUrl(server.ip)}/api/containerlab/inspect`, {
+          headers: getAuthHeaders()
+        });
+        response.data.forEach(lab => allLabs.push({ ...lab, server }));
+      } catch (error) {
+        newErrors[server.ip] = error.response?.data?.error || error.message;
+      }
+    }
+    setLabs(allLabs);
+    setErrors(newErrors);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchLabs();
+  }, [fetchLabs]);
+
+  const handleDestroy = async (lab) => {
+    if (!window.confirm(`Destroy lab ${lab.lab_name} of ${lab.lab_owner} on ${lab.server.name}? Its nodes will be removed.`)) {
+      return;
+    }
+    setOperationLogs('');
+    setOperationServerIp(lab.server.ip);
+    setShowLogModal(true);
+    try {
+      const job = await runJob(lab.server.ip, '/api/containerlab/destroy', {
+        serverIp: lab.server.ip,
+        topoFile: lab.labPath,
+        owner: lab.lab_owner
+      }, text => setOperationLogs(prev => prev + text));
+      if (job?.status === 'succeeded') {
+        fetchLabs();
+      }
+    } catch (error) {
+      setOperationLogs(prev => prev + `\nError: ${error.message}`);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <p className="helper-text">Every lab running on the clab servers, whoever deployed it.</p>
+        <button onClick={fetchLabs} disabled={loading}>{loading ? 'Loading...' : 'Refresh'}</button>
+      </div>
+      {Object.entries(errors).map(([ip, error]) => (
+        <div key={ip} className="warning-message">{ip}: {error}</div>
+      ))}
+      {!loading && labs.length === 0 && <p className="helper-text">No labs are running.</p>}
+      {labs.length > 0 && (
+        <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                <th style={cellStyle}>Server</th>
+                <th style={cellStyle}>Lab</th>
+                <th style={cellStyle}>Owner</th>
+                <th style={cellStyle}>Nodes</th>
+                <th style={cellStyle}>Topology file</th>
+                <th style={cellStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {labs.map(lab => (
+                <tr key={`${lab.server.ip}-${lab.labPath}`} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={cellStyle}>{lab.server.name}</td>
+                  <td style={cellStyle}>{lab.lab_name}</td>
+                  <td style={cellStyle}>{lab.lab_owner}</td>
+                  <td style={cellStyle}>{lab.nodes.length}</td>
+                  <td style={{ ...cellStyle, wordBreak: 'break-all' }}>{lab.labPath}</td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>
+                    <button className="delete-button" onClick={() => handleDestroy(lab)}>Destroy</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <LogModal
+        isOpen={showLogModal}
+        onClose={() => setShowLogModal(false)}
+        logs={operationLogs}
+        title="Destroying Lab"
+        serverIp={operationServerIp}
+      />
+    </div>
+  );
+};
+
+/*
+ * This is the admin console behind the ⚙️ button in the header. Servers, the node catalog and quotas are stored by the
+ * backend and apply without rebuilding the frontend; labs and the audit log are read live from the clab servers.
+ */
+const AdminConsole = ({ isOpen, onClose }) => {
+  const [section, setSection] = useState('servers');
+  const [settings, setSettings] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setError('');
+    loadSettings()
+      .then(setSettings)
+      .catch(err => setError(err.response?.data?.error || err.message));
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const renderSection = () => {
+    if (section === 'labs') return <LabsSection />;
+    if (section === 'audit') return <AuditLogViewer />;
+    if (!settings) return error ? null : <p>Loading settings...</p>;
+    if (section === 'servers') return <ServersSection servers={settings.servers} onSaved={setSettings} />;
+    if (section === 'kinds') return <KindsSection kinds={settings.kinds} onSaved={setSettings} />;
+    return <QuotasSection quotas={settings.quotas} onSaved={setSettings} />;
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-content" style={{ width: '90%', maxWidth: '1200px' }}>
+        <h2>Admin Settings</h2>
+        <div style={{ display: 'flex', gap: '5px', borderBottom: '1px solid #ddd', marginBottom: '15px' }}>
+          {SECTIONS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setSection(id)}
+              style={section === id ? undefined : { backgroundColor: '#e0e0e0', color: '#333' }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {error && <div className="warning-message">{error}</div>}
+        {renderSection()}
+        {settings?.updatedAt && section !== 'labs' && section !== 'audit' && (
+          <p className="helper-text" style={{ fontSize: '12px' }}>
+            Last changed by {settings.updatedBy} on {new Date(settings.updatedAt).toLocaleString()}
+          </p>
+        )}
+        <div className="actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { getClabServers } from '../utils/config';
+import { queryAudit } from '../utils/audit';
+
+const EMPTY_FILTERS = {
+  user: '',
+  action: '',
+  target: '',
+  result: '',
+  from: '',
+  to: '',
+  changesOnly: true
+};
+
+const cellStyle = { padding: '6px', verticalAlign: 'top' };
+
+const formatDuration = (durationMs) => {
+  if (durationMs === null || durationMs === undefined) return '';
+  return durationMs < 1000 ? `${durationMs} ms` : `${(durationMs / 1000).toFixed(1)} s`;
+};
+
+/*
+ * This is the admin viewer for the audit trail: who did what on which server, with the result and duration.
+ * Each clab server keeps its own trail, so the admin picks the server to search. It is shown in the admin console.
+ */
+const AuditLogViewer = () => {
+  const servers = useMemo(() => getClabServers(), []);
+  const [serverIp, setServerIp] = useState(servers[0]?.ip || '');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const search = useCallback(async (activeFilters) => {
+    if (!serverIp) return;
+    setLoading(true);
+    setError('');
+    try {
+      const result = await queryAudit(serverIp, {
+        ...activeFilters,
+        // The date inputs give whole days, the end date includes that whole day
+        from: activeFilters.from ? new Date(`${activeFilters.from}T00:00:00`).toISOString() : '',
+        to: activeFilters.to ? new Date(`${activeFilters.to}T23:59:59.999`).toISOString() : '',
+        limit: 500
+      });
+      setEntries(result);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setEntries([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [serverIp]);
+
+  // Filters are applied with the Search button, only opening the viewer or switching server searches by itself
+  const filtersRef = useRef(filters);
+  filtersRef.current = filters;
+
+  useEffect(() => {
+    search(filtersRef.current);
+  }, [search]);
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    search(EMPTY_FILTERS);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'flex-end', marginBottom: '15px' }}>
+        <div className="input-group" style={{ marginBottom: 0 }}>
+          <label>Server:</label>
+          <select value={serverIp} onChange={(e) => setServerIp(e.target.value)} className="image-select">
+            {servers.map((server) => (
+              <option key={server.ip} value={server.ip}>{server.name} ({server.ip})</option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group" style={{ marginBottom: 0 }}>
+          <label>User:</label>
+          <input value={filters.user} onChange={(e) => setFilter('user', e.target.value)} />
+        </div>
+        <div className="input-group" style={{ marginBottom: 0 }}>
+          <label>Action:</label>
+          <input value={filters.action} placeholder="e.g. destroy, files/delete" onChange={(e) => setFilter('action', e.target.value)} />
+        </div>
+        <div className="input-group" style={{ marginBottom: 0 }}>
+          <label>Path or lab:</label>
+          <input value={filters.target} onChange={(e) => setFilter('target', e.target.value)} />
+        </div>
+        <div className="input-group" style={{ marginBottom: 0 }}>
+          <label>Result:</label>
+          <select value={filters.result} onChange={(e) => setFilter('result', e.target.value)} className="image-select">
+            <option value="">Any</option>
+            <option value="success">Success</option>
+            <option value="failure">Failure</option>
+          </select>
+        </div>
+        <div className="input-group" style={{ marginBottom: 0 }}>
+          <label>From:</label>
+          <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} />
+        </div>
+        <div className="input-group" style={{ marginBottom: 0 }}>
+          <label>To:</label>
+          <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} />
+        </div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+          <input
+            type="checkbox"
+            checked={filters.changesOnly}
+            style={{ marginBottom: 0 }}
+            onChange={(e) => setFilter('changesOnly', e.target.checked)}
+          />
+          Hide read-only requests
+        </label>
+        <button onClick={() => search(filters)} disabled={loading}>{loading ? 'Searching...' : 'Search'}</button>
+        <button onClick={handleReset} disabled={loading}>Reset</button>
+      </div>
+
+      {error && <div className="warning-message">{error}</div>}
+
+      <div style={{ maxHeight: '500px', overflowY: 'auto', marginBottom: '20px' }}>
+        {!loading && !error && entries.length === 0 && (
+          <p className="helper-text">No audit records match these filters.</p>
+        )}
+        {entries.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                <th style={cellStyle}>Time</th>
+                <th style={cellStyle}>User</th>
+                <th style={cellStyle}>Action</th>
+                <th style={cellStyle}>Server</th>
+                <th style={cellStyle}>Path or lab</th>
+                <th style={cellStyle}>Result</th>
+                <th style={cellStyle}>Duration</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, index) => (
+                <tr key={`${entry.time}-${index}`} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{new Date(entry.time).toLocaleString()}</td>
+                  <td style={cellStyle}>{entry.user || (entry.attemptedUser ? `${entry.attemptedUser} (no session)` : '-')}</td>
+                  <td style={{ ...cellStyle, fontFamily: 'monospace' }} title={entry.source}>{entry.action}</td>
+                  <td style={cellStyle}>{entry.serverIp || '-'}</td>
+                  <td style={{ ...cellStyle, wordBreak: 'break-all' }}>{entry.target || '-'}</td>
+                  <td
+                    style={{ ...cellStyle, color: entry.result === 'success' ? '#28a745' : '#dc3545' }}
+                    title={entry.error || ''}
+                  >
+                    {entry.result}{entry.statusCode ? ` (${entry.statusCode})` : ''}
+                    {entry.error && <div style={{ color: '#666', fontSize: '12px' }}>{entry.error}</div>}
+                  </td>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{formatDuration(entry.durationMs)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogViewer;
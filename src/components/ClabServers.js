@@ -14,6 +14,10 @@ import React, { useState, useEffect } from 'react';
 import { Loader2, Server } from 'lucide-react';
 import LogModal from './LogModal';
 import SshModal from './SshModal';
+import { getClabApiToken } from '../utils/credentials';
+import { getAuthHeaders, isAdmin } from '../utils/auth';
+import { runJob, listLocks, breakLock, formatJobTime } from '../utils/jobs';
+import { getBackendUrl, getClabServers, getPort, getServersWithStatus, isFeatureEnabled } from '../utils/config';
 
 const ClabServers = ({ user }) => {
   const [topologies, setTopologies] = useState({});
@@ -28,9 +32,12 @@ const ClabServers = ({ user }) => {
   const [selectedTopologyNodes, setSelectedTopologyNodes] = useState([]);
   const [serverMetrics, setServerMetrics] = useState({});
   const [authTokens, setAuthTokens] = useState({});
+  const [logServerIp, setLogServerIp] = useState(null);
+  const [logInitialView, setLogInitialView] = useState('logs');
+  const [locks, setLocks] = useState({});
 
   /**
-   * List of containerlab servers available in the environment.
+   * List of containerlab servers available in the environment, as managed in the admin console.
    * These servers have containerlab installed and are used to deploy and manage network topologies.
    * Each server is displayed in the dashboard with its status, metrics, and hosted topologies.
    * The dashboard connects to these servers via their IP addresses to perform operations like:
@@ -40,9 +47,7 @@ const ClabServers = ({ user }) => {
    * - Saving configurations
    * - SSH connections to containers
    */
-  const servers = [
-    { name: 'ul-clab-1', ip: '10.83.12.237' },
-  ];
+  const servers = getClabServers();
   
   /**
    * Get an authentication token from the containerlab API
@@ -57,25 +62,8 @@ const ClabServers = ({ user }) => {
     }
     
     try {
-      const loginResponse = await fetch(`/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          username: user?.username || 'admin',
-          password: 'ul678clab'
-        }),
-      });
-      
-      if (!loginResponse.ok) {
-        const errorData = await loginResponse.json();
-        throw new Error(`Failed to authenticate: ${JSON.stringify(errorData)}`);
-      }
-
-      const tokenData = await loginResponse.json();
-      const token = tokenData.token;
+      // The backend logs in with the password stored in the user's credential vault
+      const token = await getClabApiToken(serverIp);
       
       // Store the token for future use
       setAuthTokens(prev => ({
@@ -221,7 +209,7 @@ const ClabServers = ({ user }) => {
    */
   const fetchSystemMetrics = async (serverIp) => {
     try {
-      const response = await fetch(`http://${serverIp}:3001/api/system/metrics`);
+      const response = await fetch(`${getBackendUrl(serverIp)}/api/system/metrics`, { headers: getAuthHeaders() });
       if (!response.ok) {
         throw new Error(`Failed to fetch metrics from ${serverIp}`);
       }
@@ -273,6 +261,37 @@ const ClabServers = ({ user }) => {
     return () => clearInterval(intervalId);
   }, []);
 
+  /**
+   * Fetch the locks held on labs of a server, so the dashboard can show which labs have an
+   * operation in progress and who started it.
+   *
+   * @param {string} serverIp - The IP address of the server
+   */
+  const fetchLocks = async (serverIp) => {
+    try {
+      const serverLocks = await listLocks(serverIp);
+      setLocks(prev => ({ ...prev, [serverIp]: serverLocks }));
+    } catch (error) {
+      console.error(`Error fetching locks from ${serverIp}:`, error);
+    }
+  };
+
+  /* This is the function to break a stuck lock. Only admins can do this, and the backend checks it again. */
+  const handleBreakLock = async (serverIp, lock) => {
+    const warning = lock.stale
+      ? `Break the stale lock on ${lock.lab} held by ${lock.owner}?`
+      : `The ${lock.type} started by ${lock.owner} still seems to be running. Break its lock on ${lock.lab} anyway?`;
+    if (!window.confirm(warning)) {
+      return;
+    }
+    try {
+      await breakLock(serverIp, lock.id);
+      fetchLocks(serverIp);
+    } catch (error) {
+      alert(`Failed to break lock: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
   /**
    * Fetches all containerlab topologies from all available servers.
    * 
@@ -366,6 +385,7 @@ const ClabServers = ({ user }) => {
       setTopologies(newTopologies);
       setExpanded(newExpanded);
       setError(newErrors);
+      servers.forEach(server => fetchLocks(server.ip));
     } catch (error) {
       setError(prev => ({ ...prev, all: error.message }));
     } finally {
@@ -480,6 +500,7 @@ const ClabServers = ({ user }) => {
       setTopologies(newTopologies);
       setExpanded(newExpanded);
       setError(newErrors);
+      servers.forEach(server => fetchLocks(server.ip));
     } catch (error) {
       setError(prev => ({ ...prev, my: error.message }));
     } finally {
@@ -546,10 +567,8 @@ const ClabServers = ({ user }) => {
           </tr>
         </thead>
         <tbody>
-          {/* This is a list of servers to display in the table. Right now it is hardcoded, any changes to the servers will need to be made here. */}
-          {[
-            { name: 'ul-clab-1', ip: '10.83.12.237', status: 'active' }
-          ].map((server) => (
+          {/* This is the list of servers to display in the table, admins manage it in the admin console */}
+          {getServersWithStatus().map((server) => (
             <tr key={server.name} className="hover:bg-gray-50">
               <td className="border border-gray-200 px-4 py-2">
                 <div className="server-info">
@@ -631,11 +650,24 @@ const ClabServers = ({ user }) => {
                     )}
                   </button>
                   <button 
-                    onClick={() => window.open(`http://${server.ip}:5001`, '_blank')}
-                    className="text-sm bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700"
+                    onClick={() => {
+                      setOperationTitle('Job History');
+                      setLogServerIp(server.ip);
+                      setLogInitialView('history');
+                      setShowLogModal(true);
+                    }}
+                    className="text-sm bg-gray-600 text-white px-3 py-1 rounded hover:bg-gray-700"
                   >
-                    EdgeShark
+                    Job History
                   </button>
+                  {isFeatureEnabled('edgeshark') && (
+                    <button 
+                      onClick={() => window.open(`http://${server.ip}:${getPort('edgeshark')}`, '_blank')}
+                      className="text-sm bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700"
+                    >
+                      EdgeShark
+                    </button>
+                  )}
                 </div>
               </td>
             </tr>
@@ -676,6 +708,25 @@ const ClabServers = ({ user }) => {
                     Error: {error[serverIp]}
                   </div>
                 )}
+                {(locks[serverIp] || []).length > 0 && (
+                  <div className="mb-4 p-4 bg-yellow-50 border border-yellow-300 rounded">
+                    <strong>Operations in progress</strong>
+                    {locks[serverIp].map(lock => (
+                      <div key={lock.id} className="flex items-center gap-4 mt-2 text-sm">
+                        <span>🔒 {lock.type} of <span className="font-medium">{lock.lab}</span> by {lock.owner}, started {formatJobTime(lock.acquiredAt)}</span>
+                        {lock.stale && <span className="text-gray-500">(stale, the operation has finished)</span>}
+                        {isAdmin() && (
+                          <button
+                            onClick={() => handleBreakLock(serverIp, lock)}
+                            className="text-sm bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700"
+                          >
+                            Break lock
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
                 {serverTopologies.length === 0 && !loading[serverIp] && !error[serverIp] && !loading.my ? (
                   <div className="no-topology-message">
                     No topology deployed by the user {user?.username}
@@ -704,6 +755,11 @@ const ClabServers = ({ user }) => {
                             <span className="text-gray-500"><strong>Status: </strong></span>
                             <span className="ml-1 font-medium">{topology.status}</span>
                           </div>
+                          {(locks[serverIp] || []).filter(lock => lock.lab === topology.labPath && !lock.stale).map(lock => (
+                            <div key={lock.id} className="flex items-center" title={`Locked since ${formatJobTime(lock.acquiredAt)}`}>
+                              <span className="ml-1 font-medium">🔒 {lock.type} in progress by {lock.owner}</span>
+                            </div>
+                          ))}
                         </div>
 
                         <div className="flex items-center">
@@ -726,74 +782,36 @@ const ClabServers = ({ user }) => {
                                   try {
                                     setOperationTitle('Reconfiguring Topology');
                                     setOperationLogs('');
+                                    setLogServerIp(serverIp);
+                                    setLogInitialView('logs');
                                     setShowLogModal(true);
                                     console.log("Sending reconfigure request:", {
                                       serverIp: serverIp,
                                       topoFile: topology.labPath
                                     });
                                     
-                                    // Get authentication token
-                                    const token = await getAuthToken(serverIp);
-                                    
-                                    // This is the API call to reconfigure the topology using the direct containerlab API
-                                    const response = await fetch(`/api/v1/labs/deploy`, {
-                                      method: 'POST',
-                                      headers: {
-                                        'Content-Type': 'application/json',
-                                        'Authorization': `Bearer ${token}`
-                                      },
-                                      body: JSON.stringify({
-                                        topo_file: topology.labPath,
-                                        reconfigure: true
-                                      }),
-                                    });
-
-                                    // Read the streaming response
-                                    const reader = response.body.getReader();
-                                    const decoder = new TextDecoder();
-                                    let finalJsonStr = '';
-                                    let buffer = '';
-
-                                    while (true) {
-                                      const { value, done } = await reader.read();
-                                      if (done) break;
-                                      
-                                      const text = decoder.decode(value);
-                                      buffer += text;
-                                      const lines = buffer.split('\n');
-                                      buffer = lines.pop() || '';
-
-                                      for (const line of lines) {
-                                        try {
-                                          JSON.parse(line);
-                                          finalJsonStr = line;
-                                        } catch {
-                                          setOperationLogs(prevLogs => prevLogs + line + '\n');
-                                        }
-                                      }
-                                    }
-                                    if (buffer) {
-                                      try {
-                                        JSON.parse(buffer);
-                                        finalJsonStr = buffer;
-                                      } catch {
-                                        setOperationLogs(prevLogs => prevLogs + buffer + '\n');
-                                      }
-                                    }
+                                    // The operation runs as a job on the server, so it carries on (and its log is kept) even if this tab is closed
+                                    const job = await runJob(serverIp, '/api/containerlab/reconfigure', {
+                                      serverIp: serverIp,
+                                      topoFile: topology.labPath
+                                    }, text => setOperationLogs(prevLogs => prevLogs + text));
 
-                                    // Check if response was successful
-                                    if (response.ok) {
+                                    // Check if the job was successful
+                                    if (job?.status === 'succeeded') {
                                       setTimeout(() => {
                                         setShowLogModal(true);
                                         alert('Topology reconfigured successfully');
                                         fetchAllTopologies();
                                       }, 2000);
                                     } else {
-                                      alert(`Failed to reconfigure topology: ${finalJsonStr || response.statusText}`);
+                                      alert(`Failed to reconfigure topology: ${job?.result?.error || job?.status || 'unknown error'}`);
                                     }
                                   } catch (error) {
                                     console.error('Error reconfiguring topology:', error);
                                     alert(`Error reconfiguring topology: ${error.message}`);
+                                    if (error.lock) {
+                                      fetchLocks(serverIp);
+                                    }
                                     setShowLogModal(false);
                                   }
                                 }
@@ -819,74 +837,36 @@ const ClabServers = ({ user }) => {
                                   try {
                                     setOperationTitle('Destroying Topology');
                                     setOperationLogs('');
+                                    setLogServerIp(serverIp);
+                                    setLogInitialView('logs');
                                     setShowLogModal(true);
                                     console.log("Sending destroy request:", {
                                       serverIp: serverIp,
                                       topoFile: topology.labPath
                                     });
                                     
-                                    // Get authentication token
-                                    const token = await getAuthToken(serverIp);
-                                    
-                                    // This is the API call to destroy the topology using the containerlab API
-                                    const response = await fetch(`http://${serverIp}:3001/api/containerlab/destroy`, {
-                                      method: 'POST',
-                                      headers: {
-                                        'Content-Type': 'application/json'
-                                      },
-                                      body: JSON.stringify({
-                                        serverIp: serverIp,
-                                        topoFile: topology.labPath,
-                                        username: user?.username
-                                      }),
-                                    });
-
-                                    // Read the streaming response
-                                    const reader = response.body.getReader();
-                                    const decoder = new TextDecoder();
-                                    let finalJsonStr = '';
-                                    let buffer = '';
-                                    /* Below is the code to read the response from the API call to destroy the topology */
-                                    while (true) {
-                                      const { value, done } = await reader.read();
-                                      if (done) break;
-                                      
-                                      const text = decoder.decode(value);
-                                      buffer += text;
-                                      const lines = buffer.split('\n');
-                                      buffer = lines.pop() || '';
+                                    // The operation runs as a job on the server, so it carries on (and its log is kept) even if this tab is closed
+                                    const job = await runJob(serverIp, '/api/containerlab/destroy', {
+                                      serverIp: serverIp,
+                                      topoFile: topology.labPath
+                                    }, text => setOperationLogs(prevLogs => prevLogs + text));
 
-                                      for (const line of lines) {
-                                        try {
-                                          JSON.parse(line);
-                                          finalJsonStr = line;
-                                        } catch {
-                                          setOperationLogs(prevLogs => prevLogs + line + '\n');
-                                        }
-                                      }
-                                    }
-                                    if (buffer) {
-                                      try {
-                                        JSON.parse(buffer);
-                                        finalJsonStr = buffer;
-                                      } catch {
-                                        setOperationLogs(prevLogs => prevLogs + buffer + '\n');
-                                      }
-                                    }
-                                    
-                                    // Check if response was successful
-                                    if (response.ok) {
+                                    // Check if the job was successful
+                                    if (job?.status === 'succeeded') {
                                       setTimeout(() => {
                                         setShowLogModal(true);
                                         alert('Topology destroyed successfully');
                                         fetchAllTopologies();
                                       }, 2000);
                                     } else {
-                                      alert(`Failed to destroy topology: ${finalJsonStr || response.statusText}`);
+                                      alert(`Failed to destroy topology: ${job?.result?.error || job?.status || 'unknown error'}`);
                                     }
                                   } catch (error) {
                                     console.error('Error destroying topology:', error);
                                     alert(`Error destroying topology: ${error.message}`);
+                                    if (error.lock) {
+                                      fetchLocks(serverIp);
+                                    }
                                     setShowLogModal(false);
                                   }
                                 }
@@ -923,75 +903,36 @@ const ClabServers = ({ user }) => {
                                   try {
                                     setOperationTitle('Saving Topology');
                                     setOperationLogs('');
+                                    setLogServerIp(serverIp);
+                                    setLogInitialView('logs');
                                     setShowLogModal(true);
                                     console.log("Sending saving request:", {
                                       serverIp: serverIp,
                                       topoFile: topology.labPath
                                     });
                                     
-                                    // Get authentication token
-                                    const token = await getAuthToken(serverIp);
-                                    
-                                    // This is the API call to save the topology using the containerlab API
-                                    const response = await fetch(`http://${serverIp}:3001/api/containerlab/save`, {
-                                      method: 'POST',
-                                      headers: {
-                                        'Content-Type': 'application/json'
-                                      },
-                                      body: JSON.stringify({
-                                        serverIp: serverIp,
-                                        topoFile: topology.labPath,
-                                        username: user?.username
-                                      }),
-                                    });
-
-                                    // Read the streaming response
-                                    const reader = response.body.getReader();
-                                    const decoder = new TextDecoder();
-                                    let finalJsonStr = '';
-                                    let buffer = '';
-
-                                    /* Below is the code to read the response from the API call to save the topology */
-                                    while (true) {
-                                      const { value, done } = await reader.read();
-                                      if (done) break;
-                                      
-                                      const text = decoder.decode(value);
-                                      buffer += text;
-                                      const lines = buffer.split('\n');
-                                      buffer = lines.pop() || '';
-
-                                      for (const line of lines) {
-                                        try {
-                                          JSON.parse(line);
-                                          finalJsonStr = line;
-                                        } catch {
-                                          setOperationLogs(prevLogs => prevLogs + line + '\n');
-                                        }
-                                      }
-                                    }
-                                    if (buffer) {
-                                      try {
-                                        JSON.parse(buffer);
-                                        finalJsonStr = buffer;
-                                      } catch {
-                                        setOperationLogs(prevLogs => prevLogs + buffer + '\n');
-                                      }
-                                    }
+                                    // The operation runs as a job on the server, so it carries on (and its log is kept) even if this tab is closed
+                                    const job = await runJob(serverIp, '/api/containerlab/save', {
+                                      serverIp: serverIp,
+                                      topoFile: topology.labPath
+                                    }, text => setOperationLogs(prevLogs => prevLogs + text));
 
-                                    // Check if response was successful
-                                    if (response.ok) {
+                                    // Check if the job was successful
+                                    if (job?.status === 'succeeded') {
                                       setTimeout(() => {
                                         setShowLogModal(true);
                                         alert('Topology saved successfully');
                                         fetchAllTopologies();
                                       }, 2000);
                                     } else {
-                                      alert(`Failed to save topology: ${finalJsonStr || response.statusText}`);
+                                      alert(`Failed to save topology: ${job?.result?.error || job?.status || 'unknown error'}`);
                                     }
                                   } catch (error) {
                                     console.error('Error saving topology:', error);
                                     alert(`Error saving topology: ${error.message}`);
+                                    if (error.lock) {
+                                      fetchLocks(serverIp);
+                                    }
                                     setShowLogModal(false);
                                   }
                                 }
@@ -1076,6 +1017,8 @@ const ClabServers = ({ user }) => {
         onClose={() => setShowLogModal(false)}
         logs={operationLogs}
         title={operationTitle}
+        serverIp={logServerIp}
+        initialView={logInitialView}
       />
       <SshModal
         isOpen={showSshModal}
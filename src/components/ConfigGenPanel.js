@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { CONFIG_DIR, ROUTING_PROTOCOLS, getOverlay } from '../utils/configGen';
+
+/*
+ * This is the startup configs section of the designer sidebar. It sets the underlay the configs are rendered with,
+ * previews the config of each node and points the nodes at their configs. The files themselves are written to the
+ * lab directory when the topology is deployed or reconfigured with generation turned on. The overlay is edited in a
+ * modal of its own, opened with onEditOverlay.
+ */
+const ConfigGenPanel = ({ settings, error, result, onSettingsChange, onApply, onEditOverlay, onDownload }) => {
+  const [previewPath, setPreviewPath] = useState('');
+
+  // The files, then the exec commands of the linux hosts, which have no file of their own
+  const previews = [
+    ...result.files.map(file => ({ key: file.path, label: file.path, content: file.content })),
+    ...Object.entries(result.nodeUpdates)
+      .filter(([, update]) => update.exec)
+      .map(([node, update]) => ({ key: `exec:${node}`, label: `${node} (exec)`, content: update.exec.join('\n') }))
+  ];
+  const preview = previews.find(entry => entry.key === previewPath) || previews[0];
+  const nodeCount = Object.keys(result.nodeUpdates).length;
+  const overlay = getOverlay(settings);
+
+  return (
+    <div className="config-gen-panel">
+      <div className="checkbox-group">
+        <label>
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })} />
+          Write the configs to the lab on deploy
+        </label>
+      </div>
+      <div className="input-group">
+        <label>Underlay routing:</label>
+        <select value={settings.routing} onChange={(e) => onSettingsChange({ ...settings, routing: e.target.value })}>
+          {ROUTING_PROTOCOLS.map(protocol => <option key={protocol.value} value={protocol.value}>{protocol.label}</option>)}
+        </select>
+      </div>
+      {(settings.routing === 'ebgp' || overlay.enabled) && (
+        <div className="input-group">
+          <label>First AS number:</label>
+          <input
+            type="text"
+            value={settings.asnBase}
+            onChange={(e) => onSettingsChange({ ...settings, asnBase: e.target.value.trim() })}
+            className={error ? 'input-error' : ''}
+          />
+          <span className="helper-text">
+            {settings.routing === 'ebgp'
+              ? 'The spines share this AS (the next tier the next one), the leafs count from it + 101. A config.asn label on a node wins.'
+              : 'The AS of the iBGP overlay.'}
+          </span>
+        </div>
+      )}
+      {error && <div className="warning-message">{error}</div>}
+      {!error && result.warnings.map(warning => <div className="warning-message" key={warning}>{warning}</div>)}
+
+      {!error && previews.length > 0 && (
+        <>
+          <select value={preview.key} onChange={(e) => setPreviewPath(e.target.value)} style={{ width: '100%' }}>
+            {previews.map(entry => <option key={entry.key} value={entry.key}>{entry.label}</option>)}
+          </select>
+          <div className="config-gen-preview">{preview.content}</div>
+        </>
+      )}
+
+      <div className="config-gen-actions">
+        <button onClick={onEditOverlay} title="VLANs, VRFs, route servers and multihoming of the EVPN/VXLAN overlay">
+          Overlay{overlay.enabled ? ' (on)' : ''}...
+        </button>
+        <button
+          onClick={() => onDownload(preview.label.replace(/ \(exec\)$/, '-exec.sh').split('/').pop(), preview.content)}
+          disabled={!!error || !preview}
+          title="Download the previewed file"
+        >
+          Download
+        </button>
+        <button
+          onClick={onApply}
+          disabled={!!error || nodeCount === 0}
+          title="Assign the missing addresses and point the nodes at their configs"
+        >
+          Apply to nodes
+        </button>
+      </div>
+      <span className="helper-text">
+        {nodeCount} node{nodeCount === 1 ? '' : 's'} configured from the addresses of IP Addressing. EOS and SONiC nodes
+        get a startup-config in {CONFIG_DIR}/, FRR nodes their /etc/frr files and linux hosts ip commands in their exec.
+      </span>
+    </div>
+  );
+};
+
+export default ConfigGenPanel;
@@ -10,8 +10,17 @@
  * It also shows options to Import and Save the topologies. There is also the File Manager to manage the files in the containerlab servers.
  * 
  */
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import CytoscapeCanvas from './CytoscapeCanvas';
+import NodePropertiesPanel from './NodePropertiesPanel';
+import HistoryPanel from './HistoryPanel';
+import DraftsModal from './DraftsModal';
+import TemplatesModal from './TemplatesModal';
+import IpamPanel from './IpamPanel';
+import ConfigGenPanel from './ConfigGenPanel';
+import OverlaySettings from './OverlaySettings';
+import LintPanel from './LintPanel';
+import ExportDiagramModal from './ExportDiagramModal';
 import Sidebar from "../Sidebar";
 import { saveAs } from "file-saver";
 import "../styles.css";
@@ -20,6 +29,23 @@ import { Server, Loader2, ChevronLeft, ChevronRight } from "lucide-react";
 import LogModal from './LogModal';
 import FileManagerModal from './FileManagerModal';
 import { useTopology } from '../contexts/TopologyContext';
+import { getClabApiToken } from '../utils/credentials';
+import { getAuthHeaders } from '../utils/auth';
+import { runJob } from '../utils/jobs';
+import { getBackendUrl, getDefaultImage, getServerOptions, getServersWithStatus } from '../utils/config';
+import { getImageOptions } from '../utils/settings';
+import { formToProperties, propertiesFromYamlNode, propertiesToForm } from '../utils/nodeSchema';
+import { reconcileYaml, stringifyYaml } from '../utils/yamlDocument';
+import { exportDiagram } from '../utils/diagramExport';
+import { IMPORT_FORMATS, detectImportFormat, importTopology } from '../utils/importers';
+import { cloneSnapshot, createHistory, moveHistory, recordEntry } from '../utils/history';
+import { copySubgraph, pasteSubgraph } from '../utils/clipboard';
+import { clearAutosave, isEmptyDraft, listDrafts, loadAutosave } from '../utils/drafts';
+import { diagnosticMarkers, hasErrors, lintOnServer, lintTopology } from '../utils/linter';
+import { CONFIG_DIR, CONFIG_LABELS, DEFAULT_CONFIG_GEN, OVERLAY_SUMMARY, ROUTING_PROTOCOLS, applyGeneratedConfigs, generateConfigs, getOverlay, validateConfigGen, validateOverlay } from '../utils/configGen';
+import { DEFAULT_IPAM_POOLS, addressPlanCsv, assignAddresses, clearAddresses, countAddresses, mgmtHostAddresses, validatePools } from '../utils/ipam';
+import { EXTERNAL_LINK_TYPES, LINK_TYPES, MACVLAN_MODES, describeExternalEndpoint, externalEndpointId, formatLinkVars, isExternalLink, linkFromYaml, linkToYaml, parseLinkVars, validateLinkAttributes } from '../utils/links';
+import { describeInterfaceRules, findCatalogEntry, formatInterfaceName, getCatalogEntry, getInterfaceRules, getKindOptions, parseInterfacePort, validateInterfaceName } from '../utils/catalog';
 
 import Editor from 'react-simple-code-editor';
 import { highlight, languages } from 'prismjs/components/prism-core';
@@ -31,6 +57,9 @@ import * as yaml from 'js-yaml';
 
 const elk = new ELK();
 
+// The users the recent drafts picker was shown to since the page was loaded, it is not shown again when they come back to the designer
+const draftPickerShownTo = new Set();
+
 const layoutOptions = {
   'elk.algorithm': 'layered',
   'elk.spacing.nodeNode': 80,
@@ -77,59 +106,103 @@ const getId = () => `node_${id++}`;
 
 const DEFAULT_YAML = {};
 
-/**
- * Converts a containerlab YAML definition to a visual topology for React Flow.
- * 
- * This function:
- * 1. Parses the YAML string into a structured object
- * 2. Extracts node definitions from the YAML topology section
- * 3. Creates new React Flow node objects with appropriate properties
- * 4. Arranges nodes in a simple grid layout
- * 5. Filters edges to only include those connecting nodes in the new topology
- * 
- * The resulting topology can be directly rendered in React Flow, maintaining
- * the structure defined in the containerlab YAML while providing a visual
- * representation of the network.
- */
-const convertYamlToTopology = (yamlString, existingEdges, existingNodes) => {
-  try {
-    const parsedYaml = yaml.load(yamlString);
-    if (!parsedYaml?.topology?.nodes) return null;
-    const existingPositions = {};
-    existingNodes.forEach(node => {
-      existingPositions[node.id] = node.position;
-    });
+// The link attributes as the edge modal edits them: text fields, vars as YAML text and labels as key/value rows
+const EMPTY_LINK_ATTRIBUTES = {
+  type: 'veth',
+  mtu: '',
+  sourceMac: '',
+  targetMac: '',
+  hostInterface: '',
+  mode: '',
+  remote: '',
+  vni: '',
+  udpPort: '',
+  varsText: '',
+  labels: [{ key: '', value: '' }]
+};
 
-    const newNodes = [];
-    let nodePosition = { x: 100, y: 100 };
+const linkAttributesFromEdge = (data = {}) => {
+  const labels = Object.entries(data.labels || {}).map(([key, value]) => ({ key, value: String(value) }));
+  const text = (value) => (value === undefined || value === null ? '' : String(value));
+  return {
+    type: data.type || 'veth',
+    mtu: text(data.mtu),
+    sourceMac: text(data.sourceMac),
+    targetMac: text(data.targetMac),
+    hostInterface: text(data.hostInterface),
+    mode: text(data.mode),
+    remote: text(data.remote),
+    vni: text(data.vni),
+    udpPort: text(data.udpPort),
+    varsText: formatLinkVars(data.vars),
+    labels: labels.length > 0 ? labels : [{ key: '', value: '' }]
+  };
+};
 
-    Object.entries(parsedYaml.topology.nodes).forEach(([nodeName, nodeData]) => {
-      newNodes.push({
-        id: nodeName,
-        position: existingPositions[nodeName] || { ...nodePosition },
-        data: {
-          label: nodeName,
-          kind: nodeData.kind
-        }
-      });
-      nodePosition.x += 200;
-    });
+// Binds are edited as source and target paths, "host/path:/container/path[:ro]" in the topology file
+const bindFromYaml = (bind) => {
+  const separator = String(bind).indexOf(':');
+  return separator < 0 ? { source: String(bind), target: '' } : { source: String(bind).slice(0, separator), target: String(bind).slice(separator + 1) };
+};
 
-    // Filter edges to only include those connecting nodes in the new topology
-    const filteredEdges = existingEdges
-      .filter(edge =>
-        newNodes.some(node => node.id === edge.source) &&
-        newNodes.some(node => node.id === edge.target)
-      );
-      
+const bindToYaml = (bind) => {
+  if (typeof bind === 'string') {
+    return bind.trim();
+  }
+  return bind?.source && bind?.target ? `${bind.source}:${bind.target}` : '';
+};
+
+// Where a node goes on the canvas: where it already is, where containerlab graph put it (graph-posX/Y labels), or a grid
+const getImportPosition = (nodeName, nodeData, index, existingNodes) => {
+  const existing = existingNodes.find(node => node.id === nodeName);
+  if (existing) {
+    return existing.position;
+  }
+  const x = parseFloat(nodeData?.labels?.['graph-posX']);
+  const y = parseFloat(nodeData?.labels?.['graph-posY']);
+  if (!isNaN(x) && !isNaN(y)) {
+    return { x, y };
+  }
+  return { x: 100 + (index % 3) * 200, y: 100 + Math.floor(index / 3) * 150 };
+};
+
+/**
+ * Converts a parsed containerlab topology to the nodes and edges of the canvas.
+ *
+ * Every setting the designer edits is carried over: kind, image, binds, management IPs, startup-config, env, the
+ * node schema properties (group, labels, ports, ...) and every link with its type and attributes. Anything else in
+ * the file stays in the YAML, which updateYaml only edits in place. Nodes already on the canvas keep their position.
+ *
+ * @param {Object} parsedYaml - The topology file, as parsed by js-yaml
+ * @param {Array} existingNodes - The nodes on the canvas
+ * @returns {{nodes: Array, edges: Array}}
+ */
+const convertYamlToTopology = (parsedYaml, existingNodes = []) => {
+  const nodes = Object.entries(parsedYaml.topology.nodes || {}).map(([nodeName, nodeData], index) => {
+    const customFields = Object.entries(nodeData?.env || {}).map(([key, value]) => ({ key, value: String(value) }));
+    const existing = existingNodes.find(node => node.id === nodeName);
     return {
-      nodes: newNodes,
-      edges: filteredEdges
+      id: nodeName,
+      position: getImportPosition(nodeName, nodeData, index, existingNodes),
+      data: {
+        ...(existing?.data?.catalogId && { catalogId: existing.data.catalogId }),
+        label: nodeName,
+        kind: nodeData?.kind || '',
+        image: nodeData?.image || '',
+        binds: (nodeData?.binds || []).map(bindFromYaml),
+        mgmtIp: nodeData?.['mgmt-ipv4'] || '',
+        ipv6MgmtIp: nodeData?.['mgmt-ipv6'] || '',
+        startupConfig: nodeData?.['startup-config'] || '',
+        properties: propertiesFromYamlNode(nodeData || {}),
+        // Ensure we have at least one empty field for the UI
+        customFields: customFields.length > 0 ? customFields : [{ key: '', value: '' }],
+      }
     };
-  } catch (error) {
-    console.error('Invalid YAML:', error);
-    return null;
-  }
+  });
+
+  // Links may be brief (endpoints: ["a:eth1", "b:eth1"]) or extended (type, mtu, vars, ...)
+  const edges = (parsedYaml.topology.links || []).map(linkFromYaml).filter(Boolean);
+  return { nodes, edges };
 };
 
 // This is the list of random names to use for the name of the topology in the topology designer page
@@ -155,48 +228,6 @@ const randomNames = {
   ]
 };
 
-/**
- * Generates a list of sequential IP addresses from a given subnet.
- */
-const generateIpsFromSubnet = (subnet, count) => {
-  // Parse the subnet string (e.g., "172.20.20.0/24")
-  if (!subnet || !subnet.trim()) return [];
-  
-  try {
-    // Extract the base IP and mask
-    const parts = subnet.split('/');
-    if (parts.length !== 2) return [];
-    
-    const baseIpStr = parts[0];
-    const mask = parseInt(parts[1], 10);
-    
-    if (isNaN(mask) || mask < 0 || mask > 32) return [];
-    
-
-    const ipParts = baseIpStr.split('.');
-    if (ipParts.length !== 4) return [];
-    
-    const baseIp = ipParts.map(part => parseInt(part, 10));
-    if (baseIp.some(part => isNaN(part) || part < 0 || part > 255)) return [];
-
-    const generatedIps = [];
-
-    for (let i = 0; i < count; i++) {
-      const hostNum = i + 2; // Start from .2 to avoid the first and last IP addresses in the subnet
-      if (hostNum >= 255) break; // Avoid broadcast address
-      
-      const newIp = [...baseIp];
-      newIp[3] = hostNum;
-      generatedIps.push(newIp.join('.'));
-    }
-    
-    return generatedIps;
-  } catch (error) {
-    console.error("Error parsing subnet:", error);
-    return [];
-  }
-};
-
 /**
  * Main component for the Containerlab Studio.
  * 
@@ -233,6 +264,8 @@ const App = ({ user, parentSetMode }) => {
   const [showKind, setShowKind] = useState(topologyState.showKind);
   const [kindName, setKindName] = useState("");
   const [showIpv6, setShowIpv6] = useState(topologyState.showIpv6);
+  const [ipamPools, setIpamPools] = useState(topologyState.ipamPools || DEFAULT_IPAM_POOLS);
+  const [configGen, setConfigGen] = useState(topologyState.configGen || DEFAULT_CONFIG_GEN);
   const [contextMenu, setContextMenu] = useState(null);
   const [showKindConfig, setShowKindConfig] = useState(false);
   const [showDefault, setShowDefault] = useState(topologyState.showDefault);
@@ -242,9 +275,10 @@ const App = ({ user, parentSetMode }) => {
   const [newEdgeData, setNewEdgeData] = useState(null);
   const [sourceInterface, setSourceInterface] = useState("");
   const [targetInterface, setTargetInterface] = useState("");
+  const [linkAttributes, setLinkAttributes] = useState(EMPTY_LINK_ATTRIBUTES);
   const [showWarning, setShowWarning] = useState(false);
   const [nodeKind, setNodeKind] = useState("ceos");
-  const [nodeImage, setNodeImage] = useState("ceos:4.34.0F");
+  const [nodeImage, setNodeImage] = useState(getDefaultImage('ceos'));
   const [nodeModalWarning, setNodeModalWarning] = useState(false);
   const [isModifying, setIsModifying] = useState(false);
   const [isModifyingEdge, setIsModifyingEdge] = useState(false);
@@ -260,6 +294,7 @@ const App = ({ user, parentSetMode }) => {
   const [showLogModal, setShowLogModal] = useState(false);
   const [operationLogs, setOperationLogs] = useState('');
   const [operationTitle, setOperationTitle] = useState('');
+  const [operationServerIp, setOperationServerIp] = useState(null);
   const [showSshPortForwarding, setShowSshPortForwarding] = useState(false);
   const [showErrorModal, setShowErrorModal] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
@@ -279,6 +314,25 @@ const App = ({ user, parentSetMode }) => {
   const [autoAssignMacSn, setAutoAssignMacSn] = useState({});
   const [isLoadingServerResources, setIsLoadingServerResources] = useState(false);
   const [nodeStartupConfig, setNodeStartupConfig] = useState('');
+  const [nodeProperties, setNodeProperties] = useState(propertiesToForm());
+  const [selectedNodeIds, setSelectedNodeIds] = useState([]);
+  const [clipboard, setClipboard] = useState(null);
+  const [showBulkEditModal, setShowBulkEditModal] = useState(false);
+  const [bulkKind, setBulkKind] = useState('');
+  const [bulkImage, setBulkImage] = useState('');
+  const [showDraftsModal, setShowDraftsModal] = useState(false);
+  const [showTemplatesModal, setShowTemplatesModal] = useState(false);
+  const [showExportDiagram, setShowExportDiagram] = useState(false);
+  const [isDraftsStartup, setIsDraftsStartup] = useState(false);
+  const [startupAutosave, setStartupAutosave] = useState(null);
+  const [showProblems, setShowProblems] = useState(false);
+  const [showIpam, setShowIpam] = useState(false);
+  const [showAddresses, setShowAddresses] = useState(false);
+  const [ipamErrors, setIpamErrors] = useState([]);
+  const [showConfigGen, setShowConfigGen] = useState(false);
+  const [showOverlayModal, setShowOverlayModal] = useState(false);
+  const [deployCheck, setDeployCheck] = useState(null);
+  const [showNodeProperties, setShowNodeProperties] = useState(false);
   const [showFileManagerForStartupConfig, setShowFileManagerForStartupConfig] = useState(false);
   const [showFileManagerForKindStartupConfig, setShowFileManagerForKindStartupConfig] = useState(false);
   const [showFileManager, setShowFileManager] = useState(false);
@@ -315,6 +369,8 @@ const App = ({ user, parentSetMode }) => {
   const [tier2Prefix, setTier2Prefix] = useState('');
   const [tier3Prefix, setTier3Prefix] = useState('');
   const [tierPrefixErrors, setTierPrefixErrors] = useState({});
+  const [generateRouting, setGenerateRouting] = useState('');
+  const [generateOverlay, setGenerateOverlay] = useState(DEFAULT_CONFIG_GEN.overlay);
   const [addStartupConfig, setAddStartupConfig] = useState(false);
   const [applyStartupConfigToAll, setApplyStartupConfigToAll] = useState(true);
   const [generateStartupConfigPath, setGenerateStartupConfigPath] = useState('');
@@ -383,40 +439,171 @@ const App = ({ user, parentSetMode }) => {
   const [isResizing, setIsResizing] = useState(false);
   const [resizeHandle, setResizeHandle] = useState(null);
 
+  // Undo/redo history, see utils/history
+  const [history, setHistory] = useState(createHistory);
+  const [showHistory, setShowHistory] = useState(false);
+  const documentRef = useRef(null);
+  const restoringRef = useRef(false);
+  const pendingAnnotationSnapshotRef = useRef(null);
+  const pendingSelectionRef = useRef(null);
+
+  // The topology as the history records it, kept in a ref so handlers made once (drag, tap) record the latest state
+  documentRef.current = {
+    nodes,
+    edges,
+    yamlOutput,
+    editableYaml,
+    topologyName,
+    showMgmt,
+    mgmtNetwork,
+    ipv4Subnet,
+    showIpv6,
+    ipv6Subnet,
+    showKind,
+    kinds,
+    showDefault,
+    defaultKind,
+    nodeInterfaces,
+    isYamlValid,
+    yamlParseError,
+    ipamPools,
+    configGen,
+    annotations
+  };
+
+  /* This is the function to record a change in the undo history. It is called right before the change is made, with the label shown in the history list. Changes with the same key made one after the other (typing) are one entry. */
+  const recordHistory = (label, key, snapshot = cloneSnapshot(documentRef.current)) => {
+    setHistory(prev => recordEntry(prev, label, snapshot, key));
+  };
+
+  /* This is the function to put back a topology recorded in the history. */
+  const restoreSnapshot = (snapshot) => {
+    // The restored YAML is already the YAML of the restored topology, the effects must not rewrite it
+    restoringRef.current = true;
+    setNodes(snapshot.nodes);
+    setEdges(snapshot.edges);
+    setYamlOutput(snapshot.yamlOutput);
+    setEditableYaml(snapshot.editableYaml);
+    setTopologyName(snapshot.topologyName);
+    setShowMgmt(snapshot.showMgmt);
+    setMgmtNetwork(snapshot.mgmtNetwork);
+    setIpv4Subnet(snapshot.ipv4Subnet);
+    setShowIpv6(snapshot.showIpv6);
+    setIpv6Subnet(snapshot.ipv6Subnet);
+    setShowKind(snapshot.showKind);
+    setKinds(snapshot.kinds);
+    setShowDefault(snapshot.showDefault);
+    setDefaultKind(snapshot.defaultKind);
+    setNodeInterfaces(snapshot.nodeInterfaces);
+    setIsYamlValid(snapshot.isYamlValid);
+    setYamlParseError(snapshot.yamlParseError);
+    setIpamPools(snapshot.ipamPools || DEFAULT_IPAM_POOLS);
+    setConfigGen(snapshot.configGen || DEFAULT_CONFIG_GEN);
+    updateTopologyState({ annotations: snapshot.annotations, selectedAnnotation: null });
+    setConnectSourceNode(null);
+    setContextMenu(null);
+  };
+
+  // What the topology linter finds in the YAML editor, shown on the canvas, next to the YAML lines and in the sidebar
+  const diagnostics = useMemo(() => lintTopology(editableYaml), [editableYaml]);
+  const lintMarkers = useMemo(() => diagnosticMarkers(diagnostics, edges), [diagnostics, edges]);
+  const errorCount = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+
+  /* This is the function to show the node (or the nodes of the link) a problem is about, by selecting it on the canvas. */
+  const handleSelectDiagnostic = (diagnostic) => {
+    const ids = diagnostic.link ? diagnostic.link.map(end => end.node) : [diagnostic.node];
+    cyCanvasRef.current?.selectNodes(ids.filter(id => nodes.some(node => node.id === id)));
+  };
+
+  /*
+   * This is the function to lint the topology before it is deployed or reconfigured on a server: the rules of the YAML,
+   * then the startup-config and bind paths and the published ports on the server. The problems are shown in the deploy
+   * modal; returns false when there are errors, which block the deploy.
+   */
+  const checkBeforeDeploy = async (serverIp, { reconfigure = false, topologyYaml = yamlOutput } = {}) => {
+    setDeployCheck({ serverIp, running: true, diagnostics: [] });
+    const found = [
+      ...lintTopology(topologyYaml),
+      ...await lintOnServer(topologyYaml, serverIp, { checkPorts: !reconfigure })
+    ];
+    setDeployCheck({ serverIp, running: false, diagnostics: found });
+    return !hasErrors(found);
+  };
+
+  /* This is the function to undo (steps < 0) or redo (steps > 0) changes, from the history list or the keyboard. */
+  const handleHistoryMove = (steps) => {
+    const result = moveHistory(history, cloneSnapshot(documentRef.current), steps);
+    if (!result) {
+      return;
+    }
+    setHistory(result.history);
+    restoreSnapshot(result.snapshot);
+  };
+
+  // An empty designer offers the design autosaved before a refresh or a logout and the recent drafts, once per page load.
+  // Only the design the page opens with counts, a designer emptied later on does not bring the picker back.
+  const openingDesignRef = useRef(topologyState);
+  useEffect(() => {
+    const username = user?.username;
+    if (!username || draftPickerShownTo.has(username) || !isEmptyDraft(openingDesignRef.current)) {
+      return;
+    }
+    draftPickerShownTo.add(username);
+    const autosave = loadAutosave(username);
+    const showPicker = (hasDrafts) => {
+      if (autosave || hasDrafts) {
+        setStartupAutosave(autosave);
+        setIsDraftsStartup(true);
+        setShowDraftsModal(true);
+      }
+    };
+    listDrafts()
+      .then(drafts => showPicker(drafts.length > 0))
+      .catch(error => {
+        console.error('Error listing drafts:', error);
+        showPicker(false);
+      });
+  }, [user?.username]);
+
+  /* This is the function to open a draft or the autosaved design from the drafts modal. It replaces the design, which can be undone. */
+  const handleOpenDraft = (state, label) => {
+    recordHistory(label);
+    restoreSnapshot(state);
+    updateTopologyState({
+      annotationColor: state.annotationColor || topologyState.annotationColor,
+      textStyle: state.textStyle || topologyState.textStyle,
+      shapeStyle: state.shapeStyle || topologyState.shapeStyle
+    });
+    setSelectedNodeIds([]);
+    setShowDraftsModal(false);
+  };
+
+  /* This is the function to drop the autosaved design when it is not wanted, so it is not offered again. */
+  const handleDiscardAutosave = () => {
+    clearAutosave(user?.username);
+    setStartupAutosave(null);
+  };
+
+  const handleOpenDrafts = () => {
+    setIsDraftsStartup(false);
+    setShowDraftsModal(true);
+  };
+
   // nodeTypes and edgeTypes removed - Cytoscape handles rendering via styles
 
-  /* This is the list of images that can be used for the nodes in the topology. This is displayed in the Image drop down in the Router details box. Right now it is hardcoded, any changes to the images will need to be made here. */
-  const imageOptions = [
-    { value: "arista_ceos:4.35.1F", label: "4.35.1F", kind: "ceos" },
-    { value: "ceos:4.34.0F", label: "4.34.0F", kind: "ceos" },
-    { value: "ceos:4.33.3F", label: "4.33.3F", kind: "ceos" },
-    { value: "ceos:4.32.5.1M", label: "4.32.5.1M", kind: "ceos" },
-    { value: "ceos:4.32.2F", label: "4.32.2F", kind: "ceos" },
-    { value: "ceos:4.31.4M", label: "4.31.4M", kind: "ceos" },
-    { value: "ceos:4.31.2F", label: "4.31.2F", kind: "ceos" },
-    { value: "ceos:4.30.5M", label: "4.30.5M", kind: "ceos" },
-    { value: "ceos:4.29.6M", label: "4.29.6M", kind: "ceos" },
-    { value: "ceos:4.28.10M", label: "4.28.10M", kind: "ceos" },
-    { value: "sonic-vm:202411", label: "sonic:202411", kind: "sonic-vm" },
-    { value: "alpine", label: "Alpine", kind: "linux" }
-  ];
-
-  /* This is the list of kinds that can be used for the nodes in the topology. This is displayed in the Kind drop down in the Router details box. Right now it is hardcoded, any changes to the kinds will need to be made here. */
-  const kindOptions = [
-    { value: "ceos", label: "cEOS" },
-    { value: "sonic-vm", label: "sonic" },
-    { value: "linux", label: "Linux" },
-  ];
+  /* This is the list of images that can be used for the nodes in the topology. This is displayed in the Image drop down in the Router details box. Admins manage it in the image catalog of the admin console. */
+  const imageOptions = getImageOptions();
+
+  /* This is the list of kinds that can be used for the nodes in the topology. This is displayed in the Kind drop down in the Router details box. It comes from the node catalog, which admins manage in the admin console. */
+  const kindOptions = getKindOptions();
 
   const getFilteredImageOptions = () => {
     if (!nodeKind) return [];
     return imageOptions.filter(option => option.kind === nodeKind);
   };
 
-  /* This is the list of servers that can be used for the deployment of the topology. Again this is hardcoded, any changes to the servers will need to be made here. This is displayed in the Server table after you click on deploy */
-  const serverOptions = [
-    { value: "10.83.12.237", label: "10.83.12.237" }
-  ];
+  /* This is the list of servers that can be used for the deployment of the topology, as managed in the admin console. This is displayed in the Server table after you click on deploy */
+  const serverOptions = getServerOptions();
 
   // const handleModeChange = (newMode) => {
   //   setMode(newMode);
@@ -465,13 +652,20 @@ const App = ({ user, parentSetMode }) => {
     }
   }, [showMgmt, showKind, showDefault]);
 
-  const getNextInterfaceNumber = (nodeId) => {
-    const usedInterfaces = nodeInterfaces[nodeId] || [];
+  // Runs after the effects above, so they only skip the render of an undo or redo
+  useEffect(() => {
+    restoringRef.current = false;
+  });
+
+  /* This is the function to get the first free interface of a node, named the way its kind names interfaces (eth3, e1-3, ...). Names given as CLI aliases count as used too. */
+  const getNextInterfaceName = (node) => {
+    const rules = getInterfaceRules(node.data);
+    const usedPorts = (nodeInterfaces[node.id] || []).map(name => parseInterfacePort(rules, name));
     let nextNumber = 1;
-    while (usedInterfaces.includes(`eth${nextNumber}`)) {
+    while (usedPorts.includes(nextNumber) && nextNumber < rules.maxPorts) {
       nextNumber++;
     }
-    return nextNumber;
+    return formatInterfaceName(rules, nextNumber);
   };
 
   /* This is the function to update the node interfaces. It is used to update the node interfaces when a new edge is created. */
@@ -489,6 +683,25 @@ const App = ({ user, parentSetMode }) => {
     setContextMenu(null);
   }, [contextMenu]);
 
+  /* This is the function to handle the "External link" context menu action. It opens the edge modal for a link with a single node endpoint (host, mgmt-net, macvlan or vxlan). */
+  const handleExternalLink = () => {
+    const sourceNode = nodes.find((n) => n.id === contextMenu.element.id);
+    setContextMenu(null);
+    if (!sourceNode || (showMgmt && !validateMgmtSettings())) {
+      return;
+    }
+    const nextSourceInterface = getNextInterfaceName(sourceNode);
+    setNewEdgeData({
+      source: sourceNode.id,
+      sourceNodeName: sourceNode.data.label,
+      external: true
+    });
+    setSourceInterface(nextSourceInterface);
+    setTargetInterface("");
+    setLinkAttributes({ ...EMPTY_LINK_ATTRIBUTES, type: 'host' });
+    setIsEdgeModalOpen(true);
+  };
+
   const onNodeTap = useCallback(
     (nodeData) => {
       if (connectSourceNode && nodeData.id !== connectSourceNode.id) {
@@ -505,19 +718,20 @@ const App = ({ user, parentSetMode }) => {
           return;
         }
 
-        const sourceInterfaceNumber = getNextInterfaceNumber(connectSourceNode.id);
-        const targetInterfaceNumber = getNextInterfaceNumber(nodeData.id);
+        const nextSourceInterface = getNextInterfaceName(sourceNode);
+        const nextTargetInterface = getNextInterfaceName(targetNode);
 
         setNewEdgeData({
           source: connectSourceNode.id,
           target: nodeData.id,
           sourceNodeName: sourceNode.data.label,
           targetNodeName: targetNode.data.label,
-          sourceInterface: `eth${sourceInterfaceNumber}`,
-          targetInterface: `eth${targetInterfaceNumber}`,
+          sourceInterface: nextSourceInterface,
+          targetInterface: nextTargetInterface,
         });
-        setSourceInterface(`eth${sourceInterfaceNumber}`);
-        setTargetInterface(`eth${targetInterfaceNumber}`);
+        setSourceInterface(nextSourceInterface);
+        setTargetInterface(nextTargetInterface);
+        setLinkAttributes(EMPTY_LINK_ATTRIBUTES);
         setIsEdgeModalOpen(true);
         setConnectSourceNode(null);
       }
@@ -581,32 +795,26 @@ const App = ({ user, parentSetMode }) => {
         position = { x: 200, y: 200 };
       }
 
+      const entry = getCatalogEntry(type);
+      if (!entry) return;
+
       const newNode = {
         id: getId(),
         position,
-        data: { label: `${type} node` }
+        data: { label: `${entry.label} node`, catalogId: entry.id }
       };
 
       setNewNode(newNode);
       setIsModalOpen(true);
       setModalType("create"); // Set to create mode
-      
-      // Set default values based on node type
-      if (type === 'router') {
-        setNodeNamePrefix('ceos');
-        setNodeKind('ceos');
-        setNodeImage('ceos:4.34.0F');
-      } else if (type === 'server') {
-        setNodeNamePrefix('host');
-        setNodeKind('linux');
-        setNodeImage('alpine');
-      }
+      applyCatalogDefaults(entry);
       
       setNodeCount(1);
       setNodeBinds([""]);
       setNodeMgmtIp("");
       setNodeModalWarning(false);
       setNodeCustomFields([{ key: '', value: '' }]);
+      setNodeProperties(propertiesToForm());
     },
     [nodes, edges, topologyName, yamlOutput, showMgmt, mgmtNetwork, ipv4Subnet]
   );
@@ -620,6 +828,7 @@ const App = ({ user, parentSetMode }) => {
   const onElementsRemove = useCallback(
     (elementsToRemove) => {
       const removeIds = new Set(elementsToRemove.map(el => el.id));
+      recordHistory('Delete elements');
       const updatedNodes = nodes.filter(n => !removeIds.has(n.id));
       const updatedEdges = edges.filter(e => !removeIds.has(e.id));
       setNodes(updatedNodes);
@@ -629,9 +838,33 @@ const App = ({ user, parentSetMode }) => {
     [nodes, edges]
   );
 
+  /* This is the function to fill in the node modal with the defaults of a node catalog entry: name prefix, kind and image. */
+  const applyCatalogDefaults = (entry) => {
+    const defaultImage = getDefaultImage(entry.kind);
+    const hasDefaultImage = entry.images.some(image => image.value === defaultImage);
+    setNodeNamePrefix(entry.namePrefix);
+    setNodeKind(entry.kind);
+    setNodeImage(hasDefaultImage || entry.images.length === 0 ? defaultImage : entry.images[0].value);
+  };
+
+  /* This is the function to get the title of the node modal, after the catalog entry of the node. */
+  const getNodeModalTitle = (node) => {
+    const entry = getCatalogEntry(node?.data?.catalogId) || findCatalogEntry(node?.data?.kind, node?.data?.image);
+    if (entry) {
+      return `${entry.label} Details`;
+    }
+    return ['router', 'leaf', 'spine'].some(term => node?.data?.label?.toLowerCase().includes(term)) ? 'Router Details' : 'Server/Hosts Details';
+  };
+
   /* This is the function to handle clicking on node buttons in the sidebar. It creates a node at the center of the canvas. */
   const onNodeClick = useCallback(
-    (nodeType) => {
+    (catalogId) => {
+      const entry = getCatalogEntry(catalogId);
+      if (!entry) {
+        return;
+      }
+
+
       // Check if management settings are valid when required
       if (showMgmt && !validateMgmtSettings()) {
         return;
@@ -654,37 +887,20 @@ const App = ({ user, parentSetMode }) => {
       const newNode = {
         id: getId(),
         position,
-        data: { label: `${nodeType} node`, nodeType: nodeType }
+        data: { label: `${entry.label} node`, catalogId: entry.id }
       };
 
       setNewNode(newNode);
       setIsModalOpen(true);
       setModalType("create"); // Set to create mode
-      
-      // Set default values based on node type
-      if (nodeType === 'router') {
-        setNodeNamePrefix('ceos');
-        setNodeKind('ceos');
-        setNodeImage('ceos:4.34.0F');
-      } else if (nodeType === 'bridge') {
-        setNodeNamePrefix('bridge');
-        setNodeKind('linux');
-        setNodeImage('alpine');
-      } else if (nodeType === 'linux-host') {
-        setNodeNamePrefix('linux');
-        setNodeKind('linux');
-        setNodeImage('alpine');
-      } else if (nodeType === 'container') {
-        setNodeNamePrefix('container');
-        setNodeKind('linux');
-        setNodeImage('alpine');
-      }
+      applyCatalogDefaults(entry);
       
       setNodeCount(1);
       setNodeBinds([""]);
       setNodeMgmtIp("");
       setNodeModalWarning(false);
       setNodeCustomFields([{ key: '', value: '' }]);
+      setNodeProperties(propertiesToForm());
     },
     [yamlOutput, showMgmt, validateMgmtSettings, topologyName]
   );
@@ -717,6 +933,8 @@ const App = ({ user, parentSetMode }) => {
     setTier2Prefix('');
     setTier3Prefix('');
     setTierPrefixErrors({});
+    setGenerateRouting('');
+    setGenerateOverlay(getOverlay(configGen));
     setAddStartupConfig(false);
     setApplyStartupConfigToAll(true);
     setGenerateStartupConfigPath('');
@@ -728,9 +946,9 @@ const App = ({ user, parentSetMode }) => {
     setGenerateBindsErrors([]);
     setSelectedDevicesForBinds({ superSpines: [], spines: [], leafs: [], hosts: [] });
     const ceosOptions = imageOptions.filter(option => option.kind === 'ceos');
-    setGenerateEosVersion(ceosOptions[0] ? ceosOptions[0].value : 'ceos:4.34.0F');
+    setGenerateEosVersion(ceosOptions[0] ? ceosOptions[0].value : getDefaultImage('ceos'));
     setIsGenerateModalOpen(true);
-  }, [imageOptions]);
+  }, [imageOptions, configGen]);
 
   /* Validation handlers for Generate modal inputs */
   const handleSuperSpinesChange = (e) => {
@@ -1027,7 +1245,47 @@ const App = ({ user, parentSetMode }) => {
         });
       });
     }
-    return yaml.dump(yamlObject, { lineWidth: -1, quotingType: '"', forceQuotes: true });
+    return stringifyYaml(yamlObject);
+  };
+
+  /*
+   * This is the function to turn the generated cabling into a working fabric when the Generate modal asks for an
+   * underlay: the links and loopbacks get addresses from the pools and every node a generated startup-config. The hosts
+   * are labelled as such and, as custom prefixes may not say "spine", each spine tier gets its AS and its part in the
+   * overlay as labels.
+   */
+  const addGeneratedUnderlay = (generatedYaml, routing, spineTiers, overlay) => {
+    const parsed = yaml.load(generatedYaml);
+    Object.entries(parsed.topology.nodes).forEach(([name, node]) => {
+      const isOf = (prefix) => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length));
+      const tier = spineTiers.findIndex(isOf);
+      if (isOf('host')) {
+        node.labels = { [CONFIG_LABELS.role]: 'host' };
+        return;
+      }
+      if (routing === 'ebgp' && tier >= 0) {
+        node.labels = { ...node.labels, [CONFIG_LABELS.asn]: String(Number(configGen.asnBase) + tier) };
+      }
+      if (overlay.enabled && tier >= 0) {
+        node.labels = { ...node.labels, [CONFIG_LABELS.overlay]: spineTiers[tier] === overlay.routeServers ? 'route-server' : 'none' };
+      }
+    });
+
+    const settings = { ...configGen, enabled: true, routing, overlay };
+    const topology = convertYamlToTopology(parsed);
+    const addressed = assignAddresses(topology.nodes, topology.edges, ipamPools);
+    const result = generateConfigs(addressed.nodes, addressed.edges, settings, ipamPools);
+    applyGeneratedConfigs(addressed.nodes, result.nodeUpdates).forEach(node => {
+      const yamlNode = parsed.topology.nodes[node.id];
+      if (node.data.startupConfig) yamlNode['startup-config'] = node.data.startupConfig;
+      if (node.data.binds.length > 0) yamlNode.binds = node.data.binds.map(bindToYaml).filter(Boolean);
+      if (node.data.properties.labels) yamlNode.labels = node.data.properties.labels;
+      if (node.data.properties.exec) yamlNode.exec = node.data.properties.exec;
+    });
+    parsed.topology.links = addressed.edges.map(edge => linkToYaml(edge));
+    setConfigGen(settings);
+    setIpamErrors(addressed.errors);
+    return stringifyYaml(parsed);
   };
 
   /* Handler for Generate modal submit */
@@ -1075,8 +1333,12 @@ const App = ({ user, parentSetMode }) => {
         if (total === 0) { alert('Please select at least one device for binds'); return; }
       }
     }
+    if (generateRoutingError) return;
     try {
-      const generatedYaml = generateTopologyYaml(numberOfTiers, superSpines, spines, leafs, generateEosVersion, spinesInMlag, leafsInMlag, addHosts ? (parseInt(numberOfHosts) || 0) : 0, hostParents, useDefaultPrefix, { tier1: tier1Prefix, tier2: tier2Prefix, tier3: tier3Prefix });
+      const cablingYaml = generateTopologyYaml(numberOfTiers, superSpines, spines, leafs, generateEosVersion, spinesInMlag, leafsInMlag, addHosts ? (parseInt(numberOfHosts) || 0) : 0, hostParents, useDefaultPrefix, { tier1: tier1Prefix, tier2: tier2Prefix, tier3: tier3Prefix });
+      recordHistory('Generate topology');
+      const overlay = { ...generateOverlay, routeServers: generateRouteServers };
+      const generatedYaml = generateRouting ? addGeneratedUnderlay(cablingYaml, generateRouting, generateSpineTiers, overlay) : cablingYaml;
       handleYamlChange(generatedYaml);
       setIsGenerateModalOpen(false);
     } catch (error) {
@@ -1087,8 +1349,27 @@ const App = ({ user, parentSetMode }) => {
 
   const handleGenerateClose = () => { setIsGenerateModalOpen(false); };
 
+  // The spine tiers the Generate modal builds, the last one is linked to the leafs and is where the EVPN route servers go by default
+  const generateSpineTiers = useDefaultPrefix
+    ? (numberOfTiers === '3' ? ['superspine', 'spine'] : ['spine'])
+    : (numberOfTiers === '3' ? [tier1Prefix, tier2Prefix] : [tier1Prefix]);
+  const generateRouteServers = generateSpineTiers.includes(generateOverlay.routeServers)
+    ? generateOverlay.routeServers
+    : generateSpineTiers[generateSpineTiers.length - 1];
+
+  // The AS numbers of a generated eBGP underlay come from the startup config settings
+  const generateRoutingError = generateRouting
+    ? validateConfigGen({ ...configGen, routing: generateRouting, overlay: { ...generateOverlay, routeServers: generateRouteServers } })
+    : '';
+  // Those are shown by the overlay settings
+  const generateOverlayErrors = generateOverlay.enabled ? validateOverlay(generateOverlay) : [];
+
   /* This is the function to update the YAML output of the topology. It is used to update the YAML output of the topology when a node or an edge is added or removed. */
   const updateYaml = (updatedNodes, updatedEdges) => {
+    if (restoringRef.current) {
+      return;
+    }
+
     // If there are no nodes and no explicit topology settings, return empty YAML
     if (
       updatedNodes.length === 0 && 
@@ -1102,13 +1383,14 @@ const App = ({ user, parentSetMode }) => {
       return;
     }
 
-    // Try to parse existing YAML to preserve any existing configuration
+    // Settings the designer does not manage are kept by reconcileYaml below, this only decides how subnets are spelled
     let existingConfig = {};
     try {
       existingConfig = yaml.load(yamlOutput) || {};
     } catch (error) {
       console.warn('Could not parse existing YAML:', error);
     }
+    const subnetKey = (version) => (existingConfig?.mgmt?.[`ipv${version}_subnet`] !== undefined ? `ipv${version}_subnet` : `ipv${version}-subnet`);
 
     
     const yamlObject = {
@@ -1121,22 +1403,17 @@ const App = ({ user, parentSetMode }) => {
    
     updatedNodes.forEach((node) => {
       const nodeKey = node.id || node.data.label;
-      const existingNode = existingConfig?.topology?.nodes?.[nodeKey] || {};
-      yamlObject.topology.nodes[nodeKey] = {
-        ...existingNode, 
-        kind: node.data.kind || existingNode.kind,
-        image: node.data.image || existingNode.image,
-      };
+      yamlObject.topology.nodes[nodeKey] = {};
+      if (node.data.kind) {
+        yamlObject.topology.nodes[nodeKey].kind = node.data.kind;
+      }
+      if (node.data.image) {
+        yamlObject.topology.nodes[nodeKey].image = node.data.image;
+      }
 
-      if (node.data.binds?.length > 0) {
-        const validBinds = node.data.binds
-          .filter(bind => bind.source && bind.target)
-          .map(bind => `${bind.source}:${bind.target}`);
-        if (validBinds.length > 0) {
-          yamlObject.topology.nodes[nodeKey].binds = validBinds;
-        }
-      } else if (existingNode.binds) {
-        yamlObject.topology.nodes[nodeKey].binds = existingNode.binds;
+      const validBinds = (node.data.binds || []).map(bindToYaml).filter(Boolean);
+      if (validBinds.length > 0) {
+        yamlObject.topology.nodes[nodeKey].binds = validBinds;
       }
 
       if (node.data.mgmtIp) {
@@ -1160,29 +1437,25 @@ const App = ({ user, parentSetMode }) => {
           }
         });
       }
+
+      // Properties of the node schema set in the node modal (ports, exec, labels, cpu, memory, stages, ...)
+      Object.assign(yamlObject.topology.nodes[nodeKey], node.data.properties);
     });
 
     
     if (updatedEdges.length > 0) {
-      yamlObject.topology.links = updatedEdges.map((edge) => {
-        return {
-          endpoints: [
-            `${edge.source}:${edge.data?.sourceInterface || 'eth1'}`,
-            `${edge.target}:${edge.data?.targetInterface || 'eth1'}`
-          ]
-        };
-      });
+      yamlObject.topology.links = updatedEdges.map((edge) => linkToYaml(edge));
     }
 
     
     if (showMgmt) {
       yamlObject.mgmt = {
         network: mgmtNetwork,
-        ipv4_subnet: ipv4Subnet
+        [subnetKey(4)]: ipv4Subnet
       };
 
       if (showIpv6 && ipv6Subnet) {
-        yamlObject.mgmt.ipv6_subnet = ipv6Subnet;
+        yamlObject.mgmt[subnetKey(6)] = ipv6Subnet;
       }
     }
 
@@ -1222,11 +1495,8 @@ const App = ({ user, parentSetMode }) => {
       }
     }
 
-    const yamlString = yaml.dump(yamlObject, { 
-      lineWidth: -1,  // Don't wrap long lines
-      quotingType: '"',  // Use double quotes for strings
-      forceQuotes: true  // Force quotes around all strings
-    });
+    // Write the changes into the YAML shown in the editor, so its comments, formatting and other settings are kept
+    const yamlString = reconcileYaml(yamlOutput, yamlObject);
     setYamlOutput(yamlString);
     setEditableYaml(yamlString);
     
@@ -1235,71 +1505,29 @@ const App = ({ user, parentSetMode }) => {
       yamlOutput: yamlString,
       editableYaml: yamlString
     });
+    return yamlString;
   };
   
   /* This is the function to handle the change in the topology name. It is used to update the YAML output of the topology when the topology name is changed. */
   const handleTopologyNameChange = (event) => {
     const newTopologyName = event.target.value;
+    recordHistory('Rename topology', 'name');
     setTopologyName(newTopologyName);
     
+    // Only the name changes, everything else in the YAML is left as it is
+    let currentYaml = {};
+    try {
+      currentYaml = yaml.load(yamlOutput) || {};
+    } catch (error) {
+      console.warn('Could not parse existing YAML:', error);
+    }
     const yamlData = {
+      ...currentYaml,
       name: `${user?.username || ''}-${newTopologyName}`,
-      topology: {
-        nodes: nodes.reduce((acc, node) => {
-          const nodeConfig = {};
-          if (node.data.kind?.trim()) nodeConfig.kind = node.data.kind;
-          if (node.data.image?.trim()) nodeConfig.image = node.data.image;
-          if (node.data.binds?.some(bind => bind.trim())) {
-            nodeConfig.binds = node.data.binds.filter(bind => bind.trim());
-          }
-          if (node.data.mgmtIp?.trim()) nodeConfig['mgmt-ipv4'] = node.data.mgmtIp;
-          if (node.data.startupConfig?.trim()) nodeConfig['startup-config'] = node.data.startupConfig;
-          
-          acc[node.data.label] = nodeConfig;
-          return acc;
-        }, {}),
-        links: edges.map((edge) => ({
-          endpoints: [
-            `${nodes.find(n => n.id === edge.source).data.label}:${edge.data.sourceInterface}`,
-            `${nodes.find(n => n.id === edge.target).data.label}:${edge.data.targetInterface}`
-          ]
-        }))
-      }
+      topology: currentYaml.topology || { nodes: {} }
     };
 
-    if (showMgmt) {
-      yamlData.mgmt = {
-        network: mgmtNetwork,
-        "ipv4-subnet": ipv4Subnet,
-        ...(showIpv6 && ipv6Subnet && { "ipv6-subnet": ipv6Subnet })
-      };
-    }
-
-    if (showKind && kinds.length > 0) {
-      yamlData.topology = yamlData.topology || {};
-      yamlData.topology.kinds = kinds.reduce((acc, kind) => {
-        if (kind.name) {
-          acc[kind.name] = {
-            ...(kind.config.showStartupConfig && { 'startup-config': kind.config.startupConfig }),
-            ...(kind.config.showImage && { image: kind.config.image }),
-            ...(kind.config.showExec && { exec: kind.config.exec.filter(e => e) }),
-            ...(kind.config.showBinds && { binds: kind.config.binds.filter(b => b) })
-          };
-        }
-        return acc;
-      }, {});
-    }
-
-    if (showDefault && defaultKind.trim()) {
-      yamlData.topology = yamlData.topology || {};
-      yamlData.topology.defaults = { kind: defaultKind };
-    }
-
-    const generatedYaml = yaml.dump(yamlData, {
-      lineWidth: -1,
-      quotingType: '"',
-      forceQuotes: true
-    });
+    const generatedYaml = reconcileYaml(yamlOutput, yamlData);
     setYamlOutput(generatedYaml);
     setEditableYaml(generatedYaml);
     
@@ -1312,6 +1540,7 @@ const App = ({ user, parentSetMode }) => {
 
   /* This is the function to handle the change in the management settings in Global optional settings. It is used to update the YAML output of the topology when the management settings are changed. */
   const handleMgmtCheckbox = (e) => {
+    recordHistory(e.target.checked ? 'Add management network' : 'Remove management network');
     if (!topologyName.trim()) {
       const newName = generateRandomName();
       setTopologyName(newName);
@@ -1351,6 +1580,7 @@ const App = ({ user, parentSetMode }) => {
   /* This is the function to handle the change in the IPv4 subnet. It is used to update the YAML output of the topology when the IPv4 settings is changed. */
   const handleIpv4SubnetChange = (event) => {
     const newValue = event.target.value;
+    recordHistory('Change IPv4 subnet', 'ipv4-subnet');
     setIpv4Subnet(newValue);
     
     // Clear warning if this is now valid
@@ -1366,8 +1596,8 @@ const App = ({ user, parentSetMode }) => {
   const autoAssignMgmtIPs = (subnet) => {
     if (!nodes.length) return;
     
-    // Generate IPs for all nodes
-    const ips = generateIpsFromSubnet(subnet, nodes.length);
+    // Generate IPs for all nodes, from a management subnet of any prefix length
+    const ips = mgmtHostAddresses(subnet, nodes.length);
     if (!ips.length) return;
     
     // Update each node with a management IP
@@ -1396,6 +1626,7 @@ const App = ({ user, parentSetMode }) => {
   /* This is the function to handle the change in the IPv6 subnet. It is used to update the YAML output of the topology when the IPv6 settings is changed. */
   const handleIpv6SubnetChange = (event) => {
     const newValue = event.target.value;
+    recordHistory('Change IPv6 subnet', 'ipv6-subnet');
     setIpv6Subnet(newValue);
   };
 
@@ -1407,11 +1638,13 @@ const App = ({ user, parentSetMode }) => {
   /* This is the function to handle the change in the default kind. It is used to update the YAML output of the topology when the default kind is changed. */
   const handleDefaultKindChange = (event) => {
     const newValue = event.target.value;
+    recordHistory('Change default kind');
     setDefaultKind(newValue);
   };
 
   /* This is the function to handle the change in the kind name. It is used to update the YAML output of the topology when the kind name is changed. */
   const handleKindNameChange = (index, value) => {
+    recordHistory('Change kind');
     const newKinds = [...kinds];
     newKinds[index].name = value;
     setKinds(newKinds);
@@ -1420,6 +1653,7 @@ const App = ({ user, parentSetMode }) => {
 
   /* This is the function to handle the change in the kind configuration. It is used to update the YAML output of the topology when the kind configuration is changed. */
   const handleKindConfigChange = (kindIndex, field, value) => {
+    recordHistory(`Configure kind ${kinds[kindIndex].name}`, `kind-${kindIndex}`);
     const newKinds = [...kinds];
     newKinds[kindIndex].config[field] = value;
     setKinds(newKinds);
@@ -1428,6 +1662,7 @@ const App = ({ user, parentSetMode }) => {
 
   /* This is the function to handle the addition of a new kind again this is in global settings. It is used to add a new kind to the topology. */
   const handleAddKind = () => {
+    recordHistory('Add kind');
     const newKind = {
       name: kindName,
       config: {
@@ -1448,6 +1683,7 @@ const App = ({ user, parentSetMode }) => {
 
   /* This is the function to handle the addition of a new exec in the configure kind modal. It is used to add a new exec to the kind. */
   const handleAddExec = () => {
+    recordHistory(`Configure kind ${kinds[currentKindIndex].name}`, `kind-${currentKindIndex}`);
     setKinds(prevKinds => {
       const newKinds = [...prevKinds];
       newKinds[currentKindIndex].config.exec.push("");
@@ -1525,11 +1761,18 @@ const App = ({ user, parentSetMode }) => {
 
   /* This is the function to handle the submission of the modal. It is used to submit the modal when a node is modified. */
   const handleModalSubmit = () => {
+    const { properties, error: propertiesError } = formToProperties(nodeProperties, newNode?.data?.properties);
+    if (propertiesError) {
+      setErrorMessage(propertiesError);
+      setShowErrorModal(true);
+      return;
+    }
     if (modalType === "modify") {
       if (!nodeName.trim() || !nodeKind.trim()) {
         setNodeModalWarning(true);
         return;
       }
+      recordHistory(`Modify node ${newNode.data.label}`);
       const oldNodeId = newNode.id;
       const wasNameChanged = nodeName !== newNode.data.label;
       const updatedNodeId = wasNameChanged ? nodeName : oldNodeId;
@@ -1545,6 +1788,7 @@ const App = ({ user, parentSetMode }) => {
           mgmtIp: nodeMgmtIp,
           ipv6MgmtIp: nodeIpv6MgmtIp,
           startupConfig: nodeStartupConfig,
+          properties,
           customFields: nodeCustomFields,
           ...(Object.fromEntries(nodeCustomFields.filter(f => f.key && f.value).map(f => [f.key, f.value])))
         },
@@ -1585,6 +1829,7 @@ const App = ({ user, parentSetMode }) => {
       setNodeModalWarning(true);
       return;
     }
+    recordHistory(nodeCount === 1 ? `Add node ${nodeName.trim() || nodeNamePrefix}` : `Add ${nodeCount} ${nodeNamePrefix} nodes`);
 
     // Find the highest node number for this prefix to ensure no duplicates
     let highestNodeNum = 0;
@@ -1618,6 +1863,7 @@ const App = ({ user, parentSetMode }) => {
           mgmtIp: nodeMgmtIp,
           ipv6MgmtIp: nodeIpv6MgmtIp,
           startupConfig: nodeStartupConfig,
+          properties,
           customFields: nodeCustomFields,
           ...(Object.fromEntries(nodeCustomFields.filter(f => f.key && f.value).map(f => [f.key, f.value])))
         },
@@ -1682,6 +1928,7 @@ const App = ({ user, parentSetMode }) => {
             mgmtIp: nodeMgmtIpWithSuffix,
             ipv6MgmtIp: ipv6WithSuffix,
             startupConfig: nodeStartupConfig,
+            properties,
             customFields: nodeCustomFields,
             ...(Object.fromEntries(nodeCustomFields.filter(f => f.key && f.value).map(f => [f.key, f.value])))
           },
@@ -1704,14 +1951,16 @@ const App = ({ user, parentSetMode }) => {
     setNodeName("");
     setNodeNamePrefix("");
     setNodeKind("ceos");
-    setNodeImage("ceos:4.34.0F");
+    setNodeImage(getDefaultImage('ceos'));
     setNodeBinds([""]);
     setNodeMgmtIp("");
     setNodeIpv6MgmtIp("");
     setNodeModalWarning(false);
     setNodeCount(1);
     setNodeStartupConfig("");
+    setNodeProperties(propertiesToForm());
     setShowOptionalSettings(false); // Collapse optional settings by default next time
+    setShowNodeProperties(false);
   };
 
   /* This is the function to handle the cancellation of the modal. It is used to cancel the modal when a node is modified. */
@@ -1724,7 +1973,9 @@ const App = ({ user, parentSetMode }) => {
     setNodeIpv6MgmtIp("");
     setNodeCount(1);
     setNodeStartupConfig("");
+    setNodeProperties(propertiesToForm());
     setShowOptionalSettings(false); // Collapse optional settings by default next time
+    setShowNodeProperties(false);
   };
 
   /* This is the function to handle the download of the YAML file. It is used to download the YAML file of the topology. */
@@ -1736,6 +1987,16 @@ const App = ({ user, parentSetMode }) => {
     saveAs(blob, fileName);
   };
 
+  /* This is the function to export the canvas as a PNG, SVG or PDF diagram with the options of the Export Diagram modal. */
+  const handleExportDiagram = async (options) => {
+    const diagram = cyCanvasRef.current?.getDiagram();
+    if (!diagram || diagram.nodes.length === 0) {
+      throw new Error('the canvas is empty');
+    }
+    const blob = await exportDiagram(diagram, { name: topologyName, nodes, annotations }, options);
+    saveAs(blob, `${topologyName || 'topology'}.${options.format}`);
+  };
+
   /* This is the function to handle the deployment of the topology. It is used to deploy the topology to the containerlab server you selected. */
   const handleDeploy = async () => {
     try {
@@ -1747,6 +2008,7 @@ const App = ({ user, parentSetMode }) => {
         setYamlOutput(updatedYaml);
       }
       
+      setDeployCheck(null);
       setIsDeployModalOpen(true);
       // Fetch server resource information when opening the deploy modal
       fetchServerResources();
@@ -1774,7 +2036,7 @@ const App = ({ user, parentSetMode }) => {
       
       for (const server of serverOptions) {
         // This is the API call to fetch the server resource information
-        const response = await fetch(`http://${server.value}:3001/api/system/metrics`);
+        const response = await fetch(`${getBackendUrl(server.value)}/api/system/metrics`, { headers: getAuthHeaders() });
         
         if (response.ok) {
           const data = await response.json();
@@ -1802,23 +2064,10 @@ const App = ({ user, parentSetMode }) => {
         // Check if the lab exists on this server (only if topology name is not empty)
         if (formattedTopologyName) {
           try {
-            // First, we need to login to get an auth token using the proxy
-            const loginResponse = await fetch(`/login`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-              },
-              body: JSON.stringify({
-                username: user?.username,
-                password: 'ul678clab'
-              })
-            });
+            // First, we need an auth token, the backend logs in with the user's stored credentials
+            const authToken = await getClabApiToken(server.value).catch(() => null);
             
-            if (loginResponse.ok) {
-              const loginData = await loginResponse.json();
-              const authToken = loginData.token;
-              
+            if (authToken) {
               // Use the official containerlab API to check if the lab exists
               const inspectResponse = await fetch(
                 `/api/v1/labs/${formattedTopologyName}`,
@@ -1881,6 +2130,66 @@ const App = ({ user, parentSetMode }) => {
     }
   }, [isDeployModalOpen]);
 
+  /*
+   * This is the function to write the generated startup configs into the configs directory of the lab, when generation
+   * is turned on. It runs before the deploy checks, which look for the files, and points the nodes at the configs when
+   * they are not yet. Returns the YAML to deploy, or null when the files could not be written, shown in the deploy modal.
+   */
+  const writeGeneratedConfigs = async (serverIp) => {
+    if (!configGen.enabled) {
+      return yamlOutput;
+    }
+    setDeployCheck({ serverIp, running: true, diagnostics: [] });
+    try {
+      if (configGenError) {
+        throw new Error(configGenError);
+      }
+      const labName = yaml.load(yamlOutput)?.name;
+      if (!labName) {
+        throw new Error('the topology has no name');
+      }
+      const labDirectory = `/home/clab_nfs_share/containerlab_topologies/${user.username}/${labName}`;
+      const postFile = async (endpoint, body) => {
+        const response = await fetch(`${getBackendUrl(serverIp)}/api/files/${endpoint}`, {
+          method: 'POST',
+          headers: {
+            ...getAuthHeaders(),
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ serverIp, ...body, username: user.username })
+        });
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || `${endpoint} failed with status ${response.status}`);
+        }
+      };
+
+      const result = generateConfigs(nodes, edges, configGen, ipamPools);
+      if (result.files.length > 0) {
+        await postFile('createDirectory', { path: labDirectory, directoryName: CONFIG_DIR });
+        for (const file of result.files) {
+          await postFile('createFile', { path: `${labDirectory}/${CONFIG_DIR}`, fileName: file.path.slice(CONFIG_DIR.length + 1), content: file.content });
+        }
+      }
+
+      const updatedNodes = applyGeneratedConfigs(nodes, result.nodeUpdates);
+      if (updatedNodes.every((node, index) => node === nodes[index])) {
+        return yamlOutput;
+      }
+      recordHistory('Apply startup configs');
+      setNodes(updatedNodes);
+      return updateYaml(updatedNodes, edges);
+    } catch (error) {
+      console.error('Error writing the generated configs:', error);
+      setDeployCheck({
+        serverIp,
+        running: false,
+        diagnostics: [{ rule: 'config-generation', severity: 'error', message: `Could not write the generated startup configs: ${error.message}`, line: null }]
+      });
+      return null;
+    }
+  };
+
   /* This is the function to handle reconfiguration of the topology on the containerlab server */
   const handleServerReconfigure = async (serverIp) => {
     try {
@@ -1892,9 +2201,16 @@ const App = ({ user, parentSetMode }) => {
       }
       
       setReconfigureLoading(prev => ({ ...prev, [serverIp]: true }));
+      const deployYaml = await writeGeneratedConfigs(serverIp);
+      if (deployYaml === null || !await checkBeforeDeploy(serverIp, { reconfigure: true, topologyYaml: deployYaml })) {
+        return;
+      }
       setOperationTitle('Reconfiguring Topology');
       setShowLogModal(true);
       setOperationLogs('Starting reconfiguration...\n');
+      if (configGen.enabled) {
+        setOperationLogs(prev => prev + `\nWrote the generated startup configs to ${CONFIG_DIR}/\n`);
+      }
       
       // Get the topology name with proper formatting
       const formattedTopologyName = topologyName.includes(user?.username) 
@@ -1904,85 +2220,20 @@ const App = ({ user, parentSetMode }) => {
       setOperationLogs(prev => prev + `\nReconfiguring lab: ${formattedTopologyName}\n`);
       setOperationLogs(prev => prev + `\nNote: Reconfiguration will only work if this topology has been previously deployed to this server.\n`);
       
-      // Step 1: Login to get the authentication token
-      setOperationLogs(prev => prev + '\nLogging in to containerlab API...\n');
-      
-      // Use relative URL to leverage the proxy setting in package.json
-      const loginResponse = await fetch(`/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          username: user?.username,
-          password: 'ul678clab'
-        })
-      });
-
-      if (!loginResponse.ok) {
-        throw new Error(`Login failed: ${loginResponse.status} ${loginResponse.statusText}`);
-      }
-
-      const loginData = await loginResponse.json();
-      const authToken = loginData.token;
+      // The reconfiguration runs as a job on the server, its log can be replayed from the job history later on
+      const parsedYaml = yaml.load(deployYaml);
+      const formData = new FormData();
+      formData.append('file', new Blob([deployYaml], { type: 'text/yaml' }), `${parsedYaml.name}.yaml`);
+      formData.append('serverIp', serverIp);
 
-      setOperationLogs(prev => prev + 'Successfully logged in to containerlab API\n');
-      setOperationLogs(prev => prev + '\nPreparing to reconfigure topology...\n');
+      setOperationServerIp(serverIp);
+      const job = await runJob(serverIp, '/api/containerlab/reconfigure', formData, text => setOperationLogs(prev => prev + text));
 
-      // Step 2: Parse the YAML to a JSON object for the API
-      const topologyContentJson = yaml.load(yamlOutput);
-      
-      // Start a progress indicator to show reconfiguration is ongoing
-      setOperationLogs(prev => prev + '\nReconfiguration in progress. This might take a few minutes...\n');
-      
-      // Set up a progress indicator that updates every 5 seconds
-      const progressInterval = setInterval(() => {
-        setOperationLogs(prev => prev + '• Still working on reconfiguration, please wait...\n');
-      }, 5000);
-      
-      try {
-        // Step 3: Send the topology to the containerlab API with reconfigure=true
-        const deployResponse = await fetch(`/api/v1/labs?reconfigure=true`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${authToken}`
-          },
-          body: JSON.stringify({
-            topologyContent: topologyContentJson
-          })
-        });
-        
-        // Clear the progress indicator once we get a response
-        clearInterval(progressInterval);
-        
-        if (!deployResponse.ok) {
-          const errorText = await deployResponse.text();
-          throw new Error(`Reconfiguration failed: ${deployResponse.status} - ${errorText}`);
-        }
-        
-        // Process the response here inside the try block
-        const contentType = deployResponse.headers.get('content-type');
-        let responseData;
-        
-        if (contentType && contentType.includes('application/json')) {
-          responseData = await deployResponse.json();
-          setOperationLogs(prev => prev + '\nReconfiguration completed successfully!\n');
-          setOperationLogs(prev => prev + JSON.stringify(responseData, null, 2));
-        } else {
-          responseData = await deployResponse.text();
-          setOperationLogs(prev => prev + '\nReconfiguration completed successfully!\n');
-          setOperationLogs(prev => prev + responseData);
-        }
-        
+      if (job?.status === 'succeeded') {
+        setOperationLogs(prev => prev + '\nReconfiguration completed successfully!\n');
         setDeploymentSuccess(true);
-        return;
-      } catch (error) {
-        // Make sure to clear the interval if there's an error
-        clearInterval(progressInterval);
-        throw error;
+      } else {
+        throw new Error(`Reconfiguration failed: ${job?.result?.error || job?.status || 'unknown error'}`);
       }
     } catch (error) {
       console.error('Error reconfiguring topology:', error);
@@ -1996,12 +2247,20 @@ const App = ({ user, parentSetMode }) => {
   const handleServerDeploy = async (serverIp) => {
     try {
       setDeployLoading(prev => ({ ...prev, [serverIp]: true }));
+      const deployYaml = await writeGeneratedConfigs(serverIp);
+      if (deployYaml === null || !await checkBeforeDeploy(serverIp, { topologyYaml: deployYaml })) {
+        return;
+      }
       setOperationTitle('Deploying Topology');
       setShowLogModal(true);
       setOperationLogs('Starting deployment...\n');
 
+      if (configGen.enabled) {
+        setOperationLogs(prev => prev + `\nWrote the generated startup configs to ${CONFIG_DIR}/\n`);
+      }
+
       // Parse the YAML once at the beginning
-      let parsedYaml = yaml.load(yamlOutput);
+      let parsedYaml = yaml.load(deployYaml);
       let yamlNeedsUpdate = false;
 
       // If auto-assign is enabled, create the sn directory and files. This is very important when you want to onboard devices to CVP.
@@ -2014,9 +2273,10 @@ const App = ({ user, parentSetMode }) => {
         // Create the sn directory
         const snDirPath = `/home/clab_nfs_share/containerlab_topologies/${user.username}/${topologyName}/sn`;
         try {
-          const createDirResponse = await fetch(`http://${serverIp}:3001/api/files/createDirectory`, {
+          const createDirResponse = await fetch(`${getBackendUrl(serverIp)}/api/files/createDirectory`, {
             method: 'POST',
             headers: {
+              ...getAuthHeaders(),
               'Content-Type': 'application/json'
             },
             body: JSON.stringify({
@@ -2050,9 +2310,10 @@ const App = ({ user, parentSetMode }) => {
             const fileContent = `SERIALNUMBER=${serialNumber}\nSYSTEMMACADDR=${macAddress}`;
 
             // This is the API call to create the file on the containerlab server
-            const createFileResponse = await fetch(`http://${serverIp}:3001/api/files/createFile`, {
+            const createFileResponse = await fetch(`${getBackendUrl(serverIp)}/api/files/createFile`, {
               method: 'POST',
               headers: {
+                ...getAuthHeaders(),
                 'Content-Type': 'application/json'
               },
               body: JSON.stringify({
@@ -2083,14 +2344,9 @@ const App = ({ user, parentSetMode }) => {
           }
           
           if (yamlNeedsUpdate) {
-            // Update the YAML output with the new binds
-            const updatedYaml = yaml.dump(parsedYaml, {
-              lineWidth: -1,
-              quotingType: '"',
-              forceQuotes: true
-            });
-            setYamlOutput(updatedYaml);
-            setEditableYaml(updatedYaml);
+            // Update the YAML output with the new binds, and the canvas so later edits keep them
+            recordHistory('Add startup-config binds');
+            handleYamlChange(reconcileYaml(deployYaml, parsedYaml));
             
             setOperationLogs(prev => prev + 'Updated YAML with bind mounts\n');
           }
@@ -2100,92 +2356,23 @@ const App = ({ user, parentSetMode }) => {
       }
 
       // Use the final YAML with all updates
-      const finalYaml = yamlNeedsUpdate ? yaml.dump(parsedYaml, {
-        lineWidth: -1,
-        quotingType: '"',
-        forceQuotes: true
-      }) : yamlOutput;
-
-      // Step 1: Login to get the authentication token
-      setOperationLogs(prev => prev + '\nLogging in to containerlab API...\n');
-      
-      // Use relative URL to leverage the proxy setting in package.json
-      const loginResponse = await fetch(`/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          username: user?.username,
-          password: 'ul678clab'
-        })
-      });
+      const finalYaml = yamlNeedsUpdate ? reconcileYaml(deployYaml, parsedYaml) : deployYaml;
 
-      if (!loginResponse.ok) {
-        throw new Error(`Login failed: ${loginResponse.status} ${loginResponse.statusText}`);
-      }
+      // The deployment runs as a job on the server, its log can be replayed from the job history later on.
+      // The file is named after the lab so it lands next to the sn directory created above.
+      const formData = new FormData();
+      formData.append('file', new Blob([finalYaml], { type: 'text/yaml' }), `${parsedYaml.name}.yaml`);
+      formData.append('serverIp', serverIp);
 
-      const loginData = await loginResponse.json();
-      const authToken = loginData.token;
+      setOperationServerIp(serverIp);
+      const job = await runJob(serverIp, '/api/containerlab/deploy', formData, text => setOperationLogs(prev => prev + text));
 
-      setOperationLogs(prev => prev + 'Successfully logged in to containerlab API\n');
-      setOperationLogs(prev => prev + '\nPreparing to deploy topology...\n');
-
-      // Step 2: Parse the YAML to a JSON object for the API
-      const topologyContentJson = yaml.load(finalYaml);
-      
-      // Start a progress indicator to show deployment is ongoing
-      setOperationLogs(prev => prev + '\nDeployment in progress. This might take a few minutes...\n');
-      
-      // Set up a progress indicator that updates every 5 seconds
-      const progressInterval = setInterval(() => {
-        setOperationLogs(prev => prev + '• Still working on deployment, please wait...\n');
-      }, 5000);
-      
-      try {
-        // Step 3: Send the topology to the containerlab API using relative URL
-        const deployResponse = await fetch(`/api/v1/labs`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${authToken}`
-          },
-          body: JSON.stringify({
-            topologyContent: topologyContentJson
-          })
-        });
-        
-        // Clear the progress indicator once we get a response
-        clearInterval(progressInterval);
-        
-        if (!deployResponse.ok) {
-          const errorText = await deployResponse.text();
-          throw new Error(`Deployment failed: ${deployResponse.status} - ${errorText}`);
-        }
-        
-        // Process the response here inside the try block
-        const contentType = deployResponse.headers.get('content-type');
-        let responseData;
-        
-        if (contentType && contentType.includes('application/json')) {
-          responseData = await deployResponse.json();
-          setOperationLogs(prev => prev + '\nDeployment completed successfully!\n');
-          setOperationLogs(prev => prev + JSON.stringify(responseData, null, 2));
-        } else {
-          responseData = await deployResponse.text();
-          setOperationLogs(prev => prev + '\nDeployment completed successfully!\n');
-          setOperationLogs(prev => prev + responseData);
-        }
-        
+      if (job?.status === 'succeeded') {
+        setOperationLogs(prev => prev + '\nDeployment completed successfully!\n');
         setDeploymentSuccess(true);
-        return;
-      } catch (error) {
-        // Make sure to clear the interval if there's an error
-        clearInterval(progressInterval);
-        throw error;
-              }
+      } else {
+        throw new Error(`Deployment failed: ${job?.result?.error || job?.status || 'unknown error'}`);
+      }
     } catch (error) {
       console.error('Error deploying topology:', error);
       setOperationLogs(prev => prev + `\nError: ${error.message}`);
@@ -2206,6 +2393,20 @@ const App = ({ user, parentSetMode }) => {
     });
   }, []);
 
+  const onCanvasContextMenu = useCallback((event, position) => {
+    setConnectSourceNode(null);
+    setContextMenu({
+      mouseX: event.clientX - 2,
+      mouseY: event.clientY - 4,
+      position,
+      type: 'canvas',
+    });
+  }, []);
+
+  const onSelectionChange = useCallback((ids) => {
+    setSelectedNodeIds(ids);
+  }, []);
+
   const onEdgeContextMenu = useCallback((event, edge) => {
     event.preventDefault();
     setConnectSourceNode(null);
@@ -2217,59 +2418,254 @@ const App = ({ user, parentSetMode }) => {
     });
   }, []);
 
-  const handleContextMenuClose = () => {
+  const handleContextMenuClose = () => {
+    setContextMenu(null);
+  };
+
+  // Close context menu when clicking anywhere outside it
+  useEffect(() => {
+    if (!contextMenu) return;
+    const handleClickAway = (e) => {
+      if (!e.target.closest('.context-menu')) {
+        setContextMenu(null);
+      }
+    };
+    document.addEventListener('mousedown', handleClickAway);
+    return () => document.removeEventListener('mousedown', handleClickAway);
+  }, [contextMenu]);
+
+  // Cancel connect mode on Escape key
+  useEffect(() => {
+    if (!connectSourceNode) return;
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') setConnectSourceNode(null);
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [connectSourceNode]);
+
+  /* This is the function to handle the removal of a node from the topology. When you right click on a node and select remove, this function is called. */
+  const handleRemoveNode = () => {
+    const nodeToRemove = contextMenu.element;
+    recordHistory(`Delete node ${nodeToRemove.data?.label || nodeToRemove.id}`);
+    const updatedNodes = nodes.filter((n) => n.id !== nodeToRemove.id);
+    const updatedEdges = edges.filter((e) => e.source !== nodeToRemove.id && e.target !== nodeToRemove.id);
+    setNodes(updatedNodes);
+    setEdges(updatedEdges);
+    updateYaml(updatedNodes, updatedEdges);
+    handleContextMenuClose();
+  };
+
+  /* This is the function to handle the removal of an edge from the topology. When you right click on an edge and select remove, this function is called. */
+  const handleRemoveEdge = () => {
+    const edgeToRemove = contextMenu.element;
+    recordHistory('Delete link');
+    setNodeInterfaces(prev => removeEdgeInterfaces(prev, edgeToRemove));
+    const updatedEdges = edges.filter((e) => e.id !== edgeToRemove.id);
+    setEdges(updatedEdges);
+    updateYaml(nodes, updatedEdges);
+    handleContextMenuClose();
+  };
+
+  // The selected nodes that are still in the topology, the canvas does not report nodes that were deleted
+  const selectedNodes = nodes.filter(node => selectedNodeIds.includes(node.id));
+
+  // A right click on a node of a multi-node selection acts on the whole selection
+  const isSelectionMenu = contextMenu?.type === 'node' && selectedNodes.length > 1 && selectedNodeIds.includes(contextMenu.element.id);
+
+  /* This is the function to copy the selected nodes and the links between them, with Ctrl+C or the context menu. */
+  const handleCopySelection = () => {
+    if (selectedNodes.length > 0) {
+      setClipboard(copySubgraph(nodes, edges, selectedNodeIds));
+    }
+    setContextMenu(null);
+  };
+
+  /* This is the function to add a copy to the topology. The pasted nodes are renamed, get free management IPs and are selected so they can be dragged into place. */
+  const pasteNodes = (copy, position, label, options) => {
+    if (!copy || copy.nodes.length === 0) {
+      return;
+    }
+    recordHistory(label);
+    const pasted = pasteSubgraph(copy, nodes, position, showMgmt ? ipv4Subnet : '', options);
+    const updatedNodes = [...nodes, ...pasted.nodes];
+    const updatedEdges = [...edges, ...pasted.edges];
+    pasted.nodes.forEach(node => initializeNodeInterfaces(node.id));
+    pasted.edges.forEach(edge => updateNodeInterfaces(edge.source, edge.target, edge.data.sourceInterface, edge.data.targetInterface));
+    setNodes(updatedNodes);
+    setEdges(updatedEdges);
+    updateYaml(updatedNodes, updatedEdges);
+    pendingSelectionRef.current = pasted.nodes.map(node => node.id);
+  };
+
+  /* This is the function to insert the topology generated from a template, to the right of the canvas. Its nodes keep their names unless they are taken. */
+  const handleInsertTemplate = (topology, positions, label) => {
+    const generated = convertYamlToTopology({ topology });
+    pasteNodes({
+      nodes: generated.nodes.map(node => ({ ...node, position: positions[node.id] })),
+      edges: generated.edges
+    }, null, label, { keepFreeNames: true });
+    setShowTemplatesModal(false);
+  };
+
+  // What the address plan covers and what is wrong with its pools, for the IP addressing section
+  const ipamCounts = useMemo(() => countAddresses(nodes, edges), [nodes, edges]);
+  const ipamPoolErrors = useMemo(() => validatePools(ipamPools), [ipamPools]);
+
+  const handleIpamPoolsChange = (pools) => {
+    recordHistory('Change address pools', 'ipam-pools');
+    setIpamPools(pools);
+  };
+
+  /* This is the function to give the nodes their loopbacks and the links their point-to-point subnets from the pools. Renumbering hands out every address again. */
+  const handleAssignAddresses = (renumber) => {
+    if (Object.keys(ipamPoolErrors).length > 0) {
+      return;
+    }
+    recordHistory(renumber ? 'Renumber addresses' : 'Assign addresses');
+    const result = assignAddresses(nodes, edges, ipamPools, { renumber });
+    setNodes(result.nodes);
+    setEdges(result.edges);
+    updateYaml(result.nodes, result.edges);
+    setIpamErrors(result.errors);
+  };
+
+  const handleClearAddresses = () => {
+    recordHistory('Clear addresses');
+    const result = clearAddresses(nodes, edges);
+    setNodes(result.nodes);
+    setEdges(result.edges);
+    updateYaml(result.nodes, result.edges);
+    setIpamErrors([]);
+  };
+
+  const handleExportAddressPlan = () => {
+    const blob = new Blob([addressPlanCsv(nodes, edges)], { type: 'text/csv;charset=utf-8' });
+    saveAs(blob, `${topologyName || 'topology'}-addresses.csv`);
+  };
+
+  // The startup configs of the topology as they would be written now, rendered while the section is open
+  const configGenError = useMemo(() => validateConfigGen(configGen), [configGen]);
+  const configGenResult = useMemo(
+    () => (showConfigGen && !configGenError ? generateConfigs(nodes, edges, configGen, ipamPools) : null),
+    [showConfigGen, configGenError, nodes, edges, configGen, ipamPools]
+  );
+
+  const handleConfigGenChange = (settings) => {
+    recordHistory('Change startup config settings', 'config-gen');
+    setConfigGen(settings);
+  };
+
+  const handleDownloadConfig = (fileName, content) => {
+    saveAs(new Blob([content], { type: 'text/plain;charset=utf-8' }), fileName);
+  };
+
+  /* This is the function to point the nodes at their generated startup configs. The links and nodes without addresses get them from the pools first, so the configs are complete. */
+  const handleApplyConfigs = () => {
+    if (configGenError) {
+      return;
+    }
+    recordHistory('Apply startup configs');
+    const addressed = Object.keys(ipamPoolErrors).length > 0 ? { nodes, edges, errors: [] } : assignAddresses(nodes, edges, ipamPools);
+    const result = generateConfigs(addressed.nodes, addressed.edges, configGen, ipamPools);
+    const updatedNodes = applyGeneratedConfigs(addressed.nodes, result.nodeUpdates);
+    setNodes(updatedNodes);
+    setEdges(addressed.edges);
+    updateYaml(updatedNodes, addressed.edges);
+    setIpamErrors(addressed.errors);
+  };
+
+  /* This is the function to paste the copied nodes, with Ctrl+V or from the context menu of the canvas at the mouse position. */
+  const handlePaste = (position) => {
+    pasteNodes(clipboard, position, `Paste ${clipboard?.nodes.length || 0} nodes`);
+    setContextMenu(null);
+  };
+
+  /* This is the function to duplicate the selected nodes without going through the clipboard, with Ctrl+D or the context menu. */
+  const handleDuplicateSelection = () => {
+    pasteNodes(copySubgraph(nodes, edges, selectedNodeIds), null, `Duplicate ${selectedNodes.length} nodes`);
+    setContextMenu(null);
+  };
+
+  /* This is the function to delete the selected nodes and their links, with the Delete key or the context menu. */
+  const handleDeleteSelection = () => {
+    const ids = new Set(selectedNodes.map(node => node.id));
+    if (ids.size === 0) {
+      return;
+    }
+    recordHistory(`Delete ${ids.size} nodes`);
+    const updatedNodes = nodes.filter(node => !ids.has(node.id));
+    const updatedEdges = edges.filter(edge => !ids.has(edge.source) && !ids.has(edge.target));
+    setNodeInterfaces(prev => {
+      const updated = edges.filter(edge => !updatedEdges.includes(edge)).reduce(removeEdgeInterfaces, { ...prev });
+      ids.forEach(nodeId => delete updated[nodeId]);
+      return updated;
+    });
+    setNodes(updatedNodes);
+    setEdges(updatedEdges);
+    updateYaml(updatedNodes, updatedEdges);
+    setSelectedNodeIds([]);
+    setContextMenu(null);
+  };
+
+  /* This is the function to open the modal that changes the kind or image of all the selected nodes. */
+  const handleBulkEdit = () => {
+    setBulkKind('');
+    setBulkImage('');
+    setShowBulkEditModal(true);
     setContextMenu(null);
   };
 
-  // Close context menu when clicking anywhere outside it
-  useEffect(() => {
-    if (!contextMenu) return;
-    const handleClickAway = (e) => {
-      if (!e.target.closest('.context-menu')) {
-        setContextMenu(null);
+  /* This is the function to apply the bulk edit modal. A node that changes kind keeps its links, their interfaces are renamed to the same port in the naming of the new kind (eth3 -> e1-3). */
+  const handleBulkEditSubmit = () => {
+    if (!bulkKind && !bulkImage) {
+      setShowBulkEditModal(false);
+      return;
+    }
+    recordHistory(`Edit ${selectedNodes.length} nodes`);
+    const renamed = {};
+    const updatedNodes = nodes.map(node => {
+      if (!selectedNodeIds.includes(node.id)) {
+        return node;
       }
-    };
-    document.addEventListener('mousedown', handleClickAway);
-    return () => document.removeEventListener('mousedown', handleClickAway);
-  }, [contextMenu]);
-
-  // Cancel connect mode on Escape key
-  useEffect(() => {
-    if (!connectSourceNode) return;
-    const handleEscape = (e) => {
-      if (e.key === 'Escape') setConnectSourceNode(null);
-    };
-    document.addEventListener('keydown', handleEscape);
-    return () => document.removeEventListener('keydown', handleEscape);
-  }, [connectSourceNode]);
-
-  /* This is the function to handle the removal of a node from the topology. When you right click on a node and select remove, this function is called. */
-  const handleRemoveNode = () => {
-    const nodeToRemove = contextMenu.element;
-    const updatedNodes = nodes.filter((n) => n.id !== nodeToRemove.id);
-    const updatedEdges = edges.filter((e) => e.source !== nodeToRemove.id && e.target !== nodeToRemove.id);
+      const kind = bulkKind || node.data.kind;
+      const image = bulkImage || (kind !== node.data.kind ? getDefaultImage(kind) : node.data.image);
+      const data = { ...node.data, kind, image, catalogId: findCatalogEntry(kind, image)?.id || node.data.catalogId };
+      const oldRules = getInterfaceRules(node.data);
+      const newRules = getInterfaceRules(data);
+      renamed[node.id] = (name) => {
+        const port = parseInterfacePort(oldRules, name);
+        return port ? formatInterfaceName(newRules, port) : name;
+      };
+      return { ...node, data };
+    });
+    const updatedEdges = edges.map(edge => {
+      const sourceInterface = renamed[edge.source] ? renamed[edge.source](edge.data.sourceInterface) : edge.data.sourceInterface;
+      const targetInterface = renamed[edge.target] && !isExternalLink(edge) ? renamed[edge.target](edge.data.targetInterface) : edge.data.targetInterface;
+      if (sourceInterface === edge.data.sourceInterface && targetInterface === edge.data.targetInterface) {
+        return edge;
+      }
+      return { ...edge, data: { ...edge.data, sourceInterface, targetInterface } };
+    });
+    setNodeInterfaces(prev => Object.fromEntries(Object.entries(prev).map(([nodeId, names]) =>
+      [nodeId, renamed[nodeId] ? names.map(renamed[nodeId]) : names])));
     setNodes(updatedNodes);
     setEdges(updatedEdges);
     updateYaml(updatedNodes, updatedEdges);
-    handleContextMenuClose();
+    setShowBulkEditModal(false);
   };
 
-  /* This is the function to handle the removal of an edge from the topology. When you right click on an edge and select remove, this function is called. */
-  const handleRemoveEdge = () => {
-    const edgeToRemove = contextMenu.element;
-    setNodeInterfaces(prev => ({
-      ...prev,
-      [edgeToRemove.source]: prev[edgeToRemove.source].filter(i => i !== edgeToRemove.data.sourceInterface),
-      [edgeToRemove.target]: prev[edgeToRemove.target].filter(i => i !== edgeToRemove.data.targetInterface)
-    }));
-    const updatedEdges = edges.filter((e) => e.id !== edgeToRemove.id);
-    setEdges(updatedEdges);
-    updateYaml(nodes, updatedEdges);
-    handleContextMenuClose();
-  };
+  // Pasted nodes are selected once the canvas has drawn them
+  useEffect(() => {
+    if (pendingSelectionRef.current) {
+      cyCanvasRef.current?.selectNodes(pendingSelectionRef.current);
+      pendingSelectionRef.current = null;
+    }
+  }, [nodes]);
 
   /* This is the function to handle the reset of the topology. When you click on the reset button, this function is called. */
   const handleReset = () => {
+    recordHistory('Clear topology');
     setTopologyName("");
     setShowMgmt(false);
     setMgmtNetwork("");
@@ -2350,55 +2746,113 @@ const App = ({ user, parentSetMode }) => {
     });
   };
 
-  /* This is the function to validate the interface name. It is used to validate the interface name when a new edge is created. It has to be of the format eth1, eth2, eth3, etc. */
-  const validateInterface = (interfaceName) => {
-    const interfaceRegex = /^eth[1-9][0-9]?$|^eth[1-4][0-9]$|^eth5[0-4]$/;
-    return interfaceRegex.test(interfaceName);
+  /* This is the function to free the interfaces of a link in nodeInterfaces, when it is removed or before it is modified. */
+  const removeEdgeInterfaces = (interfaces, edge) => {
+    const updated = { ...interfaces, [edge.source]: (interfaces[edge.source] || []).filter(i => i !== edge.data.sourceInterface) };
+    if (!isExternalLink(edge)) {
+      updated[edge.target] = (interfaces[edge.target] || []).filter(i => i !== edge.data.targetInterface);
+    }
+    return updated;
+  };
+
+  /* This is the function to validate an interface name of a link end. It follows the interface naming of the node's catalog entry (eth3, e1-3, or the alias Ethernet3), within its number of ports, and the port must not be used by another link. Returns the error or null. */
+  const validateInterface = (nodeId, interfaceName, ignoredEdgeId) => {
+    const node = nodes.find(n => n.id === nodeId);
+    const rules = getInterfaceRules(node?.data);
+    const error = validateInterfaceName(rules, interfaceName);
+    if (error) {
+      return `${node?.data?.label || nodeId}: ${error}`;
+    }
+    const port = parseInterfacePort(rules, interfaceName);
+    const inUse = edges.some(edge => edge.id !== ignoredEdgeId && (
+      (edge.source === nodeId && parseInterfacePort(rules, edge.data?.sourceInterface) === port) ||
+      (edge.target === nodeId && parseInterfacePort(rules, edge.data?.targetInterface) === port)
+    ));
+    return inUse ? `${node?.data?.label || nodeId}: ${interfaceName} is already used by another link` : null;
   };
 
   /* This is the function to handle the submission of the edge modal. When you click on the submit button in the edge modal, this function is called. */
   const handleEdgeModalSubmit = () => {
-    if (!sourceInterface.trim() || !targetInterface.trim()) {
+    const external = Boolean(newEdgeData.external);
+    if (!sourceInterface.trim() || (!external && !targetInterface.trim())) {
       setEdgeModalWarning(true);
       return;
     }
 
-    if (!validateInterface(sourceInterface) || !validateInterface(targetInterface)) {
-      setErrorMessage('Interface names must be in the format "eth" followed by a number (1-54)');
+    const ignoredEdgeId = isModifyingEdge ? newEdgeData.id : null;
+    const interfaceError = validateInterface(newEdgeData.source, sourceInterface, ignoredEdgeId)
+      || (!external && validateInterface(newEdgeData.target, targetInterface, ignoredEdgeId));
+    let vars;
+    let attributeError = interfaceError || validateLinkAttributes(linkAttributes);
+    try {
+      vars = parseLinkVars(linkAttributes.varsText);
+    } catch (error) {
+      attributeError = attributeError || error.message;
+    }
+    if (attributeError) {
+      setErrorMessage(attributeError);
       setShowErrorModal(true);
       return;
     }
+    recordHistory(`${isModifyingEdge ? 'Modify' : 'Add'} link ${newEdgeData.sourceNodeName}:${sourceInterface}`);
   
     const edgeId = isModifyingEdge 
       ? newEdgeData.id 
-      : `edge_${newEdgeData.source}_${newEdgeData.target}_${sourceInterface}_${targetInterface}`;
+      : external
+        ? `edge_${newEdgeData.source}_${sourceInterface}_${linkAttributes.type}`
+        : `edge_${newEdgeData.source}_${newEdgeData.target}_${sourceInterface}_${targetInterface}`;
+    const { type, mtu, sourceMac, targetMac, hostInterface, mode, remote, vni, udpPort } = linkAttributes;
+    const labels = Object.fromEntries(linkAttributes.labels.filter(f => f.key && f.value).map(f => [f.key, f.value]));
   
+    // Only the attributes that apply to the link type and were filled in are kept
+    const optionalData = {
+      type: type === 'veth' ? '' : type,
+      mtu,
+      sourceMac,
+      targetMac: external ? '' : targetMac,
+      hostInterface: ['host', 'mgmt-net', 'macvlan'].includes(type) ? hostInterface : '',
+      mode: type === 'macvlan' ? mode : '',
+      remote: type === 'vxlan' ? remote : '',
+      vni: type === 'vxlan' ? vni : '',
+      udpPort: type === 'vxlan' ? udpPort : '',
+      vars,
+      labels: Object.keys(labels).length > 0 ? labels : undefined
+    };
+    const data = { sourceInterface, targetInterface: external ? '' : targetInterface };
+    Object.entries(optionalData).forEach(([field, value]) => {
+      if (value !== undefined && value !== '') {
+        data[field] = value;
+      }
+    });
+    // Keys of the link the modal does not edit, and the brief format of host links, are kept as they were
+    const oldEdge = isModifyingEdge ? edges.find(e => e.id === newEdgeData.id) : null;
+    if (oldEdge?.data?.extra) {
+      data.extra = oldEdge.data.extra;
+    }
+    if (oldEdge?.data?.brief && oldEdge.data.type === type) {
+      data.brief = true;
+    }
+
+    const { external: _external, ...edgeFields } = newEdgeData;
     const newEdge = {
-      ...newEdgeData,
+      ...edgeFields,
       id: edgeId,
-      data: {
-        sourceInterface,
-        targetInterface
-      }
+      target: external ? externalEndpointId(edgeId) : newEdgeData.target,
+      data
     };
   
     if (isModifyingEdge) {
       // Remove old interfaces before adding new ones
-      const oldEdge = edges.find(e => e.id === newEdge.id);
       if (oldEdge) {
-        setNodeInterfaces(prev => ({
-          ...prev,
-          [oldEdge.source]: prev[oldEdge.source].filter(i => i !== oldEdge.data.sourceInterface),
-          [oldEdge.target]: prev[oldEdge.target].filter(i => i !== oldEdge.data.targetInterface)
-        }));
+        setNodeInterfaces(prev => removeEdgeInterfaces(prev, oldEdge));
       }
     }
 
-    // Add new interfaces
+    // Add new interfaces, the far end of an external link is not a node
     setNodeInterfaces(prev => ({
       ...prev,
       [newEdge.source]: [...(prev[newEdge.source] || []), sourceInterface],
-      [newEdge.target]: [...(prev[newEdge.target] || []), targetInterface]
+      ...(!external && { [newEdge.target]: [...(prev[newEdge.target] || []), targetInterface] })
     }));
   
     if (isModifyingEdge) {
@@ -2413,11 +2867,12 @@ const App = ({ user, parentSetMode }) => {
     } else {
       setEdges((eds) => {
         const duplicateEdge = eds.find(edge => 
+          edge.id === newEdge.id || (
           edge.source === newEdge.source && 
           edge.target === newEdge.target &&
           edge.data.sourceInterface === sourceInterface &&
           edge.data.targetInterface === targetInterface
-        );
+        ));
         
         if (duplicateEdge) {
           console.log("Duplicate edge not added:", newEdge);
@@ -2429,13 +2884,29 @@ const App = ({ user, parentSetMode }) => {
       });
     }
   
+    closeEdgeModal();
+  };
+
+  const closeEdgeModal = () => {
     setIsEdgeModalOpen(false);
     setSourceInterface("");
     setTargetInterface("");
+    setLinkAttributes(EMPTY_LINK_ATTRIBUTES);
     setNewEdgeData(null);
     setEdgeModalWarning(false);
   };
 
+  const handleLinkAttributeChange = (field, value) => {
+    setLinkAttributes(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleLinkLabelChange = (index, field, value) => {
+    setLinkAttributes(prev => ({
+      ...prev,
+      labels: prev.labels.map((label, i) => (i === index ? { ...label, [field]: value } : label))
+    }));
+  };
+
   const handleCheckboxChange = (setter, checked) => {
     if (!validateTopologyName()) {
       return;
@@ -2449,6 +2920,7 @@ const App = ({ user, parentSetMode }) => {
     if (showMgmt && !validateMgmtSettings()) {
       return;
     }
+    recordHistory(e.target.checked ? 'Add kinds' : 'Remove kinds');
 
     if (!topologyName.trim()) {
       const newName = generateRandomName();
@@ -2481,6 +2953,7 @@ const App = ({ user, parentSetMode }) => {
     if (showMgmt && !validateMgmtSettings()) {
       return;
     }
+    recordHistory(e.target.checked ? 'Add default kind' : 'Remove default kind');
 
     if (!topologyName.trim()) {
       const newName = generateRandomName();
@@ -2497,23 +2970,29 @@ const App = ({ user, parentSetMode }) => {
   };
 
   const handleIpv6Checkbox = (e) => {
+    recordHistory(e.target.checked ? 'Add IPv6 subnet' : 'Remove IPv6 subnet');
     setShowIpv6(e.target.checked);
     updateYaml(nodes, edges);
   };
 
   const handleModifyNode = () => {
-    const nodeToModify = contextMenu.element;
+    // The context menu only has the canvas data of the node, the modal needs all of it
+    const nodeToModify = nodes.find(n => n.id === contextMenu.element.id) || contextMenu.element;
     const nodeLabel = nodeToModify.data.label;
     const isRouter = nodeLabel.toLowerCase().includes('router');
     
     // Preserve the existing node's name and properties
     setNodeNamePrefix(nodeLabel.split('_')[0]); // Get the base name without any numbering
     setNodeKind(nodeToModify.data.kind || (isRouter ? 'ceos' : 'linux'));
-    setNodeImage(nodeToModify.data.image || (isRouter ? 'ceos:4.34.0F' : 'alpine'));
+    setNodeImage(nodeToModify.data.image || getDefaultImage(isRouter ? 'ceos' : 'linux'));
     setNodeCount(1);
     setNodeBinds(nodeToModify.data.binds || [""]);
     setNodeMgmtIp(nodeToModify.data.mgmtIp || "");
     setNodeIpv6MgmtIp(nodeToModify.data.ipv6MgmtIp || "");
+    setNodeName(nodeLabel);
+    setNodeStartupConfig(nodeToModify.data.startupConfig || "");
+    setNodeCustomFields(nodeToModify.data.customFields?.length > 0 ? nodeToModify.data.customFields : [{ key: '', value: '' }]);
+    setNodeProperties(propertiesToForm(nodeToModify.data.properties));
     setNewNode(nodeToModify);
     setIsModifying(true);
     setIsModalOpen(true);
@@ -2524,12 +3003,17 @@ const App = ({ user, parentSetMode }) => {
   /* This is the function to handle the modification of an edge. When you right click on an edge and select modify, this function is called. */
   const handleModifyEdge = () => {
     const edgeToModify = contextMenu.element;
+    const external = isExternalLink(edgeToModify);
     setSourceInterface(edgeToModify.data.sourceInterface || "");
     setTargetInterface(edgeToModify.data.targetInterface || "");
+    setLinkAttributes(linkAttributesFromEdge(edgeToModify.data));
     setNewEdgeData({
-      ...edgeToModify,
+      id: edgeToModify.id,
+      source: edgeToModify.source,
+      target: edgeToModify.target,
+      external,
       sourceNodeName: nodes.find(n => n.id === edgeToModify.source).data.label,
-      targetNodeName: nodes.find(n => n.id === edgeToModify.target).data.label
+      targetNodeName: external ? describeExternalEndpoint(edgeToModify.data) : nodes.find(n => n.id === edgeToModify.target).data.label
     });
     setIsEdgeModalOpen(true);
     setIsModifyingEdge(true);
@@ -2538,6 +3022,7 @@ const App = ({ user, parentSetMode }) => {
 
   /* This is the function to handle the addition of a new kind bind. When you click on the add button in the kind modal, this function is called. */
   const handleAddKindBind = () => {
+    recordHistory(`Configure kind ${kinds[currentKindIndex].name}`, `kind-${currentKindIndex}`);
     const newKinds = [...kinds];
     newKinds[currentKindIndex].config.binds.push('');
     setKinds(newKinds);
@@ -2555,19 +3040,16 @@ const App = ({ user, parentSetMode }) => {
       if (!parsedYaml?.topology?.links) return;
 
       const newInterfaces = {};
-      parsedYaml.topology.links.forEach(link => {
-        const [sourceNode, sourceInterface] = link.endpoints[0].split(':');
-        const [targetNode, targetInterface] = link.endpoints[1].split(':');
-
-        // Find the node IDs from the node names using the provided currentNodes
+      parsedYaml.topology.links.map(linkFromYaml).filter(Boolean).forEach(({ source: sourceNode, target: targetNode, data }) => {
+        // Find the node IDs from the node names using the provided currentNodes; external link ends match no node
         const sourceNodeId = currentNodes.find(n => n.data.label === sourceNode)?.id;
         const targetNodeId = currentNodes.find(n => n.data.label === targetNode)?.id;
 
         if (sourceNodeId) {
-          newInterfaces[sourceNodeId] = [...(newInterfaces[sourceNodeId] || []), sourceInterface];
+          newInterfaces[sourceNodeId] = [...(newInterfaces[sourceNodeId] || []), data.sourceInterface];
         }
         if (targetNodeId) {
-          newInterfaces[targetNodeId] = [...(newInterfaces[targetNodeId] || []), targetInterface];
+          newInterfaces[targetNodeId] = [...(newInterfaces[targetNodeId] || []), data.targetInterface];
         }
       });
 
@@ -2593,58 +3075,7 @@ const App = ({ user, parentSetMode }) => {
       }
   
       if (parsedYaml?.topology?.nodes) {
-        const newNodes = Object.entries(parsedYaml.topology.nodes).map(([nodeName, nodeData], index) => {
-          // Extract custom fields from the env object
-          let customFields = [];
-          
-          if (nodeData.env && typeof nodeData.env === 'object') {
-            // Extract from env object
-            customFields = Object.entries(nodeData.env).map(([key, value]) => ({ 
-              key, 
-              value: String(value) 
-            }));
-          } else {
-            // For backward compatibility, extract from root level
-            customFields = Object.entries(nodeData)
-              .filter(([k]) => !['kind', 'image', 'binds', 'mgmt-ipv4', 'startup-config', 'env'].includes(k))
-              .map(([key, value]) => ({ key, value: String(value) }));
-          }
-          
-          // Ensure we have at least one empty field for the UI
-          if (customFields.length === 0) {
-            customFields = [{ key: '', value: '' }];
-          }
-          
-          return {
-            id: nodeName,
-                position: { x: 100 + (index % 3) * 200, y: 100 + Math.floor(index / 3) * 150 }, // Grid layout
-            data: {
-              label: nodeName,
-              kind: nodeData.kind || '',
-              image: nodeData.image || '',
-              binds: nodeData.binds || [],
-              mgmtIp: nodeData['mgmt-ipv4'] || '',
-              ipv6MgmtIp: nodeData['mgmt-ipv6'] || '',
-              startupConfig: nodeData['startup-config'] || '',
-              customFields,
-            }
-          };
-        });
-  
-        const newEdges = (parsedYaml.topology.links || []).map((link, index) => {
-          const [source, sourceInterface] = link.endpoints[0].split(':');
-          const [target, targetInterface] = link.endpoints[1].split(':');
-  
-          return {
-            id: `edge_${index}`,
-            source,
-            target,
-            data: {
-              sourceInterface,
-              targetInterface
-            }
-          };
-        });
+        const { nodes: newNodes, edges: newEdges } = convertYamlToTopology(parsedYaml, nodes);
   
         setNodes(newNodes);
         setEdges(newEdges);
@@ -2668,7 +3099,12 @@ const App = ({ user, parentSetMode }) => {
           if (parsedYaml.mgmt.ipv6_subnet || parsedYaml.mgmt['ipv6-subnet']) {
             setShowIpv6(true);
             setIpv6Subnet(parsedYaml.mgmt.ipv6_subnet || parsedYaml.mgmt['ipv6-subnet'] || '');
+          } else {
+            setShowIpv6(false);
           }
+        } else {
+          // Removed in the editor, so the next change on the canvas must not write it back
+          setShowMgmt(false);
         }
         
         // Check for kinds section in the YAML
@@ -2692,12 +3128,16 @@ const App = ({ user, parentSetMode }) => {
           if (newKinds.length > 0) {
             setKinds(newKinds);
           }
+        } else {
+          setShowKind(false);
         }
         
         // Check for defaults in the YAML
         if (parsedYaml.topology.defaults) {
           setShowDefault(true);
           setDefaultKind(parsedYaml.topology.defaults.kind || '');
+        } else {
+          setShowDefault(false);
         }
         
         // Update context with new data including all settings
@@ -2765,6 +3205,7 @@ const App = ({ user, parentSetMode }) => {
   /* This is the function to handle the imported content. When you import a YAML file, this function is called. */
   const handleImportedContent = (content) => {
     console.log(content);
+    recordHistory('Import topology');
     setEditableYaml(content);
     setYamlOutput(content);
     
@@ -2786,11 +3227,7 @@ const App = ({ user, parentSetMode }) => {
         setTopologyName(updatedName);
         
         // Generate new YAML with the updated name
-        const updatedContent = yaml.dump(parsedYaml, {
-          lineWidth: -1,
-          quotingType: '"',
-          forceQuotes: true
-        });
+        const updatedContent = reconcileYaml(content, parsedYaml);
         setEditableYaml(updatedContent);
         setYamlOutput(updatedContent);
         
@@ -2826,6 +3263,28 @@ const App = ({ user, parentSetMode }) => {
     // initializeNodeInterfacesFromYaml is now called inside handleYamlChange
   };
 
+  /* This is the function to import a file picked in the file manager. A netlab, GNS3, EVE-NG or draw.io topology is converted to containerlab first, what could not be carried over is shown in the log modal. */
+  const handleImportedFile = async (content, file) => {
+    const format = detectImportFormat(content, file?.path);
+    if (format === 'containerlab') {
+      handleImportedContent(content);
+      return;
+    }
+    const formatLabel = IMPORT_FORMATS.find(option => option.value === format).label;
+    try {
+      const imported = await importTopology(content, format, file?.path);
+      handleImportedContent(stringifyYaml({ name: imported.name, topology: imported.topology }));
+      if (imported.warnings.length > 0) {
+        setOperationTitle(`Imported from a ${formatLabel}`);
+        setOperationLogs(imported.warnings.join('\n'));
+        setShowLogModal(true);
+      }
+    } catch (error) {
+      setErrorMessage(`Could not import the ${formatLabel}: ${error.message}`);
+      setShowErrorModal(true);
+    }
+  };
+
   /* This is the function to handle the SSH port forwarding checkbox. When you click on the SSH port forwarding checkbox, this function is called. */
   const handleSshPortForwardingCheckbox = (e) => {
     // If management is checked, validate settings first
@@ -2861,7 +3320,7 @@ const App = ({ user, parentSetMode }) => {
   const handleSshPortForwardingSubmit = async () => {
     try {
       setIsLoadingPorts(true);
-      const response = await fetch(`http://${selectedSshServer}:3001/api/ports/free?serverIp=${selectedSshServer}`);
+      const response = await fetch(`${getBackendUrl(selectedSshServer)}/api/ports/free?serverIp=${selectedSshServer}`, { headers: getAuthHeaders() });
       const data = await response.json();
       
       if (data.success && data.freePorts.length > 0) {
@@ -2878,13 +3337,9 @@ const App = ({ user, parentSetMode }) => {
           }
         });
         
-        const newYamlOutput = yaml.dump(updatedYaml, {
-          lineWidth: -1,
-          quotingType: '"',
-          forceQuotes: true
-        });
-        setYamlOutput(newYamlOutput);
-        setEditableYaml(newYamlOutput);
+        // The ports also go to the nodes on the canvas, so later edits keep them
+        recordHistory('Add SSH port forwarding');
+        handleYamlChange(reconcileYaml(yamlOutput, updatedYaml));
         
         setOperationTitle('SSH Port Forwarding');
         setOperationLogs('Successfully added SSH port forwarding to all nodes');
@@ -2915,7 +3370,7 @@ const App = ({ user, parentSetMode }) => {
   /* This is the function to handle the file manager action. When you click on the file manager button, this function is called. It opens the file manager modal. */
   const handleFileManagerAction = async (content, selectedPath) => {
     if (modalMode === 'import') {
-      handleImportedContent(content);
+      handleImportedFile(content, selectedPath);
     } else if (modalMode === 'save') {
       try {
         //alert("Saving topology...");
@@ -2934,8 +3389,9 @@ const App = ({ user, parentSetMode }) => {
         formData.append('username', user.username);
         formData.append('path', selectedPath.path);
 
-        const response = await fetch(`http://${selectedPath.serverIp}:3001/api/files/save`, {
+        const response = await fetch(`${getBackendUrl(selectedPath.serverIp)}/api/files/save`, {
           method: 'POST',
+          headers: getAuthHeaders(),
           body: formData
         });
 
@@ -2962,6 +3418,8 @@ const App = ({ user, parentSetMode }) => {
   };
 
   const onNodeDragStop = useCallback(({ id, position }) => {
+    // Nodes dragged together end their drag at once and are one change
+    recordHistory('Move nodes', 'move');
     // Only update node position, don't show modal
     setNodes((nds) =>
       nds.map((n) => n.id === id ? { ...n, position } : n)
@@ -3027,6 +3485,7 @@ const App = ({ user, parentSetMode }) => {
   /* This is the function to handle the change in the management network. When you change the management network, this function is called. */
   const handleMgmtNetworkChange = (event) => {
     const newValue = event.target.value;
+    recordHistory('Change management network', 'mgmt-network');
     setMgmtNetwork(newValue);
     
     // Clear warning if this is now valid
@@ -3041,6 +3500,7 @@ const App = ({ user, parentSetMode }) => {
       setNodeModalWarning(true);
       return;
     }
+    recordHistory(`Modify node ${newNode.data.label}`);
 
     const oldNodeId = newNode.id;
     const wasNameChanged = nodeName !== newNode.data.label;
@@ -3132,6 +3592,7 @@ const App = ({ user, parentSetMode }) => {
     // We just need the file path, not the content
     if (selectedPath && selectedPath.path) {
       console.log('Selected Kind startup config path:', selectedPath.path);
+      recordHistory(`Configure kind ${kinds[currentKindIndex].name}`, `kind-${currentKindIndex}`);
       const newKinds = [...kinds];
       newKinds[currentKindIndex].config.startupConfig = selectedPath.path;
       setKinds(newKinds);
@@ -3236,6 +3697,11 @@ const App = ({ user, parentSetMode }) => {
   }, [isDraggingAnnotation, selectedAnnotation, dragOffset]);
 
   const handleAnnotationMouseUp = useCallback(() => {
+    const pending = pendingAnnotationSnapshotRef.current;
+    if (pending && JSON.stringify(pending.annotations) !== JSON.stringify(documentRef.current.annotations)) {
+      recordHistory('Move annotation', undefined, pending);
+    }
+    pendingAnnotationSnapshotRef.current = null;
     setIsDraggingAnnotation(false);
     setDragOffset({ x: 0, y: 0 });
   }, []);
@@ -3266,12 +3732,15 @@ const App = ({ user, parentSetMode }) => {
     }
     
     setDragOffset({ x: offsetX, y: offsetY });
+    // Recorded on mouse up, when the annotation was moved
+    pendingAnnotationSnapshotRef.current = cloneSnapshot(documentRef.current);
     setIsDraggingAnnotation(true);
     setSelectedAnnotation(annotation);
   }, [activeTool]);
 
   const handleDeleteSelected = useCallback(() => {
     if (selectedAnnotation) {
+      recordHistory('Delete annotation');
       setAnnotations(prev => prev.filter(a => a.id !== selectedAnnotation.id));
       setSelectedAnnotation(null);
     }
@@ -3303,6 +3772,7 @@ const App = ({ user, parentSetMode }) => {
           color: annotationColor,
           style: textStyle
         };
+        recordHistory('Add text');
         setAnnotations(prev => [...prev, newAnnotation]);
       }
     } else if (activeTool === 'circle') {
@@ -3315,6 +3785,7 @@ const App = ({ user, parentSetMode }) => {
         color: annotationColor,
         style: shapeStyle
       };
+      recordHistory('Add circle');
       setAnnotations(prev => [...prev, newAnnotation]);
     } else if (activeTool === 'rectangle') {
       const newAnnotation = {
@@ -3327,6 +3798,7 @@ const App = ({ user, parentSetMode }) => {
         color: annotationColor,
         style: shapeStyle
       };
+      recordHistory('Add rectangle');
       setAnnotations(prev => [...prev, newAnnotation]);
     }
   }, [activeTool, annotationColor, textStyle, shapeStyle]);
@@ -3423,7 +3895,9 @@ const App = ({ user, parentSetMode }) => {
       defaultKind,
       nodeInterfaces,
       isYamlValid,
-      yamlParseError
+      yamlParseError,
+      ipamPools,
+      configGen
     });
   }, [
     nodes, 
@@ -3442,16 +3916,36 @@ const App = ({ user, parentSetMode }) => {
     defaultKind, 
     nodeInterfaces, 
     isYamlValid, 
-    yamlParseError
+    yamlParseError,
+    ipamPools,
+    configGen
   ]);
 
-  // Keyboard event handlers for annotations
+  // Keyboard event handlers for annotations, undo/redo and the node selection
   useEffect(() => {
     const handleKeyDown = (event) => {
-      if (event.key === 'Delete' || event.key === 'Backspace') {
+      const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.target.isContentEditable;
+      const shortcut = (event.ctrlKey || event.metaKey) && !isTyping ? event.key.toLowerCase() : null;
+      // Inputs and the YAML editor keep their own undo, copy and paste
+      if (shortcut === 'z') {
+        event.preventDefault();
+        handleHistoryMove(event.shiftKey ? 1 : -1);
+      } else if (shortcut === 'c' && selectedNodes.length > 0) {
+        event.preventDefault();
+        handleCopySelection();
+      } else if (shortcut === 'v' && clipboard) {
+        event.preventDefault();
+        handlePaste(null);
+      } else if (shortcut === 'd' && selectedNodes.length > 0) {
+        event.preventDefault();
+        handleDuplicateSelection();
+      } else if (event.key === 'Delete' || event.key === 'Backspace') {
         if (selectedAnnotation && event.target.tagName !== 'INPUT' && event.target.tagName !== 'TEXTAREA') {
           event.preventDefault();
           handleDeleteSelected();
+        } else if (selectedNodes.length > 0 && !isTyping) {
+          event.preventDefault();
+          handleDeleteSelection();
         }
       } else if (event.key === 'Escape') {
         setSelectedAnnotation(null);
@@ -3459,9 +3953,10 @@ const App = ({ user, parentSetMode }) => {
       }
     };
 
+    // The handlers are new on every render, so the listener is too and always sees the current selection
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [selectedAnnotation, handleDeleteSelected]);
+  });
 
   return (
     // This is the main container for the topology designer. It is the container that contains HTML elements for the topology designer.
@@ -3478,7 +3973,7 @@ const App = ({ user, parentSetMode }) => {
                     onChange={handleTopologyNameChange}
                   />
                 </div>
-                <Sidebar onNodeClick={onNodeClick} onGenerateClick={onGenerateClick} />
+                <Sidebar onNodeClick={onNodeClick} onGenerateClick={onGenerateClick} onTemplatesClick={() => setShowTemplatesModal(true)} />
 
                 <h3 
                   className="settings-heading" 
@@ -3539,12 +4034,17 @@ const App = ({ user, parentSetMode }) => {
                           <div className="input-group">
                             <button
                               className="reassign-button"
-                              onClick={() => autoAssignMgmtIPs(ipv4Subnet)}
+                              onClick={() => {
+                                recordHistory('Re-assign management IPs');
+                                autoAssignMgmtIPs(ipv4Subnet);
+                              }}
                             >
                               Re-assign Management IPs
                             </button>
                             <span className="helper-text">
-                              Will assign IPs like {ipv4Subnet.split('/')[0].split('.').slice(0, 3).join('.')}.2 through {ipv4Subnet.split('/')[0].split('.').slice(0, 3).join('.')}.{Math.min(nodes.length + 1, 254)}
+                              {mgmtHostAddresses(ipv4Subnet, nodes.length).length > 0
+                                ? `Will assign IPs ${mgmtHostAddresses(ipv4Subnet, 1)[0]} through ${mgmtHostAddresses(ipv4Subnet, nodes.length).slice(-1)[0]}`
+                                : 'The IPv4 subnet is not valid'}
                             </span>
                           </div>
                         )}
@@ -3553,7 +4053,7 @@ const App = ({ user, parentSetMode }) => {
                             <input
                               type="checkbox"
                               checked={showIpv6}
-                              onChange={(e) => setShowIpv6(e.target.checked)}
+                              onChange={handleIpv6Checkbox}
                             />
                             Add IPv6 Subnet
                           </label>
@@ -3673,6 +4173,73 @@ const App = ({ user, parentSetMode }) => {
                   </>
                 )}
 
+                <h3
+                  className="settings-heading"
+                  onClick={() => setShowHistory(!showHistory)}
+                  style={{ cursor: 'pointer', userSelect: 'none' }}
+                  title="Undo with Ctrl+Z, redo with Ctrl+Shift+Z"
+                >
+                  {showHistory ? '▼' : '▶'} History ({history.past.length})
+                </h3>
+                {showHistory && (
+                  <HistoryPanel history={history} onMove={handleHistoryMove} />
+                )}
+
+                <h3
+                  className="settings-heading"
+                  onClick={() => setShowProblems(!showProblems)}
+                  style={{ cursor: 'pointer', userSelect: 'none', color: errorCount > 0 ? '#a61d24' : undefined }}
+                  title="What the topology linter found in the YAML; errors block the deploy"
+                >
+                  {showProblems ? '▼' : '▶'} Problems ({diagnostics.length})
+                </h3>
+                {showProblems && (
+                  <LintPanel diagnostics={diagnostics} onSelect={handleSelectDiagnostic} />
+                )}
+
+                <h3
+                  className="settings-heading"
+                  onClick={() => setShowIpam(!showIpam)}
+                  style={{ cursor: 'pointer', userSelect: 'none' }}
+                  title="Point-to-point subnets and loopbacks from address pools"
+                >
+                  {showIpam ? '▼' : '▶'} IP Addressing
+                </h3>
+                {showIpam && (
+                  <IpamPanel
+                    pools={ipamPools}
+                    poolErrors={ipamPoolErrors}
+                    planErrors={ipamErrors}
+                    counts={ipamCounts}
+                    showAddresses={showAddresses}
+                    onPoolsChange={handleIpamPoolsChange}
+                    onAssign={handleAssignAddresses}
+                    onClear={handleClearAddresses}
+                    onExport={handleExportAddressPlan}
+                    onShowAddressesChange={setShowAddresses}
+                  />
+                )}
+
+                <h3
+                  className="settings-heading"
+                  onClick={() => setShowConfigGen(!showConfigGen)}
+                  style={{ cursor: 'pointer', userSelect: 'none' }}
+                  title="Startup configs rendered from the canvas and the address plan"
+                >
+                  {showConfigGen ? '▼' : '▶'} Startup Configs{configGen.enabled ? ' (on)' : ''}
+                </h3>
+                {showConfigGen && (
+                  <ConfigGenPanel
+                    settings={configGen}
+                    error={configGenError}
+                    result={configGenResult || { files: [], nodeUpdates: {}, warnings: [] }}
+                    onSettingsChange={handleConfigGenChange}
+                    onApply={handleApplyConfigs}
+                    onEditOverlay={() => setShowOverlayModal(true)}
+                    onDownload={handleDownloadConfig}
+                  />
+                )}
+
                 <button className="reset-button" onClick={handleReset}>
                   🧹 Clear
                 </button>
@@ -3686,15 +4253,21 @@ const App = ({ user, parentSetMode }) => {
                   <button onClick={handleDownloadYaml} disabled={!yamlOutput.trim()} className="sidebar-action-button">
                     📤 Download YAML
                   </button>
+                  <button onClick={() => setShowExportDiagram(true)} disabled={nodes.length === 0} className="sidebar-action-button" title="Export the canvas as a PNG, SVG or PDF diagram">
+                    🖼️ Export Diagram
+                  </button>
                   <button className="sidebar-action-button deploy-button" onClick={handleDeploy} disabled={!yamlOutput.trim()}>
                     🚀 Deploy
                   </button>
-                  <button onClick={handleImport} className="sidebar-action-button">
+                  <button onClick={handleImport} className="sidebar-action-button" title="Import a containerlab, netlab, GNS3 (.gns3), EVE-NG (.unl) or draw.io topology">
                     📥 Import
                   </button>
                   <button onClick={handleSave} disabled={!yamlOutput.trim()} className="sidebar-action-button">
                     💾 Save
                   </button>
+                  <button onClick={handleOpenDrafts} className="sidebar-action-button" title="Save the design as a draft or open one of your drafts">
+                    📝 Drafts
+                  </button>
                 </div>
               </div>
               <div
@@ -3721,7 +4294,11 @@ const App = ({ user, parentSetMode }) => {
                   onEdgeContextMenu={onEdgeContextMenu}
                   onNodeDragStop={onNodeDragStop}
                   onNodeTap={onNodeTap}
+                  onCanvasContextMenu={onCanvasContextMenu}
+                  onSelectionChange={onSelectionChange}
                   connectSourceNodeId={connectSourceNode?.id || null}
+                  lintMarkers={lintMarkers}
+                  showAddresses={showAddresses}
                 />
                 {/* Cytoscape has built-in zoom/pan via mouse wheel and trackpad */}
               </div>
@@ -3744,16 +4321,26 @@ const App = ({ user, parentSetMode }) => {
                     {/* For basic line numbers, react-simple-code-editor often needs a container with specific padding/styling. */}
                     <div className="editor-container-with-lines" style={{ overflow: 'auto', height: '500px', border: '1px solid #ccc', borderRadius: '4px', width: '100%' }}>
                       <div className="line-numbers" aria-hidden="true">
-                        {editableYaml.split('\n').map((_, index) => (
-                          <div key={index} className="line-number">
-                            {index + 1}
-                          </div>
-                        ))}
+                        {editableYaml.split('\n').map((_, index) => {
+                          const marker = lintMarkers.lines[index + 1];
+                          return (
+                            <div
+                              key={index}
+                              className={`line-number ${marker ? `lint-${marker.severity}` : ''}`}
+                              title={marker ? marker.messages.join('\n') : undefined}
+                            >
+                              {index + 1}
+                            </div>
+                          );
+                        })}
                       </div>
                       <div className="editor-content">
                         <Editor
                           value={editableYaml}
-                          onValueChange={newYaml => handleYamlChange(newYaml)}
+                          onValueChange={newYaml => {
+                            recordHistory('Edit YAML', 'yaml');
+                            handleYamlChange(newYaml);
+                          }}
                           highlight={code => highlight(code, languages.yaml, 'yaml')}
                           padding={10}
                           style={{
@@ -3780,7 +4367,7 @@ const App = ({ user, parentSetMode }) => {
         {isModalOpen && (
           <div className="modal">
             <div className="modal-content">
-              <h2>{['router', 'leaf', 'spine'].some(term => newNode?.data?.label?.toLowerCase().includes(term)) ? 'Router Details' : 'Server/Hosts Details'}</h2>
+              <h2>{getNodeModalTitle(newNode)}</h2>
               <div 
                 className="form-content" 
                 onKeyDown={(e) => {
@@ -4016,6 +4603,22 @@ const App = ({ user, parentSetMode }) => {
                     </div>
                   )}
                 </div>
+                <div>
+                  <h3
+                    className="settings-heading"
+                    onClick={() => setShowNodeProperties(!showNodeProperties)}
+                    style={{ cursor: 'pointer' }}
+                  >
+                    Containerlab properties {showNodeProperties ? '▲' : '▼'}
+                  </h3>
+                  {showNodeProperties && (
+                    <NodePropertiesPanel
+                      values={nodeProperties}
+                      onChange={(key, value) => setNodeProperties(prev => ({ ...prev, [key]: value }))}
+                      otherNodes={nodes.map(n => n.data.label).filter(label => label !== newNode?.data?.label)}
+                    />
+                  )}
+                </div>
               </div>
               <div className="actions">
                 <button onClick={handleModalSubmit}>Submit</button>
@@ -4161,9 +4764,23 @@ const App = ({ user, parentSetMode }) => {
               zIndex: 1000,
             }}
           >
-            {contextMenu.type === 'node' && (
+            {isSelectionMenu && (
+              <>
+                <button onClick={handleCopySelection}>Copy {selectedNodes.length} nodes</button>
+                <button onClick={handleDuplicateSelection}>Duplicate {selectedNodes.length} nodes</button>
+                <button onClick={handleBulkEdit}>Edit {selectedNodes.length} nodes</button>
+                <button className="delete-button" onClick={handleDeleteSelection}>Delete {selectedNodes.length} nodes</button>
+              </>
+            )}
+            {contextMenu.type === 'canvas' && (
+              <button onClick={() => handlePaste(contextMenu.position)} disabled={!clipboard}>
+                {clipboard ? `Paste ${clipboard.nodes.length} nodes` : 'Paste'}
+              </button>
+            )}
+            {contextMenu.type === 'node' && !isSelectionMenu && (
               <>
                 <button onClick={handleConnectNode}>Connect</button>
+                <button onClick={handleExternalLink}>External link</button>
                 <button onClick={handleModifyNode}>Modify</button>
                 <button className="delete-button" onClick={handleRemoveNode}>Delete</button>
               </>
@@ -4179,12 +4796,24 @@ const App = ({ user, parentSetMode }) => {
         {isEdgeModalOpen && (
           <div className="modal">
             <div className="modal-content">
-              <h2>Configure Link Interfaces</h2>
+              <h2>Configure Link</h2>
               {edgeModalWarning && (
                 <div className="warning-message">
-                  Please enter both source and target interface details
+                  {newEdgeData.external ? 'Please enter the interface details' : 'Please enter both source and target interface details'}
                 </div>
               )}
+              <div className="input-group">
+                <label>Link Type:</label>
+                <select
+                  value={linkAttributes.type}
+                  onChange={(e) => handleLinkAttributeChange('type', e.target.value)}
+                  className="image-select"
+                >
+                  {(newEdgeData.external ? EXTERNAL_LINK_TYPES : LINK_TYPES.filter(type => type.value === 'veth')).map((type) => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
               <div className="input-group">
                 <label>{newEdgeData.sourceNodeName} Interface:</label>
                 <input
@@ -4193,25 +4822,191 @@ const App = ({ user, parentSetMode }) => {
                   onChange={(e) => setSourceInterface(e.target.value)}
                   className={edgeModalWarning && !sourceInterface.trim() ? 'input-error' : ''}
                 />
+                <p className="helper-text">{describeInterfaceRules(getInterfaceRules(nodes.find(n => n.id === newEdgeData.source)?.data))}</p>
+                <input
+                  type="text"
+                  value={linkAttributes.sourceMac}
+                  placeholder="MAC address (optional), e.g. aa:c1:ab:00:00:01"
+                  onChange={(e) => handleLinkAttributeChange('sourceMac', e.target.value)}
+                />
               </div>
+              {!newEdgeData.external && (
+                <div className="input-group">
+                  <label>{newEdgeData.targetNodeName} Interface:</label>
+                  <input
+                    type="text"
+                    value={targetInterface}
+                    onChange={(e) => setTargetInterface(e.target.value)}
+                    className={edgeModalWarning && !targetInterface.trim() ? 'input-error' : ''}
+                  />
+                  <p className="helper-text">{describeInterfaceRules(getInterfaceRules(nodes.find(n => n.id === newEdgeData.target)?.data))}</p>
+                  <input
+                    type="text"
+                    value={linkAttributes.targetMac}
+                    placeholder="MAC address (optional), e.g. aa:c1:ab:00:00:02"
+                    onChange={(e) => handleLinkAttributeChange('targetMac', e.target.value)}
+                  />
+                </div>
+              )}
+              {['host', 'mgmt-net', 'macvlan'].includes(linkAttributes.type) && (
+                <div className="input-group">
+                  <label>{linkAttributes.type === 'macvlan' ? 'Parent Interface on the Server:' : 'Interface Name on the Server:'}</label>
+                  <input
+                    type="text"
+                    value={linkAttributes.hostInterface}
+                    placeholder={linkAttributes.type === 'macvlan' ? 'e.g. enp0s3' : 'e.g. srl1-e1-1'}
+                    onChange={(e) => handleLinkAttributeChange('hostInterface', e.target.value)}
+                  />
+                </div>
+              )}
+              {linkAttributes.type === 'macvlan' && (
+                <div className="input-group">
+                  <label>Mode:</label>
+                  <select
+                    value={linkAttributes.mode}
+                    onChange={(e) => handleLinkAttributeChange('mode', e.target.value)}
+                    className="image-select"
+                  >
+                    <option value="">bridge (default)</option>
+                    {MACVLAN_MODES.map((mode) => (
+                      <option key={mode} value={mode}>{mode}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {linkAttributes.type === 'vxlan' && (
+                <div className="input-group">
+                  <label>Remote, VNI and UDP Port:</label>
+                  <div style={{ display: 'flex', gap: '10px' }}>
+                    <input
+                      type="text"
+                      value={linkAttributes.remote}
+                      placeholder="remote IP"
+                      onChange={(e) => handleLinkAttributeChange('remote', e.target.value)}
+                      style={{ flex: 2 }}
+                    />
+                    <input
+                      type="number"
+                      value={linkAttributes.vni}
+                      placeholder="VNI"
+                      onChange={(e) => handleLinkAttributeChange('vni', e.target.value)}
+                      style={{ flex: 1 }}
+                    />
+                    <input
+                      type="number"
+                      value={linkAttributes.udpPort}
+                      placeholder="4789"
+                      onChange={(e) => handleLinkAttributeChange('udpPort', e.target.value)}
+                      style={{ flex: 1 }}
+                    />
+                  </div>
+                </div>
+              )}
               <div className="input-group">
-                <label>{newEdgeData.targetNodeName} Interface:</label>
+                <label>MTU:</label>
                 <input
-                  type="text"
-                  value={targetInterface}
-                  onChange={(e) => setTargetInterface(e.target.value)}
-                  className={edgeModalWarning && !targetInterface.trim() ? 'input-error' : ''}
+                  type="number"
+                  value={linkAttributes.mtu}
+                  placeholder="9500 (containerlab default)"
+                  onChange={(e) => handleLinkAttributeChange('mtu', e.target.value)}
+                />
+              </div>
+              <div className="input-group">
+                <label>Labels:</label>
+                {linkAttributes.labels.map((label, index) => (
+                  <div key={index} style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '5px' }}>
+                    <input
+                      type="text"
+                      value={label.key}
+                      placeholder="key"
+                      onChange={e => handleLinkLabelChange(index, 'key', e.target.value)}
+                      style={{ flex: 1 }}
+                    />
+                    <input
+                      type="text"
+                      value={label.value}
+                      placeholder="value"
+                      onChange={e => handleLinkLabelChange(index, 'value', e.target.value)}
+                      style={{ flex: 1 }}
+                    />
+                    {index === linkAttributes.labels.length - 1 && (
+                      <button type="button" onClick={() => handleLinkAttributeChange('labels', [...linkAttributes.labels, { key: '', value: '' }])} className="add-bind-button">+</button>
+                    )}
+                    {linkAttributes.labels.length > 1 && (
+                      <button type="button" onClick={() => handleLinkAttributeChange('labels', linkAttributes.labels.filter((_, i) => i !== index))} className="remove-bind-button">-</button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <div className="input-group">
+                <label>Vars:</label>
+                <textarea
+                  value={linkAttributes.varsText}
+                  placeholder={'ipv4: 10.0.0.1/31\nbgp-asn: 65001'}
+                  onChange={(e) => handleLinkAttributeChange('varsText', e.target.value)}
+                  rows={3}
+                  style={{ width: '100%', fontFamily: 'monospace' }}
                 />
+                <p className="helper-text">A YAML mapping, written under the link's vars: for templates and startup configs</p>
               </div>
               <div className="actions">
                 <button onClick={handleEdgeModalSubmit}>Submit</button>
-                <button onClick={() => {
-                  setIsEdgeModalOpen(false);
-                  setSourceInterface("");
-                  setTargetInterface("");
-                  setNewEdgeData(null);
-                  setEdgeModalWarning(false);
-                }}>Cancel</button>
+                <button onClick={closeEdgeModal}>Cancel</button>
+              </div>
+            </div>
+          </div>
+        )}
+        {showOverlayModal && (
+          <div className="modal">
+            <div className="modal-content" style={{ maxWidth: '640px' }}>
+              <h2>EVPN/VXLAN Overlay</h2>
+              <OverlaySettings
+                overlay={getOverlay(configGen)}
+                onChange={(overlay) => handleConfigGenChange({ ...configGen, overlay })}
+              />
+              {configGenError && !validateOverlay(getOverlay(configGen)).includes(configGenError) && <div className="warning-message">{configGenError}</div>}
+              <p className="helper-text">The summary sheet of the overlay is written to {OVERLAY_SUMMARY} with the configs.</p>
+              <div className="actions">
+                <button onClick={() => setShowOverlayModal(false)}>Close</button>
+              </div>
+            </div>
+          </div>
+        )}
+        {showBulkEditModal && (
+          <div className="modal">
+            <div className="modal-content">
+              <h2>Edit {selectedNodes.length} Nodes</h2>
+              <p className="helper-text">{selectedNodes.map(node => node.data.label).join(', ')}</p>
+              <div className="input-group">
+                <label>Kind:</label>
+                <select
+                  value={bulkKind}
+                  onChange={(e) => {
+                    setBulkKind(e.target.value);
+                    setBulkImage('');
+                  }}
+                  className="image-select"
+                >
+                  <option value="">Keep the kind of each node</option>
+                  {kindOptions.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <div className="helper-text">Link interfaces keep their port and take the naming of the new kind</div>
+              </div>
+              <div className="input-group">
+                <label>Image:</label>
+                <select value={bulkImage} onChange={(e) => setBulkImage(e.target.value)} className="image-select">
+                  <option value="">{bulkKind ? 'Default image of the kind' : 'Keep the image of each node'}</option>
+                  {/* Without a new kind, an image can only be picked when the selected nodes are all of one kind */}
+                  {imageOptions.filter(option => option.kind === (bulkKind || (new Set(selectedNodes.map(node => node.data.kind)).size === 1 ? selectedNodes[0].data.kind : null))).map((option) => (
+                    <option key={`${option.kind}-${option.value}`} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="actions">
+                <button onClick={handleBulkEditSubmit}>Apply</button>
+                <button onClick={() => setShowBulkEditModal(false)}>Cancel</button>
               </div>
             </div>
           </div>
@@ -4229,6 +5024,27 @@ const App = ({ user, parentSetMode }) => {
           <div className="modal">
             <div className="modal-content server-deploy-modal-content">
               <h2>Select Server to Deploy</h2>
+              {!deployCheck && errorCount > 0 && (
+                <div className="warning-message">
+                  The topology has {errorCount} problem{errorCount === 1 ? '' : 's'} to fix before it can be deployed, see Problems in the sidebar.
+                </div>
+              )}
+              {deployCheck && (deployCheck.running || deployCheck.diagnostics.length > 0) && (
+                <div style={{ marginBottom: '15px' }}>
+                  {deployCheck.running ? (
+                    <div className="helper-text">Checking the topology against {deployCheck.serverIp}...</div>
+                  ) : (
+                    <>
+                      <div className={hasErrors(deployCheck.diagnostics) ? 'warning-message' : 'helper-text'}>
+                        {hasErrors(deployCheck.diagnostics)
+                          ? `Fix these problems before deploying to ${deployCheck.serverIp}:`
+                          : `Found on ${deployCheck.serverIp}, this does not block the deploy:`}
+                      </div>
+                      <LintPanel diagnostics={deployCheck.diagnostics} onSelect={handleSelectDiagnostic} />
+                    </>
+                  )}
+                </div>
+              )}
               <div className="server-list">
                 <div className="server-deployment-table">
                   <table className="server-table">
@@ -4245,9 +5061,7 @@ const App = ({ user, parentSetMode }) => {
                       </tr>
                     </thead>
                     <tbody>
-                      {[
-                        { name: 'ul-clab-1', ip: '10.83.12.237', status: 'active' }
-                      ].map((server) => (
+                      {getServersWithStatus().map((server) => (
                         <tr key={server.name} className="hover:bg-gray-50">
                           <td className="border border-gray-200 px-4 py-2">
                             <div className="server-info">
@@ -4411,6 +5225,26 @@ const App = ({ user, parentSetMode }) => {
           title={operationTitle}
           showSuccess={deploymentSuccess}
           onNavigateToServers={handleNavigateToServers}
+          serverIp={operationServerIp}
+        />
+        <DraftsModal
+          isOpen={showDraftsModal}
+          startup={isDraftsStartup}
+          autosave={startupAutosave}
+          topologyState={topologyState}
+          onOpen={handleOpenDraft}
+          onDiscardAutosave={handleDiscardAutosave}
+          onClose={() => setShowDraftsModal(false)}
+        />
+        <TemplatesModal
+          isOpen={showTemplatesModal}
+          onInsert={handleInsertTemplate}
+          onClose={() => setShowTemplatesModal(false)}
+        />
+        <ExportDiagramModal
+          isOpen={showExportDiagram}
+          onExport={handleExportDiagram}
+          onClose={() => setShowExportDiagram(false)}
         />
         {showErrorModal && (
           <div className="modal warning-modal">
@@ -4589,6 +5423,27 @@ const App = ({ user, parentSetMode }) => {
                   </div>
                 )}
 
+                <div className="input-group" style={{ marginTop: '20px' }}>
+                  <label>Underlay:</label>
+                  <select value={generateRouting} onChange={(e) => setGenerateRouting(e.target.value)} className="image-select">
+                    <option value="">None - cabling only</option>
+                    {ROUTING_PROTOCOLS.map(protocol => (<option key={protocol.value} value={protocol.value}>Generate configs, {protocol.label}</option>))}
+                  </select>
+                  {generateRouting && !generateRoutingError && (
+                    <div className="helper-text" style={{ fontSize: '11px', marginTop: '5px' }}>
+                      The links and loopbacks get addresses from the IP Addressing pools and every node a startup config in {CONFIG_DIR}/, written to the lab when it is deployed. It replaces the startup config below.
+                    </div>
+                  )}
+                  {generateRoutingError && !generateOverlayErrors.includes(generateRoutingError) && <div className="warning-message" style={{ marginTop: '5px' }}>{generateRoutingError} (Startup Configs in the sidebar)</div>}
+                </div>
+                {generateRouting && (
+                  <OverlaySettings
+                    overlay={{ ...generateOverlay, routeServers: generateRouteServers }}
+                    onChange={setGenerateOverlay}
+                    routeServerOptions={generateSpineTiers.filter(Boolean)}
+                  />
+                )}
+
                 {/* Startup config checkbox */}
                 <div style={{ marginTop: '20px' }}>
                   <label style={{ display: 'inline-flex', alignItems: 'center', gap: '6px', cursor: hasAnyDevices() ? 'pointer' : 'not-allowed', userSelect: 'none' }}>
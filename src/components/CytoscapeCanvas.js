@@ -1,5 +1,8 @@
 import React, { useRef, useEffect, useImperativeHandle, forwardRef, useCallback } from 'react';
 import cytoscape from 'cytoscape';
+import { getInterfaceAlias, getInterfaceRules, getNodeIconUrl } from '../utils/catalog';
+import { LINK_LINE_STYLES, describeExternalEndpoint, getLinkType, isExternalLink } from '../utils/links';
+import { getLinkAddresses, getLoopbacks } from '../utils/ipam';
 
 const GHOST_NODE_ID = '__connect_ghost__';
 const GHOST_EDGE_ID = '__connect_ghost_edge__';
@@ -9,13 +12,16 @@ function getCytoscapeStyles() {
     {
       selector: 'node',
       style: {
-        'background-image': '/router_arista.svg',
+        // Each node is drawn with the icon of its node catalog entry
+        'background-image': 'data(icon)',
         'background-fit': 'contain',
         'background-color': 'transparent',
         'background-opacity': 0,
         'width': 70,
         'height': 70,
         'label': 'data(label)',
+        // The loopbacks of the address plan go on a second line
+        'text-wrap': 'wrap',
         'text-valign': 'bottom',
         'text-halign': 'center',
         'font-size': 10,
@@ -25,6 +31,9 @@ function getCytoscapeStyles() {
         'shape': 'rectangle',
       },
     },
+    // Problems found by the topology linter, a selected node still shows it is selected
+    { selector: 'node.lint-error', style: { 'border-width': 3, 'border-color': '#cf1322', 'border-style': 'double' } },
+    { selector: 'node.lint-warning', style: { 'border-width': 2, 'border-color': '#faad14', 'border-style': 'dashed' } },
     {
       selector: 'node:selected',
       style: {
@@ -45,6 +54,7 @@ function getCytoscapeStyles() {
       style: {
         'width': 1,
         'height': 1,
+        'background-image': 'none',
         'background-opacity': 0,
         'border-width': 0,
         'label': '',
@@ -78,10 +88,12 @@ function getCytoscapeStyles() {
       style: {
         'curve-style': 'straight',
         'width': 1.5,
-        'line-color': '#b1b1b7',
+        'line-color': LINK_LINE_STYLES.veth.color,
         'target-arrow-shape': 'none',
-        'source-label': 'data(sourceInterface)',
-        'target-label': 'data(targetInterface)',
+        // Interfaces are labelled with the names the device CLI uses (Ethernet3 rather than eth3) where the kind has aliases
+        'source-label': 'data(sourceLabel)',
+        'target-label': 'data(targetLabel)',
+        'text-wrap': 'wrap',
         'source-text-offset': 40,
         'target-text-offset': 40,
         'font-size': 7,
@@ -95,6 +107,39 @@ function getCytoscapeStyles() {
         'text-background-shape': 'roundrectangle',
       },
     },
+    {
+      // The far end of a host, mgmt-net, macvlan or vxlan link, which is not a node of the lab
+      selector: 'node.external',
+      style: {
+        'background-image': 'none',
+        'background-color': '#fff7e6',
+        'background-opacity': 1,
+        'border-width': 1,
+        'border-color': '#d48806',
+        'border-style': 'dashed',
+        'shape': 'round-rectangle',
+        'width': 'label',
+        'height': 22,
+        'padding': '6px',
+        'text-valign': 'center',
+        'text-margin-y': 0,
+        'font-size': 9,
+        'color': '#874d00',
+      },
+    },
+    {
+      selector: 'edge[linkType != "veth"]',
+      style: {
+        'line-style': 'dashed',
+        'target-label': '',
+      },
+    },
+    ...Object.entries(LINK_LINE_STYLES).filter(([type]) => type !== 'veth').map(([type, line]) => ({
+      selector: `edge[linkType = "${type}"]`,
+      style: { 'line-color': line.color, 'line-dash-pattern': line.dash },
+    })),
+    { selector: 'edge.lint-error', style: { 'line-color': '#cf1322', 'width': 3, 'line-style': 'dashed' } },
+    { selector: 'edge.lint-warning', style: { 'line-color': '#faad14', 'width': 2.5, 'line-style': 'dashed' } },
     {
       selector: 'edge:selected',
       style: {
@@ -105,18 +150,23 @@ function getCytoscapeStyles() {
   ];
 }
 
-function syncElements(cy, reactNodes, reactEdges) {
+// A label with the addresses of the plan under it, when they are shown
+const withAddresses = (label, addresses) => [label, ...addresses.filter(Boolean)].join('\n');
+
+function syncElements(cy, reactNodes, reactEdges, showAddresses) {
   const currentNodeIds = new Set();
   cy.nodes().forEach(n => currentNodeIds.add(n.id()));
   const currentEdgeIds = new Set();
   cy.edges().forEach(e => currentEdgeIds.add(e.id()));
   const reactNodeIds = new Set(reactNodes.map(n => n.id));
   const reactEdgeIds = new Set(reactEdges.map(e => e.id));
+  const externalLinks = reactEdges.filter(isExternalLink);
+  const externalIds = new Set(externalLinks.map(e => e.target));
 
   // Remove elements no longer in React state (skip ghost elements used for connect mode)
   cy.nodes().forEach(n => {
     if (n.id() === GHOST_NODE_ID) return;
-    if (!reactNodeIds.has(n.id())) cy.remove(n);
+    if (!reactNodeIds.has(n.id()) && !externalIds.has(n.id())) cy.remove(n);
   });
   cy.edges().forEach(e => {
     if (e.id() === GHOST_EDGE_ID) return;
@@ -124,6 +174,10 @@ function syncElements(cy, reactNodes, reactEdges) {
   });
 
   // Add or update nodes
+  const nodeLabel = (rn) => {
+    const loopbacks = getLoopbacks(rn.data);
+    return showAddresses ? withAddresses(rn.data?.label || rn.id, [loopbacks.ipv4, loopbacks.ipv6]) : rn.data?.label || rn.id;
+  };
   reactNodes.forEach(rn => {
     if (currentNodeIds.has(rn.id)) {
       const cyNode = cy.getElementById(rn.id);
@@ -132,18 +186,50 @@ function syncElements(cy, reactNodes, reactEdges) {
       if (rn.position && (Math.abs(cyPos.x - rn.position.x) > 1 || Math.abs(cyPos.y - rn.position.y) > 1)) {
         cyNode.position(rn.position);
       }
-      cyNode.data('label', rn.data?.label || rn.id);
+      cyNode.data('label', nodeLabel(rn));
+      cyNode.data('icon', getNodeIconUrl(rn.data));
     } else {
       cy.add({
         group: 'nodes',
-        data: { id: rn.id, label: rn.data?.label || rn.id },
+        data: { id: rn.id, label: nodeLabel(rn), icon: getNodeIconUrl(rn.data) },
         position: rn.position ? { ...rn.position } : { x: 100, y: 100 },
       });
     }
   });
 
+  // Add or update the external endpoints, they are not React nodes so they start out below their node
+  externalLinks.forEach(re => {
+    const label = describeExternalEndpoint(re.data);
+    if (currentNodeIds.has(re.target)) {
+      cy.getElementById(re.target).data('label', label);
+    } else {
+      const sourcePosition = cy.getElementById(re.source).position() || { x: 100, y: 100 };
+      cy.add({
+        group: 'nodes',
+        data: { id: re.target, label, edgeId: re.id },
+        classes: 'external',
+        selectable: false,
+        position: { x: sourcePosition.x, y: sourcePosition.y + 120 },
+      });
+    }
+  });
+
   // Add or update edges
+  const nodeData = Object.fromEntries(reactNodes.map(rn => [rn.id, rn.data]));
+  const interfaceLabel = (nodeId, name) => (name ? getInterfaceAlias(getInterfaceRules(nodeData[nodeId]), name) : '');
   reactEdges.forEach(re => {
+    const addresses = getLinkAddresses(re.data);
+    const endLabel = (nodeId, name, end) => (showAddresses
+      ? withAddresses(interfaceLabel(nodeId, name), [addresses.ipv4[end], addresses.ipv6[end]])
+      : interfaceLabel(nodeId, name));
+    const labels = {
+      sourceInterface: re.data?.sourceInterface || '',
+      targetInterface: re.data?.targetInterface || '',
+      sourceLabel: endLabel(re.source, re.data?.sourceInterface, 0),
+      targetLabel: endLabel(re.target, re.data?.targetInterface, 1),
+      linkType: getLinkType(re),
+      link: { ...re.data },
+    };
     if (!currentEdgeIds.has(re.id)) {
       cy.add({
         group: 'edges',
@@ -151,14 +237,11 @@ function syncElements(cy, reactNodes, reactEdges) {
           id: re.id,
           source: re.source,
           target: re.target,
-          sourceInterface: re.data?.sourceInterface || '',
-          targetInterface: re.data?.targetInterface || '',
+          ...labels,
         },
       });
     } else {
-      const cyEdge = cy.getElementById(re.id);
-      cyEdge.data('sourceInterface', re.data?.sourceInterface || '');
-      cyEdge.data('targetInterface', re.data?.targetInterface || '');
+      cy.getElementById(re.id).data(labels);
     }
   });
 }
@@ -170,20 +253,55 @@ const CytoscapeCanvas = forwardRef(({
   onEdgeContextMenu,
   onNodeDragStop,
   onNodeTap,
+  onCanvasContextMenu,
+  onSelectionChange,
   connectSourceNodeId,
+  lintMarkers,
+  showAddresses,
 }, ref) => {
   const containerRef = useRef(null);
   const cyRef = useRef(null);
-  const callbacksRef = useRef({ onNodeContextMenu, onEdgeContextMenu, onNodeDragStop, onNodeTap });
+  const callbacksRef = useRef({ onNodeContextMenu, onEdgeContextMenu, onNodeDragStop, onNodeTap, onCanvasContextMenu, onSelectionChange });
 
   // Keep callbacks ref up to date
   useEffect(() => {
-    callbacksRef.current = { onNodeContextMenu, onEdgeContextMenu, onNodeDragStop, onNodeTap };
-  }, [onNodeContextMenu, onEdgeContextMenu, onNodeDragStop, onNodeTap]);
+    callbacksRef.current = { onNodeContextMenu, onEdgeContextMenu, onNodeDragStop, onNodeTap, onCanvasContextMenu, onSelectionChange };
+  }, [onNodeContextMenu, onEdgeContextMenu, onNodeDragStop, onNodeTap, onCanvasContextMenu, onSelectionChange]);
 
   useImperativeHandle(ref, () => ({
     getCy: () => cyRef.current,
     fit: () => cyRef.current?.fit(),
+    // Select exactly these nodes, e.g. the nodes just pasted
+    selectNodes: (ids) => {
+      const cy = cyRef.current;
+      if (!cy) return;
+      cy.nodes(':selected').unselect();
+      ids.forEach(id => cy.getElementById(id).select());
+    },
+    // The elements as they are drawn, for the diagram export, without the ghost of connect mode
+    getDiagram: () => {
+      const cy = cyRef.current;
+      if (!cy) return null;
+      const isGhost = (element) => element.id() === GHOST_NODE_ID || element.id() === GHOST_EDGE_ID;
+      return {
+        nodes: cy.nodes().filter(n => !isGhost(n)).map(n => ({
+          id: n.id(),
+          label: n.data('label') || '',
+          icon: n.data('icon') || null,
+          external: n.hasClass('external'),
+          position: { ...n.position() },
+        })),
+        edges: cy.edges().filter(e => !isGhost(e)).map(e => ({
+          id: e.id(),
+          source: e.data('source'),
+          target: e.data('target'),
+          sourceLabel: e.data('sourceLabel') || '',
+          targetLabel: e.data('targetLabel') || '',
+          linkType: e.data('linkType') || 'veth',
+        })),
+        viewport: { pan: { ...cy.pan() }, zoom: cy.zoom() },
+      };
+    },
   }));
 
   // Initialize Cytoscape
@@ -198,15 +316,51 @@ const CytoscapeCanvas = forwardRef(({
       minZoom: 0.2,
       maxZoom: 3,
       wheelSensitivity: 0.3,
-      boxSelectionEnabled: false,
+      // Shift + drag on the background draws a selection box, Shift/Ctrl + click adds a node to the selection
+      boxSelectionEnabled: true,
     });
     cyRef.current = cy;
 
+    // A box selection selects its nodes one by one, the selection is reported once they all are
+    let selectionTimer = null;
+    cy.on('select unselect', 'node', () => {
+      clearTimeout(selectionTimer);
+      selectionTimer = setTimeout(() => {
+        const ids = cy.nodes(':selected').filter(n => !n.hasClass('external') && n.id() !== GHOST_NODE_ID).map(n => n.id());
+        callbacksRef.current.onSelectionChange?.(ids);
+      }, 0);
+    });
+
+    // Right-click on the background, e.g. to paste where the mouse is
+    cy.on('cxttap', (event) => {
+      if (event.target !== cy) return;
+      event.originalEvent.preventDefault();
+      callbacksRef.current.onCanvasContextMenu?.(event.originalEvent, { ...event.position });
+    });
+
+    const openEdgeContextMenu = (edge, originalEvent) => {
+      callbacksRef.current.onEdgeContextMenu?.(originalEvent, {
+        id: edge.id(),
+        source: edge.data('source'),
+        target: edge.data('target'),
+        data: {
+          ...edge.data('link'),
+          sourceInterface: edge.data('sourceInterface') || '',
+          targetInterface: edge.data('targetInterface') || '',
+        },
+      });
+    };
+
     // Right-click context menu on nodes
     cy.on('cxttap', 'node', (event) => {
       const node = event.target;
       const originalEvent = event.originalEvent;
       originalEvent.preventDefault();
+      // The far end of an external link stands for its link
+      if (node.hasClass('external')) {
+        openEdgeContextMenu(node.connectedEdges().first(), originalEvent);
+        return;
+      }
       callbacksRef.current.onNodeContextMenu?.(originalEvent, {
         id: node.id(),
         data: { ...node.data() },
@@ -219,20 +373,13 @@ const CytoscapeCanvas = forwardRef(({
       const edge = event.target;
       const originalEvent = event.originalEvent;
       originalEvent.preventDefault();
-      callbacksRef.current.onEdgeContextMenu?.(originalEvent, {
-        id: edge.id(),
-        source: edge.data('source'),
-        target: edge.data('target'),
-        data: {
-          sourceInterface: edge.data('sourceInterface') || '',
-          targetInterface: edge.data('targetInterface') || '',
-        },
-      });
+      openEdgeContextMenu(edge, originalEvent);
     });
 
     // Node drag stop - sync position back to React state
     cy.on('dragfree', 'node', (event) => {
       const node = event.target;
+      if (node.hasClass('external')) return;
       callbacksRef.current.onNodeDragStop?.({
         id: node.id(),
         position: { ...node.position() },
@@ -242,6 +389,7 @@ const CytoscapeCanvas = forwardRef(({
     // Node tap - used for "Connect" mode
     cy.on('tap', 'node', (event) => {
       const node = event.target;
+      if (node.hasClass('external')) return;
       callbacksRef.current.onNodeTap?.({
         id: node.id(),
         data: { ...node.data() },
@@ -250,6 +398,7 @@ const CytoscapeCanvas = forwardRef(({
     });
 
     return () => {
+      clearTimeout(selectionTimer);
       cy.destroy();
       cyRef.current = null;
     };
@@ -259,8 +408,20 @@ const CytoscapeCanvas = forwardRef(({
   useEffect(() => {
     const cy = cyRef.current;
     if (!cy) return;
-    syncElements(cy, nodes || [], edges || []);
-  }, [nodes, edges]);
+    syncElements(cy, nodes || [], edges || [], showAddresses);
+  }, [nodes, edges, showAddresses]);
+
+  // Mark the nodes and edges the linter found problems with, after the elements are synced
+  useEffect(() => {
+    const cy = cyRef.current;
+    if (!cy) return;
+    cy.elements().removeClass('lint-error lint-warning');
+    [...Object.entries(lintMarkers?.nodes || {}), ...Object.entries(lintMarkers?.edges || {})].forEach(([id, severity]) => {
+      if (severity === 'error' || severity === 'warning') {
+        cy.getElementById(id).addClass(`lint-${severity}`);
+      }
+    });
+  }, [lintMarkers, nodes, edges]);
 
   // Handle connect mode: ghost node + dashed rubber-band edge
   useEffect(() => {
@@ -316,7 +477,7 @@ const CytoscapeCanvas = forwardRef(({
       // Add hover highlight to nodes under cursor (excluding source and ghost)
       cy.nodes().removeClass('connect-hover');
       const hoveredNode = cy.nodes().filter((n) => {
-        if (n.id() === GHOST_NODE_ID || n.id() === connectSourceNodeId) return false;
+        if (n.id() === GHOST_NODE_ID || n.id() === connectSourceNodeId || n.hasClass('external')) return false;
         const bb = n.boundingBox();
         return modelX >= bb.x1 && modelX <= bb.x2 && modelY >= bb.y1 && modelY <= bb.y2;
       });
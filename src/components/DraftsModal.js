@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { deleteDraft, getDraft, listDrafts, saveDraft } from '../utils/drafts';
+
+// The number of drafts offered when the designer opens
+const RECENT_DRAFTS = 5;
+
+const describeState = (state) => {
+  const nodeCount = (state.nodes || []).length;
+  const linkCount = (state.edges || []).length;
+  return `${state.topologyName || 'Untitled'} - ${nodeCount} node${nodeCount === 1 ? '' : 's'}, ${linkCount} link${linkCount === 1 ? '' : 's'}`;
+};
+
+/*
+ * This is the modal of the designer drafts. It saves the design under a name and lists the user's drafts to open or
+ * delete them. When the designer opens empty it is shown as the recent drafts picker (startup), which also offers to
+ * restore the design that was autosaved before a refresh or a logout.
+ */
+const DraftsModal = ({ isOpen, startup, autosave, topologyState, onOpen, onDiscardAutosave, onClose }) => {
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchDrafts = useCallback(async () => {
+    setLoading(true);
+    try {
+      setDrafts(await listDrafts());
+    } catch (err) {
+      console.error('Error listing drafts:', err);
+      setError(`Could not load your drafts: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // The name is only suggested when the modal opens, not while the design changes behind it
+  const topologyNameRef = useRef(topologyState.topologyName);
+  topologyNameRef.current = topologyState.topologyName;
+
+  useEffect(() => {
+    if (isOpen) {
+      setError('');
+      setMessage('');
+      setDraftName(topologyNameRef.current || '');
+      fetchDrafts();
+    }
+  }, [isOpen, fetchDrafts]);
+
+  if (!isOpen) return null;
+
+  const handleSave = async () => {
+    setError('');
+    setMessage('');
+    if (!draftName.trim()) {
+      setError('Please enter a name for the draft');
+      return;
+    }
+    const replacing = drafts.some(draft => draft.name === draftName.trim());
+    if (replacing && !window.confirm(`Replace your draft "${draftName.trim()}"?`)) return;
+
+    setSaving(true);
+    try {
+      await saveDraft(draftName.trim(), topologyState);
+      setMessage(`Saved as "${draftName.trim()}"`);
+      fetchDrafts();
+    } catch (err) {
+      setError(`Could not save the draft: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOpen = async (entry) => {
+    setError('');
+    try {
+      const draft = await getDraft(entry.id);
+      onOpen(draft.state, `Open draft ${draft.name}`);
+    } catch (err) {
+      setError(`Could not open the draft: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete your draft "${entry.name}"?`)) return;
+    setError('');
+    setMessage('');
+    try {
+      await deleteDraft(entry.id);
+      setMessage(`Deleted "${entry.name}"`);
+      fetchDrafts();
+    } catch (err) {
+      setError(`Could not delete the draft: ${err.message}`);
+    }
+  };
+
+  const shownDrafts = startup ? drafts.slice(0, RECENT_DRAFTS) : drafts;
+
+  return (
+    <div className="modal">
+      <div className="modal-content" style={{ width: '650px' }}>
+        <h2>{startup ? 'Continue where you left off' : 'Drafts'}</h2>
+        <div className="form-content">
+          {error && <div className="warning-message">{error}</div>}
+          {message && (
+            <div style={{ color: '#155724', backgroundColor: '#d4edda', border: '1px solid #c3e6cb', borderRadius: '4px', padding: '10px', marginBottom: '15px', textAlign: 'center' }}>
+              {message}
+            </div>
+          )}
+
+          {startup && autosave && (
+            <div style={{ border: '1px solid #ffeeba', backgroundColor: '#fff3cd', borderRadius: '4px', padding: '10px', marginBottom: '15px' }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '5px' }}>
+                Unsaved design from {new Date(autosave.savedAt).toLocaleString()}
+              </div>
+              <div style={{ fontSize: '13px', marginBottom: '10px' }}>{describeState(autosave.state)}</div>
+              <button onClick={() => onOpen(autosave.state, 'Restore unsaved design')}>Restore</button>
+              <button onClick={onDiscardAutosave} style={{ marginLeft: '8px' }}>Discard</button>
+            </div>
+          )}
+
+          {!startup && (
+            <div className="input-group">
+              <label>Save the design as:</label>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <input
+                  type="text"
+                  value={draftName}
+                  placeholder="Draft name"
+                  maxLength={100}
+                  onChange={(e) => setDraftName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                  style={{ flex: 1 }}
+                />
+                <button onClick={handleSave} disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+              </div>
+              <span className="helper-text">A draft with the same name is replaced. Your drafts are only visible to you.</span>
+            </div>
+          )}
+
+          <h3 style={{ marginBottom: '5px' }}>{startup ? 'Recent drafts' : 'Your drafts'}</h3>
+          {loading ? (
+            <div className="helper-text">Loading drafts...</div>
+          ) : shownDrafts.length === 0 ? (
+            <div className="helper-text">No drafts saved yet.</div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={{ padding: '8px', textAlign: 'left' }}>Name</th>
+                  <th style={{ padding: '8px', textAlign: 'left' }}>Topology</th>
+                  <th style={{ padding: '8px', textAlign: 'left' }}>Saved</th>
+                  <th style={{ padding: '8px' }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {shownDrafts.map((draft) => (
+                  <tr key={draft.id} style={{ borderTop: '1px solid #eee' }}>
+                    <td style={{ padding: '8px' }}>{draft.name}</td>
+                    <td style={{ padding: '8px', fontSize: '13px' }}>
+                      {draft.topologyName || 'Untitled'} ({draft.nodeCount} nodes, {draft.linkCount} links)
+                    </td>
+                    <td style={{ padding: '8px', fontSize: '13px' }}>{new Date(draft.updatedAt).toLocaleString()}</td>
+                    <td style={{ padding: '8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      <button onClick={() => handleOpen(draft)}>Open</button>
+                      {!startup && (
+                        <button className="delete-button" onClick={() => handleDelete(draft)} style={{ marginLeft: '5px' }}>Delete</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {!startup && (
+            <p className="helper-text" style={{ fontSize: '13px' }}>
+              Opening a draft replaces the design in the designer; it can be undone from the History.
+            </p>
+          )}
+        </div>
+        <div className="actions">
+          <button onClick={onClose}>{startup ? 'Start with an empty designer' : 'Close'}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DraftsModal;
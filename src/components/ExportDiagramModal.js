@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { DEFAULT_EXPORT_OPTIONS, EXPORT_FORMATS, PAPER_SIZES } from '../utils/diagramExport';
+
+const CHECKBOXES = [
+  { field: 'title', label: 'Topology name as the title' },
+  { field: 'interfaceLabels', label: 'Interface labels on the links' },
+  { field: 'mgmtIps', label: 'Management IPs under the nodes' },
+  { field: 'annotations', label: 'Annotations' },
+  { field: 'legend', label: 'Legend of the kinds and link types' }
+];
+
+/*
+ * This is the modal to export the canvas as a diagram for documentation and course material. It picks the format
+ * and what the diagram shows, onExport draws and saves it. The options are kept for the next export.
+ */
+const ExportDiagramModal = ({ isOpen, onExport, onClose }) => {
+  const [options, setOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen) return null;
+
+  const update = (field, value) => setOptions(previous => ({ ...previous, [field]: value }));
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      await onExport(options);
+      onClose();
+    } catch (err) {
+      console.error('Error exporting the diagram:', err);
+      setError(`Could not export the diagram: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-content" style={{ width: '420px', maxWidth: '95vw' }}>
+        <h2>Export Diagram</h2>
+        <div className="form-content">
+          {error && <div className="warning-message">{error}</div>}
+          <div className="input-group">
+            <label>Format:</label>
+            <select value={options.format} onChange={(e) => update('format', e.target.value)} className="image-select">
+              {EXPORT_FORMATS.map(format => <option key={format.value} value={format.value}>{format.label}</option>)}
+            </select>
+          </div>
+
+          <div className="checkbox-group">
+            {CHECKBOXES.map(({ field, label }) => (
+              <label key={field} style={{ display: 'block' }}>
+                <input type="checkbox" checked={options[field]} onChange={(e) => update(field, e.target.checked)} />
+                {label}
+              </label>
+            ))}
+            <label style={{ display: 'block' }}>
+              <input
+                type="checkbox"
+                checked={options.transparent && options.format !== 'pdf'}
+                disabled={options.format === 'pdf'}
+                onChange={(e) => update('transparent', e.target.checked)}
+              />
+              Transparent background
+            </label>
+            <label style={{ display: 'block' }}>
+              <input type="checkbox" checked={options.fitToPage} onChange={(e) => update('fitToPage', e.target.checked)} />
+              Fit to page
+            </label>
+          </div>
+
+          {options.fitToPage && (
+            <div className="input-group">
+              <label>Paper:</label>
+              <select value={options.paper} onChange={(e) => update('paper', e.target.value)} className="image-select">
+                {PAPER_SIZES.map(paper => <option key={paper.value} value={paper.value}>{paper.label}</option>)}
+              </select>
+              <span className="helper-text">The diagram is centred on the page, turned to landscape when it is wider than high.</span>
+            </div>
+          )}
+
+          {options.format === 'png' && (
+            <div className="input-group">
+              <label>Resolution:</label>
+              <select value={options.scale} onChange={(e) => update('scale', Number(e.target.value))} className="image-select">
+                {[1, 2, 3, 4].map(scale => <option key={scale} value={scale}>{scale}x</option>)}
+              </select>
+            </div>
+          )}
+
+          <span className="helper-text">
+            The diagram follows the node positions of the canvas, not its zoom. Annotations are placed where they are
+            seen over the topology.
+          </span>
+        </div>
+        <div className="actions">
+          <button onClick={handleExport} disabled={exporting}>{exporting ? 'Exporting...' : 'Export'}</button>
+          <button onClick={onClose} disabled={exporting}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDiagramModal;
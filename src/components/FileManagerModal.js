@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Folder, File, ChevronRight, ChevronDown, ArrowUp, Upload, Trash, Plus, PlusCircle, FileText, Copy, Clipboard, Pencil, Check, Edit } from 'lucide-react';
+import { Folder, File, ChevronRight, ChevronDown, ArrowUp, Upload, Trash, Plus, PlusCircle, FileText, Copy, Clipboard, Pencil, Check, Edit, Download } from 'lucide-react';
 import pathBrowserify from 'path-browserify';
-import { getClabServers, BACKEND_API_URL, SERVER_IP } from '../utils/config';
+import { getClabServers, getBackendUrl, getServerIp, isFeatureEnabled } from '../utils/config';
+import { getAuthHeaders, getSessionToken } from '../utils/auth';
 
 // Path utility functions
 const getBasename = (filepath) => {
@@ -12,6 +13,45 @@ const getDirname = (filepath) => {
   return pathBrowserify.dirname(filepath);
 };
 
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+
+const isImageFile = (filepath) => {
+  return IMAGE_EXTENSIONS.includes(pathBrowserify.extname(filepath).toLowerCase());
+};
+
+// Format a byte count the way ls -lh does (1.2K, 3.4M, ...)
+const formatFileSize = (bytes) => {
+  if (bytes === undefined || bytes === null) return '';
+  const units = ['B', 'K', 'M', 'G', 'T'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${size} B` : `${size.toFixed(1)}${units[unit]}`;
+};
+
+// Downloads are plain links, so the session token goes in the query string instead of a header
+const getDownloadUrl = (serverIp, filepath, inline = false) => {
+  return `${getBackendUrl(serverIp)}/api/files/download?path=${encodeURIComponent(filepath)}&serverIp=${encodeURIComponent(serverIp)}&inline=${inline}&token=${encodeURIComponent(getSessionToken() || '')}`;
+};
+
+// Size, modification time, owner and symlink target shown to the right of each entry
+const FileEntryMeta = ({ item }) => {
+  if (!item.modifiedAt) return null;
+  return (
+    <span style={{ marginLeft: 'auto', display: 'flex', gap: '16px', fontSize: '12px', color: '#666', fontWeight: 'normal', paddingRight: '8px' }}>
+      {item.isSymlink && (
+        <span title="Symbolic link">&rarr; {item.linkTarget || '?'}</span>
+      )}
+      <span title={`${item.permissions} ${item.owner}:${item.group}`}>{item.owner}</span>
+      <span style={{ minWidth: '60px', textAlign: 'right' }}>{item.type === 'directory' ? '' : formatFileSize(item.size)}</span>
+      <span style={{ minWidth: '140px', textAlign: 'right' }}>{new Date(item.modifiedAt).toLocaleString()}</span>
+    </span>
+  );
+};
+
 const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title }) => {
   const [servers, setServers] = useState(getClabServers());
   const [expandedServers, setExpandedServers] = useState({});
@@ -42,6 +82,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
   const [fileContent, setFileContent] = useState('');
   const [isSaveAs, setIsSaveAs] = useState(false);
   const [gitRepoUrl, setGitRepoUrl] = useState('');
+  const [previewFile, setPreviewFile] = useState(null); // Binary file shown with a download link instead of the editor
 
   useEffect(() => {
     const initialPaths = {};
@@ -131,9 +172,9 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
         [`${serverIp}:${path}`]: [{ name: 'Loading...', type: 'loading', path: '' }]
       }));
       
-      console.log(`Fetching from: http://${serverIp}:3001/api/files/list?path=${encodeURIComponent(path)}&serverIp=${encodeURIComponent(serverIp)}&username=${encodeURIComponent(username)}`);
+      console.log(`Fetching from: ${getBackendUrl(serverIp)}/api/files/list?path=${encodeURIComponent(path)}&serverIp=${encodeURIComponent(serverIp)}`);
       
-      const response = await fetch(`http://${serverIp}:3001/api/files/list?path=${encodeURIComponent(path)}&serverIp=${encodeURIComponent(serverIp)}&username=${encodeURIComponent(username)}`);
+      const response = await fetch(`${getBackendUrl(serverIp)}/api/files/list?path=${encodeURIComponent(path)}&serverIp=${encodeURIComponent(serverIp)}`, { headers: getAuthHeaders() });
       
       console.log('Response status:', response.status);
       
@@ -276,7 +317,12 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
 
       try {
         setLoading(true);
-        const response = await fetch(`http://${selectedFile.serverIp}:3001/api/files/read?path=${encodeURIComponent(selectedFile.path)}&serverIp=${encodeURIComponent(selectedFile.serverIp)}&username=${encodeURIComponent(username)}`);
+        const response = await fetch(`${getBackendUrl(selectedFile.serverIp)}/api/files/read?path=${encodeURIComponent(selectedFile.path)}&serverIp=${encodeURIComponent(selectedFile.serverIp)}`, { headers: getAuthHeaders() });
+        
+        if (response.status === 415) {
+          alert(`${getBasename(selectedFile.path)} is a binary file and cannot be imported as a topology`);
+          return;
+        }
         
         if (!response.ok) {
           const text = await response.text();
@@ -286,7 +332,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
         const data = await response.json();
         
         if (data.success) {
-          onImport(data.content);
+          onImport(data.content, selectedFile);
           onClose();
         } else {
           console.error('Failed to read file:', data.error);
@@ -343,10 +389,10 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
       formData.append('file', file);
       formData.append('serverIp', serverIp);
       formData.append('targetDirectory', currentPaths[serverIp]);
-      formData.append('username', username);
       
-      const response = await fetch(`http://${serverIp}:3001/api/files/upload`, {
+      const response = await fetch(`${getBackendUrl(serverIp)}/api/files/upload`, {
         method: 'POST',
+        headers: getAuthHeaders(),
         body: formData
       });
       
@@ -414,16 +460,16 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
       
       for (const item of selectedItems) {
         try {
-          const response = await fetch(`http://${item.serverIp}:3001/api/files/delete`, {
+          const response = await fetch(`${getBackendUrl(item.serverIp)}/api/files/delete`, {
             method: 'DELETE',
             headers: {
+              ...getAuthHeaders(),
               'Content-Type': 'application/json'
             },
             body: JSON.stringify({
               serverIp: item.serverIp,
               path: item.path,
-              isDirectory: item.isDirectory,
-              username: username
+              isDirectory: item.isDirectory
             })
           });
           
@@ -468,16 +514,16 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
       try {
         setLoading(true);
         
-        const response = await fetch(`http://${itemToDelete.serverIp}:3001/api/files/delete`, {
+        const response = await fetch(`${getBackendUrl(itemToDelete.serverIp)}/api/files/delete`, {
           method: 'DELETE',
           headers: {
+            ...getAuthHeaders(),
             'Content-Type': 'application/json'
           },
           body: JSON.stringify({
             serverIp: itemToDelete.serverIp,
             path: itemToDelete.path,
-            isDirectory,
-            username: username
+            isDirectory
           })
         });
         
@@ -521,9 +567,10 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
       
       for (const item of copiedItems) {
         try {
-          const response = await fetch(`http://${activeServer}:3001/api/files/copyPaste`, {
+          const response = await fetch(`${getBackendUrl(activeServer)}/api/files/copyPaste`, {
             method: 'POST',
             headers: {
+              ...getAuthHeaders(),
               'Content-Type': 'application/json'
             },
             body: JSON.stringify({
@@ -531,8 +578,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
               sourcePath: item.path,
               isDirectory: item.isDirectory,
               destinationServerIp: activeServer,
-              destinationPath: currentPaths[activeServer],
-              username: username
+              destinationPath: currentPaths[activeServer]
             })
           });
 
@@ -565,9 +611,10 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
       // Single item paste
       try {
         setLoading(true);
-        const response = await fetch(`http://${activeServer}:3001/api/files/copyPaste`, {
+        const response = await fetch(`${getBackendUrl(activeServer)}/api/files/copyPaste`, {
           method: 'POST',
           headers: {
+            ...getAuthHeaders(),
             'Content-Type': 'application/json'
           },
           body: JSON.stringify({
@@ -575,8 +622,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
             sourcePath: copiedItem.path,
             isDirectory: copiedItem.isDirectory,
             destinationServerIp: activeServer, // Assuming paste on the same server
-            destinationPath: currentPaths[activeServer],
-            username: username
+            destinationPath: currentPaths[activeServer]
           })
         });
 
@@ -623,16 +669,16 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
 
     try {
       setLoading(true);
-      const response = await fetch(`http://${itemToRename.serverIp}:3001/api/files/rename`, {
+      const response = await fetch(`${getBackendUrl(itemToRename.serverIp)}/api/files/rename`, {
         method: 'POST',
         headers: {
+          ...getAuthHeaders(),
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           serverIp: itemToRename.serverIp,
           oldPath: itemToRename.path,
-          newPath: `${currentPaths[itemToRename.serverIp]}/${newDisplayName}`,
-          username: username
+          newPath: `${currentPaths[itemToRename.serverIp]}/${newDisplayName}`
         })
       });
 
@@ -696,16 +742,16 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
 
     try {
       setLoading(true);
-      const response = await fetch(`http://${activeServer}:3001/api/files/createDirectory`, {
+      const response = await fetch(`${getBackendUrl(activeServer)}/api/files/createDirectory`, {
         method: 'POST',
         headers: {
+          ...getAuthHeaders(),
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           serverIp: activeServer,
           path: currentPaths[activeServer],
-          directoryName: newFolderName,
-          username: username
+          directoryName: newFolderName
         })
       });
 
@@ -735,17 +781,17 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
 
     try {
       setLoading(true);
-      const response = await fetch(`http://${activeServer}:3001/api/files/createFile`, {
+      const response = await fetch(`${getBackendUrl(activeServer)}/api/files/createFile`, {
         method: 'POST',
         headers: {
+          ...getAuthHeaders(),
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           serverIp: activeServer,
           path: currentPaths[activeServer],
           fileName: newFileName,
-          content: newFileContent,
-          username: username
+          content: newFileContent
         })
       });
 
@@ -773,12 +819,23 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
   const handleEditClick = async () => {
     if (!selectedFile || selectedItems.length > 0 || selectedFolder) return;
     
+    // Images are never editable, show them straight away
+    if (isImageFile(selectedFile.path)) {
+      setPreviewFile(selectedFile);
+      return;
+    }
+    
     try {
       setLoading(true);
-      const response = await fetch(`http://${selectedFile.serverIp}:3001/api/files/read?path=${encodeURIComponent(selectedFile.path)}&serverIp=${encodeURIComponent(selectedFile.serverIp)}&username=${encodeURIComponent(username)}`);
+      const response = await fetch(`${getBackendUrl(selectedFile.serverIp)}/api/files/read?path=${encodeURIComponent(selectedFile.path)}&serverIp=${encodeURIComponent(selectedFile.serverIp)}`, { headers: getAuthHeaders() });
       
       if (!response.ok) {
         const errorData = await response.json();
+        // Binary and oversized files open in the preview dialog, which offers a download instead
+        if (response.status === 415 || response.status === 413) {
+          setPreviewFile({ ...selectedFile, reason: errorData.error });
+          return;
+        }
         throw new Error(errorData.error || 'Failed to read file');
       }
 
@@ -800,6 +857,11 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
     }
   };
 
+  const handleDownloadClick = () => {
+    if (!selectedFile || selectedFolder) return;
+    window.open(getDownloadUrl(selectedFile.serverIp, selectedFile.path), '_blank');
+  };
+
   const handleSaveFile = async (saveAs = false) => {
     if (!fileToEdit) return;
     
@@ -811,40 +873,15 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
       const formData = new FormData();
       formData.append('file', blob, saveAs && newFileName ? newFileName : getBasename(fileToEdit.path));
       
-      let targetPath;
-      if (saveAs && newFileName) {
-        // For "Save As", use the directory of the original file
-        targetPath = getDirname(fileToEdit.path);
-      } else {
-        // For regular save, we'll delete the original file first
-        const deleteResponse = await fetch(`http://${fileToEdit.serverIp}:3001/api/files/delete`, {
-          method: 'DELETE',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            serverIp: fileToEdit.serverIp,
-            path: fileToEdit.path,
-            isDirectory: false,
-            username: username
-          })
-        });
-        
-        if (!deleteResponse.ok) {
-          const errorData = await deleteResponse.json();
-          throw new Error(errorData.error || 'Failed to delete original file');
-        }
-        
-        // Use the directory of the original file
-        targetPath = getDirname(fileToEdit.path);
-      }
+      // Both Save and "Save As" write into the directory of the original file, a regular save overwrites it in place
+      const targetPath = getDirname(fileToEdit.path);
       
       formData.append('serverIp', fileToEdit.serverIp);
       formData.append('path', targetPath);
-      formData.append('username', username);
       
-      const response = await fetch(`http://${fileToEdit.serverIp}:3001/api/files/save`, {
+      const response = await fetch(`${getBackendUrl(fileToEdit.serverIp)}/api/files/save`, {
         method: 'POST',
+        headers: getAuthHeaders(),
         body: formData
       });
 
@@ -928,15 +965,17 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
         logContent.scrollTop = logContent.scrollHeight;
       };
       
-      // Prepare the request - Use the correct API endpoint URL and username prop
-      const response = await fetch(`${BACKEND_API_URL}/api/git/clone`, {
+      // Prepare the request - the backend clones into the directory of the session's user on the server being browsed
+      const serverIp = activeServer || getServerIp();
+      const response = await fetch(`${getBackendUrl(serverIp)}/api/git/clone`, {
         method: 'POST',
         headers: {
+          ...getAuthHeaders(),
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           gitRepoUrl: gitRepoUrl.trim(),
-          username: username || 'admin'  // Use the username prop directly
+          serverIp
         })
       });
       
@@ -1027,7 +1066,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
         </div>
 
         {/* Import from git repo section */}
-        {(mode === 'import' || mode === 'manage') && (
+        {(mode === 'import' || mode === 'manage') && isFeatureEnabled('gitClone') && (
           <div style={{ 
             marginBottom: '15px', 
             padding: '10px', 
@@ -1091,7 +1130,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
                       style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
                     >
                       <FileText size={20} />
-                      <span title={`Shared NFS directory from ${SERVER_IP}`}>Shared directory</span>
+                      <span title={`Shared NFS directory from ${getServerIp()}`}>Shared directory</span>
                     </div>
                     <div className="server-contents" style={{ marginLeft: '20px' }}>
                       <div className="path-navigation" style={{ display: 'flex', alignItems: 'center', margin: '10px 0', gap: '10px' }}>
@@ -1206,6 +1245,13 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
                               >
                                 <Edit size={16} /> Edit
                               </button>
+                              <button
+                                onClick={handleDownloadClick}
+                                disabled={!selectedFile || selectedFolder || activeServer !== server.ip}
+                                style={{ display: 'flex', alignItems: 'center', gap: '5px', padding: '6px 12px' }}
+                              >
+                                <Download size={16} /> Download
+                              </button>
                               <input
                                 type="file"
                                 ref={fileInputRef}
@@ -1325,6 +1371,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
                               )}
                               {item.type === 'directory' ? <Folder size={16} /> : <File size={16} />}
                               {item.name}
+                              <FileEntryMeta item={item} />
                             </div>
                           );
                         })}
@@ -1458,6 +1505,13 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
                                 >
                                   <Edit size={16} /> Edit
                                 </button>
+                                <button
+                                  onClick={handleDownloadClick}
+                                  disabled={!selectedFile || selectedFolder || activeServer !== server.ip}
+                                  style={{ display: 'flex', alignItems: 'center', gap: '5px', padding: '6px 12px' }}
+                                >
+                                  <Download size={16} /> Download
+                                </button>
                                 <input
                                   type="file"
                                   ref={fileInputRef}
@@ -1577,6 +1631,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
                                 )}
                                 {item.type === 'directory' ? <Folder size={16} /> : <File size={16} />}
                                 {item.name}
+                                <FileEntryMeta item={item} />
                               </div>
                             );
                           })}
@@ -1711,6 +1766,13 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
                           >
                             <Edit size={16} /> Edit
                           </button>
+                          <button
+                            onClick={handleDownloadClick}
+                            disabled={!selectedFile || selectedFolder || activeServer !== server.ip}
+                            style={{ display: 'flex', alignItems: 'center', gap: '5px', padding: '6px 12px' }}
+                          >
+                            <Download size={16} /> Download
+                          </button>
                           <input
                             type="file"
                             ref={fileInputRef}
@@ -1830,6 +1892,7 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
                           )}
                           {item.type === 'directory' ? <Folder size={16} /> : <File size={16} />}
                           {item.name}
+                          <FileEntryMeta item={item} />
                         </div>
                       );
                     })}
@@ -2077,6 +2140,58 @@ const FileManagerModal = ({ isOpen, onClose, onImport, username, mode, title })
           </div>
         </div>
       )}
+
+      {previewFile && (
+        <div className="centered-modal-overlay">
+          <div className="centered-modal-box" style={{ width: '80%', maxWidth: '1000px', maxHeight: '800px' }}>
+            <div className="modal-header">
+              <h2>{getBasename(previewFile.path)}</h2>
+              <button className="close-button" onClick={() => setPreviewFile(null)}>&times;</button>
+            </div>
+            <div className="modal-content" style={{ textAlign: 'center', overflow: 'auto', maxHeight: '60vh' }}>
+              {isImageFile(previewFile.path) ? (
+                <img
+                  src={getDownloadUrl(previewFile.serverIp, previewFile.path, true)}
+                  alt={getBasename(previewFile.path)}
+                  style={{ maxWidth: '100%', maxHeight: '55vh' }}
+                />
+              ) : (
+                <p className="helper-text">{previewFile.reason || 'This file cannot be opened in the editor.'}</p>
+              )}
+            </div>
+            <div className="modal-footer" style={{ display: 'flex', justifyContent: 'flex-end' }}>
+              <a
+                href={getDownloadUrl(previewFile.serverIp, previewFile.path)}
+                style={{ 
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '5px',
+                  padding: '8px 15px', 
+                  backgroundColor: '#072452', 
+                  color: 'white', 
+                  borderRadius: '5px', 
+                  textDecoration: 'none',
+                  marginRight: '10px'
+                }}
+              >
+                <Download size={16} /> Download
+              </a>
+              <button 
+                onClick={() => setPreviewFile(null)} 
+                style={{ 
+                  padding: '8px 15px', 
+                  backgroundColor: '#6c757d', 
+                  color: 'white', 
+                  borderRadius: '5px', 
+                  border: 'none' 
+                }}
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
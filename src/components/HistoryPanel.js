@@ -0,0 +1,40 @@
+import React from 'react';
+
+/* This is the history list of the topology designer. It lists the changes made to the topology, the undone ones greyed out below the current one; clicking a change brings the topology back to how it was right after it. */
+const HistoryPanel = ({ history, onMove }) => {
+  const { past, future } = history;
+  const redoable = [...future].reverse();
+
+  return (
+    <div className="history-panel">
+      <div className="history-buttons">
+        <button type="button" onClick={() => onMove(-1)} disabled={past.length === 0} title="Undo (Ctrl+Z)">↶ Undo</button>
+        <button type="button" onClick={() => onMove(1)} disabled={future.length === 0} title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+      </div>
+      <ul className="history-list">
+        <li
+          className={`history-entry ${past.length === 0 ? 'current' : ''}`}
+          onClick={() => onMove(-past.length)}
+        >
+          Start
+        </li>
+        {past.map((entry, index) => (
+          <li
+            key={entry.id}
+            className={`history-entry ${index === past.length - 1 ? 'current' : ''}`}
+            onClick={() => onMove(index - past.length + 1)}
+          >
+            {entry.label}
+          </li>
+        ))}
+        {redoable.map((entry, index) => (
+          <li key={entry.id} className="history-entry undone" onClick={() => onMove(index + 1)}>
+            {entry.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default HistoryPanel;
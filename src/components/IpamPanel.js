@@ -0,0 +1,72 @@
+import React from 'react';
+import { P2P_PREFIXES } from '../utils/ipam';
+
+const POOL_FIELDS = [
+  { field: 'p2pIpv4', prefixField: 'p2pIpv4Prefix', version: 'ipv4', label: 'IPv4 link pool', placeholder: '10.0.0.0/24' },
+  { field: 'loopbackIpv4', label: 'IPv4 loopback pool', placeholder: '10.255.0.0/24' },
+  { field: 'p2pIpv6', prefixField: 'p2pIpv6Prefix', version: 'ipv6', label: 'IPv6 link pool', placeholder: '2001:db8:ffff::/64' },
+  { field: 'loopbackIpv6', label: 'IPv6 loopback pool', placeholder: '2001:db8::/64' }
+];
+
+/*
+ * This is the IP addressing section of the designer sidebar. It edits the pools the point-to-point subnets and the
+ * loopbacks are taken from and assigns, renumbers, clears or exports the address plan. An empty pool is not used.
+ */
+const IpamPanel = ({ pools, poolErrors, planErrors, counts, showAddresses, onPoolsChange, onAssign, onClear, onExport, onShowAddressesChange }) => {
+  const hasPlan = counts.loopbacks > 0 || counts.links > 0;
+
+  return (
+    <div className="ipam-panel">
+      {POOL_FIELDS.map(({ field, prefixField, version, label, placeholder }) => (
+        <div className="input-group" key={field}>
+          <label>{label}:</label>
+          <div style={{ display: 'flex', gap: '5px' }}>
+            <input
+              type="text"
+              value={pools[field]}
+              placeholder={placeholder}
+              onChange={(e) => onPoolsChange({ ...pools, [field]: e.target.value.trim() })}
+              className={poolErrors[field] ? 'input-error' : ''}
+              style={{ flex: 1, minWidth: 0 }}
+            />
+            {prefixField && (
+              <select
+                value={pools[prefixField]}
+                onChange={(e) => onPoolsChange({ ...pools, [prefixField]: Number(e.target.value) })}
+                title="The prefix length of each link"
+              >
+                {P2P_PREFIXES[version].map(prefix => <option key={prefix} value={prefix}>/{prefix}</option>)}
+              </select>
+            )}
+          </div>
+          {poolErrors[field] && <span className="helper-text" style={{ color: '#a61d24' }}>{poolErrors[field]}</span>}
+        </div>
+      ))}
+
+      {planErrors.map(error => <div className="warning-message" key={error}>{error}</div>)}
+
+      <div className="ipam-actions">
+        <button onClick={() => onAssign(false)} title="Give addresses to the nodes and links that have none, keeping the others">
+          Assign
+        </button>
+        <button onClick={() => onAssign(true)} disabled={!hasPlan} title="Give every node and link new addresses from the pools">
+          Renumber
+        </button>
+        <button onClick={onClear} disabled={!hasPlan}>Clear</button>
+        <button onClick={onExport} title="Download the address plan of every interface as CSV">Export CSV</button>
+      </div>
+      <span className="helper-text">
+        {counts.loopbacks} node{counts.loopbacks === 1 ? '' : 's'} and {counts.links} link{counts.links === 1 ? '' : 's'} addressed.
+        Loopbacks are kept in the node labels, link addresses in the link vars.
+      </span>
+      <div className="checkbox-group">
+        <label>
+          <input type="checkbox" checked={showAddresses} onChange={(e) => onShowAddressesChange(e.target.checked)} />
+          Show the addresses on the canvas
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default IpamPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+const ICONS = { error: '⛔', warning: '⚠️', info: 'ℹ️' };
+
+/* This is the problems list of the topology designer. It lists what the topology linter found in the YAML, errors first; clicking a problem selects its node on the canvas. Errors have to be fixed before the topology can be deployed. */
+const LintPanel = ({ diagnostics, onSelect }) => {
+  if (diagnostics.length === 0) {
+    return <div className="lint-panel helper-text">No problems found.</div>;
+  }
+
+  const sorted = ['error', 'warning', 'info'].flatMap(severity => diagnostics.filter(diagnostic => diagnostic.severity === severity));
+
+  return (
+    <ul className="lint-panel lint-list">
+      {sorted.map((diagnostic, index) => (
+        <li
+          key={`${diagnostic.rule}-${index}`}
+          className={`lint-entry ${diagnostic.severity}`}
+          onClick={() => onSelect(diagnostic)}
+          title={diagnostic.line ? `Line ${diagnostic.line} of the YAML` : undefined}
+        >
+          <span className="lint-icon">{ICONS[diagnostic.severity]}</span>
+          {diagnostic.message}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default LintPanel;
@@ -1,37 +1,160 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { listJobs, readJobLog, formatJobTime } from '../utils/jobs';
+
+const JOB_STATUS_COLORS = {
+  queued: '#6c757d',
+  running: '#007bff',
+  succeeded: '#28a745',
+  failed: '#dc3545',
+  interrupted: '#fd7e14'
+};
+
+const LogModal = ({ isOpen, onClose, logs, title, showSuccess = false, onNavigateToServers, serverIp, initialView = 'logs' }) => {
+  // With a serverIp the modal can also show the job history of that server and replay any job's log
+  const [view, setView] = useState(initialView);
+  const [jobs, setJobs] = useState([]);
+  const [jobsLoading, setJobsLoading] = useState(false);
+  const [jobsError, setJobsError] = useState(null);
+  const [replayJob, setReplayJob] = useState(null);
+  const [replayLogs, setReplayLogs] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setView(initialView);
+      setReplayJob(null);
+    }
+  }, [isOpen, initialView]);
+
+  useEffect(() => {
+    if (!isOpen || !serverIp || view !== 'history') return;
+
+    let cancelled = false;
+    setJobsLoading(true);
+    setJobsError(null);
+    listJobs(serverIp, { limit: 25 })
+      .then(result => !cancelled && setJobs(result))
+      .catch(error => !cancelled && setJobsError(error.response?.data?.error || error.message))
+      .finally(() => !cancelled && setJobsLoading(false));
+
+    return () => { cancelled = true; };
+  }, [isOpen, serverIp, view]);
+
+  /* This is the function to replay a job's log. Running jobs are followed until they finish. */
+  const openJob = async (job) => {
+    setReplayJob(job);
+    setReplayLogs('');
+    setView('replay');
+    try {
+      const finishedJob = await readJobLog(serverIp, job.id, chunk => setReplayLogs(prev => prev + chunk), true);
+      if (finishedJob) {
+        setReplayJob(finishedJob);
+      }
+    } catch (error) {
+      setReplayLogs(prev => prev + `\nError reading job log: ${error.message}`);
+    }
+  };
 
-const LogModal = ({ isOpen, onClose, logs, title, showSuccess = false, onNavigateToServers }) => {
   if (!isOpen) return null;
-  
+
+  const shownLogs = view === 'replay' ? replayLogs : logs;
+
   // Check if logs contain error messages indicating deployment failure
-  const hasErrors = logs && (
-    logs.toLowerCase().includes('error') || 
-    logs.toLowerCase().includes('failed') || 
-    logs.toLowerCase().includes('denied')
-  );
+  const hasErrors = view === 'replay'
+    ? replayJob && (replayJob.status === 'failed' || replayJob.status === 'interrupted')
+    : logs && (
+      logs.toLowerCase().includes('error') ||
+      logs.toLowerCase().includes('failed') ||
+      logs.toLowerCase().includes('denied')
+    );
 
   return (
     <div className="modal">
       <div className="modal-content" style={{ width: '80%', maxWidth: '800px' }}>
-        <h2>{title}</h2>
-        <div className="log-content" style={{ 
-          maxHeight: '400px', 
-          overflowY: 'auto', 
-          whiteSpace: 'pre-wrap',
-          backgroundColor: '#f5f5f5',
-          padding: '10px',
-          marginBottom: '20px',
-          fontFamily: 'monospace'
-        }}>
-          {logs}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2>
+            {view === 'history' ? 'Job History' : view === 'replay' && replayJob ? `${replayJob.type} ${replayJob.target}` : title}
+          </h2>
+          {serverIp && (
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {view !== 'logs' && logs !== undefined && initialView === 'logs' && (
+                <button onClick={() => setView('logs')}>Current operation</button>
+              )}
+              {view !== 'history' && (
+                <button onClick={() => setView('history')}>Job history</button>
+              )}
+            </div>
+          )}
         </div>
-        {showSuccess && !hasErrors ? (
-          <div style={{ 
-            marginBottom: '20px', 
-            padding: '10px', 
-            backgroundColor: '#e6ffe6', 
+
+        {view === 'history' ? (
+          <div style={{ maxHeight: '400px', overflowY: 'auto', marginBottom: '20px' }}>
+            {jobsLoading && <p>Loading jobs...</p>}
+            {jobsError && <p className="warning-message">{jobsError}</p>}
+            {!jobsLoading && !jobsError && jobs.length === 0 && (
+              <p className="helper-text">No lab operations have been run on this server yet.</p>
+            )}
+            {jobs.length > 0 && (
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                    <th style={{ padding: '6px' }}>Started</th>
+                    <th style={{ padding: '6px' }}>Operation</th>
+                    <th style={{ padding: '6px' }}>Topology</th>
+                    <th style={{ padding: '6px' }}>Status</th>
+                    <th style={{ padding: '6px' }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.map(job => (
+                    <tr key={job.id} style={{ borderBottom: '1px solid #eee' }}>
+                      <td style={{ padding: '6px', whiteSpace: 'nowrap' }}>{formatJobTime(job.startedAt || job.createdAt)}</td>
+                      <td style={{ padding: '6px' }}>{job.type}</td>
+                      <td style={{ padding: '6px', wordBreak: 'break-all' }}>{job.target}</td>
+                      <td style={{ padding: '6px', color: JOB_STATUS_COLORS[job.status] || '#333', fontWeight: 500 }}>
+                        {job.status}
+                        {job.durationMs !== null && job.durationMs !== undefined && (
+                          <span style={{ color: '#666', fontWeight: 'normal' }}> ({Math.round(job.durationMs / 1000)}s)</span>
+                        )}
+                      </td>
+                      <td style={{ padding: '6px', textAlign: 'right' }}>
+                        <button onClick={() => openJob(job)}>
+                          {job.status === 'running' || job.status === 'queued' ? 'Attach' : 'View log'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ) : (
+          <div className="log-content" style={{
+            maxHeight: '400px',
+            overflowY: 'auto',
+            whiteSpace: 'pre-wrap',
+            backgroundColor: '#f5f5f5',
+            padding: '10px',
+            marginBottom: '20px',
+            fontFamily: 'monospace'
+          }}>
+            {shownLogs}
+          </div>
+        )}
+
+        {view === 'replay' && replayJob && (
+          <p className="helper-text" style={{ marginBottom: '10px' }}>
+            Job {replayJob.id} by {replayJob.owner}, {replayJob.status}
+            {replayJob.finishedAt ? `, finished ${formatJobTime(replayJob.finishedAt)}` : ''}
+          </p>
+        )}
+
+        {view === 'logs' && showSuccess && !hasErrors ? (
+          <div style={{
+            marginBottom: '20px',
+            padding: '10px',
+            backgroundColor: '#e6ffe6',
             borderRadius: '4px',
-            textAlign: 'center' 
+            textAlign: 'center'
           }}>
             <p style={{ marginBottom: '10px' }}>
               Deployment successful! Please check Servers page to access the nodes.
@@ -51,16 +174,16 @@ const LogModal = ({ isOpen, onClose, logs, title, showSuccess = false, onNavigat
               Go to Dashboards
             </button>
           </div>
-        ) : hasErrors ? (
-          <div style={{ 
-            marginBottom: '20px', 
-            padding: '10px', 
-            backgroundColor: '#ffe6e6', 
+        ) : view !== 'history' && hasErrors ? (
+          <div style={{
+            marginBottom: '20px',
+            padding: '10px',
+            backgroundColor: '#ffe6e6',
             borderRadius: '4px',
-            textAlign: 'center' 
+            textAlign: 'center'
           }}>
             <p style={{ marginBottom: '10px' }}>
-              Deployment failed. Please check the logs above for more details.
+              {view === 'replay' ? 'This operation failed.' : 'Deployment failed.'} Please check the logs above for more details.
             </p>
           </div>
         ) : null}
@@ -72,4 +195,4 @@ const LogModal = ({ isOpen, onClose, logs, title, showSuccess = false, onNavigat
   );
 };
 
-export default LogModal;
\ No newline at end of file
+export default LogModal;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { NODE_PROPERTIES, NODE_STAGES, getInputKind } from '../utils/nodeSchema';
+
+// Multi line inputs take Enter for new lines instead of submitting the node modal
+const keepEnter = (e) => e.stopPropagation();
+
+/* This is the properties panel of the node modal. It draws one input per property of the containerlab node schema (see utils/nodeSchema), the values are checked against the schema when the modal is submitted. */
+const NodePropertiesPanel = ({ values, onChange, otherNodes = [] }) => {
+  const renderWaitFor = (property) => {
+    const rows = values[property.key] || [];
+    const updateRow = (index, field, value) => onChange(property.key, rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    return (
+      <div className="input-group" key={property.key}>
+        <label>{property.label}:</label>
+        {rows.map((row, index) => (
+          <div key={index} style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '5px' }}>
+            <select value={row.stage} onChange={e => updateRow(index, 'stage', e.target.value)} className="image-select" style={{ flex: 1 }}>
+              {NODE_STAGES.map(stage => <option key={stage} value={stage}>{stage}</option>)}
+            </select>
+            <span>waits for</span>
+            <select value={row.node} onChange={e => updateRow(index, 'node', e.target.value)} className="image-select" style={{ flex: 1 }}>
+              <option value="">Select a node</option>
+              {otherNodes.includes(row.node) || !row.node ? null : <option value={row.node}>{row.node}</option>}
+              {otherNodes.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <select value={row.nodeStage} onChange={e => updateRow(index, 'nodeStage', e.target.value)} className="image-select" style={{ flex: 1 }}>
+              <option value="">create (default)</option>
+              {NODE_STAGES.map(stage => <option key={stage} value={stage}>{stage}</option>)}
+            </select>
+            <button type="button" onClick={() => onChange(property.key, rows.filter((_, i) => i !== index))} className="remove-bind-button">-</button>
+          </div>
+        ))}
+        <button type="button" onClick={() => onChange(property.key, [...rows, { stage: 'create', node: '', nodeStage: '' }])} className="add-bind-button">+</button>
+        <div className="helper-text">{property.help}</div>
+      </div>
+    );
+  };
+
+  const renderInput = (property) => {
+    const value = values[property.key] ?? '';
+    switch (getInputKind(property)) {
+      case 'lines':
+      case 'pairs':
+        return (
+          <textarea
+            value={value}
+            onChange={e => onChange(property.key, e.target.value)}
+            onKeyDown={keepEnter}
+            rows={2}
+            style={{ width: '100%', fontFamily: 'monospace' }}
+          />
+        );
+      case 'boolean':
+        return (
+          <select value={value} onChange={e => onChange(property.key, e.target.value)} className="image-select">
+            <option value="">Not set</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+          </select>
+        );
+      case 'number':
+        return <input type="number" step="any" value={value} onChange={e => onChange(property.key, e.target.value)} />;
+      default:
+        return <input type="text" value={value} onChange={e => onChange(property.key, e.target.value)} />;
+    }
+  };
+
+  return (
+    <div>
+      {NODE_PROPERTIES.map(property => (getInputKind(property) === 'stages' ? renderWaitFor(property) : (
+        <div className="input-group" key={property.key}>
+          <label>{property.label} <code>{property.key}</code>:</label>
+          {renderInput(property)}
+          <div className="helper-text">{property.help}</div>
+        </div>
+      )))}
+    </div>
+  );
+};
+
+export default NodePropertiesPanel;
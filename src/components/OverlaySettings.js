@@ -0,0 +1,133 @@
+import React from 'react';
+import { MULTIHOMING_MODES, validateOverlay } from '../utils/configGen';
+
+const cellStyle = { padding: '3px' };
+const inputStyle = { width: '100%', boxSizing: 'border-box' };
+
+/*
+ * This is the editor of the EVPN/VXLAN overlay settings, in the Generate modal and in the startup configs section of
+ * the sidebar: the route server tier, the multihoming of the hosts, the anycast gateway MAC and the VRFs and VLANs
+ * with their VNIs. The Generate modal knows the tiers it builds and passes them as routeServerOptions.
+ */
+const OverlaySettings = ({ overlay, onChange, routeServerOptions }) => {
+  const errors = overlay.enabled ? validateOverlay(overlay) : [];
+  const update = (field, value) => onChange({ ...overlay, [field]: value });
+  const updateRow = (field, index, changes) => update(field, overlay[field].map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  const removeRow = (field, index) => update(field, overlay[field].filter((row, i) => i !== index));
+
+  const addVrf = () => {
+    const vni = Math.max(50000, ...overlay.vrfs.map(vrf => Number(vrf.vni) || 0)) + 1;
+    update('vrfs', [...overlay.vrfs, { name: `tenant-${String.fromCharCode(97 + overlay.vrfs.length % 26)}`, vni }]);
+  };
+
+  const addVlan = () => {
+    const id = Math.max(0, ...overlay.vlans.map(vlan => Number(vlan.id) || 0)) + 10;
+    update('vlans', [...overlay.vlans, {
+      id,
+      name: `vlan${id}`,
+      vni: 10000 + id,
+      vrf: overlay.vrfs[0]?.name || '',
+      gateway: `10.10.${id % 256}.1/24`
+    }]);
+  };
+
+  const renameVrf = (index, name) => {
+    const previous = overlay.vrfs[index].name;
+    // The VLANs of the VRF follow it
+    onChange({
+      ...overlay,
+      vrfs: overlay.vrfs.map((vrf, i) => (i === index ? { ...vrf, name } : vrf)),
+      vlans: overlay.vlans.map(vlan => (vlan.vrf === previous ? { ...vlan, vrf: name } : vlan))
+    });
+  };
+
+  return (
+    <div className="overlay-settings">
+      <div className="checkbox-group">
+        <label>
+          <input type="checkbox" checked={overlay.enabled} onChange={(e) => update('enabled', e.target.checked)} />
+          EVPN/VXLAN overlay on the cEOS nodes
+        </label>
+      </div>
+
+      {overlay.enabled && (
+        <>
+          <div className="input-group">
+            <label>Route servers:</label>
+            {routeServerOptions ? (
+              <select value={overlay.routeServers} onChange={(e) => update('routeServers', e.target.value)} className="image-select">
+                {routeServerOptions.map(option => <option key={option} value={option}>{option}1, {option}2...</option>)}
+              </select>
+            ) : (
+              <input type="text" value={overlay.routeServers} onChange={(e) => update('routeServers', e.target.value.trim())} placeholder="spine" />
+            )}
+            <span className="helper-text">The tier that peers EVPN with every VTEP. The leafs are VTEPs, a config.overlay label on a node wins.</span>
+          </div>
+          <div className="input-group">
+            <label>Multihoming:</label>
+            <select value={overlay.multihoming} onChange={(e) => update('multihoming', e.target.value)} className="image-select">
+              {MULTIHOMING_MODES.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+            </select>
+          </div>
+          <div className="input-group">
+            <label>Anycast gateway MAC:</label>
+            <input type="text" value={overlay.anycastMac} onChange={(e) => update('anycastMac', e.target.value.trim())} />
+          </div>
+
+          <label style={{ fontWeight: 'bold', fontSize: '13px' }}>VRFs</label>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', marginBottom: '5px' }}>
+            <thead>
+              <tr><th style={cellStyle}>Name</th><th style={cellStyle}>L3 VNI</th><th style={cellStyle} /></tr>
+            </thead>
+            <tbody>
+              {overlay.vrfs.map((vrf, index) => (
+                <tr key={index}>
+                  <td style={cellStyle}><input type="text" value={vrf.name} onChange={(e) => renameVrf(index, e.target.value.trim())} style={inputStyle} /></td>
+                  <td style={cellStyle}><input type="text" value={vrf.vni} onChange={(e) => updateRow('vrfs', index, { vni: e.target.value.trim() })} style={inputStyle} /></td>
+                  <td style={cellStyle}><button onClick={() => removeRow('vrfs', index)} title="Remove the VRF">✕</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={addVrf} style={{ marginBottom: '10px' }}>Add VRF</button>
+
+          <label style={{ display: 'block', fontWeight: 'bold', fontSize: '13px' }}>VLANs</label>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', marginBottom: '5px' }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>ID</th><th style={cellStyle}>Name</th><th style={cellStyle}>VNI</th>
+                <th style={cellStyle}>VRF</th><th style={cellStyle}>Anycast gateway</th><th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {overlay.vlans.map((vlan, index) => (
+                <tr key={index}>
+                  <td style={cellStyle}><input type="text" value={vlan.id} onChange={(e) => updateRow('vlans', index, { id: e.target.value.trim() })} style={inputStyle} /></td>
+                  <td style={cellStyle}><input type="text" value={vlan.name} onChange={(e) => updateRow('vlans', index, { name: e.target.value.trim() })} style={inputStyle} /></td>
+                  <td style={cellStyle}><input type="text" value={vlan.vni} onChange={(e) => updateRow('vlans', index, { vni: e.target.value.trim() })} style={inputStyle} /></td>
+                  <td style={cellStyle}>
+                    <select value={vlan.vrf} onChange={(e) => updateRow('vlans', index, { vrf: e.target.value })} style={inputStyle}>
+                      <option value="">None - layer 2 only</option>
+                      {overlay.vrfs.map(vrf => <option key={vrf.name} value={vrf.name}>{vrf.name}</option>)}
+                    </select>
+                  </td>
+                  <td style={cellStyle}><input type="text" value={vlan.gateway} onChange={(e) => updateRow('vlans', index, { gateway: e.target.value.trim() })} style={inputStyle} /></td>
+                  <td style={cellStyle}><button onClick={() => removeRow('vlans', index)} title="Remove the VLAN">✕</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={addVlan}>Add VLAN</button>
+
+          {errors.map(error => <div className="warning-message" key={error} style={{ marginTop: '5px' }}>{error}</div>)}
+          <span className="helper-text" style={{ display: 'block', marginTop: '5px' }}>
+            The hosts take the VLANs in turn (or their config.vlan label) and addresses from .11 of its subnet. A VLAN
+            without a VRF is only bridged, its gateway subnet still numbers the hosts.
+          </span>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OverlaySettings;
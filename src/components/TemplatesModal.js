@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import * as yaml from 'js-yaml';
+import {
+  deleteTemplate,
+  generateFromTemplate,
+  getParameterDefaults,
+  getParameterImages,
+  listTemplates,
+  publishTemplate,
+  validateParameters
+} from '../utils/templates';
+import { getCurrentUser, isAdmin } from '../utils/auth';
+
+// The fields the backend adds to a template, left out when it is edited
+const STORED_FIELDS = ['builtIn', 'author', 'createdAt', 'updatedAt'];
+
+const PREVIEW_WIDTH = 480;
+const PREVIEW_HEIGHT = 260;
+const PREVIEW_PADDING = 30;
+
+const templateSource = (template, id) => yaml.dump({
+  ...Object.fromEntries(Object.entries(template).filter(([field]) => !STORED_FIELDS.includes(field))),
+  id
+}, { lineWidth: -1, noRefs: true });
+
+/* This is the function to draw the generated topology, scaled to fit the preview box. */
+const TemplatePreview = ({ topology, positions }) => {
+  const names = Object.keys(topology.nodes);
+  const xs = names.map(name => positions[name].x);
+  const ys = names.map(name => positions[name].y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const scale = Math.min(
+    1,
+    (PREVIEW_WIDTH - 2 * PREVIEW_PADDING) / Math.max(1, Math.max(...xs) - minX),
+    (PREVIEW_HEIGHT - 2 * PREVIEW_PADDING) / Math.max(1, Math.max(...ys) - minY)
+  );
+  const point = (name) => ({
+    x: PREVIEW_PADDING + (positions[name].x - minX) * scale,
+    y: PREVIEW_PADDING + (positions[name].y - minY) * scale
+  });
+  const nodeName = (endpoint) => endpoint.split(':')[0];
+
+  return (
+    <svg width={PREVIEW_WIDTH} height={PREVIEW_HEIGHT} style={{ border: '1px solid #ddd', borderRadius: '4px', backgroundColor: '#fafafa' }}>
+      {topology.links.map((link, index) => {
+        const from = point(nodeName(link.endpoints[0]));
+        const to = point(nodeName(link.endpoints[1]));
+        return <line key={index} x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke="#999" strokeWidth="1" />;
+      })}
+      {names.map(name => {
+        const { x, y } = point(name);
+        return (
+          <g key={name}>
+            <circle cx={x} cy={y} r="8" fill={topology.nodes[name].kind === 'linux' ? '#6c757d' : '#007bff'} />
+            {names.length <= 40 && (
+              <text x={x} y={y + 20} fontSize="10" textAnchor="middle">{name}</text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/*
+ * This is the modal of the template library. It lists the built-in and published templates, builds the form of the
+ * selected template from its parameters and previews what it generates before it is inserted into the canvas.
+ * Instructors and admins also publish their own course templates here, written in YAML or JSON.
+ */
+const TemplatesModal = ({ isOpen, onInsert, onClose }) => {
+  const [templates, setTemplates] = useState([]);
+  const [canPublish, setCanPublish] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [values, setValues] = useState({});
+  const [showYaml, setShowYaml] = useState(false);
+  const [editorSource, setEditorSource] = useState(null);
+  const [publishing, setPublishing] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const selectTemplate = useCallback((template) => {
+    setSelectedId(template?.id || null);
+    setValues(template ? getParameterDefaults(template) : {});
+  }, []);
+
+  const fetchTemplates = useCallback(async (keepId) => {
+    setLoading(true);
+    try {
+      const result = await listTemplates();
+      setTemplates(result.templates);
+      setCanPublish(result.canPublish);
+      selectTemplate(result.templates.find(template => template.id === keepId) || result.templates[0]);
+    } catch (err) {
+      console.error('Error listing templates:', err);
+      setError(`Could not load the templates: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectTemplate]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setError('');
+      setMessage('');
+      setEditorSource(null);
+      fetchTemplates();
+    }
+  }, [isOpen, fetchTemplates]);
+
+  const template = templates.find(entry => entry.id === selectedId);
+  const parameterErrors = useMemo(() => (template ? validateParameters(template, values) : {}), [template, values]);
+
+  const generated = useMemo(() => {
+    if (!template || Object.keys(parameterErrors).length > 0) return null;
+    try {
+      return { ...generateFromTemplate(template, values), error: null };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [template, values, parameterErrors]);
+
+  if (!isOpen) return null;
+
+  const setValue = (name, value) => setValues(prev => ({ ...prev, [name]: value }));
+
+  const renderParameter = (parameter) => {
+    const value = values[parameter.name];
+    switch (parameter.type) {
+      case 'integer':
+        return (
+          <input
+            type="number"
+            value={Number.isInteger(value) ? value : ''}
+            min={parameter.min}
+            max={parameter.max}
+            onChange={(e) => setValue(parameter.name, e.target.value === '' ? null : Number(e.target.value))}
+          />
+        );
+      case 'boolean':
+        return (
+          <input type="checkbox" checked={Boolean(value)} onChange={(e) => setValue(parameter.name, e.target.checked)} />
+        );
+      case 'select':
+        return (
+          <select
+            value={parameter.options.findIndex(option => (option?.value ?? option) === value)}
+            onChange={(e) => {
+              const option = parameter.options[Number(e.target.value)];
+              setValue(parameter.name, option?.value ?? option);
+            }}
+          >
+            {parameter.options.map((option, index) => (
+              <option key={index} value={index}>{option?.label ?? String(option?.value ?? option)}</option>
+            ))}
+          </select>
+        );
+      case 'image':
+        return (
+          <select className="image-select" value={value || ''} onChange={(e) => setValue(parameter.name, e.target.value)}>
+            {getParameterImages(parameter).map(image => (
+              <option key={image.value} value={image.value}>{image.label}</option>
+            ))}
+          </select>
+        );
+      default:
+        return <input type="text" value={value || ''} onChange={(e) => setValue(parameter.name, e.target.value)} />;
+    }
+  };
+
+  const handleInsert = () => {
+    if (!generated || generated.error) return;
+    onInsert(generated.topology, generated.positions, `Insert template ${template.name}`);
+  };
+
+  const canChange = (entry) => canPublish && !entry.builtIn && (entry.author === getCurrentUser()?.username || isAdmin());
+
+  const handlePublish = async () => {
+    setError('');
+    setMessage('');
+    let parsed;
+    try {
+      parsed = yaml.load(editorSource);
+    } catch (err) {
+      setError(`The template is not valid YAML or JSON: ${err.message}`);
+      return;
+    }
+    // Publish only what the designer can generate, with the default values of its form
+    try {
+      generateFromTemplate(parsed, getParameterDefaults(parsed));
+    } catch (err) {
+      setError(`The template cannot be generated: ${err.message}`);
+      return;
+    }
+    setPublishing(true);
+    try {
+      const saved = await publishTemplate(parsed);
+      setMessage(`Published "${saved.name}"`);
+      setEditorSource(null);
+      fetchTemplates(saved.id);
+    } catch (err) {
+      setError(`Could not publish the template: ${err.message}`);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the template "${template.name}"? Nobody will be able to insert it any more.`)) return;
+    setError('');
+    setMessage('');
+    try {
+      await deleteTemplate(template.id);
+      setMessage(`Deleted "${template.name}"`);
+      fetchTemplates();
+    } catch (err) {
+      setError(`Could not delete the template: ${err.message}`);
+    }
+  };
+
+  const categories = [...new Set(templates.map(entry => (entry.builtIn ? entry.category || 'Other' : 'Published')))];
+
+  return (
+    <div className="modal">
+      <div className="modal-content" style={{ width: '900px', maxWidth: '95vw' }}>
+        <h2>Templates</h2>
+        <div className="form-content">
+          {error && <div className="warning-message">{error}</div>}
+          {message && (
+            <div style={{ color: '#155724', backgroundColor: '#d4edda', border: '1px solid #c3e6cb', borderRadius: '4px', padding: '10px', marginBottom: '15px', textAlign: 'center' }}>
+              {message}
+            </div>
+          )}
+
+          {editorSource !== null ? (
+            <div className="input-group">
+              <label>Template (YAML or JSON):</label>
+              <textarea
+                value={editorSource}
+                onChange={(e) => setEditorSource(e.target.value)}
+                spellCheck={false}
+                style={{ width: '100%', height: '380px', fontFamily: 'monospace', fontSize: '12px' }}
+              />
+              <span className="helper-text">
+                The id names the template; publishing under the id of one of your templates replaces it. Built-in ids cannot be used.
+              </span>
+              <div style={{ marginTop: '10px' }}>
+                <button onClick={handlePublish} disabled={publishing}>{publishing ? 'Publishing...' : 'Publish'}</button>
+                <button onClick={() => setEditorSource(null)} style={{ marginLeft: '8px' }}>Cancel</button>
+              </div>
+            </div>
+          ) : loading ? (
+            <div className="helper-text">Loading templates...</div>
+          ) : templates.length === 0 ? (
+            <div className="helper-text">No templates available.</div>
+          ) : (
+            <div style={{ display: 'flex', gap: '20px' }}>
+              <div style={{ width: '220px', flexShrink: 0, maxHeight: '520px', overflowY: 'auto' }}>
+                {categories.map(category => (
+                  <div key={category} style={{ marginBottom: '10px' }}>
+                    <div style={{ fontWeight: 'bold', fontSize: '13px', color: '#555', marginBottom: '4px' }}>{category}</div>
+                    {templates
+                      .filter(entry => (entry.builtIn ? entry.category || 'Other' : 'Published') === category)
+                      .map(entry => (
+                        <div
+                          key={entry.id}
+                          onClick={() => selectTemplate(entry)}
+                          style={{
+                            padding: '6px 8px',
+                            cursor: 'pointer',
+                            borderRadius: '4px',
+                            backgroundColor: entry.id === selectedId ? '#e7f1ff' : 'transparent'
+                          }}
+                        >
+                          {entry.name}
+                        </div>
+                      ))}
+                  </div>
+                ))}
+              </div>
+
+              {template && (
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <h3 style={{ marginTop: 0 }}>{template.name}</h3>
+                  {template.description && <p style={{ fontSize: '14px' }}>{template.description}</p>}
+                  {!template.builtIn && (
+                    <p className="helper-text" style={{ fontSize: '13px' }}>Published by {template.author}</p>
+                  )}
+
+                  {(template.parameters || []).map(parameter => (
+                    <div className="input-group" key={parameter.name}>
+                      <label>{parameter.label || parameter.name}:</label>
+                      {renderParameter(parameter)}
+                      {parameterErrors[parameter.name] ? (
+                        <span className="helper-text" style={{ color: '#a61d24' }}>{parameterErrors[parameter.name]}</span>
+                      ) : parameter.help && (
+                        <span className="helper-text">{parameter.help}</span>
+                      )}
+                    </div>
+                  ))}
+
+                  {generated?.error && <div className="warning-message">{generated.error}</div>}
+                  {generated && !generated.error && (
+                    <>
+                      <div style={{ fontSize: '13px', marginBottom: '5px' }}>
+                        {Object.keys(generated.topology.nodes).length} nodes, {generated.topology.links.length} links
+                        <button onClick={() => setShowYaml(!showYaml)} style={{ marginLeft: '10px' }}>
+                          {showYaml ? 'Show the drawing' : 'Show the YAML'}
+                        </button>
+                      </div>
+                      {showYaml ? (
+                        <pre style={{ maxHeight: '260px', overflow: 'auto', fontSize: '12px', backgroundColor: '#fafafa', border: '1px solid #ddd', padding: '8px' }}>
+                          {yaml.dump({ topology: generated.topology }, { lineWidth: -1, noRefs: true })}
+                        </pre>
+                      ) : (
+                        <TemplatePreview topology={generated.topology} positions={generated.positions} />
+                      )}
+                      <p className="helper-text" style={{ fontSize: '13px' }}>
+                        Nodes whose name is already used on the canvas are renamed when the template is inserted.
+                      </p>
+                    </>
+                  )}
+
+                  {canPublish && (
+                    <div style={{ marginTop: '10px' }}>
+                      <button onClick={() => setEditorSource(templateSource(template, canChange(template) ? template.id : `${template.id}-copy`))}>
+                        {canChange(template) ? 'Edit' : 'Copy to a new template'}
+                      </button>
+                      {canChange(template) && (
+                        <button className="delete-button" onClick={handleDelete} style={{ marginLeft: '8px' }}>Delete</button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+        <div className="actions">
+          {editorSource === null && (
+            <button onClick={handleInsert} disabled={!generated || Boolean(generated.error)}>Insert into the canvas</button>
+          )}
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplatesModal;
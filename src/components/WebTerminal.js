@@ -3,9 +3,11 @@ import { Terminal } from 'xterm';
 import { FitAddon } from 'xterm-addon-fit';
 import { useParams } from 'react-router-dom';
 import 'xterm/css/xterm.css';
+import { getSessionToken } from '../utils/auth';
+import { getBackendWsUrl } from '../utils/config';
 
 const WebTerminal = () => {
-  const { serverIp, nodeName, nodeIp, nodeKind } = useParams();
+  const { serverIp, nodeName, nodeIp } = useParams();
   const terminalRef = useRef(null);
   const terminal = useRef(null);
   const fitAddon = useRef(null);
@@ -94,10 +96,11 @@ const WebTerminal = () => {
     const connectWebSocket = async () => {
       try {
         setIsConnecting(true);
-        console.log(`Connecting to WebSocket at ws://${serverIp}:3001/ws/ssh`);
+        console.log(`Connecting to WebSocket at ${getBackendWsUrl(serverIp)}/ws/ssh`);
         console.log(`Node details: ${nodeName} (${cleanIp})`);
 
-        wsConnection = new WebSocket(`ws://${serverIp}:3001/ws/ssh`);
+        // The backend rejects terminal sessions without a valid session token
+        wsConnection = new WebSocket(`${getBackendWsUrl(serverIp)}/ws/ssh?token=${encodeURIComponent(getSessionToken() || '')}`);
         ws.current = wsConnection;
 
         const connectionTimeout = setTimeout(() => {
@@ -115,8 +118,6 @@ const WebTerminal = () => {
             JSON.stringify({
               nodeName,
               nodeIp: cleanIp,
-              username: 'admin',
-              nodeKind,
             })
           );
         };
@@ -1,4 +1,8 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import { getCurrentUser } from '../utils/auth';
+import { AUTOSAVE_DELAY_MS, saveAutosave } from '../utils/drafts';
+import { DEFAULT_CONFIG_GEN } from '../utils/configGen';
+import { DEFAULT_IPAM_POOLS } from '../utils/ipam';
 
 // Create the context
 const TopologyContext = createContext();
@@ -6,54 +10,60 @@ const TopologyContext = createContext();
 // Create a custom hook to use the topology context
 export const useTopology = () => useContext(TopologyContext);
 
+// The state of an empty designer
+const createInitialState = () => ({
+  nodes: [],
+  edges: [],
+  yamlOutput: '',
+  editableYaml: '',
+  topologyName: '',
+  showMgmt: false,
+  mgmtNetwork: '',
+  ipv4Subnet: '',
+  showIpv6: false,
+  ipv6Subnet: '',
+  showKind: false,
+  kinds: [{
+    name: '',
+    config: {
+      showStartupConfig: false,
+      startupConfig: '',
+      showImage: false,
+      image: '',
+      showExec: false,
+      exec: [''],
+      showBinds: false,
+      binds: ['']
+    }
+  }],
+  showDefault: false,
+  defaultKind: '',
+  nodeInterfaces: {},
+  isYamlValid: true,
+  yamlParseError: '',
+  // The pools of the address plan (IP Addressing)
+  ipamPools: { ...DEFAULT_IPAM_POOLS },
+  configGen: { ...DEFAULT_CONFIG_GEN },
+  // Annotation states
+  annotations: [],
+  activeTool: 'select',
+  selectedAnnotation: null,
+  annotationColor: '#FF6B6B',
+  textStyle: {
+    fontSize: 16,
+    bold: false,
+    italic: false,
+    underline: false
+  },
+  shapeStyle: {
+    strokeWidth: 2,
+    fillOpacity: 0.3
+  }
+});
+
 // Create the provider component
 export const TopologyProvider = ({ children }) => {
-  const [topologyState, setTopologyState] = useState({
-    nodes: [],
-    edges: [],
-    yamlOutput: '',
-    editableYaml: '',
-    topologyName: '',
-    showMgmt: false,
-    mgmtNetwork: '',
-    ipv4Subnet: '',
-    showIpv6: false,
-    ipv6Subnet: '',
-    showKind: false,
-    kinds: [{
-      name: '',
-      config: {
-        showStartupConfig: false,
-        startupConfig: '',
-        showImage: false,
-        image: '',
-        showExec: false,
-        exec: [''],
-        showBinds: false,
-        binds: ['']
-      }
-    }],
-    showDefault: false,
-    defaultKind: '',
-    nodeInterfaces: {},
-    isYamlValid: true,
-    yamlParseError: '',
-    // Annotation states
-    annotations: [],
-    activeTool: 'select',
-    selectedAnnotation: null,
-    annotationColor: '#FF6B6B',
-    textStyle: {
-      fontSize: 16,
-      bold: false,
-      italic: false,
-      underline: false
-    },
-    shapeStyle: {
-      strokeWidth: 2,
-      fillOpacity: 0.3
-    }
-  });
+  const [topologyState, setTopologyState] = useState(createInitialState);
 
   // Function to update the topology state
   const updateTopologyState = (newState) => {
@@ -63,10 +73,26 @@ export const TopologyProvider = ({ children }) => {
     }));
   };
 
+  // Back to an empty designer, e.g. on logout so the next user does not get the design (it is autosaved)
+  const resetTopologyState = () => {
+    setTopologyState(createInitialState());
+  };
+
+  // Autosave the designer for the logged in user once it has been left alone for a moment
+  useEffect(() => {
+    const username = getCurrentUser()?.username;
+    if (!username) {
+      return undefined;
+    }
+    const timer = setTimeout(() => saveAutosave(username, topologyState), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [topologyState]);
+
   // Value to be provided by the context
   const value = {
     topologyState,
-    updateTopologyState
+    updateTopologyState,
+    resetTopologyState
   };
 
   return (
@@ -0,0 +1,19 @@
+import axios from 'axios';
+import { getAuthHeaders } from './auth';
+import { getBackendUrl } from './config';
+
+/**
+ * Search the audit trail of a server (admins only), newest first.
+ *
+ * @param {string} serverIp - The IP address of the clab server
+ * @param {Object} filters - user, action, target, result, from, to, changesOnly and limit; empty values are left out
+ * @returns {Promise<Array>} - The audit records
+ */
+export const queryAudit = async (serverIp, filters = {}) => {
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value !== undefined && value !== null));
+  const response = await axios.get(`${getBackendUrl(serverIp)}/api/audit`, {
+    headers: getAuthHeaders(),
+    params
+  });
+  return response.data.entries || [];
+};
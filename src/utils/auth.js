@@ -1,13 +1,9 @@
 import axios from 'axios';
-import { AUTH_API_URL } from './config';
+import { getAuthApiUrl, getBackendApiUrl } from './config';
 
-// Configure axios with the base URL of our authentication API
-const API_BASE_URL = AUTH_API_URL;
-
-// Create an axios instance with the base URL
-const api = axios.create({
-  baseURL: API_BASE_URL
-});
+// Create an axios instance for our authentication API, its URL comes from the runtime configuration
+const api = axios.create();
+api.interceptors.request.use((config) => ({ ...config, baseURL: getAuthApiUrl() }));
 
 // Store the current user in memory
 let currentUser = null;
@@ -36,6 +32,13 @@ export const authenticateUser = async (username, password = null) => {
     });
     
     if (response.data.success) {
+      // Get a signed session token from the backend, every backend route and terminal session requires it
+      const sessionResponse = await axios.post(`${getBackendApiUrl()}/api/session`, {
+        username,
+        password
+      });
+      setSessionToken(sessionResponse.data.token);
+
       // Store the current user
       setCurrentUser(response.data.user);
       
@@ -53,7 +56,7 @@ export const authenticateUser = async (username, password = null) => {
     console.error('Authentication error:', error);
     return {
       success: false,
-      message: error.response?.data?.message || 'Authentication service unavailable'
+      message: error.response?.data?.message || error.response?.data?.error || 'Authentication service unavailable'
     };
   }
 };
@@ -91,7 +94,26 @@ export const isAdmin = () => {
   return user && user.role === 'admin';
 };
 
+// Set the backend session token
+export const setSessionToken = (token) => {
+  if (token) {
+    localStorage.setItem('sessionToken', token);
+  } else {
+    localStorage.removeItem('sessionToken');
+  }
+};
+
+// Get the backend session token
+export const getSessionToken = () => localStorage.getItem('sessionToken');
+
+// Get the headers that authenticate a request to the backend
+export const getAuthHeaders = () => {
+  const token = getSessionToken();
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+};
+
 // Logout function
 export const logout = () => {
   setCurrentUser(null);
+  setSessionToken(null);
 };
\ No newline at end of file
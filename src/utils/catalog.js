@@ -0,0 +1,106 @@
+import { getKindCatalog } from './settings';
+
+// Where the built-in catalog icons are served from; an entry may also give the URL of its own image
+const ICON_URLS = {
+  router: '/router_arista.svg',
+  switch: '/icons/switch.svg',
+  firewall: '/icons/firewall.svg',
+  server: '/icons/server.svg'
+};
+
+export const getCatalogEntry = (id) => getKindCatalog().find(entry => entry.id === id) || null;
+
+/**
+ * Find the catalog entry a node belongs to, from its kind and image as written in the topology file.
+ * An entry listing the image wins over the first entry of the kind, the same rule the backend uses for terminals.
+ *
+ * @param {string} kind - The containerlab kind
+ * @param {string} image - The image, may be empty
+ * @returns {Object|null} - The catalog entry, or null when the kind is not in the catalog
+ */
+export const findCatalogEntry = (kind, image) => {
+  const ofKind = getKindCatalog().filter(entry => entry.kind === kind);
+  return ofKind.find(entry => entry.images.some(candidate => candidate.value === image)) || ofKind[0] || null;
+};
+
+// The kinds for the Kind drop down, labelled after the first catalog entry of each kind
+export const getKindOptions = () => {
+  const options = [];
+  getKindCatalog().forEach(entry => {
+    if (!options.some(option => option.value === entry.kind)) {
+      options.push({ value: entry.kind, label: entry.label });
+    }
+  });
+  return options;
+};
+
+export const getIconUrl = (icon) => ICON_URLS[icon] || icon || ICON_URLS.router;
+
+// The canvas icon of a node, nodes of kinds missing from the catalog are drawn as routers
+export const getNodeIconUrl = (nodeData = {}) => {
+  const entry = findCatalogEntry(nodeData.kind, nodeData.image);
+  return getIconUrl(entry?.icon);
+};
+
+// How interfaces are named for kinds missing from the catalog, as before the catalog existed
+const DEFAULT_INTERFACE_RULES = { interfaceNaming: 'eth{n}', interfaceAlias: null, maxPorts: 54 };
+
+export const getInterfaceRules = (nodeData = {}) => {
+  const entry = findCatalogEntry(nodeData.kind, nodeData.image);
+  return {
+    interfaceNaming: entry?.interfaceNaming || DEFAULT_INTERFACE_RULES.interfaceNaming,
+    interfaceAlias: entry?.interfaceAlias || DEFAULT_INTERFACE_RULES.interfaceAlias,
+    maxPorts: entry?.maxPorts || DEFAULT_INTERFACE_RULES.maxPorts
+  };
+};
+
+// Interface templates hold {n} for the port number counted from 1, or {n0} for the same port counted from 0
+const renderTemplate = (template, port) => template.replace('{n0}', port - 1).replace('{n}', port);
+
+const parseTemplate = (template, name) => {
+  const [before, after] = template.split(/\{n0?\}/);
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`^${escape(before)}(\\d+)${escape(after || '')}$`).exec(name);
+  if (!match) return null;
+  return parseInt(match[1], 10) + (template.includes('{n0}') ? 1 : 0);
+};
+
+// The name of port number `port` (from 1) as written in the topology file
+export const formatInterfaceName = (rules, port) => renderTemplate(rules.interfaceNaming, port);
+
+/**
+ * Get the port number (from 1) of an interface name, written either the topology file way or as the CLI alias.
+ *
+ * @param {Object} rules - From getInterfaceRules
+ * @param {string} name - e.g. eth3, e1-3 or Ethernet3
+ * @returns {number|null} - The port number, or null when the name follows neither naming
+ */
+export const parseInterfacePort = (rules, name) => {
+  const port = parseTemplate(rules.interfaceNaming, name) ?? (rules.interfaceAlias ? parseTemplate(rules.interfaceAlias, name) : null);
+  return port && port >= 1 ? port : null;
+};
+
+// Check an interface name for a node, returns the error to show or null when it is fine
+export const validateInterfaceName = (rules, name) => {
+  const port = parseInterfacePort(rules, name);
+  const examples = [formatInterfaceName(rules, 1), rules.interfaceAlias && renderTemplate(rules.interfaceAlias, 1)].filter(Boolean).join(' or ');
+  if (!port) {
+    return `"${name}" is not a valid interface name, use names like ${examples}`;
+  }
+  if (port > rules.maxPorts) {
+    return `"${name}" is out of range, this node has ${rules.maxPorts} ports (${formatInterfaceName(rules, 1)} to ${formatInterfaceName(rules, rules.maxPorts)})`;
+  }
+  return null;
+};
+
+// The name the device CLI shows for an interface, used on the canvas so it matches what students see on the node
+export const getInterfaceAlias = (rules, name) => {
+  const port = parseInterfacePort(rules, name);
+  return port && rules.interfaceAlias ? renderTemplate(rules.interfaceAlias, port) : name;
+};
+
+// A short description of the naming for the link modal, e.g. "eth1 to eth54, or Ethernet1 to Ethernet54"
+export const describeInterfaceRules = (rules) => {
+  const range = (template) => `${renderTemplate(template, 1)} to ${renderTemplate(template, rules.maxPorts)}`;
+  return rules.interfaceAlias ? `${range(rules.interfaceNaming)}, or ${range(rules.interfaceAlias)}` : range(rules.interfaceNaming);
+};
@@ -0,0 +1,165 @@
+/*
+ * Copy, paste and duplicate of canvas selections. A copy holds the selected nodes and the veth links between them;
+ * links to nodes outside the selection and external links are left out. Pasted nodes are renamed after the highest
+ * number in use for their prefix (leaf1, leaf2 -> leaf5, leaf6), move their management IPs to the next free addresses
+ * and keep the interfaces of their links, which are free on new nodes.
+ */
+
+// Where pasted nodes go when no position is given: to the right of everything on the canvas
+const PASTE_GAP = 150;
+
+/**
+ * Copy the selected nodes and the links between them.
+ *
+ * @param {Array} nodes - The nodes of the topology
+ * @param {Array} edges - The edges of the topology
+ * @param {Array} nodeIds - The ids of the selected nodes
+ * @returns {{nodes: Array, edges: Array}} - Copies, later edits of the topology do not change them
+ */
+export const copySubgraph = (nodes, edges, nodeIds) => {
+  const ids = new Set(nodeIds);
+  return JSON.parse(JSON.stringify({
+    nodes: nodes.filter(node => ids.has(node.id)),
+    edges: edges.filter(edge => ids.has(edge.source) && ids.has(edge.target))
+  }));
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitName = (name) => {
+  const match = /^(.*?)(\d+)$/.exec(name);
+  return match ? { prefix: match[1], number: Number(match[2]) } : { prefix: name, number: 0 };
+};
+
+// The next name for a prefix: one above the highest number in use, leaf1..leaf4 taken gives leaf5
+const nextName = (prefix, taken) => {
+  const pattern = new RegExp(`^${escapeRegExp(prefix)}(\\d+)$`);
+  let highest = 0;
+  taken.forEach(name => {
+    const match = pattern.exec(name);
+    if (match) highest = Math.max(highest, Number(match[1]));
+  });
+  return `${prefix}${highest + 1}`;
+};
+
+const ipv4ToNumber = (ip) => {
+  const parts = String(ip).split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) return null;
+  return parts.reduce((value, part) => value * 256 + part, 0);
+};
+
+const numberToIpv4 = (value) => [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+
+// The host addresses of a subnet such as 172.20.20.0/24, the /24 of the address when it is not in a valid subnet
+const hostRange = (subnet, value) => {
+  const [base, bits] = String(subnet || '').split('/');
+  const network = ipv4ToNumber(base);
+  const prefix = Number(bits);
+  let size = network !== null && Number.isInteger(prefix) && prefix >= 8 && prefix <= 30 ? 2 ** (32 - prefix) : 0;
+  if (!size || value - (value % size) !== network - (network % size)) {
+    size = 256;
+  }
+  const start = value - (value % size);
+  return { first: start + 1, last: start + size - 2 };
+};
+
+// The first address after `ip` in the subnet that no node uses, going round to the start of the subnet; '' when it is full
+const nextFreeIpv4 = (ip, used, subnet) => {
+  const value = ipv4ToNumber(ip);
+  if (value === null) return '';
+  const { first, last } = hostRange(subnet, value);
+  const count = last - first + 1;
+  for (let step = 1; step <= Math.min(count, 65536); step++) {
+    const candidate = numberToIpv4(first + ((value - first + step) % count + count) % count);
+    if (!used.has(candidate)) return candidate;
+  }
+  return '';
+};
+
+// IPv6 addresses move on in their last group, e.g. 2001:db8::11 -> 2001:db8::12
+const nextFreeIpv6 = (ip, used) => {
+  const match = /^(.*:)([0-9a-fA-F]{1,4})$/.exec(String(ip));
+  if (!match) return '';
+  for (let group = parseInt(match[2], 16) + 1; group <= 0xffff; group++) {
+    const candidate = `${match[1]}${group.toString(16)}`;
+    if (!used.has(candidate)) return candidate;
+  }
+  return '';
+};
+
+// wait-for entries naming a copied node follow it to its new name
+const renameStages = (properties, names) => {
+  if (!properties?.stages) return properties;
+  const stages = Object.fromEntries(Object.entries(properties.stages).map(([stage, config]) => [stage, config?.['wait-for']
+    ? { ...config, 'wait-for': config['wait-for'].map(wait => (names[wait.node] ? { ...wait, node: names[wait.node] } : wait)) }
+    : config]));
+  return { ...properties, stages };
+};
+
+/**
+ * Make the nodes and links of a copy ready to be added to the topology.
+ *
+ * @param {{nodes: Array, edges: Array}} copy - From copySubgraph
+ * @param {Array} existingNodes - The nodes already in the topology
+ * @param {Object} [position] - Where the top left node of the copy goes, in canvas coordinates
+ * @param {string} [subnet] - The IPv4 management subnet the pasted nodes take their addresses from
+ * @param {Object} [options] - keepFreeNames: only rename the nodes whose name is taken (for inserted templates)
+ * @returns {{nodes: Array, edges: Array}} - The new nodes and links
+ */
+export const pasteSubgraph = (copy, existingNodes, position, subnet, { keepFreeNames = false } = {}) => {
+  const taken = new Set(existingNodes.flatMap(node => [node.id, node.data?.label]));
+  const usedIpv4 = new Set(existingNodes.map(node => node.data?.mgmtIp).filter(Boolean));
+  const usedIpv6 = new Set(existingNodes.map(node => node.data?.ipv6MgmtIp).filter(Boolean));
+
+  const xs = copy.nodes.map(node => node.position?.x || 0);
+  const ys = copy.nodes.map(node => node.position?.y || 0);
+  const offset = position
+    ? { x: position.x - Math.min(...xs), y: position.y - Math.min(...ys) }
+    : {
+      x: existingNodes.length > 0
+        ? Math.max(...existingNodes.map(node => node.position?.x || 0)) + PASTE_GAP - Math.min(...xs)
+        : 0,
+      y: 0
+    };
+
+  // Named in the order of their numbers, so leaf1 and leaf2 become leaf5 and leaf6 and not the other way round
+  const ordered = [...copy.nodes].sort((a, b) => {
+    const nameA = splitName(a.data.label);
+    const nameB = splitName(b.data.label);
+    return nameA.prefix.localeCompare(nameB.prefix) || nameA.number - nameB.number;
+  });
+  const names = {};
+  ordered.forEach(node => {
+    const name = keepFreeNames && !taken.has(node.data.label) ? node.data.label : nextName(splitName(node.data.label).prefix, taken);
+    taken.add(name);
+    names[node.id] = name;
+    names[node.data.label] = name;
+  });
+
+  const nodes = copy.nodes.map(node => {
+    const name = names[node.id];
+    const mgmtIp = node.data.mgmtIp ? nextFreeIpv4(node.data.mgmtIp, usedIpv4, subnet) : node.data.mgmtIp;
+    const ipv6MgmtIp = node.data.ipv6MgmtIp ? nextFreeIpv6(node.data.ipv6MgmtIp, usedIpv6) : node.data.ipv6MgmtIp;
+    if (mgmtIp) usedIpv4.add(mgmtIp);
+    if (ipv6MgmtIp) usedIpv6.add(ipv6MgmtIp);
+    return {
+      ...node,
+      id: name,
+      position: { x: (node.position?.x || 0) + offset.x, y: (node.position?.y || 0) + offset.y },
+      data: { ...node.data, label: name, mgmtIp, ipv6MgmtIp, properties: renameStages(node.data.properties, names) }
+    };
+  });
+
+  const edges = copy.edges.map(edge => {
+    const source = names[edge.source];
+    const target = names[edge.target];
+    return {
+      ...edge,
+      id: `edge_${source}_${target}_${edge.data.sourceInterface}_${edge.data.targetInterface}`,
+      source,
+      target
+    };
+  });
+
+  return { nodes, edges };
+};
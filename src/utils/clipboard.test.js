@@ -0,0 +1,52 @@
+import { copySubgraph, pasteSubgraph } from './clipboard';
+import { canvasEdge, canvasNode } from './testFixtures';
+
+const node = (id, x, mgmtIp, properties) => canvasNode(id, { mgmtIp, properties }, { x, y: 100 });
+
+const nodes = [
+  node('spine1', 0, '172.20.20.2'),
+  node('leaf1', 100, '172.20.20.3'),
+  node('leaf2', 200, '172.20.20.4', { stages: { configure: { 'wait-for': [{ node: 'leaf1', stage: 'healthy' }, { node: 'spine1', stage: 'healthy' }] } } })
+];
+const edges = [canvasEdge('spine1', 'leaf1'), canvasEdge('spine1', 'leaf2', 'eth2'), canvasEdge('leaf1', 'leaf2', 'eth2', 'eth2')];
+
+test('copies the selected nodes and only the links between them', () => {
+  const copy = copySubgraph(nodes, edges, ['leaf1', 'leaf2']);
+  expect(copy.nodes.map(n => n.id)).toEqual(['leaf1', 'leaf2']);
+  expect(copy.edges.map(e => e.id)).toEqual(['edge_leaf1_leaf2_eth2_eth2']);
+
+  copy.nodes[0].data.kind = 'linux';
+  expect(nodes[1].data.kind).toBe('ceos');
+});
+
+test('renames pasted nodes after the highest number and moves their management IPs on', () => {
+  const copy = copySubgraph(nodes, edges, ['leaf1', 'leaf2']);
+  const pasted = pasteSubgraph(copy, nodes, { x: 500, y: 300 }, '172.20.20.0/24');
+
+  expect(pasted.nodes.map(n => [n.id, n.data.label, n.data.mgmtIp])).toEqual([
+    ['leaf3', 'leaf3', '172.20.20.5'],
+    ['leaf4', 'leaf4', '172.20.20.6']
+  ]);
+  expect(pasted.nodes.map(n => n.position)).toEqual([{ x: 500, y: 300 }, { x: 600, y: 300 }]);
+  expect(pasted.edges).toEqual([{ ...copy.edges[0], id: 'edge_leaf3_leaf4_eth2_eth2', source: 'leaf3', target: 'leaf4' }]);
+});
+
+test('points wait-for stages at the pasted copies of the nodes they wait for', () => {
+  const pasted = pasteSubgraph(copySubgraph(nodes, edges, ['leaf1', 'leaf2']), nodes, null, '172.20.20.0/24');
+  expect(pasted.nodes[1].data.properties.stages.configure['wait-for']).toEqual([
+    { node: 'leaf3', stage: 'healthy' },
+    { node: 'spine1', stage: 'healthy' }
+  ]);
+  // Without a position the copy goes to the right of the canvas
+  expect(pasted.nodes[0].position.x).toBe(200 + 150);
+});
+
+test('goes round the subnet for the management IPs and keeps free names when asked', () => {
+  const last = [node('r1', 0, '172.20.20.253'), node('r2', 0, '172.20.20.254')];
+  const pasted = pasteSubgraph(copySubgraph(last, [], ['r2']), last, { x: 0, y: 0 }, '172.20.20.0/24');
+  expect(pasted.nodes[0].data.mgmtIp).toBe('172.20.20.1');
+
+  const template = { nodes: [node('core1', 0), node('r1', 100)], edges: [] };
+  const inserted = pasteSubgraph(template, last, { x: 0, y: 0 }, '', { keepFreeNames: true });
+  expect(inserted.nodes.map(n => n.id)).toEqual(['core1', 'r3']);
+});
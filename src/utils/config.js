@@ -1,16 +1,89 @@
 /**
  * Centralized configuration for Containerlab Studio
  *
- * These values are set from environment variables at build time.
- * To change them, update /opt/clab-config.env and run setup-clab-studio.sh
+ * The configuration is served by the backend at /api/config and loaded once at startup (loadRuntimeConfig), so the same
+ * build runs against any set of servers. The REACT_APP_* values below are only the fallback for when it cannot be loaded,
+ * e.g. with `npm start` and no REACT_APP_CONFIG_URL.
  */
 
-// Server IP and API URLs
+// Where the runtime configuration is fetched from; nginx proxies /api/config to the backend
+const CONFIG_URL = process.env.REACT_APP_CONFIG_URL || '/api/config';
+
+// Build-time fallbacks, use the getters below instead so the runtime configuration applies
 export const SERVER_IP = process.env.REACT_APP_SERVER_IP || '10.83.12.237';
 export const AUTH_API_URL = process.env.REACT_APP_AUTH_API_URL || `http://${SERVER_IP}:3000`;
 export const BACKEND_API_URL = process.env.REACT_APP_BACKEND_API_URL || `http://${SERVER_IP}:3001`;
 export const CONTAINERLAB_API_URL = process.env.REACT_APP_CONTAINERLAB_API_URL || `http://${SERVER_IP}:8080`;
 
+const DEFAULT_PORTS = {
+  auth: 3000,
+  backend: 3001,
+  containerlabApi: 8080,
+  edgeshark: 5001
+};
+
+const DEFAULT_FEATURES = {
+  act: false,
+  edgeshark: true,
+  gitClone: true
+};
+
+const DEFAULT_NODE_IMAGES = {
+  ceos: 'ceos:4.34.0F',
+  'sonic-vm': 'sonic-vm:202411',
+  linux: 'alpine'
+};
+
+const DEFAULT_DOCS_URL = 'https://docs.google.com/document/d/1CKyCFyzjFMJbTFTtHYIofAoAlof8oMdmPElNkc1HKjk/edit?usp=sharing';
+
+let runtimeConfig = null;
+
+/**
+ * Load the runtime configuration from the backend. Called once before the app renders; when it fails the build-time
+ * values are used, so this never rejects.
+ *
+ * @returns {Promise<Object|null>} - The configuration, or null when the fallbacks are used
+ */
+export const loadRuntimeConfig = async () => {
+  try {
+    const response = await fetch(CONFIG_URL, { headers: { Accept: 'application/json' } });
+    const contentType = response.headers.get('content-type') || '';
+    // The dev server answers unknown paths with index.html, which is not a configuration
+    if (!response.ok || !contentType.includes('application/json')) {
+      throw new Error(`HTTP ${response.status} (${contentType || 'no content type'})`);
+    }
+    const data = await response.json();
+    runtimeConfig = data.config;
+    setClabServers(runtimeConfig.servers);
+    console.log('Loaded runtime config from', CONFIG_URL);
+  } catch (error) {
+    console.warn(`Could not load runtime config from ${CONFIG_URL}, using the build-time values:`, error.message);
+    runtimeConfig = null;
+  }
+  return runtimeConfig;
+};
+
+export const getServerIp = () => runtimeConfig?.serverIp || SERVER_IP;
+export const getAuthApiUrl = () => runtimeConfig?.authApiUrl || AUTH_API_URL;
+export const getBackendApiUrl = () => runtimeConfig?.backendApiUrl || BACKEND_API_URL;
+export const getContainerlabApiUrl = () => runtimeConfig?.containerlabApiUrl || CONTAINERLAB_API_URL;
+
+export const getPort = (name) => runtimeConfig?.ports?.[name] || DEFAULT_PORTS[name];
+
+// The backend that runs on every clab server, for files, metrics, jobs and terminals on that server
+export const getBackendUrl = (serverIp) => `http://${serverIp}:${getPort('backend')}`;
+export const getBackendWsUrl = (serverIp) => `ws://${serverIp}:${getPort('backend')}`;
+
+export const isFeatureEnabled = (name) => {
+  const features = { ...DEFAULT_FEATURES, ...(runtimeConfig?.features || {}) };
+  return Boolean(features[name]);
+};
+
+// The image a new node of this kind starts with
+export const getDefaultImage = (kind) => runtimeConfig?.defaultImages?.[kind] || DEFAULT_NODE_IMAGES[kind] || '';
+
+export const getDocsUrl = () => runtimeConfig?.docsUrl || DEFAULT_DOCS_URL;
+
 /**
  * Parse the CLAB_SERVERS environment variable into an array of server objects
  * Format: "name1:ip1,name2:ip2"
@@ -24,19 +97,26 @@ export const parseClabServers = () => {
   });
 };
 
+// The server list from the runtime configuration or saved by an admin, once loaded it replaces REACT_APP_CLAB_SERVERS
+let runtimeServers = null;
+
+export const setClabServers = (servers) => {
+  runtimeServers = servers && servers.length ? servers : null;
+};
+
 /**
  * Get the list of containerlab servers
  * Returns array of { name, ip } objects
  */
 export const getClabServers = () => {
-  return parseClabServers();
+  return runtimeServers || parseClabServers();
 };
 
 /**
  * Get server options for dropdowns (value/label format)
  */
 export const getServerOptions = () => {
-  return parseClabServers().map(server => ({
+  return getClabServers().map(server => ({
     value: server.ip,
     label: server.ip
   }));
@@ -46,7 +126,7 @@ export const getServerOptions = () => {
  * Get servers with status for dashboard display
  */
 export const getServersWithStatus = () => {
-  return parseClabServers().map(server => ({
+  return getClabServers().map(server => ({
     ...server,
     status: 'active'
   }));
@@ -57,6 +137,16 @@ export default {
   AUTH_API_URL,
   BACKEND_API_URL,
   CONTAINERLAB_API_URL,
+  loadRuntimeConfig,
+  getServerIp,
+  getAuthApiUrl,
+  getBackendApiUrl,
+  getContainerlabApiUrl,
+  getBackendUrl,
+  getBackendWsUrl,
+  isFeatureEnabled,
+  getDefaultImage,
+  getDocsUrl,
   getClabServers,
   getServerOptions,
   getServersWithStatus
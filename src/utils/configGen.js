@@ -0,0 +1,836 @@
+import { isExternalLink } from './links';
+import { getInterfaceAlias, getInterfaceRules, parseInterfacePort } from './catalog';
+import { addressOf, getLinkAddresses, getLoopbacks, hasAddressing, networkOf, parseCidr, subnetAddress } from './ipam';
+
+/*
+ * Startup-config generation of the topology designer. The configs are rendered from the canvas: the hostname, the
+ * addresses of the IP addressing plan (ipam.js) on the interfaces and the loopback, and an underlay (OSPF or eBGP)
+ * between the routers. What is rendered depends on the kind of the node:
+ *   ceos              - an EOS partial startup-config, containerlab keeps its own management config around it
+ *   sonic-vs/sonic-vm - a config_db.json
+ *   linux, FRR image  - an frr.conf and the daemons file, bound into /etc/frr
+ *   linux, others     - ip commands in the exec list of the node, a host routed through its first router
+ * The files go to the configs directory of the lab and the nodes point at them with a relative path, which containerlab
+ * resolves from the topology file. A few node labels steer the generation:
+ *   config.role     - router or host, linux nodes without FRR are hosts and everything else is a router by default
+ *   config.asn      - the BGP AS of the node, instead of the one worked out from asnBase
+ *   config.generate - "false" leaves the node out
+ *   config.overlay  - route-server, vtep or none, the part of a cEOS node in the EVPN/VXLAN overlay
+ *   config.vlan     - the overlay VLAN of a host, instead of the next one in turn
+ *
+ * The optional overlay is EVPN/VXLAN on the cEOS nodes: the route servers (the spines by default) peer EVPN with every
+ * VTEP (the leafs) from their loopbacks, eBGP over an eBGP underlay and iBGP with route reflection over OSPF. The VTEPs
+ * carry every VLAN, with an anycast gateway in its VRF, and their links to hosts become access ports; a host linked to
+ * two or more VTEPs is multihomed with an EVPN ethernet segment (ESI) and LACP.
+ */
+
+export const CONFIG_DIR = 'configs';
+
+export const OVERLAY_SUMMARY = `${CONFIG_DIR}/overlay-summary.md`;
+
+export const CONFIG_LABELS = { role: 'config.role', asn: 'config.asn', generate: 'config.generate', overlay: 'config.overlay', vlan: 'config.vlan' };
+
+export const ROUTING_PROTOCOLS = [
+  { value: 'none', label: 'None - interfaces and loopbacks only' },
+  { value: 'ospf', label: 'OSPF - area 0 on every routed link' },
+  { value: 'ebgp', label: 'eBGP - one AS per leaf, one per spine tier' }
+];
+
+export const MULTIHOMING_MODES = [
+  { value: 'esi', label: 'EVPN ethernet segment (ESI) with LACP' },
+  { value: 'none', label: 'None - single-homed on the first link' }
+];
+
+export const DEFAULT_OVERLAY = {
+  enabled: false,
+  routeServers: 'spine',
+  multihoming: 'esi',
+  anycastMac: '00:1c:73:00:00:99',
+  vrfs: [{ name: 'tenant-a', vni: 50001 }],
+  vlans: [
+    { id: 10, name: 'web', vni: 10010, vrf: 'tenant-a', gateway: '10.10.10.1/24' },
+    { id: 20, name: 'db', vni: 10020, vrf: 'tenant-a', gateway: '10.10.20.1/24' }
+  ]
+};
+
+export const DEFAULT_CONFIG_GEN = {
+  enabled: false,
+  routing: 'ebgp',
+  asnBase: 65000,
+  overlay: DEFAULT_OVERLAY
+};
+
+// Settings saved before the overlay existed have none
+export const getOverlay = (settings) => ({ ...DEFAULT_OVERLAY, ...(settings.overlay || {}) });
+
+// The overlay with its numbers as numbers, the form keeps what is typed
+const normalizeOverlay = (settings) => {
+  const overlay = getOverlay(settings);
+  return {
+    ...overlay,
+    vrfs: overlay.vrfs.map(vrf => ({ ...vrf, vni: Number(vrf.vni) })),
+    vlans: overlay.vlans.map(vlan => ({ ...vlan, id: Number(vlan.id), vni: Number(vlan.vni) }))
+  };
+};
+
+const MAX_ASN = 4294967295;
+const MAX_VNI = 16777215;
+
+// Hosts in an overlay VLAN get the addresses from this offset in its subnet, clear of the gateway
+const HOST_ADDRESS_OFFSET = 11;
+
+// The exec lines of a linux host that come from the generator, replaced each time the configs are applied
+const GENERATED_EXEC = /^ip (-6 )?(addr add|route replace|link (add|set)) /;
+
+// Where the FRR files of a linux node go in the container
+const FRR_TARGETS = { config: '/etc/frr/frr.conf', daemons: '/etc/frr/daemons' };
+
+const getFlavor = (nodeData) => {
+  if (nodeData.kind === 'ceos') return 'eos';
+  if (nodeData.kind === 'sonic-vs' || nodeData.kind === 'sonic-vm') return 'sonic';
+  if (nodeData.kind === 'linux') return /frr/i.test(nodeData.image || '') ? 'frr' : 'linux';
+  return null;
+};
+
+const getLabel = (nodeData, key) => nodeData.properties?.labels?.[CONFIG_LABELS[key]];
+
+// The tier of a node from its name, e.g. spine for spine1 and leaf for leaf-12
+const tierOf = (name) => name.replace(/[-_]?\d+$/, '');
+
+const isInteger = (value, min, max) => Number.isInteger(Number(value)) && value !== '' && Number(value) >= min && Number(value) <= max;
+
+/**
+ * Check the overlay settings.
+ *
+ * @param {Object} overlay - As DEFAULT_OVERLAY
+ * @returns {Array<string>} - What is wrong, empty when the overlay can be generated
+ */
+export const validateOverlay = (overlay) => {
+  const errors = [];
+  if (!String(overlay.routeServers || '').trim()) {
+    errors.push('Name the route servers, e.g. spine for spine1, spine2...');
+  }
+  if (!/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i.test(overlay.anycastMac || '')) {
+    errors.push('The anycast gateway MAC must be written like 00:1c:73:00:00:99');
+  }
+  const vnis = new Set();
+  const useVni = (vni, owner) => {
+    if (!isInteger(vni, 1, MAX_VNI)) {
+      errors.push(`The VNI of ${owner} must be a whole number from 1 to ${MAX_VNI}`);
+    } else if (vnis.has(Number(vni))) {
+      errors.push(`The VNI ${vni} of ${owner} is used twice`);
+    }
+    vnis.add(Number(vni));
+  };
+  const vrfNames = new Set();
+  (overlay.vrfs || []).forEach(vrf => {
+    if (!/^[A-Za-z][A-Za-z0-9_-]{0,31}$/.test(vrf.name || '') || vrf.name === 'default') {
+      errors.push(`"${vrf.name || ''}" is not a VRF name, use letters, digits, - and _ (and not "default")`);
+    } else if (vrfNames.has(vrf.name)) {
+      errors.push(`The VRF ${vrf.name} is declared twice`);
+    }
+    vrfNames.add(vrf.name);
+    useVni(vrf.vni, `VRF ${vrf.name}`);
+  });
+  if ((overlay.vlans || []).length === 0) {
+    errors.push('The overlay needs at least one VLAN');
+  }
+  const vlanIds = new Set();
+  (overlay.vlans || []).forEach(vlan => {
+    if (!isInteger(vlan.id, 2, 4094)) {
+      errors.push(`The VLAN ID ${vlan.id} must be a whole number from 2 to 4094`);
+      return;
+    }
+    if (vlanIds.has(Number(vlan.id))) {
+      errors.push(`The VLAN ${vlan.id} is declared twice`);
+    }
+    vlanIds.add(Number(vlan.id));
+    useVni(vlan.vni, `VLAN ${vlan.id}`);
+    if (vlan.vrf && !vrfNames.has(vlan.vrf)) {
+      errors.push(`The VLAN ${vlan.id} is in the VRF ${vlan.vrf}, which is not declared`);
+    }
+    const gateway = parseCidr(vlan.gateway);
+    if (!gateway || gateway.version !== 'ipv4' || gateway.prefix > 28 || networkOf(vlan.gateway) === `${addressOf(vlan.gateway)}/${gateway.prefix}`) {
+      errors.push(`The gateway of VLAN ${vlan.id} must be an IPv4 address in a /28 or bigger subnet, e.g. 10.10.10.1/24`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Check the settings of the generation.
+ *
+ * @param {Object} settings - As DEFAULT_CONFIG_GEN
+ * @returns {string} - The error to show, empty when the settings are fine
+ */
+export const validateConfigGen = (settings) => {
+  if (!ROUTING_PROTOCOLS.some(protocol => protocol.value === settings.routing)) {
+    return `The routing must be one of ${ROUTING_PROTOCOLS.map(protocol => protocol.value).join(', ')}`;
+  }
+  const overlay = getOverlay(settings);
+  if ((settings.routing === 'ebgp' || overlay.enabled) && !isInteger(settings.asnBase, 1, MAX_ASN)) {
+    return `The first AS number must be a whole number from 1 to ${MAX_ASN}`;
+  }
+  if (overlay.enabled && settings.routing === 'none') {
+    return 'The overlay needs an OSPF or eBGP underlay between the loopbacks';
+  }
+  return overlay.enabled ? validateOverlay(overlay)[0] || '' : '';
+};
+
+// The name of an interface as the device CLI knows it: the catalog alias when there is one, else the flavor's naming
+const cliInterfaceName = (nodeData, flavor, name) => {
+  const rules = getInterfaceRules(nodeData);
+  if (rules.interfaceAlias) return getInterfaceAlias(rules, name);
+  const port = parseInterfacePort(rules, name);
+  if (!port) return name;
+  if (flavor === 'eos') return `Ethernet${port}`;
+  if (flavor === 'sonic') return `Ethernet${(port - 1) * 4}`;
+  return name;
+};
+
+/*
+ * This is the function to work out the BGP AS of every router. The routers of a tier whose name has "spine" in it
+ * (spine1, spine2... or superspine1...) share an AS, from asnBase up, every other router gets its own from asnBase + 101.
+ */
+const assignAsns = (routers, asnBase) => {
+  const asns = {};
+  const tiers = [];
+  let next = asnBase + 101;
+  routers.forEach(node => {
+    const label = Number(getLabel(node.data, 'asn'));
+    if (Number.isInteger(label) && label > 0) {
+      asns[node.id] = label;
+      return;
+    }
+    const tier = tierOf(node.id);
+    if (/spine/i.test(tier)) {
+      if (!tiers.includes(tier)) tiers.push(tier);
+      asns[node.id] = asnBase + tiers.indexOf(tier);
+    } else {
+      asns[node.id] = next++;
+    }
+  });
+  return asns;
+};
+
+/*
+ * This is the function to give every cEOS router its part in the overlay: a route server, a VTEP or none. The nodes of
+ * the route server tier are route servers, the other spine tiers only carry the traffic and the rest are VTEPs.
+ */
+const assignOverlayRoles = (models, overlay, warnings) => {
+  Object.values(models).forEach(model => {
+    model.overlayRole = 'none';
+    model.overlayHost = false;
+    if (!overlay.enabled) return;
+    if (model.role === 'host') {
+      model.overlayHost = model.flavor === 'eos' || model.flavor === 'linux';
+      return;
+    }
+    const label = getLabel(model.node.data, 'overlay');
+    const role = label || (tierOf(model.id) === overlay.routeServers ? 'route-server' : (/spine/i.test(tierOf(model.id)) ? 'none' : 'vtep'));
+    if (!['route-server', 'vtep', 'none'].includes(role)) {
+      warnings.push(`${model.id}: the overlay role "${role}" is not route-server, vtep or none, it is left out of the overlay`);
+    } else if (role !== 'none' && model.flavor !== 'eos') {
+      warnings.push(`${model.id}: the overlay is only generated for cEOS, it is left out of it`);
+    } else {
+      model.overlayRole = role;
+    }
+  });
+  const routeServers = Object.values(models).filter(model => model.overlayRole === 'route-server');
+  const vteps = Object.values(models).filter(model => model.overlayRole === 'vtep');
+  if (overlay.enabled && vteps.length > 0 && routeServers.length === 0) {
+    warnings.push(`There are no route servers for the overlay, nodes named ${overlay.routeServers}1, ${overlay.routeServers}2...`);
+  }
+  return { routeServers, vteps };
+};
+
+/*
+ * This is the function to put the hosts of the VTEPs in the overlay: a VLAN each (their config.vlan label, or the VLANs
+ * in turn), an address in its subnet and, linked to two or more VTEPs, an ethernet segment. The VTEP ends of their
+ * links become access ports of that VLAN, in the port-channel of the segment.
+ */
+const assignOverlayHosts = (models, overlay, warnings) => {
+  const { vlans } = overlay;
+  const hostsInVlan = {};
+  let segments = 0;
+  let turn = 0;
+  Object.values(models).filter(model => model.accessPorts.length > 0 && model.overlayHost).forEach(model => {
+    const labelled = vlans.find(vlan => String(vlan.id) === String(getLabel(model.node.data, 'vlan')));
+    const vlan = labelled || vlans[turn++ % vlans.length];
+    hostsInVlan[vlan.id] = (hostsInVlan[vlan.id] || 0) + 1;
+    // The last address of the subnet is its broadcast address
+    const offset = HOST_ADDRESS_OFFSET + hostsInVlan[vlan.id] - 1;
+    const address = offset < 2 ** (32 - parseCidr(vlan.gateway).prefix) - 1 ? subnetAddress(networkOf(vlan.gateway), offset) : '';
+    if (!address) {
+      warnings.push(`${model.id}: the subnet of VLAN ${vlan.id} has no room for another host`);
+    }
+    const vtepCount = new Set(model.accessPorts.map(port => port.peer.id)).size;
+    const segment = overlay.multihoming === 'esi' && vtepCount > 1 ? ++segments : null;
+    model.overlay = {
+      vlan,
+      address,
+      gateway: addressOf(vlan.gateway),
+      segment,
+      members: segment ? model.accessPorts : model.accessPorts.slice(0, 1),
+      // The other subnets of the VRF are reached through the anycast gateway
+      routes: vlan.vrf ? vlans.filter(other => other.vrf === vlan.vrf && other.id !== vlan.id).map(other => networkOf(other.gateway)) : []
+    };
+    model.accessPorts.forEach(port => {
+      const vtepPort = models[port.peer.id].accessPorts.find(item => item.peer.id === model.id && item.name === port.peer.name);
+      if (vtepPort) {
+        vtepPort.vlan = vlan.id;
+        vtepPort.segment = segment;
+      }
+    });
+  });
+};
+
+/*
+ * This is the function to describe every node the configs are generated for: its role, AS, router ID, loopbacks and
+ * the addressed interfaces with what is at the other end, and its part in the overlay. The renderers below only turn
+ * this into text.
+ */
+const buildModels = (nodes, edges, settings, warnings) => {
+  const overlay = normalizeOverlay(settings);
+  const candidates = nodes.filter(node => hasAddressing(node) && getLabel(node.data, 'generate') !== 'false');
+  const models = {};
+  candidates.forEach(node => {
+    const flavor = getFlavor(node.data);
+    if (!flavor) {
+      warnings.push(`${node.id}: there is no config template for the kind "${node.data.kind || 'none'}", it is left out`);
+      return;
+    }
+    const role = getLabel(node.data, 'role') || (flavor === 'linux' ? 'host' : 'router');
+    if (role !== 'router' && role !== 'host') {
+      warnings.push(`${node.id}: the role "${role}" is not router or host, it is left out`);
+      return;
+    }
+    if (flavor === 'linux' && role === 'router') {
+      warnings.push(`${node.id}: a linux router needs an FRR image, it is configured as a host`);
+    }
+    models[node.id] = {
+      id: node.id,
+      node,
+      flavor,
+      role: flavor === 'linux' ? 'host' : role,
+      loopbacks: getLoopbacks(node.data),
+      interfaces: [],
+      accessPorts: []
+    };
+  });
+  const { routeServers, vteps } = assignOverlayRoles(models, overlay, warnings);
+
+  edges.forEach(edge => {
+    if (isExternalLink(edge) || edge.source === edge.target) return;
+    const addresses = getLinkAddresses(edge.data);
+    const ends = [
+      { id: edge.source, name: edge.data.sourceInterface, ipv4: addresses.ipv4[0] || '', ipv6: addresses.ipv6[0] || '' },
+      { id: edge.target, name: edge.data.targetInterface, ipv4: addresses.ipv4[1] || '', ipv6: addresses.ipv6[1] || '' }
+    ];
+    ends.forEach((end, index) => {
+      const model = models[end.id];
+      if (!model) return;
+      const peer = ends[1 - index];
+      const peerModel = models[peer.id];
+      // A link between a VTEP and a host is a layer 2 access link, its point-to-point addresses are not used
+      if ((model.overlayRole === 'vtep' && peerModel?.overlayHost) || (model.overlayHost && peerModel?.overlayRole === 'vtep')) {
+        model.accessPorts.push({ name: end.name, cliName: cliInterfaceName(model.node.data, model.flavor, end.name), peer: { id: peer.id, name: peer.name } });
+        return;
+      }
+      if (model.overlayRole === 'vtep' && peerModel?.role === 'host') {
+        warnings.push(`${peer.id}: only cEOS and linux hosts are configured for the overlay, its link to ${end.id} stays routed`);
+      }
+      if (!end.ipv4 && !end.ipv6) {
+        if (peerModel) {
+          warnings.push(`${end.id}: the link ${end.name} to ${peer.id} has no addresses, assign them in IP Addressing`);
+        }
+        return;
+      }
+      model.interfaces.push({
+        name: end.name,
+        cliName: cliInterfaceName(model.node.data, model.flavor, end.name),
+        ipv4: end.ipv4,
+        ipv6: end.ipv6,
+        peer: { id: peer.id, name: peer.name, ipv4: peer.ipv4, ipv6: peer.ipv6, role: peerModel?.role || null }
+      });
+    });
+  });
+
+  const routers = Object.values(models).filter(model => model.role === 'router');
+  const asns = settings.routing === 'ebgp' ? assignAsns(routers.map(model => model.node), Number(settings.asnBase)) : {};
+  routers.forEach(model => {
+    // Over OSPF the overlay is iBGP, every node of it in the first AS
+    model.asn = asns[model.id] || (model.overlayRole !== 'none' ? Number(settings.asnBase) : null);
+    if (model.asn > MAX_ASN) {
+      warnings.push(`${model.id}: the AS number ${model.asn} is out of range, lower the first AS number`);
+    }
+    model.routerId = addressOf(model.loopbacks.ipv4) || addressOf(model.interfaces.find(item => item.ipv4)?.ipv4);
+    if (settings.routing !== 'none' && !model.routerId) {
+      warnings.push(`${model.id}: there is no IPv4 address for the router ID, assign a loopback in IP Addressing`);
+    }
+    if (settings.routing === 'ospf' && (model.loopbacks.ipv6 || model.interfaces.some(item => item.ipv6))) {
+      warnings.push(`${model.id}: the IPv6 addresses are configured but not routed, only OSPFv2 is generated`);
+    }
+    if (model.overlayRole !== 'none' && !model.loopbacks.ipv4) {
+      warnings.push(`${model.id}: the overlay runs between the IPv4 loopbacks, assign one in IP Addressing`);
+    }
+  });
+
+  // The EVPN sessions, from loopback to loopback between each VTEP and each route server
+  const evpnPeer = (model) => ({ address: addressOf(model.loopbacks.ipv4), asn: model.asn, description: model.id });
+  routers.forEach(model => {
+    const peers = model.overlayRole === 'vtep' ? routeServers : (model.overlayRole === 'route-server' ? vteps : []);
+    model.evpnPeers = peers.filter(peer => peer.loopbacks.ipv4).map(evpnPeer);
+  });
+  if (overlay.enabled) {
+    assignOverlayHosts(models, overlay, warnings);
+  }
+
+  Object.values(models).filter(model => model.role === 'host').forEach(model => {
+    model.uplink = model.interfaces.find(item => item.peer.role === 'router') || null;
+    if (!model.uplink && !model.overlay && model.interfaces.length > 0) {
+      warnings.push(`${model.id}: the host is not linked to a router, it gets no routes`);
+    }
+  });
+  return models;
+};
+
+// The subnets routed to a host through its uplink: the pools the plan takes addresses from
+const hostRoutes = (model, pools) => {
+  if (!model.uplink) return [];
+  const routes = [];
+  [['ipv4', ['p2pIpv4', 'loopbackIpv4']], ['ipv6', ['p2pIpv6', 'loopbackIpv6']]].forEach(([version, fields]) => {
+    const via = addressOf(model.uplink.peer[version]);
+    if (!via || !model.uplink[version]) return;
+    fields.forEach(field => {
+      const prefix = networkOf(pools[field]);
+      if (prefix) routes.push({ version, prefix, via });
+    });
+  });
+  return routes;
+};
+
+// The BGP sessions of a router, one per address family and link to another router
+const bgpNeighbors = (model, models) => {
+  const neighbors = [];
+  model.interfaces.filter(item => item.peer.role === 'router').forEach(item => {
+    ['ipv4', 'ipv6'].forEach(version => {
+      if (item[version] && item.peer[version]) {
+        neighbors.push({ version, address: addressOf(item.peer[version]), asn: models[item.peer.id].asn, description: item.peer.id });
+      }
+    });
+  });
+  return neighbors;
+};
+
+// The prefixes a router announces: its loopbacks and the links to its hosts
+const advertisedPrefixes = (model, version) => [
+  ...(model.loopbacks[version] ? [networkOf(model.loopbacks[version])] : []),
+  ...model.interfaces.filter(item => item.peer.role !== 'router' && item[version]).map(item => networkOf(item[version]))
+];
+
+// The ESI, LACP system ID and route target of an ethernet segment, the same on every VTEP the host is linked to
+const segmentIds = (segment) => {
+  const hex = segment.toString(16).padStart(4, '0');
+  return {
+    esi: `0000:0000:0000:0000:${hex}`,
+    systemId: `0000.0000.${hex}`,
+    routeTarget: `00:00:00:00:${hex.slice(0, 2)}:${hex.slice(2)}`
+  };
+};
+
+// The router bgp section of a cEOS router: the underlay sessions over eBGP and the EVPN sessions of the overlay
+const renderEosBgp = (model, models, settings, overlay) => {
+  const underlay = settings.routing === 'ebgp' ? bgpNeighbors(model, models) : [];
+  const evpn = model.evpnPeers;
+  if (settings.routing !== 'ebgp' && model.overlayRole === 'none') return [];
+  const ebgp = settings.routing === 'ebgp';
+  const lines = [`router bgp ${model.asn}`];
+  if (model.routerId) lines.push(`   router-id ${model.routerId}`);
+  lines.push('   maximum-paths 4 ecmp 4');
+  if (evpn.length > 0) {
+    lines.push('   neighbor EVPN peer group', '   neighbor EVPN update-source Loopback0');
+    if (ebgp) lines.push('   neighbor EVPN ebgp-multihop 3');
+    if (ebgp && model.overlayRole === 'route-server') lines.push('   neighbor EVPN next-hop-unchanged');
+    if (!ebgp && model.overlayRole === 'route-server') lines.push('   neighbor EVPN route-reflector-client');
+    lines.push('   neighbor EVPN send-community extended');
+  }
+  underlay.forEach(neighbor => {
+    lines.push(`   neighbor ${neighbor.address} remote-as ${neighbor.asn}`, `   neighbor ${neighbor.address} description ${neighbor.description}`);
+  });
+  evpn.forEach(neighbor => {
+    lines.push(`   neighbor ${neighbor.address} peer group EVPN`, `   neighbor ${neighbor.address} remote-as ${neighbor.asn}`, `   neighbor ${neighbor.address} description ${neighbor.description}`);
+  });
+  if (model.overlayRole === 'vtep') {
+    overlay.vlans.forEach(vlan => {
+      lines.push('   !', `   vlan ${vlan.id}`, `      rd ${model.routerId}:${vlan.vni}`, `      route-target both ${vlan.vni}:${vlan.vni}`, '      redistribute learned');
+    });
+  }
+  if (evpn.length > 0) {
+    lines.push('   !', '   address-family evpn', '      neighbor EVPN activate');
+  }
+  ['ipv4', 'ipv6'].forEach(version => {
+    const prefixes = ebgp ? advertisedPrefixes(model, version) : [];
+    const activated = underlay.filter(neighbor => neighbor.version === version);
+    const deactivateEvpn = version === 'ipv4' && evpn.length > 0;
+    if (prefixes.length === 0 && activated.length === 0 && !deactivateEvpn) return;
+    lines.push('   !', `   address-family ${version}`);
+    if (deactivateEvpn) lines.push('      no neighbor EVPN activate');
+    activated.forEach(neighbor => lines.push(`      neighbor ${neighbor.address} activate`));
+    prefixes.forEach(prefix => lines.push(`      network ${prefix}`));
+  });
+  if (model.overlayRole === 'vtep') {
+    overlay.vrfs.forEach(vrf => {
+      lines.push('   !', `   vrf ${vrf.name}`, `      rd ${model.routerId}:${vrf.vni}`,
+        `      route-target import evpn ${vrf.vni}:${vrf.vni}`, `      route-target export evpn ${vrf.vni}:${vrf.vni}`, '      redistribute connected');
+    });
+  }
+  return lines;
+};
+
+const renderEos = (model, models, settings, pools) => {
+  const overlay = normalizeOverlay(settings);
+  const vtep = model.overlayRole === 'vtep';
+  const hasIpv6 = !!model.loopbacks.ipv6 || model.interfaces.some(item => item.ipv6);
+  const lines = [`hostname ${model.id}`, '!', 'service routing protocols model multi-agent', '!'];
+  if (vtep) {
+    overlay.vlans.forEach(vlan => lines.push(`vlan ${vlan.id}`, ...(vlan.name ? [`   name ${vlan.name}`] : []), '!'));
+    overlay.vrfs.forEach(vrf => lines.push(`vrf instance ${vrf.name}`, '!'));
+  }
+  lines.push('ip routing');
+  if (vtep) overlay.vrfs.forEach(vrf => lines.push(`ip routing vrf ${vrf.name}`));
+  if (hasIpv6) lines.push('ipv6 unicast-routing');
+  lines.push('!');
+  model.interfaces.forEach(item => {
+    lines.push(`interface ${item.cliName}`, `   description ${item.peer.id} ${item.peer.name}`, '   no switchport');
+    if (item.ipv4) lines.push(`   ip address ${item.ipv4}`);
+    if (item.ipv6) lines.push(`   ipv6 address ${item.ipv6}`);
+    if (settings.routing === 'ospf' && model.role === 'router' && item.peer.role === 'router') {
+      lines.push('   ip ospf network point-to-point');
+    }
+    lines.push('!');
+  });
+
+  if (vtep) {
+    // The access ports of the hosts, in the port-channel of their ethernet segment when they are multihomed
+    model.accessPorts.forEach(port => {
+      lines.push(`interface ${port.cliName}`, `   description ${port.peer.id} ${port.peer.name}`);
+      if (port.segment) lines.push(`   channel-group ${port.segment} mode active`);
+      else if (port.vlan) lines.push(`   switchport access vlan ${port.vlan}`);
+      lines.push('!');
+    });
+    [...new Set(model.accessPorts.filter(port => port.segment).map(port => port.segment))].forEach(segment => {
+      const port = model.accessPorts.find(item => item.segment === segment);
+      const ids = segmentIds(segment);
+      lines.push(`interface Port-Channel${segment}`, `   description ${port.peer.id}`, `   switchport access vlan ${port.vlan}`,
+        '   evpn ethernet-segment', `      identifier ${ids.esi}`, `      route-target import ${ids.routeTarget}`, `   lacp system-id ${ids.systemId}`, '!');
+    });
+  } else if (model.overlay) {
+    const { members, segment, address } = model.overlay;
+    members.forEach(port => {
+      lines.push(`interface ${port.cliName}`, `   description ${port.peer.id} ${port.peer.name}`);
+      if (segment) lines.push('   channel-group 1 mode active');
+      else lines.push('   no switchport', ...(address ? [`   ip address ${address}`] : []));
+      lines.push('!');
+    });
+    if (segment) {
+      lines.push('interface Port-Channel1', '   no switchport', ...(address ? [`   ip address ${address}`] : []), '!');
+    }
+  }
+
+  if (model.loopbacks.ipv4 || model.loopbacks.ipv6) {
+    lines.push('interface Loopback0');
+    if (model.loopbacks.ipv4) lines.push(`   ip address ${model.loopbacks.ipv4}`);
+    if (model.loopbacks.ipv6) lines.push(`   ipv6 address ${model.loopbacks.ipv6}`);
+    lines.push('!');
+  }
+  if (vtep) {
+    overlay.vlans.filter(vlan => vlan.vrf).forEach(vlan => {
+      lines.push(`interface Vlan${vlan.id}`, ...(vlan.name ? [`   description ${vlan.name}`] : []), `   vrf ${vlan.vrf}`, `   ip address virtual ${vlan.gateway}`, '!');
+    });
+    lines.push('interface Vxlan1', '   vxlan source-interface Loopback0', '   vxlan udp-port 4789');
+    overlay.vlans.forEach(vlan => lines.push(`   vxlan vlan ${vlan.id} vni ${vlan.vni}`));
+    overlay.vrfs.forEach(vrf => lines.push(`   vxlan vrf ${vrf.name} vni ${vrf.vni}`));
+    lines.push('!', `ip virtual-router mac-address ${overlay.anycastMac.toLowerCase()}`, '!');
+  }
+
+  if (model.role === 'host') {
+    hostRoutes(model, pools).forEach(route => lines.push(`${route.version === 'ipv4' ? 'ip' : 'ipv6'} route ${route.prefix} ${route.via}`));
+    (model.overlay?.routes || []).forEach(prefix => lines.push(`ip route ${prefix} ${model.overlay.gateway}`));
+  } else {
+    const bgp = renderEosBgp(model, models, settings, overlay);
+    lines.push(...bgp);
+    if (settings.routing === 'ospf') {
+      if (bgp.length > 0) lines.push('!');
+      lines.push('router ospf 1');
+      if (model.routerId) lines.push(`   router-id ${model.routerId}`);
+      if (model.loopbacks.ipv4) lines.push('   passive-interface Loopback0');
+      model.interfaces.filter(item => item.peer.role !== 'router' && item.ipv4).forEach(item => lines.push(`   passive-interface ${item.cliName}`));
+      [...(model.loopbacks.ipv4 ? [model.loopbacks.ipv4] : []), ...model.interfaces.filter(item => item.ipv4).map(item => item.ipv4)]
+        .forEach(address => lines.push(`   network ${networkOf(address)} area 0.0.0.0`));
+      lines.push('   max-lsa 12000');
+    }
+  }
+  lines.push('!', 'end');
+  return `${lines.join('\n')}\n`;
+};
+
+const renderFrr = (model, models, settings, pools) => {
+  const lines = ['frr defaults datacenter', `hostname ${model.id}`, 'service integrated-vtysh-config', '!'];
+  model.interfaces.forEach(item => {
+    lines.push(`interface ${item.cliName}`, ` description ${item.peer.id} ${item.peer.name}`);
+    if (item.ipv4) lines.push(` ip address ${item.ipv4}`);
+    if (item.ipv6) lines.push(` ipv6 address ${item.ipv6}`);
+    if (settings.routing === 'ospf' && model.role === 'router' && item.peer.role === 'router') {
+      lines.push(' ip ospf network point-to-point');
+    }
+    lines.push('exit', '!');
+  });
+  if (model.loopbacks.ipv4 || model.loopbacks.ipv6) {
+    lines.push('interface lo');
+    if (model.loopbacks.ipv4) lines.push(` ip address ${model.loopbacks.ipv4}`);
+    if (model.loopbacks.ipv6) lines.push(` ipv6 address ${model.loopbacks.ipv6}`);
+    lines.push('exit', '!');
+  }
+
+  if (model.role === 'host') {
+    hostRoutes(model, pools).forEach(route => lines.push(`${route.version === 'ipv4' ? 'ip' : 'ipv6'} route ${route.prefix} ${route.via}`));
+  } else if (settings.routing === 'ebgp') {
+    const neighbors = bgpNeighbors(model, models);
+    lines.push(`router bgp ${model.asn}`);
+    if (model.routerId) lines.push(` bgp router-id ${model.routerId}`);
+    lines.push(' no bgp ebgp-requires-policy', ' bgp bestpath as-path multipath-relax');
+    neighbors.forEach(neighbor => {
+      lines.push(` neighbor ${neighbor.address} remote-as ${neighbor.asn}`, ` neighbor ${neighbor.address} description ${neighbor.description}`);
+    });
+    ['ipv4', 'ipv6'].forEach(version => {
+      const prefixes = advertisedPrefixes(model, version);
+      const activated = version === 'ipv6' ? neighbors.filter(neighbor => neighbor.version === version) : [];
+      if (prefixes.length === 0 && activated.length === 0) return;
+      lines.push(' !', ` address-family ${version} unicast`);
+      activated.forEach(neighbor => lines.push(`  neighbor ${neighbor.address} activate`));
+      prefixes.forEach(prefix => lines.push(`  network ${prefix}`));
+      lines.push(' exit-address-family');
+    });
+    lines.push('exit');
+  } else if (settings.routing === 'ospf') {
+    lines.push('router ospf');
+    if (model.routerId) lines.push(` ospf router-id ${model.routerId}`);
+    if (model.loopbacks.ipv4) lines.push(' passive-interface lo');
+    model.interfaces.filter(item => item.peer.role !== 'router' && item.ipv4).forEach(item => lines.push(` passive-interface ${item.cliName}`));
+    [...(model.loopbacks.ipv4 ? [model.loopbacks.ipv4] : []), ...model.interfaces.filter(item => item.ipv4).map(item => item.ipv4)]
+      .forEach(address => lines.push(` network ${networkOf(address)} area 0`));
+    lines.push('exit');
+  }
+  lines.push('!');
+  return `${lines.join('\n')}\n`;
+};
+
+// The FRR daemons file, shared by the FRR nodes of the lab. zebra and staticd always run
+const renderFrrDaemons = (routing) => [
+  `bgpd=${routing === 'ebgp' ? 'yes' : 'no'}`,
+  `ospfd=${routing === 'ospf' ? 'yes' : 'no'}`,
+  'ospf6d=no',
+  'ripd=no',
+  'isisd=no',
+  'vtysh_enable=yes',
+  'zebra_options="  -A 127.0.0.1 -s 90000000"',
+  'bgpd_options="   -A 127.0.0.1"',
+  'ospfd_options="  -A 127.0.0.1"',
+  'staticd_options="-A 127.0.0.1"',
+  ''
+].join('\n');
+
+const renderSonic = (model, models, settings, pools, warnings) => {
+  const config = { DEVICE_METADATA: { localhost: { hostname: model.id } } };
+  const interfaces = {};
+  model.interfaces.forEach(item => {
+    interfaces[item.cliName] = {};
+    [item.ipv4, item.ipv6].filter(Boolean).forEach(address => { interfaces[`${item.cliName}|${address}`] = {}; });
+  });
+  if (Object.keys(interfaces).length > 0) config.INTERFACE = interfaces;
+  if (model.loopbacks.ipv4 || model.loopbacks.ipv6) {
+    config.LOOPBACK_INTERFACE = { Loopback0: {} };
+    [model.loopbacks.ipv4, model.loopbacks.ipv6].filter(Boolean).forEach(address => { config.LOOPBACK_INTERFACE[`Loopback0|${address}`] = {}; });
+  }
+
+  if (model.role === 'host') {
+    const routes = hostRoutes(model, pools);
+    if (routes.length > 0) {
+      config.STATIC_ROUTE = Object.fromEntries(routes.map(route => [route.prefix, { nexthop: route.via }]));
+    }
+  } else if (settings.routing === 'ebgp') {
+    config.DEVICE_METADATA.localhost.bgp_asn = String(model.asn);
+    const neighbors = bgpNeighbors(model, models);
+    if (neighbors.length > 0) {
+      config.BGP_NEIGHBOR = Object.fromEntries(neighbors.map(neighbor => {
+        const local = model.interfaces.find(item => addressOf(item.peer[neighbor.version]) === neighbor.address);
+        return [neighbor.address, { asn: String(neighbor.asn), name: neighbor.description, local_addr: addressOf(local[neighbor.version]), admin_status: 'up' }];
+      }));
+    }
+  } else if (settings.routing === 'ospf') {
+    warnings.push(`${model.id}: SONiC runs OSPF in FRR, which is not generated, only the interfaces are configured`);
+  }
+  return `${JSON.stringify(config, null, 2)}\n`;
+};
+
+const renderHostExec = (model, pools) => {
+  const lines = [];
+  model.interfaces.forEach(item => {
+    if (item.ipv4) lines.push(`ip addr add ${item.ipv4} dev ${item.name}`);
+    if (item.ipv6) lines.push(`ip -6 addr add ${item.ipv6} dev ${item.name}`);
+  });
+  if (model.loopbacks.ipv4) lines.push(`ip addr add ${model.loopbacks.ipv4} dev lo`);
+  if (model.loopbacks.ipv6) lines.push(`ip -6 addr add ${model.loopbacks.ipv6} dev lo`);
+  hostRoutes(model, pools).forEach(route => {
+    lines.push(`ip ${route.version === 'ipv6' ? '-6 ' : ''}route replace ${route.prefix} via ${route.via}`);
+  });
+  if (model.overlay) {
+    // A multihomed host bonds its links with LACP, the VTEPs see one port-channel on the ethernet segment
+    const { members, segment, address, gateway, routes } = model.overlay;
+    let device = members[0].name;
+    if (segment) {
+      lines.push('ip link add bond0 type bond mode 802.3ad');
+      members.forEach(port => lines.push(`ip link set ${port.name} down`, `ip link set ${port.name} master bond0`));
+      lines.push('ip link set bond0 up');
+      device = 'bond0';
+    }
+    if (address) lines.push(`ip addr add ${address} dev ${device}`);
+    routes.forEach(prefix => lines.push(`ip route replace ${prefix} via ${gateway}`));
+  }
+  return lines;
+};
+
+const markdownTable = (header, rows) => [
+  `| ${header.join(' | ')} |`,
+  `| ${header.map(() => '---').join(' | ')} |`,
+  ...rows.map(row => `| ${row.map(cell => (cell === null || cell === undefined || cell === '' ? '-' : String(cell))).join(' | ')} |`)
+];
+
+/*
+ * This is the function to write the summary sheet of the overlay: who peers with whom, the VLANs and VRFs with their
+ * VNIs and gateways, and where every host is attached. It goes into the configs directory with the configs.
+ */
+const renderOverlaySummary = (models, settings) => {
+  const overlay = normalizeOverlay(settings);
+  const all = Object.values(models);
+  const fabric = all.filter(model => model.overlayRole !== 'none');
+  const hosts = all.filter(model => model.overlay);
+  const underlay = ROUTING_PROTOCOLS.find(protocol => protocol.value === settings.routing)?.label.split(' - ')[0] || settings.routing;
+  const lines = [
+    '# EVPN/VXLAN overlay',
+    '',
+    `Underlay: ${underlay}. EVPN: ${settings.routing === 'ebgp' ? 'eBGP multihop from the loopbacks' : `iBGP in AS ${settings.asnBase}, the route servers reflect the routes`}.`,
+    `Anycast gateway MAC: ${overlay.anycastMac.toLowerCase()}. Multihoming: ${MULTIHOMING_MODES.find(mode => mode.value === overlay.multihoming)?.label || overlay.multihoming}.`,
+    '',
+    '## Fabric',
+    '',
+    ...markdownTable(['Node', 'Role', 'AS', 'Loopback / VTEP', 'EVPN peers'],
+      fabric.map(model => [model.id, model.overlayRole, model.asn, model.loopbacks.ipv4, model.evpnPeers.map(peer => peer.description).join(', ')])),
+    '',
+    '## VLANs',
+    '',
+    ...markdownTable(['VLAN', 'Name', 'VNI', 'VRF', 'Anycast gateway', 'Hosts'],
+      overlay.vlans.map(vlan => [vlan.id, vlan.name, vlan.vni, vlan.vrf, vlan.vrf ? vlan.gateway : '', hosts.filter(host => host.overlay.vlan.id === vlan.id).map(host => host.id).join(', ')])),
+    '',
+    '## VRFs',
+    '',
+    ...markdownTable(['VRF', 'L3 VNI', 'VLANs'],
+      overlay.vrfs.map(vrf => [vrf.name, vrf.vni, overlay.vlans.filter(vlan => vlan.vrf === vrf.name).map(vlan => vlan.id).join(', ')])),
+    '',
+    '## Hosts',
+    '',
+    ...markdownTable(['Host', 'VLAN', 'Address', 'Gateway', 'Attached to', 'Ethernet segment'],
+      hosts.map(host => [
+        host.id,
+        host.overlay.vlan.id,
+        host.overlay.address,
+        host.overlay.vlan.vrf ? host.overlay.gateway : '',
+        host.overlay.members.map(port => `${port.peer.id} ${port.peer.name}`).join(', '),
+        host.overlay.segment ? `${segmentIds(host.overlay.segment).esi} (Port-Channel${host.overlay.segment})` : ''
+      ])),
+    ''
+  ];
+  return lines.join('\n');
+};
+
+/**
+ * Render the startup configs of the topology.
+ *
+ * @param {Array} nodes - The nodes of the topology
+ * @param {Array} edges - The edges of the topology, addressed by the IP addressing plan
+ * @param {Object} settings - As DEFAULT_CONFIG_GEN
+ * @param {Object} pools - The IPAM pools, the routes of the hosts point at them
+ * @returns {{files: Array, nodeUpdates: Object, warnings: Array<string>}} - The files to write, as
+ *   { node, path, content } with a path relative to the lab directory, what to set on each node (startupConfig, binds
+ *   or exec, see applyGeneratedConfigs) and what could not be generated
+ */
+export const generateConfigs = (nodes, edges, settings, pools) => {
+  const warnings = [];
+  const models = buildModels(nodes, edges, settings, warnings);
+  const files = [];
+  const nodeUpdates = {};
+
+  Object.values(models).forEach(model => {
+    if (model.flavor === 'eos') {
+      const path = `${CONFIG_DIR}/${model.id}.partial.cfg`;
+      files.push({ node: model.id, path, content: renderEos(model, models, settings, pools) });
+      nodeUpdates[model.id] = { startupConfig: path };
+    } else if (model.flavor === 'sonic') {
+      const path = `${CONFIG_DIR}/${model.id}-config_db.json`;
+      files.push({ node: model.id, path, content: renderSonic(model, models, settings, pools, warnings) });
+      nodeUpdates[model.id] = { startupConfig: path };
+    } else if (model.flavor === 'frr') {
+      const path = `${CONFIG_DIR}/${model.id}-frr.conf`;
+      files.push({ node: model.id, path, content: renderFrr(model, models, settings, pools) });
+      nodeUpdates[model.id] = {
+        binds: [
+          { source: path, target: FRR_TARGETS.config },
+          { source: `${CONFIG_DIR}/frr-daemons`, target: FRR_TARGETS.daemons }
+        ]
+      };
+    } else {
+      nodeUpdates[model.id] = { exec: renderHostExec(model, pools) };
+    }
+  });
+  if (files.some(file => file.path.endsWith('-frr.conf'))) {
+    files.push({ node: null, path: `${CONFIG_DIR}/frr-daemons`, content: renderFrrDaemons(settings.routing) });
+  }
+  if (getOverlay(settings).enabled) {
+    files.push({ node: null, path: OVERLAY_SUMMARY, content: renderOverlaySummary(models, settings) });
+  }
+  return { files, nodeUpdates, warnings };
+};
+
+const bindTarget = (bind) => (typeof bind === 'string' ? bind.split(':')[1] || '' : bind?.target || '').replace(/:(ro|rw)$/, '');
+
+/**
+ * Point the nodes at their generated configs: the startup-config of EOS and SONiC nodes, the /etc/frr binds of FRR
+ * nodes and the ip commands in the exec list of linux hosts. Binds and exec lines of the user are kept.
+ *
+ * @param {Array} nodes - The nodes of the topology
+ * @param {Object} nodeUpdates - From generateConfigs
+ * @returns {Array} - The nodes, the same objects when nothing changes
+ */
+export const applyGeneratedConfigs = (nodes, nodeUpdates) => nodes.map(node => {
+  const update = nodeUpdates[node.id];
+  if (!update) return node;
+  const data = { ...node.data };
+  if (update.startupConfig !== undefined) {
+    data.startupConfig = update.startupConfig;
+  }
+  if (update.binds) {
+    const targets = update.binds.map(bind => bind.target);
+    const kept = (node.data.binds || []).filter(bind => bind && !targets.includes(bindTarget(bind)) && (typeof bind === 'string' ? bind.trim() : bind.source || bind.target));
+    data.binds = [...update.binds, ...kept];
+  }
+  if (update.exec) {
+    const kept = (node.data.properties?.exec || []).filter(line => !GENERATED_EXEC.test(String(line).trim()));
+    const exec = [...update.exec, ...kept];
+    const properties = { ...(node.data.properties || {}) };
+    if (exec.length > 0) properties.exec = exec;
+    else delete properties.exec;
+    data.properties = properties;
+  }
+  return JSON.stringify(data) === JSON.stringify(node.data) ? node : { ...node, data };
+});
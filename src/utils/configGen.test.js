@@ -0,0 +1,111 @@
+import {
+  applyGeneratedConfigs,
+  DEFAULT_CONFIG_GEN,
+  DEFAULT_OVERLAY,
+  generateConfigs,
+  OVERLAY_SUMMARY,
+  validateConfigGen,
+  validateOverlay
+} from './configGen';
+import { assignAddresses, DEFAULT_IPAM_POOLS } from './ipam';
+import { canvasEdge, canvasNode } from './testFixtures';
+
+const node = (id, kind, image) => canvasNode(id, { kind, image });
+
+// spine1 (cEOS) to leaf1 (cEOS) and leaf2 (FRR), host1 behind leaf1
+const addressed = assignAddresses(
+  [node('spine1', 'ceos', 'ceos:4.34.0F'), node('leaf1', 'ceos', 'ceos:4.34.0F'), node('leaf2', 'linux', 'frrouting/frr'), node('host1', 'linux', 'alpine')],
+  [canvasEdge('spine1', 'leaf1'), canvasEdge('spine1', 'leaf2', 'eth2'), canvasEdge('leaf1', 'host1', 'eth2')],
+  DEFAULT_IPAM_POOLS
+);
+const settings = { ...DEFAULT_CONFIG_GEN, enabled: true };
+
+const fileOf = (result, path) => result.files.find(file => file.path === path)?.content || '';
+
+test('checks the settings of the generation and the overlay', () => {
+  expect(validateConfigGen(settings)).toBe('');
+  expect(validateConfigGen({ ...settings, routing: 'rip' })).toBe('The routing must be one of none, ospf, ebgp');
+  expect(validateConfigGen({ ...settings, asnBase: 0 })).toMatch('The first AS number');
+  expect(validateConfigGen({ ...settings, routing: 'none', overlay: { ...DEFAULT_OVERLAY, enabled: true } })).toMatch('needs an OSPF or eBGP underlay');
+
+  expect(validateOverlay(DEFAULT_OVERLAY)).toEqual([]);
+  expect(validateOverlay({ ...DEFAULT_OVERLAY, anycastMac: '00:1c:73' })).toEqual(['The anycast gateway MAC must be written like 00:1c:73:00:00:99']);
+  expect(validateOverlay({ ...DEFAULT_OVERLAY, vlans: [{ ...DEFAULT_OVERLAY.vlans[0], vni: 50001 }] })).toEqual(['The VNI 50001 of VLAN 10 is used twice']);
+  expect(validateOverlay({ ...DEFAULT_OVERLAY, vlans: [] })).toEqual(['The overlay needs at least one VLAN']);
+});
+
+test('renders eBGP with one AS for the spines and one per leaf', () => {
+  const result = generateConfigs(addressed.nodes, addressed.edges, settings, DEFAULT_IPAM_POOLS);
+  expect(result.warnings).toEqual([]);
+  expect(result.files.map(file => file.path)).toEqual([
+    'configs/spine1.partial.cfg',
+    'configs/leaf1.partial.cfg',
+    'configs/leaf2-frr.conf',
+    'configs/frr-daemons'
+  ]);
+
+  const spine = fileOf(result, 'configs/spine1.partial.cfg');
+  expect(spine).toContain('interface Ethernet1\n   description leaf1 eth1\n   no switchport\n   ip address 10.0.0.0/31');
+  expect(spine).toContain('router bgp 65000');
+  expect(spine).toContain('neighbor 10.0.0.1 remote-as 65101');
+  expect(spine).toContain('neighbor 10.0.0.3 remote-as 65102');
+
+  const frr = fileOf(result, 'configs/leaf2-frr.conf');
+  expect(frr).toContain('router bgp 65102');
+  expect(frr).toContain('neighbor 10.0.0.2 remote-as 65000');
+  expect(fileOf(result, 'configs/frr-daemons')).toContain('bgpd=yes');
+});
+
+test('routes the hosts through their router', () => {
+  const { nodeUpdates } = generateConfigs(addressed.nodes, addressed.edges, settings, DEFAULT_IPAM_POOLS);
+  expect(nodeUpdates.host1.exec).toEqual(expect.arrayContaining([
+    'ip addr add 10.0.0.5/31 dev eth1',
+    'ip route replace 10.0.0.0/24 via 10.0.0.4'
+  ]));
+});
+
+test('renders OSPF when it is the underlay', () => {
+  const result = generateConfigs(addressed.nodes, addressed.edges, { ...settings, routing: 'ospf' }, DEFAULT_IPAM_POOLS);
+  expect(fileOf(result, 'configs/spine1.partial.cfg')).toMatch(/router ospf/);
+  expect(fileOf(result, 'configs/spine1.partial.cfg')).not.toMatch(/router bgp/);
+  expect(fileOf(result, 'configs/frr-daemons')).toContain('ospfd=yes');
+});
+
+test('leaves out the nodes without a template or turned off by their label, and the hosts behind them get no routes', () => {
+  const nodes = [
+    ...addressed.nodes.map(n => (n.id === 'leaf1' ? { ...n, data: { ...n.data, properties: { labels: { 'config.generate': 'false' } } } } : n)),
+    node('vmx1', 'juniper_vmx', 'vmx')
+  ];
+  const result = generateConfigs(nodes, addressed.edges, settings, DEFAULT_IPAM_POOLS);
+  expect(result.nodeUpdates.leaf1).toBeUndefined();
+  expect(result.warnings).toEqual([
+    'vmx1: there is no config template for the kind "juniper_vmx", it is left out',
+    'host1: the host is not linked to a router, it gets no routes'
+  ]);
+});
+
+test('writes an overlay summary when the overlay is on', () => {
+  const result = generateConfigs(addressed.nodes, addressed.edges, { ...settings, overlay: { ...DEFAULT_OVERLAY, enabled: true } }, DEFAULT_IPAM_POOLS);
+  expect(result.files.some(file => file.path === OVERLAY_SUMMARY)).toBe(true);
+  expect(fileOf(result, 'configs/leaf1.partial.cfg')).toMatch(/vxlan/i);
+});
+
+test('points the nodes at their configs and keeps what the user set', () => {
+  const nodes = addressed.nodes.map(n => {
+    if (n.id === 'leaf2') return { ...n, data: { ...n.data, binds: ['lab.txt:/tmp/lab.txt', 'old.conf:/etc/frr/frr.conf'] } };
+    if (n.id === 'host1') return { ...n, data: { ...n.data, properties: { exec: ['ip addr add 192.0.2.1/24 dev eth1', 'echo ready'] } } };
+    return n;
+  });
+  const { nodeUpdates } = generateConfigs(nodes, addressed.edges, settings, DEFAULT_IPAM_POOLS);
+  const applied = applyGeneratedConfigs(nodes, nodeUpdates);
+  const byId = Object.fromEntries(applied.map(n => [n.id, n]));
+
+  expect(byId.spine1.data.startupConfig).toBe('configs/spine1.partial.cfg');
+  expect(byId.leaf2.data.binds).toEqual([
+    { source: 'configs/leaf2-frr.conf', target: '/etc/frr/frr.conf' },
+    { source: 'configs/frr-daemons', target: '/etc/frr/daemons' },
+    'lab.txt:/tmp/lab.txt'
+  ]);
+  expect(byId.host1.data.properties.exec).toEqual([...nodeUpdates.host1.exec, 'echo ready']);
+  expect(applyGeneratedConfigs(applied, nodeUpdates).every((n, index) => n === applied[index])).toBe(true);
+});
@@ -0,0 +1,62 @@
+import axios from 'axios';
+import { getAuthHeaders } from './auth';
+import { getBackendUrl } from './config';
+
+// List the credentials the logged in user has registered on a server (no secrets are returned)
+export const listCredentials = async (serverIp) => {
+  const response = await axios.get(`${getBackendUrl(serverIp)}/api/credentials`, {
+    headers: getAuthHeaders()
+  });
+  return response.data.credentials || [];
+};
+
+// Register or replace the SSH password and/or private key of the logged in user on a server
+export const saveCredential = async (serverIp, { password, privateKey, passphrase }) => {
+  try {
+    const response = await axios.post(`${getBackendUrl(serverIp)}/api/credentials`, {
+      serverIp,
+      password,
+      privateKey,
+      passphrase
+    }, { headers: getAuthHeaders() });
+    return response.data;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.response?.data?.error || error.message
+    };
+  }
+};
+
+export const deleteCredential = async (serverIp) => {
+  try {
+    const response = await axios.delete(`${getBackendUrl(serverIp)}/api/credentials`, {
+      headers: getAuthHeaders(),
+      data: { serverIp }
+    });
+    return response.data;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.response?.data?.error || error.message
+    };
+  }
+};
+
+/**
+ * Get a containerlab API token for the logged in user on a server.
+ * The backend logs in with the password from the user's credential vault, so the browser never needs it.
+ *
+ * @param {string} serverIp - The IP address of the clab server
+ * @returns {Promise<string>} - JWT token for the containerlab API
+ */
+export const getClabApiToken = async (serverIp) => {
+  try {
+    const response = await axios.post(`${getBackendUrl(serverIp)}/api/credentials/clab-token`, {
+      serverIp
+    }, { headers: getAuthHeaders() });
+    return response.data.token;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || error.message);
+  }
+};
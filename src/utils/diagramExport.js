@@ -0,0 +1,405 @@
+import { findCatalogEntry, getIconUrl } from './catalog';
+import { LINK_LINE_STYLES, LINK_TYPES } from './links';
+
+/*
+ * Diagram export of the topology designer. The diagram is drawn as an SVG from the elements of the canvas (see
+ * getDiagram in CytoscapeCanvas): the node icons and labels, the links with their interface labels and the far ends
+ * of external links, plus the annotations, the management IPs, a title and a legend of the kinds and link types. The
+ * SVG is exported as it is, rasterized for PNG, or rasterized to JPEG and wrapped in a one page PDF. The icons are
+ * inlined as data URLs so the file stands on its own and the browser may draw it on a canvas.
+ */
+
+export const EXPORT_FORMATS = [
+  { value: 'png', label: 'PNG image' },
+  { value: 'svg', label: 'SVG vector image' },
+  { value: 'pdf', label: 'PDF document' }
+];
+
+// Page sizes in points, portrait
+export const PAPER_SIZES = [
+  { value: 'a4', label: 'A4', width: 595.28, height: 841.89 },
+  { value: 'letter', label: 'Letter', width: 612, height: 792 }
+];
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: 'png',
+  title: true,
+  interfaceLabels: true,
+  mgmtIps: true,
+  legend: true,
+  annotations: true,
+  transparent: false,
+  fitToPage: false,
+  paper: 'a4',
+  scale: 2
+};
+
+// As drawn on the canvas (getCytoscapeStyles)
+const NODE_SIZE = 70;
+const NODE_FONT = 10;
+const EDGE_FONT = 7;
+const LINE_HEIGHT = 1.25;
+const LABEL_OFFSET = 40;
+const PADDING = 30;
+const PAGE_MARGIN = 36;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+// CSS pixels per PDF point
+const PX_PER_PT = 96 / 72;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+let measureContext = null;
+
+// The width of a line of text, measured by the browser when it can, else estimated
+const textWidth = (text, fontSize, bold = false) => {
+  if (!measureContext && typeof document !== 'undefined') {
+    measureContext = document.createElement('canvas').getContext('2d');
+  }
+  if (!measureContext) return String(text).length * fontSize * 0.6;
+  measureContext.font = `${bold ? 'bold ' : ''}${fontSize}px ${FONT_FAMILY}`;
+  return measureContext.measureText(String(text)).width;
+};
+
+const lines = (text) => String(text || '').split('\n').filter(line => line !== '');
+
+// A multi-line text, its first line at y
+const textBlock = (textLines, x, y, fontSize, attributes = '') => {
+  const spans = textLines.map((line, index) => `<tspan x="${x}" dy="${index === 0 ? 0 : fontSize * LINE_HEIGHT}">${escapeXml(line)}</tspan>`).join('');
+  return `<text x="${x}" y="${y}" font-size="${fontSize}" ${attributes}>${spans}</text>`;
+};
+
+// Read an icon as a data URL, null when it cannot be fetched
+const inlineImage = async (url) => {
+  if (!url || url.startsWith('data:')) return url;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+// The box of everything drawn, grown to take each shape
+const createBounds = () => {
+  const box = { x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity };
+  return {
+    box,
+    add: (x1, y1, x2, y2) => {
+      box.x1 = Math.min(box.x1, x1, x2);
+      box.y1 = Math.min(box.y1, y1, y2);
+      box.x2 = Math.max(box.x2, x1, x2);
+      box.y2 = Math.max(box.y2, y1, y2);
+    }
+  };
+};
+
+// An interface label of a link, placed along it from its node and turned with it as on the canvas
+const renderEdgeLabel = (label, from, to, bounds) => {
+  const textLines = lines(label);
+  if (textLines.length === 0) return '';
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy) || 1;
+  const distance = Math.min(NODE_SIZE / 2 + LABEL_OFFSET, length * 0.4);
+  const x = from.x + (dx / length) * distance;
+  const y = from.y + (dy / length) * distance;
+  let angle = (Math.atan2(dy, dx) * 180) / Math.PI;
+  if (angle > 90) angle -= 180;
+  if (angle < -90) angle += 180;
+  const width = Math.max(...textLines.map(line => textWidth(line, EDGE_FONT))) + 4;
+  const height = textLines.length * EDGE_FONT * LINE_HEIGHT + 4;
+  bounds.add(x - width, y - width, x + width, y + width);
+  return `<g transform="translate(${x.toFixed(1)} ${y.toFixed(1)}) rotate(${angle.toFixed(1)})">`
+    + `<rect x="${-width / 2}" y="${-10 - height / 2}" width="${width}" height="${height}" rx="2" fill="#f0f0f0"/>`
+    + textBlock(textLines, 0, -10 - height / 2 + 2 + EDGE_FONT, EDGE_FONT, 'text-anchor="middle" fill="#333"')
+    + '</g>';
+};
+
+// The annotations are kept in screen coordinates of the canvas, they are drawn where they are seen over the topology
+const renderAnnotation = (annotation, viewport, bounds) => {
+  const { pan, zoom } = viewport;
+  const x = (value) => (value - pan.x) / zoom;
+  const y = (value) => (value - pan.y) / zoom;
+  const size = (value) => value / zoom;
+  const color = escapeXml(annotation.color || '#000000');
+  const stroke = size(annotation.style?.strokeWidth ?? 2);
+  const fillOpacity = annotation.style?.fillOpacity ?? 0.3;
+  switch (annotation.type) {
+    case 'text': {
+      const fontSize = size(annotation.style?.fontSize || 16);
+      const textLines = lines(annotation.text);
+      bounds.add(x(annotation.x), y(annotation.y) - fontSize, x(annotation.x) + Math.max(0, ...textLines.map(line => textWidth(line, fontSize))),
+        y(annotation.y) + textLines.length * fontSize * LINE_HEIGHT);
+      const style = [
+        `fill="${color}"`,
+        annotation.style?.bold ? 'font-weight="bold"' : '',
+        annotation.style?.italic ? 'font-style="italic"' : '',
+        annotation.style?.underline ? 'text-decoration="underline"' : ''
+      ].filter(Boolean).join(' ');
+      return textBlock(textLines, x(annotation.x), y(annotation.y), fontSize, style);
+    }
+    case 'circle': {
+      const radius = size(annotation.radius || 30);
+      bounds.add(x(annotation.x) - radius, y(annotation.y) - radius, x(annotation.x) + radius, y(annotation.y) + radius);
+      return `<circle cx="${x(annotation.x)}" cy="${y(annotation.y)}" r="${radius}" stroke="${color}" stroke-width="${stroke}" fill="${color}" fill-opacity="${fillOpacity}"/>`;
+    }
+    case 'rectangle': {
+      const left = x(Math.min(annotation.startX, annotation.endX));
+      const top = y(Math.min(annotation.startY, annotation.endY));
+      const width = size(Math.abs(annotation.endX - annotation.startX));
+      const height = size(Math.abs(annotation.endY - annotation.startY));
+      bounds.add(left, top, left + width, top + height);
+      return `<rect x="${left}" y="${top}" width="${width}" height="${height}" stroke="${color}" stroke-width="${stroke}" fill="${color}" fill-opacity="${fillOpacity}"/>`;
+    }
+    case 'line':
+    case 'arrow': {
+      bounds.add(x(annotation.startX), y(annotation.startY), x(annotation.endX), y(annotation.endY));
+      const marker = annotation.type === 'arrow' ? ` marker-end="url(#arrow-${annotation.id})"` : '';
+      const definition = annotation.type === 'arrow'
+        ? `<defs><marker id="arrow-${annotation.id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="${color}"/></marker></defs>`
+        : '';
+      return `${definition}<line x1="${x(annotation.startX)}" y1="${y(annotation.startY)}" x2="${x(annotation.endX)}" y2="${y(annotation.endY)}" stroke="${color}" stroke-width="${stroke}"${marker}/>`;
+    }
+    default:
+      return '';
+  }
+};
+
+// The kinds on the diagram with their icon, and the link types, in a box under it
+const renderLegend = (kinds, linkTypes, icons, left, top) => {
+  const rows = [
+    ...kinds.map(kind => ({ ...kind, width: 22 + textWidth(`${kind.label} (${kind.count})`, NODE_FONT) })),
+    ...linkTypes.map(type => ({ linkType: type, label: LINK_TYPES.find(option => option.value === type)?.label || type }))
+      .map(row => ({ ...row, width: 34 + textWidth(row.label, NODE_FONT) }))
+  ];
+  const rowHeight = 20;
+  const width = Math.max(textWidth('Legend', NODE_FONT, true), ...rows.map(row => row.width)) + 20;
+  const height = 26 + rows.length * rowHeight;
+  const parts = [
+    `<rect x="${left}" y="${top}" width="${width}" height="${height}" rx="4" fill="#ffffff" fill-opacity="0.9" stroke="#d9d9d9"/>`,
+    `<text x="${left + 10}" y="${top + 16}" font-size="${NODE_FONT}" font-weight="bold" fill="#333">Legend</text>`
+  ];
+  rows.forEach((row, index) => {
+    const rowTop = top + 26 + index * rowHeight;
+    if (row.linkType) {
+      const line = LINK_LINE_STYLES[row.linkType] || LINK_LINE_STYLES.veth;
+      parts.push(`<line x1="${left + 10}" y1="${rowTop + 8}" x2="${left + 34}" y2="${rowTop + 8}" stroke="${line.color}" stroke-width="1.5"${line.dash ? ` stroke-dasharray="${line.dash.join(' ')}"` : ''}/>`);
+      parts.push(`<text x="${left + 40}" y="${rowTop + 12}" font-size="${NODE_FONT}" fill="#333">${escapeXml(row.label)}</text>`);
+    } else {
+      if (icons[row.icon]) parts.push(`<image href="${icons[row.icon]}" x="${left + 10}" y="${rowTop}" width="16" height="16"/>`);
+      parts.push(`<text x="${left + 32}" y="${rowTop + 12}" font-size="${NODE_FONT}" fill="#333">${escapeXml(`${row.label} (${row.count})`)}</text>`);
+    }
+  });
+  return { svg: parts.join(''), width, height };
+};
+
+/**
+ * Draw the topology as an SVG document.
+ *
+ * @param {Object} diagram - From getDiagram of the canvas: nodes, edges and the viewport
+ * @param {Object} topology - { name, nodes (the React nodes, for the kinds and management IPs), annotations }
+ * @param {Object} options - As DEFAULT_EXPORT_OPTIONS
+ * @returns {Promise<{svg: string, width: number, height: number}>} - The document and its size in CSS pixels
+ */
+export const renderDiagramSvg = async (diagram, { name, nodes, annotations }, options) => {
+  const nodeData = Object.fromEntries(nodes.map(node => [node.id, node.data || {}]));
+  const positions = Object.fromEntries(diagram.nodes.map(node => [node.id, node.position]));
+  const icons = {};
+  await Promise.all([...new Set(diagram.nodes.map(node => node.icon).filter(Boolean))].map(async (url) => {
+    icons[url] = await inlineImage(url);
+  }));
+
+  const bounds = createBounds();
+  const edgeParts = [];
+  const labelParts = [];
+  diagram.edges.forEach(edge => {
+    const from = positions[edge.source];
+    const to = positions[edge.target];
+    if (!from || !to) return;
+    const line = LINK_LINE_STYLES[edge.linkType] || LINK_LINE_STYLES.veth;
+    edgeParts.push(`<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="${line.color}" stroke-width="1.5"${line.dash ? ` stroke-dasharray="${line.dash.join(' ')}"` : ''}/>`);
+    if (options.interfaceLabels) {
+      labelParts.push(renderEdgeLabel(edge.sourceLabel, from, to, bounds));
+      // The far end of an external link is not an interface, the canvas leaves it unlabelled as well
+      if (edge.linkType === 'veth') labelParts.push(renderEdgeLabel(edge.targetLabel, to, from, bounds));
+    }
+  });
+
+  const nodeParts = diagram.nodes.map(node => {
+    const { x, y } = node.position;
+    if (node.external) {
+      const width = textWidth(node.label, 9) + 12;
+      bounds.add(x - width / 2, y - 11, x + width / 2, y + 11);
+      return `<rect x="${x - width / 2}" y="${y - 11}" width="${width}" height="22" rx="4" fill="#fff7e6" stroke="#d48806" stroke-dasharray="4 2"/>`
+        + `<text x="${x}" y="${y + 3}" font-size="9" text-anchor="middle" fill="#874d00">${escapeXml(node.label)}</text>`;
+    }
+    const data = nodeData[node.id] || {};
+    const textLines = [
+      ...lines(node.label),
+      ...(options.mgmtIps ? [data.mgmtIp, data.ipv6MgmtIp].filter(Boolean).map(ip => `mgmt ${ip}`) : [])
+    ];
+    const half = NODE_SIZE / 2;
+    const labelTop = y + half + 5 + NODE_FONT;
+    const labelWidth = Math.max(0, ...textLines.map(line => textWidth(line, NODE_FONT)));
+    bounds.add(x - Math.max(half, labelWidth / 2), y - half, x + Math.max(half, labelWidth / 2), labelTop + textLines.length * NODE_FONT * LINE_HEIGHT);
+    const icon = icons[node.icon]
+      ? `<image href="${icons[node.icon]}" x="${x - half}" y="${y - half}" width="${NODE_SIZE}" height="${NODE_SIZE}" preserveAspectRatio="xMidYMid meet"/>`
+      : `<rect x="${x - half}" y="${y - half}" width="${NODE_SIZE}" height="${NODE_SIZE}" rx="8" fill="#e6f4ff" stroke="#1677ff"/>`;
+    return icon + textBlock(textLines, x, labelTop, NODE_FONT, 'text-anchor="middle" fill="#333"');
+  });
+
+  const annotationParts = options.annotations ? (annotations || []).map(annotation => renderAnnotation(annotation, diagram.viewport, bounds)) : [];
+  if (!Number.isFinite(bounds.box.x1)) bounds.add(0, 0, 200, 100);
+
+  // The title goes above the topology and the legend under it, both from its left edge
+  const { box } = bounds;
+  const parts = [];
+  if (options.title && name) {
+    const titleTop = box.y1 - 16;
+    parts.push(`<text x="${box.x1}" y="${titleTop}" font-size="16" font-weight="bold" fill="#222">${escapeXml(name)}</text>`);
+    bounds.add(box.x1, titleTop - 16, box.x1 + textWidth(name, 16, true), titleTop);
+  }
+  if (options.legend) {
+    const kinds = [];
+    nodes.forEach(node => {
+      const entry = findCatalogEntry(node.data?.kind, node.data?.image);
+      const label = entry?.label || node.data?.kind || 'unknown';
+      const kind = kinds.find(item => item.label === label);
+      if (kind) kind.count += 1;
+      else kinds.push({ label, icon: getIconUrl(entry?.icon), count: 1 });
+    });
+    await Promise.all(kinds.filter(kind => !(kind.icon in icons)).map(async (kind) => {
+      icons[kind.icon] = await inlineImage(kind.icon);
+    }));
+    const linkTypes = [...new Set(diagram.edges.map(edge => edge.linkType))];
+    const legend = renderLegend(kinds, linkTypes, icons, box.x1, box.y2 + 20);
+    parts.push(legend.svg);
+    bounds.add(box.x1, box.y2, box.x1 + legend.width, box.y2 + 20 + legend.height);
+  }
+
+  // Either the topology with a margin round it, or the page it is fitted to with the topology in the middle
+  const content = { x: box.x1 - PADDING, y: box.y1 - PADDING, width: box.x2 - box.x1 + 2 * PADDING, height: box.y2 - box.y1 + 2 * PADDING };
+  let view = content;
+  let size = { width: content.width, height: content.height };
+  if (options.fitToPage) {
+    const paper = PAPER_SIZES.find(option => option.value === options.paper) || PAPER_SIZES[0];
+    const landscape = content.width > content.height;
+    size = {
+      width: (landscape ? paper.height : paper.width) * PX_PER_PT,
+      height: (landscape ? paper.width : paper.height) * PX_PER_PT
+    };
+    const margin = PAGE_MARGIN * PX_PER_PT;
+    const scale = Math.min((size.width - 2 * margin) / content.width, (size.height - 2 * margin) / content.height);
+    view = {
+      width: size.width / scale,
+      height: size.height / scale,
+      x: content.x + content.width / 2 - size.width / scale / 2,
+      y: content.y + content.height / 2 - size.height / scale / 2
+    };
+  }
+  const background = options.transparent && options.format !== 'pdf'
+    ? ''
+    : `<rect x="${view.x}" y="${view.y}" width="${view.width}" height="${view.height}" fill="#ffffff"/>`;
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(size.width)}" height="${Math.round(size.height)}" viewBox="${view.x} ${view.y} ${view.width} ${view.height}" font-family="${FONT_FAMILY}">`,
+    background,
+    ...edgeParts,
+    ...nodeParts,
+    ...labelParts,
+    ...annotationParts,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+  return { svg, width: Math.round(size.width), height: Math.round(size.height) };
+};
+
+// Draw the SVG on a canvas, `scale` device pixels per CSS pixel
+const rasterize = (svg, width, height, scale) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    resolve(canvas);
+  };
+  image.onerror = () => reject(new Error('The browser could not draw the diagram'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
+
+const canvasBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The diagram is too big to export, lower the resolution'))), type, quality);
+});
+
+// A one page PDF showing a JPEG image over the whole page, the JPEG goes in as it is (DCTDecode)
+const jpegPdf = (jpeg, imageWidth, imageHeight, pageWidth, pageHeight, title) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, dictionary, stream) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${dictionary}\n`);
+    if (stream) {
+      push('stream\n');
+      push(stream);
+      push('\nendstream\n');
+    }
+    push('endobj\n');
+  };
+  const width = pageWidth.toFixed(2);
+  const height = pageHeight.toFixed(2);
+  const content = `q ${width} 0 0 ${height} 0 0 cm /Diagram Do Q`;
+  const pdfString = (text) => `(${String(text).replace(/[^\x20-\x7e]/g, '?').replace(/([()\\])/g, '\\$1')})`;
+
+  push('%PDF-1.4\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Diagram 4 0 R >> >> /Contents 5 0 R >>`);
+  object(4, `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`, jpeg);
+  object(5, `<< /Length ${content.length} >>`, content);
+  object(6, `<< /Title ${pdfString(title)} >>`);
+  const xref = length;
+  push(`xref\n0 7\n0000000000 65535 f \n${offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`);
+  push(`trailer\n<< /Size 7 /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(chunks, { type: 'application/pdf' });
+};
+
+/**
+ * Export the diagram of the topology.
+ *
+ * @param {Object} diagram - From getDiagram of the canvas
+ * @param {Object} topology - { name, nodes, annotations }, see renderDiagramSvg
+ * @param {Object} options - As DEFAULT_EXPORT_OPTIONS
+ * @returns {Promise<Blob>} - The PNG, SVG or PDF file
+ */
+export const exportDiagram = async (diagram, topology, options) => {
+  const { svg, width, height } = await renderDiagramSvg(diagram, topology, options);
+  if (options.format === 'svg') {
+    return new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
+  }
+  if (options.format === 'png') {
+    return canvasBlob(await rasterize(svg, width, height, options.scale || 1), 'image/png');
+  }
+  // A PDF page is in points, the diagram keeps its size (or the paper size) and is rendered at twice the resolution
+  const canvas = await rasterize(svg, width, height, Math.max(2, options.scale || 1));
+  const jpeg = new Uint8Array(await (await canvasBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+  return jpegPdf(jpeg, canvas.width, canvas.height, width / PX_PER_PT, height / PX_PER_PT, topology.name || 'Topology');
+};
@@ -0,0 +1,156 @@
+import axios from 'axios';
+import { getAuthHeaders } from './auth';
+import { getBackendApiUrl } from './config';
+
+/*
+ * Autosave and named drafts of the topology designer. A draft is the designer state of the TopologyContext: the nodes
+ * with their positions, the edges, the YAML, the global settings, the annotations and their styles. The tool in use and
+ * the selected annotation are left out.
+ *   autosave - the latest state, kept in the browser per user so a refresh or a logout does not lose it
+ *   drafts   - states saved under a name, kept per user by the backend (server/draft_store.js)
+ */
+
+export const DRAFT_FIELDS = [
+  'nodes',
+  'edges',
+  'yamlOutput',
+  'editableYaml',
+  'topologyName',
+  'showMgmt',
+  'mgmtNetwork',
+  'ipv4Subnet',
+  'showIpv6',
+  'ipv6Subnet',
+  'showKind',
+  'kinds',
+  'showDefault',
+  'defaultKind',
+  'nodeInterfaces',
+  'isYamlValid',
+  'yamlParseError',
+  'ipamPools',
+  'configGen',
+  'annotations',
+  'annotationColor',
+  'textStyle',
+  'shapeStyle'
+];
+
+// How long the designer has to be left alone before it is autosaved
+export const AUTOSAVE_DELAY_MS = 1000;
+
+const AUTOSAVE_VERSION = 1;
+
+const autosaveKey = (username) => `topologyAutosave:${username}`;
+
+// The draft fields of a topology state, as a copy (the designer edits some of its state in place)
+export const pickDraftState = (topologyState) => JSON.parse(JSON.stringify(
+  Object.fromEntries(DRAFT_FIELDS.filter(field => field in topologyState).map(field => [field, topologyState[field]]))
+));
+
+// A designer with nothing on it is not worth saving, nor worth offering to restore
+export const isEmptyDraft = (state) => !state ||
+  ((state.nodes || []).length === 0 && (state.annotations || []).length === 0 && !state.topologyName && !(state.editableYaml || '').trim());
+
+/**
+ * Keep the designer state of a user in the browser. Empty states are not kept, so opening an empty designer never
+ * overwrites the last design.
+ *
+ * @param {string} username - The logged in user
+ * @param {Object} topologyState - The state of the TopologyContext
+ */
+export const saveAutosave = (username, topologyState) => {
+  const state = pickDraftState(topologyState);
+  if (!username || isEmptyDraft(state)) {
+    return;
+  }
+  try {
+    localStorage.setItem(autosaveKey(username), JSON.stringify({ version: AUTOSAVE_VERSION, savedAt: new Date().toISOString(), state }));
+  } catch (error) {
+    // The browser storage is full or disabled, the named drafts still work
+    console.warn('Could not autosave the topology:', error);
+  }
+};
+
+/**
+ * Get the autosaved designer state of a user.
+ *
+ * @param {string} username - The logged in user
+ * @returns {{savedAt: string, state: Object}|null} - null when there is none or it cannot be read
+ */
+export const loadAutosave = (username) => {
+  if (!username) {
+    return null;
+  }
+  try {
+    const saved = JSON.parse(localStorage.getItem(autosaveKey(username)));
+    return saved?.version === AUTOSAVE_VERSION && !isEmptyDraft(saved.state) ? saved : null;
+  } catch (error) {
+    console.warn('Could not read the autosaved topology:', error);
+    return null;
+  }
+};
+
+export const clearAutosave = (username) => {
+  if (username) {
+    localStorage.removeItem(autosaveKey(username));
+  }
+};
+
+const draftError = (error) => new Error(error.response?.data?.error || error.message);
+
+/**
+ * List the named drafts of the logged in user, most recently saved first.
+ *
+ * @returns {Promise<Array>} - { id, name, topologyName, nodeCount, linkCount, createdAt, updatedAt } without the state
+ */
+export const listDrafts = async () => {
+  try {
+    const response = await axios.get(`${getBackendApiUrl()}/api/drafts`, { headers: getAuthHeaders() });
+    return response.data.drafts || [];
+  } catch (error) {
+    throw draftError(error);
+  }
+};
+
+/**
+ * Get a named draft with its designer state.
+ *
+ * @param {string} id - The draft id
+ * @returns {Promise<Object>} - { id, name, createdAt, updatedAt, state }
+ */
+export const getDraft = async (id) => {
+  try {
+    const response = await axios.get(`${getBackendApiUrl()}/api/drafts/${encodeURIComponent(id)}`, { headers: getAuthHeaders() });
+    return response.data.draft;
+  } catch (error) {
+    throw draftError(error);
+  }
+};
+
+/**
+ * Save the designer state under a name, replacing the draft of the same name.
+ *
+ * @param {string} name - The draft name
+ * @param {Object} topologyState - The state of the TopologyContext
+ * @returns {Promise<Object>} - The saved draft, without its state
+ */
+export const saveDraft = async (name, topologyState) => {
+  try {
+    const response = await axios.post(`${getBackendApiUrl()}/api/drafts`, {
+      name,
+      state: pickDraftState(topologyState)
+    }, { headers: getAuthHeaders() });
+    return response.data.draft;
+  } catch (error) {
+    throw draftError(error);
+  }
+};
+
+export const deleteDraft = async (id) => {
+  try {
+    await axios.delete(`${getBackendApiUrl()}/api/drafts/${encodeURIComponent(id)}`, { headers: getAuthHeaders() });
+  } catch (error) {
+    throw draftError(error);
+  }
+};
@@ -0,0 +1,68 @@
+/*
+ * Undo/redo history of the topology designer. Every change of the topology is recorded as an entry holding a snapshot
+ * of the topology from before the change: nodes, edges, the YAML, the global settings and the annotations.
+ *   past   - the changes that can be undone, the last one is undone first
+ *   future - the changes that were undone and can be redone, the last one is redone first
+ * Undoing puts the current topology in the future with the same label, redoing puts it back in the past.
+ */
+
+// The number of changes that can be undone
+export const HISTORY_LIMIT = 100;
+
+// Changes with the same key this close together are one entry, e.g. typing in the YAML editor or a name field
+const COALESCE_MS = 1500;
+
+let nextEntryId = 1;
+
+export const createHistory = () => ({ past: [], future: [] });
+
+// Snapshots are copies, the designer edits some of its state in place (kinds)
+export const cloneSnapshot = (snapshot) => JSON.parse(JSON.stringify(snapshot));
+
+/**
+ * Record a change that is about to be made. A new change drops the changes that were undone.
+ *
+ * @param {Object} history - { past, future }
+ * @param {string} label - What the change does, shown in the history list
+ * @param {Object} snapshot - The topology before the change, from cloneSnapshot
+ * @param {string} [key] - Changes with the same key made one after the other are merged into the first one
+ * @returns {Object} - The new history
+ */
+export const recordEntry = (history, label, snapshot, key) => {
+  const now = Date.now();
+  const last = history.past[history.past.length - 1];
+  if (key && last?.key === key && history.future.length === 0 && now - last.time < COALESCE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, time: now }], future: [] };
+  }
+  const entry = { id: nextEntryId++, label, key, time: now, snapshot };
+  return { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] };
+};
+
+/**
+ * Undo (steps < 0) or redo (steps > 0) changes.
+ *
+ * @param {Object} history - { past, future }
+ * @param {Object} current - The topology as it is now, from cloneSnapshot
+ * @param {number} steps - How many changes to undo or redo
+ * @returns {{history: Object, snapshot: Object}|null} - The new history and the topology to restore, null when there is nothing to move to
+ */
+export const moveHistory = (history, current, steps) => {
+  let { past, future } = history;
+  let snapshot = current;
+  const from = steps < 0 ? 'past' : 'future';
+  for (let i = 0; i < Math.abs(steps); i++) {
+    const source = from === 'past' ? past : future;
+    if (source.length === 0) break;
+    const entry = source[source.length - 1];
+    const swapped = { ...entry, time: 0, snapshot };
+    snapshot = entry.snapshot;
+    if (from === 'past') {
+      past = past.slice(0, -1);
+      future = [...future, swapped];
+    } else {
+      future = future.slice(0, -1);
+      past = [...past, swapped];
+    }
+  }
+  return snapshot === current ? null : { history: { past, future }, snapshot };
+};
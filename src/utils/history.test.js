@@ -0,0 +1,71 @@
+import { cloneSnapshot, createHistory, HISTORY_LIMIT, moveHistory, recordEntry } from './history';
+
+const snapshot = (name) => cloneSnapshot({ nodes: [{ id: name }], edges: [], yaml: `name: ${name}\n` });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('copies snapshots so later edits do not change them', () => {
+  const state = { nodes: [{ id: 'r1', data: { kind: 'ceos' } }] };
+  const copy = cloneSnapshot(state);
+  state.nodes[0].data.kind = 'linux';
+  expect(copy.nodes[0].data.kind).toBe('ceos');
+});
+
+test('undoes and redoes changes in order', () => {
+  let history = recordEntry(createHistory(), 'Add r1', snapshot('empty'));
+  history = recordEntry(history, 'Add r2', snapshot('r1'));
+
+  const undone = moveHistory(history, snapshot('r2'), -1);
+  expect(undone.snapshot).toEqual(snapshot('r1'));
+  expect(undone.history.past.map(entry => entry.label)).toEqual(['Add r1']);
+  expect(undone.history.future.map(entry => entry.label)).toEqual(['Add r2']);
+
+  const redone = moveHistory(undone.history, undone.snapshot, 1);
+  expect(redone.snapshot).toEqual(snapshot('r2'));
+  expect(redone.history.future).toEqual([]);
+});
+
+test('jumps several changes at once and stops at the end', () => {
+  let history = createHistory();
+  ['a', 'b', 'c'].forEach(name => { history = recordEntry(history, `Change ${name}`, snapshot(name)); });
+
+  const back = moveHistory(history, snapshot('d'), -5);
+  expect(back.snapshot).toEqual(snapshot('a'));
+  expect(back.history.past).toEqual([]);
+  expect(back.history.future).toHaveLength(3);
+  expect(moveHistory(back.history, back.snapshot, -1)).toBeNull();
+  expect(moveHistory(createHistory(), snapshot('a'), 1)).toBeNull();
+});
+
+test('drops the undone changes when a new one is recorded', () => {
+  let history = recordEntry(createHistory(), 'Add r1', snapshot('empty'));
+  history = moveHistory(history, snapshot('r1'), -1).history;
+  history = recordEntry(history, 'Add r9', snapshot('empty'));
+  expect(history.future).toEqual([]);
+  expect(history.past.map(entry => entry.label)).toEqual(['Add r9']);
+});
+
+test('merges changes with the same key made close together', () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+  let history = recordEntry(createHistory(), 'Edit YAML', snapshot('a'), 'yaml');
+  now.mockReturnValue(11000);
+  history = recordEntry(history, 'Edit YAML', snapshot('b'), 'yaml');
+  expect(history.past).toHaveLength(1);
+  expect(history.past[0].snapshot).toEqual(snapshot('a'));
+
+  now.mockReturnValue(20000);
+  history = recordEntry(history, 'Edit YAML', snapshot('c'), 'yaml');
+  history = recordEntry(history, 'Rename r1', snapshot('d'), 'name');
+  expect(history.past.map(entry => entry.label)).toEqual(['Edit YAML', 'Edit YAML', 'Rename r1']);
+});
+
+test('keeps at most HISTORY_LIMIT changes', () => {
+  let history = createHistory();
+  for (let index = 0; index < HISTORY_LIMIT + 5; index++) {
+    history = recordEntry(history, `Change ${index}`, snapshot(String(index)));
+  }
+  expect(history.past).toHaveLength(HISTORY_LIMIT);
+  expect(history.past[0].label).toBe('Change 5');
+});
@@ -0,0 +1,480 @@
+import * as yaml from 'js-yaml';
+import { findCatalogEntry, formatInterfaceName, getInterfaceRules } from './catalog';
+import { getKindCatalog } from './settings';
+
+/*
+ * Importers for topologies drawn in other tools. Each reads its format into devices and links:
+ *   netlab  - the topology YAML: nodes (list or map), groups with members, defaults.device and links written as
+ *             "r1-r2", [r1, r2], a map of nodes or a list of interfaces; dotted keys are read as nested ones
+ *   gns3    - the .gns3 project JSON: topology.nodes with their node_type, template image and x/y, topology.links
+ *   eve-ng  - the .unl lab XML: nodes with their template and left/top, joined by the networks of their interfaces
+ *   drawio  - a draw.io diagram, compressed or not: every labelled shape is a node (its first line is the name) and
+ *             every connector between two of them a link; kind and image properties on a shape (Edit Data) win
+ * The devices become containerlab nodes of the catalog kind that fits their device type, template or shape, or of the
+ * first router, switch or host of the catalog, with a warning. Links become veth links with the interfaces numbered
+ * from 1 on every node, in the order of the ports they had, named after the catalog entry of the node. Positions go
+ * into the graph-posX/graph-posY labels, as containerlab graph writes them. What containerlab cannot do with a plain
+ * veth link (LAN segments of three or more nodes, clouds) is left out with a warning.
+ */
+
+export const IMPORT_FORMATS = [
+  { value: 'containerlab', label: 'containerlab topology' },
+  { value: 'netlab', label: 'netlab topology' },
+  { value: 'gns3', label: 'GNS3 project' },
+  { value: 'eve-ng', label: 'EVE-NG lab' },
+  { value: 'drawio', label: 'draw.io diagram' }
+];
+
+// Where the imported nodes start on the canvas, clear of its edge
+const CANVAS_MARGIN = 100;
+
+// The catalog kinds a device type, template, image or shape name stands for, the first one in the catalog is used.
+// The more specific patterns come first: "sonic" before "nokia", "frr" before "linux".
+const KIND_HINTS = [
+  { pattern: /sonic/i, kinds: ['sonic-vm', 'sonic-vs'] },
+  { pattern: /\bc?v?eos\b|ceos|veos|arista/i, kinds: ['ceos'] },
+  { pattern: /srl|srlinux/i, kinds: ['nokia_srlinux'] },
+  { pattern: /sros|\bvsr\b|7750|nokia/i, kinds: ['nokia_sros', 'vr-sros'] },
+  { pattern: /xrd|xrv|ios-?xr/i, kinds: ['cisco_xrd', 'cisco_xrv9k'] },
+  { pattern: /n9kv|nxos/i, kinds: ['cisco_n9kv'] },
+  { pattern: /csr|c8000|iosv|ios-?xe|iol|cisco/i, kinds: ['cisco_c8000v', 'cisco_csr1000v', 'cisco_iol', 'vr-csr'] },
+  { pattern: /vjunos|vmx|vsrx|vqfx|junos|juniper|crpd/i, kinds: ['juniper_vjunosrouter', 'juniper_vjunosswitch', 'juniper_crpd', 'juniper_vmx'] },
+  { pattern: /vyos/i, kinds: ['vyosnetworks_vyos'] },
+  { pattern: /cumulus|\bcvx\b/i, kinds: ['cvx'] },
+  { pattern: /mikrotik|routeros/i, kinds: ['mikrotik_ros'] },
+  { pattern: /forti/i, kinds: ['fortinet_fortigate'] },
+  { pattern: /palo|panos/i, kinds: ['paloalto_panos'] },
+  { pattern: /frr/i, kinds: ['linux'], image: /frr/i },
+  { pattern: /linux|alpine|ubuntu|debian|centos|host|server|vpcs|\bpc\b|workstation|laptop|docker/i, kinds: ['linux'] }
+];
+
+// The part a device plays when its kind has to be guessed
+const roleOf = (hint) => {
+  if (/switch|\bhub\b|\bl2\b/i.test(hint)) return 'switch';
+  if (/host|server|vpcs|\bpc\b|workstation|laptop|client|alpine|ubuntu|debian|centos/i.test(hint)) return 'host';
+  return 'router';
+};
+
+const importError = (message) => new Error(message);
+
+// containerlab node names are letters, digits, - and _
+const cleanName = (name) => String(name || '').trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+
+/*
+ * This is the function to find the catalog entry and image of an imported device. A kind given by the file wins when
+ * the catalog has it, then the kind hints, then the first catalog entry for the role of the device.
+ */
+const mapDevice = (device, unmapped) => {
+  const catalog = getKindCatalog();
+  const report = (label) => {
+    const key = device.hint.trim() || 'no device type';
+    unmapped[key] = unmapped[key] || { label, names: [] };
+    unmapped[key].names.push(device.name);
+  };
+  const pick = (entry, imagePattern) => {
+    const images = entry.images || [];
+    const image = images.find(option => option.value === device.image)
+      || (imagePattern && images.find(option => imagePattern.test(option.value)))
+      || images[0];
+    return { kind: entry.kind, image: device.image && !image ? device.image : image?.value || '' };
+  };
+
+  if (device.kind && catalog.some(entry => entry.kind === device.kind)) {
+    return pick(findCatalogEntry(device.kind, device.image));
+  }
+  const hint = KIND_HINTS.find(candidate => candidate.pattern.test(device.hint));
+  const entry = hint && hint.kinds.map(kind => catalog.find(item => item.kind === kind)).find(Boolean);
+  if (entry) {
+    // An FRR router without an FRR image in the catalog is only a host
+    if (hint.image && !(entry.images || []).some(option => hint.image.test(option.value))) {
+      report(entry.label);
+    }
+    return pick(entry, hint.image);
+  }
+
+  const role = device.role || roleOf(device.hint);
+  const icon = role === 'host' ? 'server' : role;
+  const fallback = catalog.find(item => item.icon === icon)
+    || catalog.find(item => (role === 'host' ? item.kind === 'linux' : item.kind !== 'linux'))
+    || catalog[0];
+  report(fallback.label);
+  return pick(fallback);
+};
+
+/*
+ * This is the function to turn the devices and links read from a file into a containerlab topology. A device is
+ * { id, name, hint, role, kind, image, x, y } with everything but id and name optional, a link { ends: [{ device,
+ * port }] } with the port only used to keep the order of the interfaces of a device.
+ */
+const buildTopology = (name, devices, links, warnings) => {
+  const nodes = {};
+  const nameOf = {};
+  const unmapped = {};
+  const placed = devices.filter(device => Number.isFinite(device.x) && Number.isFinite(device.y));
+  const minX = Math.min(...placed.map(device => device.x));
+  const minY = Math.min(...placed.map(device => device.y));
+
+  devices.forEach((device, index) => {
+    let nodeName = cleanName(device.name) || `node${index + 1}`;
+    for (let suffix = 2; nodes[nodeName]; suffix++) {
+      nodeName = `${cleanName(device.name) || 'node'}-${suffix}`;
+    }
+    if (nodeName !== device.name) {
+      warnings.push(`"${device.name}" is named ${nodeName}, containerlab names are letters, digits, - and _`);
+    }
+    nameOf[device.id] = nodeName;
+    const { kind, image } = mapDevice({ ...device, name: nodeName }, unmapped);
+    nodes[nodeName] = { kind, ...(image && { image }) };
+    if (Number.isFinite(device.x) && Number.isFinite(device.y)) {
+      nodes[nodeName].labels = {
+        'graph-posX': String(Math.round(device.x - minX + CANVAS_MARGIN)),
+        'graph-posY': String(Math.round(device.y - minY + CANVAS_MARGIN))
+      };
+    }
+  });
+  Object.entries(unmapped).forEach(([hint, { label, names }]) => {
+    warnings.push(`No catalog kind for "${hint}", ${names.length === 1 ? names[0] : `${names.length} nodes (${names.join(', ')})`} made ${label}`);
+  });
+
+  // Every node numbers its interfaces from 1 in the order of its original ports, links read first go first
+  const ends = {};
+  const pairs = links.filter(link => {
+    const ids = link.ends.map(end => end.device);
+    if (link.ends.length !== 2 || ids.some(id => !nameOf[id])) return false;
+    return ids[0] !== ids[1];
+  });
+  pairs.forEach((link, linkIndex) => link.ends.forEach(end => {
+    (ends[end.device] = ends[end.device] || []).push({ end, linkIndex });
+  }));
+  const interfaces = new Map();
+  Object.entries(ends).forEach(([id, list]) => {
+    const node = nodes[nameOf[id]];
+    const rules = getInterfaceRules(node);
+    list
+      .sort((a, b) => (a.end.port ?? Infinity) - (b.end.port ?? Infinity) || a.linkIndex - b.linkIndex)
+      .forEach(({ end }, index) => interfaces.set(end, index < rules.maxPorts ? formatInterfaceName(rules, index + 1) : null));
+    if (list.length > rules.maxPorts) {
+      warnings.push(`${nameOf[id]} has ${list.length} links but ${rules.maxPorts} ports, the links past the last port are left out`);
+    }
+  });
+
+  const topologyLinks = pairs
+    .filter(link => link.ends.every(end => interfaces.get(end)))
+    .map(link => ({ endpoints: link.ends.map(end => `${nameOf[end.device]}:${interfaces.get(end)}`) }));
+  return { name: cleanName(name), topology: { nodes, links: topologyLinks }, warnings };
+};
+
+const parseXml = (content) => {
+  const doc = new DOMParser().parseFromString(content, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw importError('The file is not well-formed XML');
+  }
+  return doc;
+};
+
+const children = (element, tagName) => Array.from(element?.childNodes || []).filter(child => child.nodeName === tagName);
+
+const numberAttribute = (element, name) => {
+  const value = parseFloat(element?.getAttribute(name));
+  return Number.isFinite(value) ? value : undefined;
+};
+
+// A link read from a file joins two devices; one joining more is a LAN segment, which needs a bridge in containerlab
+const checkSegment = (ends, description, warnings) => {
+  if (ends.length === 1) {
+    warnings.push(`${description} has a single node, a stub network is left out`);
+  } else if (ends.length > 2) {
+    warnings.push(`${description} joins ${ends.length} nodes, a LAN segment is left out (add a bridge node for it)`);
+  }
+  return ends.length === 2;
+};
+
+const isMapping = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Merge two mappings, the second wins on keys that are not mappings in both
+const mergeMappings = (base, extra) => {
+  const result = { ...base };
+  Object.entries(extra).forEach(([key, value]) => {
+    result[key] = isMapping(result[key]) && isMapping(value) ? mergeMappings(result[key], value) : value;
+  });
+  return result;
+};
+
+// netlab also writes nested keys with dots (defaults.device: eos, nodes.r1.image: ...), spelled out here so the
+// importer reads both forms
+const expandDottedKeys = (value) => {
+  if (Array.isArray(value)) return value.map(expandDottedKeys);
+  if (!isMapping(value)) return value;
+  return Object.entries(value).reduce((result, [key, item]) => {
+    const nested = key.split('.').reduceRight((inner, part) => ({ [part]: inner }), expandDottedKeys(item));
+    return mergeMappings(result, nested);
+  }, {});
+};
+
+const importNetlab = (content) => {
+  const doc = expandDottedKeys(yaml.load(content));
+  const warnings = [];
+  const devices = new Map();
+  const addDevice = (name, attributes = {}) => {
+    const device = devices.get(name) || { id: name, name };
+    devices.set(name, { ...device, ...(attributes || {}) });
+  };
+
+  if (Array.isArray(doc.nodes)) {
+    doc.nodes.forEach(node => (typeof node === 'string' ? addDevice(node) : addDevice(node.name, node)));
+  } else {
+    Object.entries(doc.nodes || {}).forEach(([name, node]) => addDevice(name, node));
+  }
+  // A group gives its device and image to the members that have none
+  Object.entries(doc.groups || {}).forEach(([groupName, group]) => {
+    if (groupName.startsWith('_') || !group) return;
+    (group.members || []).forEach(member => {
+      const device = devices.get(member) || { id: member, name: member };
+      devices.set(member, { ...device, device: device.device || group.device, image: device.image || group.image });
+    });
+  });
+
+  const links = [];
+  (doc.links || []).forEach((link, index) => {
+    let names = [];
+    if (typeof link === 'string') names = link.split('-');
+    else if (Array.isArray(link)) names = link.map(end => (typeof end === 'string' ? end : end.node));
+    else if (Array.isArray(link?.interfaces)) names = link.interfaces.map(end => end.node);
+    else if (link) names = Object.keys(link).filter(key => devices.has(key));
+    names = names.map(end => String(end).trim());
+    const unknown = names.filter(end => !devices.has(end));
+    if (unknown.length > 0) {
+      warnings.push(`Link ${index + 1} names ${unknown.join(', ')}, which is not a node, it is left out`);
+      return;
+    }
+    if (checkSegment(names, `Link ${index + 1}`, warnings)) {
+      links.push({ ends: names.map(device => ({ device, port: null })) });
+    }
+  });
+
+  const defaultDevice = doc.defaults?.device || '';
+  const list = Array.from(devices.values()).map(device => {
+    const type = device.device || defaultDevice;
+    return { id: device.id, name: device.name, hint: type, image: device.image || device.box, role: type ? undefined : 'router' };
+  });
+  return buildTopology(doc.name || '', list, links, warnings);
+};
+
+const importGns3 = (content) => {
+  const project = JSON.parse(content);
+  const warnings = [];
+  const external = new Set();
+  const devices = [];
+  (project.topology?.nodes || []).forEach(node => {
+    if (['cloud', 'nat'].includes(node.node_type)) {
+      external.add(node.node_id);
+      warnings.push(`${node.name} is a GNS3 ${node.node_type}, it and its links are left out (use a host or macvlan link)`);
+      return;
+    }
+    const properties = node.properties || {};
+    devices.push({
+      id: node.node_id,
+      name: node.name,
+      hint: [properties.image, properties.hda_disk_image, properties.platform, node.symbol, node.node_type, node.name].filter(Boolean).join(' '),
+      role: node.node_type === 'ethernet_switch' || node.node_type === 'ethernet_hub' ? 'switch' : (node.node_type === 'vpcs' ? 'host' : undefined),
+      x: node.x,
+      y: node.y
+    });
+  });
+  const links = (project.topology?.links || [])
+    .filter(link => !(link.nodes || []).some(end => external.has(end.node_id)))
+    .map(link => ({
+      ends: (link.nodes || []).map(end => ({ device: end.node_id, port: (end.adapter_number || 0) * 1000 + (end.port_number || 0) }))
+    }));
+  return buildTopology(project.name || '', devices, links, warnings);
+};
+
+const importEveNg = (content) => {
+  const doc = parseXml(content);
+  const lab = doc.getElementsByTagName('lab')[0];
+  if (!lab) {
+    throw importError('The file has no <lab>, it is not an EVE-NG lab');
+  }
+  const warnings = [];
+  const networks = {};
+  Array.from(lab.getElementsByTagName('network')).forEach(network => {
+    networks[network.getAttribute('id')] = { name: network.getAttribute('name') || `network ${network.getAttribute('id')}`, type: network.getAttribute('type') || '', ends: [] };
+  });
+
+  const devices = [];
+  const serial = [];
+  Array.from(lab.getElementsByTagName('node')).forEach(node => {
+    const id = node.getAttribute('id');
+    devices.push({
+      id,
+      name: node.getAttribute('name'),
+      hint: [node.getAttribute('template'), node.getAttribute('image'), node.getAttribute('type'), node.getAttribute('icon')].filter(Boolean).join(' '),
+      role: node.getAttribute('type') === 'vpcs' ? 'host' : undefined,
+      x: numberAttribute(node, 'left'),
+      y: numberAttribute(node, 'top')
+    });
+    children(node, 'interface').forEach(item => {
+      const port = numberAttribute(item, 'id') ?? null;
+      if (item.getAttribute('type') === 'serial' && item.getAttribute('remote_id')) {
+        serial.push({ device: id, port, remote: item.getAttribute('remote_id'), remotePort: numberAttribute(item, 'remote_if') ?? null });
+      } else if (networks[item.getAttribute('network_id')]) {
+        networks[item.getAttribute('network_id')].ends.push({ device: id, port });
+      }
+    });
+  });
+
+  const links = [];
+  Object.values(networks).forEach(network => {
+    if (network.type.startsWith('pnet') && network.ends.length > 0) {
+      warnings.push(`${network.name} is a cloud (${network.type}), its links are left out (use a host or macvlan link)`);
+      return;
+    }
+    if (checkSegment(network.ends, network.name, warnings)) {
+      links.push({ ends: network.ends });
+    }
+  });
+  // A serial link is written on both of its nodes, it is read from the one with the lower id
+  serial.filter(end => Number(end.device) < Number(end.remote)).forEach(end => {
+    links.push({ ends: [{ device: end.device, port: end.port }, { device: end.remote, port: end.remotePort }] });
+  });
+  return buildTopology(lab.getAttribute('name') || '', devices, links, warnings);
+};
+
+// A compressed draw.io page is deflated, base64 encoded and URI encoded XML
+const inflateDiagram = async (text) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw importError('This browser cannot read compressed draw.io files, save the diagram uncompressed (File > Properties)');
+  }
+  const bytes = Uint8Array.from(atob(text.trim()), char => char.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return decodeURIComponent(await new Response(stream).text());
+};
+
+// The text of a draw.io label, which may be HTML
+const labelText = (label) => String(label || '')
+  .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean);
+
+const importDrawio = async (content) => {
+  const warnings = [];
+  let doc = parseXml(content);
+  const diagrams = Array.from(doc.getElementsByTagName('diagram'));
+  if (diagrams.length > 1) {
+    warnings.push(`The diagram has ${diagrams.length} pages, only the first one (${diagrams[0].getAttribute('name') || 'page 1'}) is imported`);
+  }
+  if (diagrams.length > 0 && doc.getElementsByTagName('mxGraphModel').length === 0) {
+    doc = parseXml(await inflateDiagram(diagrams[0].textContent));
+  }
+  const model = doc.getElementsByTagName('mxGraphModel')[0];
+  if (!model) {
+    throw importError('The file has no diagram, it is not a draw.io file');
+  }
+
+  // A cell wrapped in an <object> or <UserObject> takes its id, label and properties from the wrapper
+  const cells = Array.from(model.getElementsByTagName('mxCell')).map(cell => {
+    const wrapper = ['object', 'UserObject'].includes(cell.parentNode?.nodeName) ? cell.parentNode : null;
+    const attribute = (name) => wrapper?.getAttribute(name) ?? cell.getAttribute(name);
+    const geometry = children(cell, 'mxGeometry')[0];
+    return {
+      id: attribute('id'),
+      parent: cell.getAttribute('parent'),
+      label: wrapper ? wrapper.getAttribute('label') : cell.getAttribute('value'),
+      style: cell.getAttribute('style') || '',
+      vertex: cell.getAttribute('vertex') === '1',
+      edge: cell.getAttribute('edge') === '1',
+      source: cell.getAttribute('source'),
+      target: cell.getAttribute('target'),
+      kind: wrapper?.getAttribute('kind') || '',
+      image: wrapper?.getAttribute('image') || '',
+      x: numberAttribute(geometry, 'x') || 0,
+      y: numberAttribute(geometry, 'y') || 0,
+      width: numberAttribute(geometry, 'width') || 0,
+      height: numberAttribute(geometry, 'height') || 0
+    };
+  });
+  const byId = Object.fromEntries(cells.map(cell => [cell.id, cell]));
+  // The geometry of a shape in a group or container is relative to it
+  const offset = (cell) => {
+    const parent = byId[cell.parent];
+    return parent?.vertex ? { x: parent.x + offset(parent).x, y: parent.y + offset(parent).y } : { x: 0, y: 0 };
+  };
+
+  const isContainer = (cell) => /(^|;)(group|swimlane|text|edgeLabel)(;|$)|container=1/.test(cell.style);
+  const devices = cells
+    .filter(cell => cell.vertex && !isContainer(cell) && labelText(cell.label).length > 0)
+    .map(cell => {
+      const [name, ...rest] = labelText(cell.label);
+      return {
+        id: cell.id,
+        name,
+        hint: [...rest, cell.style.match(/shape=([^;]+)/)?.[1] || '', cell.style.match(/image=([^;]+)/)?.[1] || ''].join(' '),
+        kind: cell.kind,
+        image: cell.image,
+        x: offset(cell).x + cell.x + cell.width / 2,
+        y: offset(cell).y + cell.y + cell.height / 2
+      };
+    });
+  const known = new Set(devices.map(device => device.id));
+  const links = [];
+  cells.filter(cell => cell.edge).forEach(cell => {
+    if (!known.has(cell.source) || !known.has(cell.target)) {
+      warnings.push(`A connector${cell.label ? ` (${labelText(cell.label).join(' ')})` : ''} does not join two labelled shapes, it is left out`);
+      return;
+    }
+    links.push({ ends: [{ device: cell.source, port: null }, { device: cell.target, port: null }] });
+  });
+  return buildTopology(diagrams[0]?.getAttribute('name') || '', devices, links, warnings);
+};
+
+/**
+ * Tell the format of a topology file from its name and content.
+ *
+ * @param {string} content - The text of the file
+ * @param {string} [fileName] - Its name or path
+ * @returns {string} - One of the IMPORT_FORMATS values, containerlab when it is none of the others
+ */
+export const detectImportFormat = (content, fileName = '') => {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  const text = String(content || '').trimStart();
+  if (extension === 'gns3' || (text.startsWith('{') && /"type"\s*:\s*"topology"/.test(text))) return 'gns3';
+  if (extension === 'unl' || /^(<\?xml[^>]*>\s*)?<lab[\s>]/.test(text)) return 'eve-ng';
+  if (extension === 'drawio' || /<mxfile[\s>]|<mxGraphModel[\s>]/.test(text.slice(0, 1000))) return 'drawio';
+  try {
+    const doc = expandDottedKeys(yaml.load(text));
+    if (doc && typeof doc === 'object' && !doc.topology && doc.nodes) return 'netlab';
+  } catch (error) {
+    // Not YAML either, the containerlab import reports it
+  }
+  return 'containerlab';
+};
+
+/**
+ * Read a netlab, GNS3, EVE-NG or draw.io topology as a containerlab topology.
+ *
+ * @param {string} content - The text of the file
+ * @param {string} format - From detectImportFormat, not containerlab
+ * @param {string} [fileName] - Its name or path, names the lab when the file does not
+ * @returns {Promise<{name: string, topology: Object, warnings: Array<string>}>} - The name of the lab, its containerlab
+ *   topology ({ nodes, links }) and what could not be carried over
+ * @throws {Error} - When the file cannot be read in that format
+ */
+export const importTopology = async (content, format, fileName = '') => {
+  const importers = { netlab: importNetlab, gns3: importGns3, 'eve-ng': importEveNg, drawio: importDrawio };
+  if (!importers[format]) {
+    throw importError(`There is no importer for ${format}`);
+  }
+  const result = await importers[format](content);
+  if (Object.keys(result.topology.nodes).length === 0) {
+    throw importError(`The ${IMPORT_FORMATS.find(option => option.value === format).label} has no nodes`);
+  }
+  const baseName = cleanName(fileName.split('/').pop().replace(/\.[^.]*$/, ''));
+  return { ...result, name: result.name || baseName || 'imported' };
+};
@@ -0,0 +1,108 @@
+import { detectImportFormat, importTopology } from './importers';
+
+const NETLAB = `
+name: campus
+defaults:
+  device: eos
+nodes:
+  r1:
+  r2:
+  h1:
+    device: linux
+links:
+- r1-r2
+- r2-h1
+`;
+
+test('detects the format from the file name and the content', () => {
+  expect(detectImportFormat(NETLAB)).toBe('netlab');
+  expect(detectImportFormat('name: lab\ntopology:\n  nodes: {}\n')).toBe('containerlab');
+  expect(detectImportFormat('{}', 'lab.gns3')).toBe('gns3');
+  expect(detectImportFormat('<?xml version="1.0"?>\n<lab name="x"></lab>')).toBe('eve-ng');
+  expect(detectImportFormat('<mxfile><diagram/></mxfile>')).toBe('drawio');
+});
+
+test('reads a netlab topology with its default device', async () => {
+  const result = await importTopology(NETLAB, 'netlab');
+  expect(result.name).toBe('campus');
+  expect(result.topology.nodes).toEqual({
+    r1: { kind: 'ceos', image: 'arista_ceos:4.35.1F' },
+    r2: { kind: 'ceos', image: 'arista_ceos:4.35.1F' },
+    h1: { kind: 'linux', image: 'alpine' }
+  });
+  expect(result.topology.links).toEqual([
+    { endpoints: ['r1:eth1', 'r2:eth1'] },
+    { endpoints: ['r2:eth2', 'h1:eth1'] }
+  ]);
+  expect(result.warnings).toEqual([]);
+});
+
+test('reads netlab dotted keys as nested ones', async () => {
+  const content = 'defaults.device: eos\nnodes.r1:\nnodes.r2:\nnodes.r3.device: linux\nlinks: [r1-r2, r2-r3]\n';
+  expect(detectImportFormat(content)).toBe('netlab');
+  const result = await importTopology(content, 'netlab', 'labs/dotted.yml');
+  expect(result.name).toBe('dotted');
+  expect(result.topology.nodes.r1.kind).toBe('ceos');
+  expect(result.topology.nodes.r3.kind).toBe('linux');
+});
+
+test('leaves out netlab links to unknown nodes and LAN segments', async () => {
+  const content = 'defaults.device: eos\nnodes: [r1, r2, r3]\nlinks:\n- r1-r9\n- [r1, r2, r3]\n- r2-r3\n';
+  const result = await importTopology(content, 'netlab');
+  expect(result.topology.links).toEqual([{ endpoints: ['r2:eth1', 'r3:eth1'] }]);
+  expect(result.warnings.some(warning => warning.includes('r9'))).toBe(true);
+  expect(result.warnings.length).toBe(2);
+});
+
+test('reads a GNS3 project, its positions and the order of its ports', async () => {
+  const project = {
+    name: 'gns3 lab',
+    type: 'topology',
+    topology: {
+      nodes: [
+        { node_id: 'a', name: 'R1', node_type: 'dynamips', properties: { image: 'arista-veos.bin' }, x: -100, y: 50 },
+        { node_id: 'b', name: 'PC 1', node_type: 'vpcs', x: 100, y: 250 },
+        { node_id: 'c', name: 'Cloud1', node_type: 'cloud', x: 0, y: 0 }
+      ],
+      links: [
+        { nodes: [{ node_id: 'a', adapter_number: 0, port_number: 1 }, { node_id: 'b', port_number: 0 }] },
+        { nodes: [{ node_id: 'a', adapter_number: 0, port_number: 0 }, { node_id: 'c', port_number: 0 }] }
+      ]
+    }
+  };
+  const result = await importTopology(JSON.stringify(project), 'gns3');
+  expect(result.name).toBe('gns3-lab');
+  expect(Object.keys(result.topology.nodes)).toEqual(['R1', 'PC-1']);
+  expect(result.topology.nodes.R1).toMatchObject({ kind: 'ceos', labels: { 'graph-posX': '100', 'graph-posY': '100' } });
+  expect(result.topology.nodes['PC-1']).toMatchObject({ kind: 'linux', labels: { 'graph-posX': '300', 'graph-posY': '300' } });
+  expect(result.topology.links).toEqual([{ endpoints: ['R1:eth1', 'PC-1:eth1'] }]);
+  expect(result.warnings.some(warning => warning.includes('Cloud1'))).toBe(true);
+});
+
+test('reads an EVE-NG lab through the networks of its interfaces', async () => {
+  const lab = `<?xml version="1.0" encoding="UTF-8"?>
+<lab name="eve" version="1">
+  <topology>
+    <nodes>
+      <node id="1" name="sw1" template="vios" type="qemu" left="200" top="100">
+        <interface id="1" name="Gi0/1" type="ethernet" network_id="1"/>
+      </node>
+      <node id="2" name="host" template="linux" type="qemu" left="400" top="100">
+        <interface id="0" name="e0" type="ethernet" network_id="1"/>
+      </node>
+    </nodes>
+    <networks>
+      <network id="1" type="bridge" name="Net1"/>
+    </networks>
+  </topology>
+</lab>`;
+  const result = await importTopology(lab, 'eve-ng');
+  expect(result.name).toBe('eve');
+  expect(result.topology.nodes.host.kind).toBe('linux');
+  expect(result.topology.links).toEqual([{ endpoints: ['sw1:eth1', 'host:eth1'] }]);
+});
+
+test('rejects a file without nodes or in an unknown format', async () => {
+  await expect(importTopology('nodes: []\n', 'netlab')).rejects.toThrow('has no nodes');
+  await expect(importTopology('', 'visio')).rejects.toThrow('There is no importer for visio');
+});
@@ -0,0 +1,373 @@
+import { isExternalLink } from './links';
+
+/*
+ * IP address management (IPAM) of the topology designer. Point-to-point subnets for the links and loopbacks for the
+ * nodes are allocated from pools, IPv4 and IPv6, and the plan is kept in the topology itself so it is saved, deployed
+ * and imported with it:
+ *   loopbacks - node labels ipam.loopback-ipv4 and ipam.loopback-ipv6, e.g. 10.255.0.1/32
+ *   links     - link vars ipv4 and ipv6, the address of each endpoint in the order of the endpoints,
+ *               e.g. vars: { ipv4: [10.0.0.0/31, 10.0.0.1/31] }
+ * Addresses are handled as groups of 16 bits, 2 for IPv4 and 8 for IPv6, so any prefix length works the same way.
+ * Offsets into a subnet and subnet sizes are BigInts, an IPv6 /64 holds far more addresses than a Number counts.
+ */
+
+export const LOOPBACK_LABELS = { ipv4: 'ipam.loopback-ipv4', ipv6: 'ipam.loopback-ipv6' };
+
+export const DEFAULT_IPAM_POOLS = {
+  p2pIpv4: '10.0.0.0/24',
+  p2pIpv4Prefix: 31,
+  loopbackIpv4: '10.255.0.0/24',
+  p2pIpv6: '',
+  p2pIpv6Prefix: 127,
+  loopbackIpv6: ''
+};
+
+export const P2P_PREFIXES = { ipv4: [31, 30], ipv6: [127, 126, 64] };
+
+// Layer 2 kinds have no addresses of their own, their links are not point-to-point either
+const NON_IP_KINDS = ['bridge', 'ovs-bridge'];
+
+const VERSIONS = {
+  ipv4: { groups: 2, bits: 32, loopbackPrefix: 32 },
+  ipv6: { groups: 8, bits: 128, loopbackPrefix: 128 }
+};
+
+const parseIpv4 = (text) => {
+  const parts = String(text).split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  const bytes = parts.map(Number);
+  return [bytes[0] * 256 + bytes[1], bytes[2] * 256 + bytes[3]];
+};
+
+const parseIpv6 = (text) => {
+  const value = String(text);
+  if (!/^[0-9a-fA-F:]+$/.test(value) || (value.match(/::/g) || []).length > 1) return null;
+  const [head, tail] = value.includes('::') ? value.split('::') : [value, null];
+  const toGroups = (part) => (part ? part.split(':') : []);
+  const headGroups = toGroups(head);
+  const tailGroups = tail === null ? [] : toGroups(tail);
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if ((tail === null && missing !== 0) || (tail !== null && missing < 1)) return null;
+  const groups = [...headGroups, ...Array(tail === null ? 0 : missing).fill('0'), ...tailGroups];
+  if (groups.some(group => !/^[0-9a-fA-F]{1,4}$/.test(group))) return null;
+  return groups.map(group => parseInt(group, 16));
+};
+
+const formatIpv6 = (groups) => {
+  // The longest run of two or more zero groups is written ::, as RFC 5952 asks
+  let best = { start: -1, length: 1 };
+  for (let start = 0; start < 8; start++) {
+    let length = 0;
+    while (start + length < 8 && groups[start + length] === 0) length++;
+    if (length > best.length) best = { start, length };
+  }
+  const hex = groups.map(group => group.toString(16));
+  if (best.start < 0) return hex.join(':');
+  return `${hex.slice(0, best.start).join(':')}::${hex.slice(best.start + best.length).join(':')}`;
+};
+
+const formatAddress = (version, groups) => (version === 'ipv4'
+  ? [groups[0] >> 8, groups[0] & 255, groups[1] >> 8, groups[1] & 255].join('.')
+  : formatIpv6(groups));
+
+// Keep the first `prefix` bits of an address
+const maskGroups = (groups, prefix) => groups.map((group, index) => {
+  const bits = Math.min(16, Math.max(0, prefix - index * 16));
+  return bits === 16 ? group : group & ((0xffff << (16 - bits)) & 0xffff);
+});
+
+// Add a whole, positive number (or BigInt) to an address, carrying from the last group to the first
+const addOffset = (groups, offset) => {
+  const result = [...groups];
+  let carry = BigInt(offset);
+  for (let index = result.length - 1; index >= 0 && carry > 0n; index--) {
+    const sum = BigInt(result[index]) + (carry & 0xffffn);
+    result[index] = Number(sum & 0xffffn);
+    carry = (carry >> 16n) + (sum >> 16n);
+  }
+  return result;
+};
+
+const sameGroups = (a, b) => a.length === b.length && a.every((group, index) => group === b[index]);
+
+/**
+ * Parse an address with its prefix length, such as 10.0.0.0/24 or 2001:db8::/64.
+ *
+ * @param {string} text - The address
+ * @returns {{version: string, groups: Array, prefix: number, network: Array}|null} - null when it is not an address
+ */
+export const parseCidr = (text) => {
+  const [address, length, extra] = String(text || '').trim().split('/');
+  if (extra !== undefined || !/^\d{1,3}$/.test(length || '')) return null;
+  const version = address.includes(':') ? 'ipv6' : 'ipv4';
+  const groups = version === 'ipv4' ? parseIpv4(address) : parseIpv6(address);
+  const prefix = Number(length);
+  if (!groups || prefix > VERSIONS[version].bits) return null;
+  return { version, groups, prefix, network: maskGroups(groups, prefix) };
+};
+
+// The subnet an address is in, e.g. 10.0.0.5/31 gives 10.0.0.4/31; empty when it is not an address
+export const networkOf = (text) => {
+  const cidr = parseCidr(text);
+  return cidr ? `${formatAddress(cidr.version, cidr.network)}/${cidr.prefix}` : '';
+};
+
+// The address without its prefix length, e.g. 10.0.0.5/31 gives 10.0.0.5
+export const addressOf = (text) => String(text || '').split('/')[0];
+
+// The address `offset` addresses into a subnet, with the prefix length of the subnet, e.g. 10.10.10.0/24 and 11 give
+// 10.10.10.11/24; empty when the subnet is not valid or has no room for it
+export const subnetAddress = (subnet, offset) => {
+  const cidr = parseCidr(subnet);
+  if (!cidr || offset < 0 || BigInt(offset) >= blockSize(cidr.version, cidr.prefix)) return '';
+  return `${formatAddress(cidr.version, addOffset(cidr.network, offset))}/${cidr.prefix}`;
+};
+
+// The number of addresses of a prefix, as a BigInt
+const blockSize = (version, prefix) => 1n << BigInt(VERSIONS[version].bits - prefix);
+
+/**
+ * The addresses of a management subnet the nodes can use, of any prefix length. The network address, the first
+ * address (the gateway of the management network) and, for IPv4, the broadcast address are left out.
+ *
+ * @param {string} subnet - The management subnet, e.g. 172.20.20.0/24 or 10.10.0.0/22
+ * @param {number} count - How many addresses are wanted
+ * @param {Set} [used] - Addresses to skip
+ * @returns {Array<string>} - Up to `count` addresses, without their prefix; empty when the subnet is not valid
+ */
+export const mgmtHostAddresses = (subnet, count, used = new Set()) => {
+  const cidr = parseCidr(subnet);
+  if (!cidr || count <= 0) return [];
+  const size = blockSize(cidr.version, cidr.prefix);
+  const last = cidr.version === 'ipv4' ? size - 2n : size - 1n;
+  const addresses = [];
+  for (let offset = 2n; offset <= last && addresses.length < count; offset++) {
+    const address = formatAddress(cidr.version, addOffset(cidr.network, offset));
+    if (!used.has(address)) addresses.push(address);
+  }
+  return addresses;
+};
+
+/**
+ * Check the pools of the IPAM settings.
+ *
+ * @param {Object} pools - As DEFAULT_IPAM_POOLS, an empty pool is not used
+ * @returns {Object} - The error of each pool in error, by field
+ */
+export const validatePools = (pools) => {
+  const errors = {};
+  const check = (field, version, prefix, label) => {
+    if (!pools[field]) return;
+    const cidr = parseCidr(pools[field]);
+    if (!cidr || cidr.version !== version) {
+      errors[field] = `The ${label} pool must be an ${version === 'ipv4' ? 'IPv4' : 'IPv6'} subnet, e.g. ${version === 'ipv4' ? '10.0.0.0/24' : '2001:db8::/64'}`;
+    } else if (cidr.prefix > prefix) {
+      errors[field] = `The ${label} pool must be a /${prefix} or bigger`;
+    }
+  };
+  check('p2pIpv4', 'ipv4', Number(pools.p2pIpv4Prefix), 'IPv4 point-to-point');
+  check('loopbackIpv4', 'ipv4', 32, 'IPv4 loopback');
+  check('p2pIpv6', 'ipv6', Number(pools.p2pIpv6Prefix), 'IPv6 point-to-point');
+  check('loopbackIpv6', 'ipv6', 128, 'IPv6 loopback');
+  return errors;
+};
+
+export const hasAddressing = (node) => !NON_IP_KINDS.includes(node?.data?.kind);
+
+// The loopbacks of a node from its labels, e.g. { ipv4: '10.255.0.1/32', ipv6: '' }
+export const getLoopbacks = (nodeData = {}) => ({
+  ipv4: nodeData.properties?.labels?.[LOOPBACK_LABELS.ipv4] || '',
+  ipv6: nodeData.properties?.labels?.[LOOPBACK_LABELS.ipv6] || ''
+});
+
+// The addresses of the two ends of a link from its vars, e.g. { ipv4: ['10.0.0.0/31', '10.0.0.1/31'], ipv6: [] }
+export const getLinkAddresses = (edgeData = {}) => ({
+  ipv4: Array.isArray(edgeData.vars?.ipv4) ? edgeData.vars.ipv4 : [],
+  ipv6: Array.isArray(edgeData.vars?.ipv6) ? edgeData.vars.ipv6 : []
+});
+
+const withLoopback = (node, version, address) => {
+  if (!address && !node.data.properties?.labels?.[LOOPBACK_LABELS[version]]) return node;
+  const labels = { ...(node.data.properties?.labels || {}) };
+  if (address) labels[LOOPBACK_LABELS[version]] = address;
+  else delete labels[LOOPBACK_LABELS[version]];
+  const properties = { ...(node.data.properties || {}) };
+  if (Object.keys(labels).length > 0) properties.labels = labels;
+  else delete properties.labels;
+  return { ...node, data: { ...node.data, properties } };
+};
+
+const withLinkAddresses = (edge, version, addresses) => {
+  if (!addresses && !edge.data.vars?.[version]) return edge;
+  const vars = { ...(edge.data.vars || {}) };
+  if (addresses) vars[version] = addresses;
+  else delete vars[version];
+  const data = { ...edge.data };
+  if (Object.keys(vars).length > 0) data.vars = vars;
+  else delete data.vars;
+  return { ...edge, data };
+};
+
+/*
+ * This is the function to hand out the addresses of one IP version. What is already assigned and still fits the pool
+ * is kept (unless renumbering), the rest gets the first free loopback or point-to-point subnet of the pool.
+ */
+const assignVersion = (nodes, edges, pools, version, renumber, errors) => {
+  const suffix = version === 'ipv4' ? 'Ipv4' : 'Ipv6';
+  const loopbackPool = parseCidr(pools[`loopback${suffix}`]);
+  const p2pPool = parseCidr(pools[`p2p${suffix}`]);
+  const p2pPrefix = Number(pools[`p2p${suffix}Prefix`]);
+  const { loopbackPrefix } = VERSIONS[version];
+  const label = version === 'ipv4' ? 'IPv4' : 'IPv6';
+  const ipNodes = new Set(nodes.filter(hasAddressing).map(node => node.id));
+
+  let updatedNodes = nodes;
+  if (loopbackPool) {
+    const used = new Set();
+    const fits = (address) => {
+      const cidr = parseCidr(address);
+      return cidr && cidr.version === version && cidr.prefix === loopbackPrefix &&
+        sameGroups(maskGroups(cidr.groups, loopbackPool.prefix), loopbackPool.network) && !used.has(formatAddress(version, cidr.groups));
+    };
+    const keep = new Set();
+    nodes.forEach(node => {
+      const address = getLoopbacks(node.data)[version];
+      if (!renumber && ipNodes.has(node.id) && address && fits(address)) {
+        used.add(formatAddress(version, parseCidr(address).groups));
+        keep.add(node.id);
+      }
+    });
+    // Loopbacks start at the first address after the network address, easier to read than the network address itself
+    const size = blockSize(version, loopbackPool.prefix);
+    let offset = 1n;
+    let exhausted = 0;
+    updatedNodes = nodes.map(node => {
+      if (!ipNodes.has(node.id)) return getLoopbacks(node.data)[version] ? withLoopback(node, version, '') : node;
+      if (keep.has(node.id)) return node;
+      while (offset < size && used.has(formatAddress(version, addOffset(loopbackPool.network, offset)))) offset++;
+      if (offset >= size) {
+        exhausted++;
+        return withLoopback(node, version, '');
+      }
+      const address = formatAddress(version, addOffset(loopbackPool.network, offset));
+      used.add(address);
+      return withLoopback(node, version, `${address}/${loopbackPrefix}`);
+    });
+    if (exhausted > 0) {
+      errors.push(`The ${label} loopback pool ${pools[`loopback${suffix}`]} has no room for ${exhausted} more node${exhausted === 1 ? '' : 's'}`);
+    }
+  }
+
+  let updatedEdges = edges;
+  if (p2pPool) {
+    const isP2p = (edge) => !isExternalLink(edge) && ipNodes.has(edge.source) && ipNodes.has(edge.target);
+    const usedBlocks = new Set();
+    const blockOf = (addresses) => {
+      const cidrs = addresses.map(parseCidr);
+      if (cidrs.length !== 2 || cidrs.some(cidr => !cidr || cidr.version !== version || cidr.prefix !== p2pPrefix)) return null;
+      if (!sameGroups(cidrs[0].network, cidrs[1].network) || sameGroups(cidrs[0].groups, cidrs[1].groups)) return null;
+      if (!sameGroups(maskGroups(cidrs[0].network, p2pPool.prefix), p2pPool.network)) return null;
+      const key = formatAddress(version, cidrs[0].network);
+      return usedBlocks.has(key) ? null : key;
+    };
+    const keep = new Set();
+    edges.forEach(edge => {
+      const block = !renumber && isP2p(edge) ? blockOf(getLinkAddresses(edge.data)[version]) : null;
+      if (block) {
+        usedBlocks.add(block);
+        keep.add(edge.id);
+      }
+    });
+    // /31 and /127 use both addresses of the subnet, the others leave out the network (and broadcast) address
+    const firstHost = p2pPrefix === VERSIONS[version].bits - 1 ? 0 : 1;
+    const step = blockSize(version, p2pPrefix);
+    const blocks = blockSize(version, p2pPool.prefix) / step;
+    let index = 0n;
+    let exhausted = 0;
+    updatedEdges = edges.map(edge => {
+      if (!isP2p(edge)) return getLinkAddresses(edge.data)[version].length > 0 ? withLinkAddresses(edge, version, null) : edge;
+      if (keep.has(edge.id)) return edge;
+      while (index < blocks && usedBlocks.has(formatAddress(version, addOffset(p2pPool.network, index * step)))) index++;
+      if (index >= blocks) {
+        exhausted++;
+        return withLinkAddresses(edge, version, null);
+      }
+      const network = addOffset(p2pPool.network, index * step);
+      usedBlocks.add(formatAddress(version, network));
+      return withLinkAddresses(edge, version, [firstHost, firstHost + 1].map(offset => `${formatAddress(version, addOffset(network, offset))}/${p2pPrefix}`));
+    });
+    if (exhausted > 0) {
+      errors.push(`The ${label} point-to-point pool ${pools[`p2p${suffix}`]} has no room for ${exhausted} more link${exhausted === 1 ? '' : 's'}`);
+    }
+  }
+
+  return { nodes: updatedNodes, edges: updatedEdges };
+};
+
+/**
+ * Give every node its loopbacks and every point-to-point link its subnet, from the pools that are set.
+ *
+ * @param {Array} nodes - The nodes of the topology
+ * @param {Array} edges - The edges of the topology
+ * @param {Object} pools - As DEFAULT_IPAM_POOLS, checked with validatePools
+ * @param {Object} [options] - renumber: hand out every address again instead of keeping those already assigned
+ * @returns {{nodes: Array, edges: Array, errors: Array<string>}} - The updated topology and the pools that ran out
+ */
+export const assignAddresses = (nodes, edges, pools, { renumber = false } = {}) => {
+  const errors = [];
+  let result = { nodes, edges };
+  ['ipv4', 'ipv6'].forEach(version => {
+    result = assignVersion(result.nodes, result.edges, pools, version, renumber, errors);
+  });
+  return { ...result, errors };
+};
+
+// Remove the loopbacks and link addresses of the plan, the management IPs are left alone
+export const clearAddresses = (nodes, edges) => ({
+  nodes: nodes.map(node => ['ipv4', 'ipv6'].reduce((updated, version) => withLoopback(updated, version, ''), node)),
+  edges: edges.map(edge => ['ipv4', 'ipv6'].reduce((updated, version) => withLinkAddresses(updated, version, null), edge))
+});
+
+export const countAddresses = (nodes, edges) => ({
+  loopbacks: nodes.filter(node => getLoopbacks(node.data).ipv4 || getLoopbacks(node.data).ipv6).length,
+  links: edges.filter(edge => getLinkAddresses(edge.data).ipv4.length > 0 || getLinkAddresses(edge.data).ipv6.length > 0).length
+});
+
+const csvField = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+/**
+ * The address plan as CSV, one row per interface: the management interface, the loopback and each link of every node.
+ *
+ * @param {Array} nodes - The nodes of the topology
+ * @param {Array} edges - The edges of the topology
+ * @returns {string} - The CSV, with a header row
+ */
+export const addressPlanCsv = (nodes, edges) => {
+  const rows = [['node', 'interface', 'ipv4', 'ipv6', 'peer node', 'peer interface']];
+  nodes.forEach(node => {
+    if (node.data.mgmtIp || node.data.ipv6MgmtIp) {
+      rows.push([node.id, 'mgmt', node.data.mgmtIp || '', node.data.ipv6MgmtIp || '', '', '']);
+    }
+    const loopbacks = getLoopbacks(node.data);
+    if (loopbacks.ipv4 || loopbacks.ipv6) {
+      rows.push([node.id, 'loopback', loopbacks.ipv4, loopbacks.ipv6, '', '']);
+    }
+    edges.forEach(edge => {
+      if (isExternalLink(edge) || (edge.source !== node.id && edge.target !== node.id)) return;
+      const addresses = getLinkAddresses(edge.data);
+      if (addresses.ipv4.length === 0 && addresses.ipv6.length === 0) return;
+      // A link from a node to itself has a row for each of its ends
+      [0, 1].filter(end => (end === 0 ? edge.source : edge.target) === node.id).forEach(end => {
+        rows.push([
+          node.id,
+          end === 0 ? edge.data.sourceInterface : edge.data.targetInterface,
+          addresses.ipv4[end] || '',
+          addresses.ipv6[end] || '',
+          end === 0 ? edge.target : edge.source,
+          end === 0 ? edge.data.targetInterface : edge.data.sourceInterface
+        ]);
+      });
+    });
+  });
+  return `${rows.map(row => row.map(csvField).join(',')).join('\n')}\n`;
+};
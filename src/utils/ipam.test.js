@@ -0,0 +1,99 @@
+import {
+  addressOf,
+  addressPlanCsv,
+  assignAddresses,
+  clearAddresses,
+  countAddresses,
+  DEFAULT_IPAM_POOLS,
+  mgmtHostAddresses,
+  networkOf,
+  parseCidr,
+  subnetAddress,
+  validatePools
+} from './ipam';
+import { canvasEdge, canvasNode } from './testFixtures';
+
+const nodes = [canvasNode('r1'), canvasNode('r2'), canvasNode('r3')];
+const edges = [canvasEdge('r1', 'r2'), canvasEdge('r2', 'r3', 'eth2'), canvasEdge('r3', 'r1', 'eth2', 'eth2')];
+
+test('parses IPv4 and IPv6 subnets and rejects what is not one', () => {
+  expect(parseCidr('10.0.0.5/24')).toMatchObject({ version: 'ipv4', prefix: 24 });
+  expect(parseCidr('2001:db8::/64')).toMatchObject({ version: 'ipv6', prefix: 64 });
+  expect(parseCidr('10.0.0.0/33')).toBeNull();
+  expect(parseCidr('10.0.0.0')).toBeNull();
+  expect(parseCidr('nonsense/24')).toBeNull();
+});
+
+test('finds the network and the address of an interface address', () => {
+  expect(networkOf('10.0.0.5/31')).toBe('10.0.0.4/31');
+  expect(networkOf('2001:db8::1:5/64')).toBe('2001:db8::/64');
+  expect(networkOf('nonsense')).toBe('');
+  expect(addressOf('10.0.0.5/31')).toBe('10.0.0.5');
+});
+
+test('counts addresses into a subnet, across the 16 bit groups', () => {
+  expect(subnetAddress('10.10.10.0/24', 11)).toBe('10.10.10.11/24');
+  expect(subnetAddress('10.10.0.0/22', 300)).toBe('10.10.1.44/22');
+  expect(subnetAddress('10.10.10.0/24', 256)).toBe('');
+  expect(subnetAddress('2001:db8::/64', 65536)).toBe('2001:db8::1:0/64');
+});
+
+test('leaves the network, gateway and broadcast addresses out of the management addresses', () => {
+  expect(mgmtHostAddresses('172.20.20.0/29', 10)).toEqual(['172.20.20.2', '172.20.20.3', '172.20.20.4', '172.20.20.5', '172.20.20.6']);
+  expect(mgmtHostAddresses('172.20.20.0/24', 2, new Set(['172.20.20.2']))).toEqual(['172.20.20.3', '172.20.20.4']);
+  expect(mgmtHostAddresses('2001:db8::/64', 2)).toEqual(['2001:db8::2', '2001:db8::3']);
+  expect(mgmtHostAddresses('nonsense', 2)).toEqual([]);
+});
+
+test('checks the pools against the prefix lengths they hand out', () => {
+  expect(validatePools(DEFAULT_IPAM_POOLS)).toEqual({});
+  expect(validatePools({ ...DEFAULT_IPAM_POOLS, p2pIpv4: '2001:db8::/64' })).toHaveProperty('p2pIpv4');
+  expect(validatePools({ ...DEFAULT_IPAM_POOLS, p2pIpv6: '2001:db8::/64', p2pIpv6Prefix: 56 })).toHaveProperty('p2pIpv6');
+});
+
+test('gives every node a loopback and every link a /31', () => {
+  const result = assignAddresses(nodes, edges, DEFAULT_IPAM_POOLS);
+  expect(result.errors).toEqual([]);
+  expect(result.nodes.map(n => n.data.properties.labels['ipam.loopback-ipv4'])).toEqual(['10.255.0.1/32', '10.255.0.2/32', '10.255.0.3/32']);
+  expect(result.edges.map(e => e.data.vars.ipv4)).toEqual([
+    ['10.0.0.0/31', '10.0.0.1/31'],
+    ['10.0.0.2/31', '10.0.0.3/31'],
+    ['10.0.0.4/31', '10.0.0.5/31']
+  ]);
+  expect(countAddresses(result.nodes, result.edges)).toEqual({ loopbacks: 3, links: 3 });
+});
+
+test('allocates IPv6 /64 point-to-point links from a /56', () => {
+  const pools = { ...DEFAULT_IPAM_POOLS, p2pIpv6: '2001:db8::/56', p2pIpv6Prefix: 64 };
+  const result = assignAddresses(nodes, edges, pools);
+  expect(result.errors).toEqual([]);
+  expect(result.edges.map(e => e.data.vars.ipv6)).toEqual([
+    ['2001:db8::1/64', '2001:db8::2/64'],
+    ['2001:db8:0:1::1/64', '2001:db8:0:1::2/64'],
+    ['2001:db8:0:2::1/64', '2001:db8:0:2::2/64']
+  ]);
+});
+
+test('reports the links an IPv6 /64 pool has no room for', () => {
+  const pools = { ...DEFAULT_IPAM_POOLS, p2pIpv6: '2001:db8::/63', p2pIpv6Prefix: 64 };
+  const result = assignAddresses(nodes, edges, pools);
+  expect(result.edges[2].data.vars?.ipv6).toBeUndefined();
+  expect(result.errors).toEqual(['The IPv6 point-to-point pool 2001:db8::/63 has no room for 1 more link']);
+});
+
+test('keeps the addresses already assigned unless renumbering', () => {
+  const first = assignAddresses(nodes, edges, DEFAULT_IPAM_POOLS);
+  const moved = first.edges.map((e, index) => (index === 0 ? { ...e, data: { ...e.data, vars: { ipv4: ['10.0.0.8/31', '10.0.0.9/31'] } } } : e));
+  expect(assignAddresses(first.nodes, moved, DEFAULT_IPAM_POOLS).edges[0].data.vars.ipv4).toEqual(['10.0.0.8/31', '10.0.0.9/31']);
+  expect(assignAddresses(first.nodes, moved, DEFAULT_IPAM_POOLS, { renumber: true }).edges[0].data.vars.ipv4).toEqual(['10.0.0.0/31', '10.0.0.1/31']);
+});
+
+test('clears the plan and writes it as CSV', () => {
+  const assigned = assignAddresses(nodes, edges, DEFAULT_IPAM_POOLS);
+  const csv = addressPlanCsv(assigned.nodes, assigned.edges).split('\n');
+  expect(csv.some(row => row.includes('10.255.0.1/32'))).toBe(true);
+  expect(csv.some(row => row.includes('10.0.0.0/31'))).toBe(true);
+
+  const cleared = clearAddresses(assigned.nodes, assigned.edges);
+  expect(countAddresses(cleared.nodes, cleared.edges)).toEqual({ loopbacks: 0, links: 0 });
+});
@@ -0,0 +1,118 @@
+import axios from 'axios';
+import { getAuthHeaders } from './auth';
+import { getBackendUrl } from './config';
+
+/**
+ * Submit a lab operation (deploy, destroy, reconfigure, save) to a server's backend.
+ * The backend answers straight away with the job id; the operation keeps running even if this tab is closed.
+ *
+ * @param {string} serverIp - The IP address of the clab server
+ * @param {string} endpoint - e.g. '/api/containerlab/destroy'
+ * @param {Object|FormData} body - JSON body or FormData with the topology file
+ * @returns {Promise<string>} - The job id
+ */
+export const submitJob = async (serverIp, endpoint, body) => {
+  const isFormData = body instanceof FormData;
+  const response = await fetch(`${getBackendUrl(serverIp)}${endpoint}`, {
+    method: 'POST',
+    headers: isFormData ? getAuthHeaders() : {
+      ...getAuthHeaders(),
+      'Content-Type': 'application/json'
+    },
+    body: isFormData ? body : JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.jobId) {
+    // A 409 means the lab is locked by another operation, the lock tells who holds it
+    const error = new Error(data.error || `Server responded with ${response.status}`);
+    error.lock = data.lock;
+    throw error;
+  }
+  return data.jobId;
+};
+
+// List the logged in user's jobs on a server, newest first
+export const listJobs = async (serverIp, filters = {}) => {
+  const response = await axios.get(`${getBackendUrl(serverIp)}/api/jobs`, {
+    headers: getAuthHeaders(),
+    params: filters
+  });
+  return response.data.jobs || [];
+};
+
+// List the locks held on labs of a server, each with its owner, operation and whether it is stale
+export const listLocks = async (serverIp) => {
+  const response = await axios.get(`${getBackendUrl(serverIp)}/api/locks`, {
+    headers: getAuthHeaders(),
+    params: { serverIp }
+  });
+  return response.data.locks || [];
+};
+
+// Break a stuck lock (admins only), the job that held it is not stopped
+export const breakLock = async (serverIp, lockId) => {
+  const response = await axios.delete(`${getBackendUrl(serverIp)}/api/locks/${lockId}`, {
+    headers: getAuthHeaders()
+  });
+  return response.data.lock;
+};
+
+/**
+ * Replay a job's log, and with follow keep reading until the job finishes.
+ * The backend ends the log with the job itself as a JSON line, which is returned instead of being passed to onLog.
+ *
+ * @param {string} serverIp - The IP address of the clab server
+ * @param {string} jobId - The job id
+ * @param {Function} onLog - Called with each chunk of log text
+ * @param {boolean} follow - Keep the connection open while the job is running
+ * @returns {Promise<Object>} - The job (status, result, timestamps)
+ */
+export const readJobLog = async (serverIp, jobId, onLog, follow = true) => {
+  const response = await fetch(`${getBackendUrl(serverIp)}/api/jobs/${jobId}/log?follow=${follow}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Server responded with ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  // Hold back the last line until the next chunk arrives, since it may be the final JSON line
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lastNewline = buffer.lastIndexOf('\n');
+    if (lastNewline >= 0) {
+      onLog(buffer.slice(0, lastNewline + 1));
+      buffer = buffer.slice(lastNewline + 1);
+    }
+  }
+
+  try {
+    return JSON.parse(buffer);
+  } catch {
+    onLog(buffer);
+    return null;
+  }
+};
+
+/**
+ * Submit a job and follow its log until it finishes.
+ *
+ * @returns {Promise<Object>} - The finished job
+ */
+export const runJob = async (serverIp, endpoint, body, onLog) => {
+  const jobId = await submitJob(serverIp, endpoint, body);
+  onLog(`Job ${jobId} started\n`);
+  return readJobLog(serverIp, jobId, onLog, true);
+};
+
+export const formatJobTime = (isoString) => {
+  return isoString ? new Date(isoString).toLocaleString() : '';
+};
@@ -0,0 +1,242 @@
+import * as yaml from 'js-yaml';
+
+/*
+ * Links of the topology designer. An edge keeps its link attributes in edge.data:
+ *   sourceInterface, targetInterface, type, mtu, sourceMac, targetMac, vars, labels,
+ *   hostInterface (host, mgmt-net, macvlan), mode (macvlan), remote, vni, udpPort (vxlan),
+ *   extra (the keys of an extended link the designer does not edit, written back as they were),
+ *   brief (a host, mgmt-net or macvlan link read from the brief format, written back the same way)
+ * veth links join two nodes. The other types have a single node endpoint; their edge goes to an external endpoint that
+ * only exists on the canvas, with an id made from the edge id.
+ */
+
+export const LINK_TYPES = [
+  { value: 'veth', label: 'veth - between two nodes' },
+  { value: 'host', label: 'host - to an interface on the clab server' },
+  { value: 'mgmt-net', label: 'mgmt-net - to the management network bridge' },
+  { value: 'macvlan', label: 'macvlan - onto a physical interface of the clab server' },
+  { value: 'vxlan', label: 'vxlan - tunnel to a remote host' }
+];
+
+export const EXTERNAL_LINK_TYPES = LINK_TYPES.filter(type => type.value !== 'veth');
+
+// How each link type is drawn, on the canvas and in exported diagrams: the colour and the dash pattern, if any
+export const LINK_LINE_STYLES = {
+  veth: { color: '#b1b1b7', dash: null },
+  host: { color: '#d48806', dash: [6, 3] },
+  'mgmt-net': { color: '#389e0d', dash: [6, 3] },
+  macvlan: { color: '#722ed1', dash: [6, 3] },
+  vxlan: { color: '#cf1322', dash: [2, 3] }
+};
+
+export const MACVLAN_MODES = ['bridge', 'vepa', 'passthru', 'private', 'source'];
+
+// In the brief link format, these endpoint "nodes" stand for the host side of a single endpoint link
+const BRIEF_EXTERNAL_NODES = ['host', 'mgmt-net', 'macvlan'];
+
+const EXTERNAL_PREFIX = '__external__:';
+
+export const getLinkType = (edge) => edge?.data?.type || 'veth';
+export const isExternalLink = (edge) => getLinkType(edge) !== 'veth';
+export const externalEndpointId = (edgeId) => `${EXTERNAL_PREFIX}${edgeId}`;
+export const isExternalEndpointId = (id) => typeof id === 'string' && id.startsWith(EXTERNAL_PREFIX);
+
+// The label of the external end of a link on the canvas
+export const describeExternalEndpoint = (data = {}) => {
+  if (data.type === 'vxlan') {
+    return `vxlan ${data.remote || '?'} vni ${data.vni || '?'}`;
+  }
+  return `${data.type}: ${data.hostInterface || '?'}`;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (typeof value === 'object' && Object.keys(value).length === 0);
+
+// Drop the keys that are not set, so the topology file only has what the user filled in
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => !isEmpty(value)));
+
+const toNumber = (value) => (isEmpty(value) ? undefined : Number(value));
+
+/**
+ * Convert an edge to a link of the topology file. veth links without attributes keep the brief
+ * `endpoints: [node:interface, node:interface]` form; anything else uses the extended form with a type.
+ *
+ * @param {Object} edge - The edge
+ * @param {Function} nodeName - Maps a node id to the name used in the topology file
+ * @returns {Object} - The link
+ */
+export const linkToYaml = (edge, nodeName = (nodeId) => nodeId) => {
+  const data = edge.data || {};
+  const type = getLinkType(edge);
+  const common = compact({ mtu: toNumber(data.mtu), vars: data.vars, labels: data.labels, ...data.extra });
+  const sourceEndpoint = compact({ node: nodeName(edge.source), interface: data.sourceInterface || 'eth1', mac: data.sourceMac });
+
+  if (type === 'veth') {
+    const targetEndpoint = compact({ node: nodeName(edge.target), interface: data.targetInterface || 'eth1', mac: data.targetMac });
+    if (Object.keys(common).length === 0 && !data.sourceMac && !data.targetMac && !data.type) {
+      return { endpoints: [`${sourceEndpoint.node}:${sourceEndpoint.interface}`, `${targetEndpoint.node}:${targetEndpoint.interface}`] };
+    }
+    return { type, endpoints: [sourceEndpoint, targetEndpoint], ...common };
+  }
+
+  if (type === 'vxlan') {
+    return { type, endpoint: sourceEndpoint, ...compact({ remote: data.remote, vni: toNumber(data.vni), 'udp-port': toNumber(data.udpPort) }), ...common };
+  }
+
+  if (data.brief && Object.keys(common).length === 0 && !data.sourceMac && !data.mode) {
+    return { endpoints: [`${sourceEndpoint.node}:${sourceEndpoint.interface}`, `${type}:${data.hostInterface}`] };
+  }
+
+  return {
+    type,
+    endpoint: sourceEndpoint,
+    ...compact({ 'host-interface': data.hostInterface, mode: type === 'macvlan' ? data.mode : undefined }),
+    ...common
+  };
+};
+
+const parseBriefEndpoint = (endpoint) => {
+  const separator = String(endpoint).indexOf(':');
+  return separator < 0
+    ? { node: String(endpoint), interface: '' }
+    : { node: String(endpoint).slice(0, separator), interface: String(endpoint).slice(separator + 1) };
+};
+
+const KNOWN_LINK_KEYS = ['type', 'endpoints', 'endpoint', 'mtu', 'vars', 'labels', 'host-interface', 'mode', 'remote', 'vni', 'udp-port'];
+
+const linkAttributes = (link) => compact({
+  mtu: link.mtu,
+  vars: link.vars,
+  labels: link.labels,
+  extra: Object.fromEntries(Object.entries(link).filter(([key]) => !KNOWN_LINK_KEYS.includes(key)))
+});
+
+/**
+ * Convert a link of a topology file, brief or extended, to an edge.
+ *
+ * @param {Object} link - The link as in topology.links
+ * @param {number} index - Its position, used for the edge id
+ * @returns {Object|null} - The edge, or null when the link is not understood
+ */
+export const linkFromYaml = (link, index) => {
+  const id = `edge_${index}`;
+  if (!link || typeof link !== 'object') {
+    return null;
+  }
+
+  if (!link.type && Array.isArray(link.endpoints) && link.endpoints.length === 2) {
+    let [source, target] = link.endpoints.map(parseBriefEndpoint);
+    if (BRIEF_EXTERNAL_NODES.includes(source.node)) {
+      [source, target] = [target, source];
+    }
+    if (BRIEF_EXTERNAL_NODES.includes(target.node)) {
+      return {
+        id,
+        source: source.node,
+        target: externalEndpointId(id),
+        data: { type: target.node, sourceInterface: source.interface, hostInterface: target.interface, brief: true }
+      };
+    }
+    return { id, source: source.node, target: target.node, data: { sourceInterface: source.interface, targetInterface: target.interface } };
+  }
+
+  if (link.type === 'veth' && Array.isArray(link.endpoints) && link.endpoints.length === 2) {
+    const [source, target] = link.endpoints.map(endpoint => (typeof endpoint === 'string' ? parseBriefEndpoint(endpoint) : endpoint || {}));
+    return {
+      id,
+      source: source.node,
+      target: target.node,
+      data: compact({
+        type: 'veth',
+        sourceInterface: source.interface,
+        targetInterface: target.interface,
+        sourceMac: source.mac,
+        targetMac: target.mac,
+        ...linkAttributes(link)
+      })
+    };
+  }
+
+  if (EXTERNAL_LINK_TYPES.some(type => type.value === link.type) && link.endpoint) {
+    const endpoint = typeof link.endpoint === 'string' ? parseBriefEndpoint(link.endpoint) : link.endpoint;
+    return {
+      id,
+      source: endpoint.node,
+      target: externalEndpointId(id),
+      data: compact({
+        type: link.type,
+        sourceInterface: endpoint.interface,
+        sourceMac: endpoint.mac,
+        hostInterface: link['host-interface'],
+        mode: link.mode,
+        remote: link.remote,
+        vni: link.vni,
+        udpPort: link['udp-port'],
+        ...linkAttributes(link)
+      })
+    };
+  }
+
+  console.warn('Unsupported link in topology, skipping:', link);
+  return null;
+};
+
+const MAC = /^([0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2}$/;
+const IPV4 = /^(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)$/;
+const IPV6 = /^[0-9a-fA-F:]+:[0-9a-fA-F:]*$/;
+const HOST_INTERFACE = /^[A-Za-z0-9_.:-]{1,15}$/;
+
+const inRange = (value, min, max) => Number.isInteger(Number(value)) && Number(value) >= min && Number(value) <= max;
+
+/**
+ * Check the link attributes of the edge modal, returns the error to show or null when they are fine.
+ *
+ * @param {Object} attributes - type, mtu, sourceMac, targetMac, hostInterface, mode, remote, vni, udpPort
+ * @returns {string|null}
+ */
+export const validateLinkAttributes = (attributes) => {
+  const { type, mtu, sourceMac, targetMac, hostInterface, mode, remote, vni, udpPort } = attributes;
+  if (!isEmpty(mtu) && !inRange(mtu, 68, 65535)) {
+    return 'MTU must be a whole number between 68 and 65535';
+  }
+  if ((sourceMac && !MAC.test(sourceMac)) || (type === 'veth' && targetMac && !MAC.test(targetMac))) {
+    return 'MAC addresses must look like aa:c1:ab:00:00:01';
+  }
+  if (['host', 'mgmt-net', 'macvlan'].includes(type) && !HOST_INTERFACE.test(hostInterface || '')) {
+    return 'The host interface is required, up to 15 letters, digits, dots, dashes and underscores';
+  }
+  if (type === 'macvlan' && mode && !MACVLAN_MODES.includes(mode)) {
+    return `The macvlan mode must be one of ${MACVLAN_MODES.join(', ')}`;
+  }
+  if (type === 'vxlan') {
+    if (!IPV4.test(remote || '') && !IPV6.test(remote || '')) {
+      return 'The vxlan remote must be an IPv4 or IPv6 address';
+    }
+    if (!inRange(vni, 1, 16777215)) {
+      return 'The VNI must be a whole number between 1 and 16777215';
+    }
+    if (!isEmpty(udpPort) && !inRange(udpPort, 1, 65535)) {
+      return 'The UDP port must be a whole number between 1 and 65535';
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse the link vars typed in the edge modal as YAML. Throws when they are not a mapping.
+ *
+ * @param {string} text - e.g. "ipv4: 10.0.0.1/31"
+ * @returns {Object|undefined} - The vars, or undefined when the text is empty
+ */
+export const parseLinkVars = (text) => {
+  if (!text || !text.trim()) {
+    return undefined;
+  }
+  const vars = yaml.load(text);
+  if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+    throw new Error('Link vars must be a YAML mapping, e.g. "ipv4: 10.0.0.1/31"');
+  }
+  return vars;
+};
+
+export const formatLinkVars = (vars) => (isEmpty(vars) ? '' : yaml.dump(vars).trim());
@@ -0,0 +1,420 @@
+import axios from 'axios';
+import YAML from 'yaml';
+import { getAuthHeaders } from './auth';
+import { getInterfaceRules, parseInterfacePort } from './catalog';
+import { getBackendUrl } from './config';
+import { getKindCatalog } from './settings';
+
+/*
+ * The topology linter. It checks the YAML of the designer against rules that would make a deploy fail or a lab not
+ * work, and returns diagnostics: { rule, severity, message, line, node, link }
+ *   severity - 'error' blocks the deploy, 'warning' and 'info' do not
+ *   line     - the line of the YAML the diagnostic is about, from 1
+ *   node     - the name of the node it is about, if any
+ *   link     - the endpoints ({ node, interface }) of the link it is about, if any
+ * lintTopology runs the rules that only need the YAML; lintOnServer adds the ones that need the clab server the lab is
+ * deployed to (startup-config and bind paths, published ports).
+ */
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Containers are named clab-<lab>-<node> and their names are used as host names, which are at most 63 characters
+const MAX_CONTAINER_NAME = 63;
+
+// Lab and node names end up in container names, which only take these characters
+const VALID_NAME = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// Kinds that are not containers, so they have no image
+const KINDS_WITHOUT_IMAGE = ['bridge', 'ovs-bridge', 'host', 'ext-container'];
+
+// The "nodes" of the brief link format that stand for the host side of a single endpoint link
+const HOST_ENDPOINTS = ['host', 'mgmt-net', 'macvlan'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// The line of a key or list item of the document, e.g. ['topology', 'nodes', 'leaf1']; null when it is not there
+const lineOf = (doc, text, path) => {
+  const parent = path.length > 1 ? doc.getIn(path.slice(0, -1), true) : doc.contents;
+  const last = path[path.length - 1];
+  const item = parent?.items?.[typeof last === 'number' ? last : -1]
+    ?? parent?.items?.find(pair => pair?.key && (pair.key.value ?? pair.key) === last)?.key;
+  const range = item?.range;
+  return range ? lineAt(text, range[0]) : null;
+};
+
+const parseIpv4 = (ip) => {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+};
+
+const parseCidr4 = (cidr) => {
+  const [base, bits] = String(cidr || '').split('/');
+  const address = parseIpv4(base);
+  const prefix = Number(bits);
+  if (address === null || !/^\d{1,2}$/.test(bits || '') || prefix > 32) return null;
+  const size = 2 ** (32 - prefix);
+  const network = address - (address % size);
+  return { network, broadcast: network + size - 1, gateway: network + 1, size };
+};
+
+// An IPv6 address as its 8 groups, null when it is not one
+const parseIpv6 = (ip) => {
+  const text = String(ip);
+  if (!/^[0-9a-fA-F:]+$/.test(text) || text.split('::').length > 2) return null;
+  const [head, tail] = text.split('::');
+  const groups = (part) => (part ? part.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const all = tail === undefined ? groups(head) : [...groups(head), ...Array(missing).fill('0'), ...groups(tail)];
+  if (all.length !== 8 || all.some(group => !/^[0-9a-fA-F]{1,4}$/.test(group))) return null;
+  return all.map(group => parseInt(group, 16));
+};
+
+const inSubnet6 = (ip, cidr) => {
+  const [base, bits] = String(cidr || '').split('/');
+  const address = parseIpv6(ip);
+  const network = parseIpv6(base);
+  const prefix = Number(bits);
+  if (!address || !network || !Number.isInteger(prefix)) return null;
+  for (let bit = 0; bit < prefix; bit++) {
+    const group = Math.floor(bit / 16);
+    const mask = 0x8000 >> (bit % 16);
+    if ((address[group] & mask) !== (network[group] & mask)) return false;
+  }
+  return true;
+};
+
+// The node and interface ends of a link, brief or extended; host, mgmt-net and macvlan ends are left out
+export const linkEndpoints = (link) => {
+  if (!isPlainObject(link)) return [];
+  const ends = Array.isArray(link.endpoints) ? link.endpoints : link.endpoint ? [link.endpoint] : [];
+  return ends
+    .map(end => {
+      if (typeof end === 'string') {
+        const separator = end.indexOf(':');
+        return separator < 0 ? { node: end, interface: '' } : { node: end.slice(0, separator), interface: end.slice(separator + 1) };
+      }
+      return isPlainObject(end) ? { node: String(end.node ?? ''), interface: String(end.interface ?? '') } : null;
+    })
+    .filter(end => end && !(typeof link.type !== 'string' && HOST_ENDPOINTS.includes(end.node)));
+};
+
+// A node with what it gets from its kind and the defaults, the way containerlab merges them
+const effectiveNode = (topology, node) => {
+  const defaults = isPlainObject(topology.defaults) ? topology.defaults : {};
+  const kind = node.kind || defaults.kind;
+  const kindConfig = isPlainObject(topology.kinds?.[kind]) ? topology.kinds[kind] : {};
+  return {
+    ...defaults,
+    ...kindConfig,
+    ...node,
+    kind,
+    binds: [...(node.binds || []), ...(kindConfig.binds || []), ...(defaults.binds || [])]
+  };
+};
+
+// The host ports a node publishes, from ports entries like 8080:80, 0.0.0.0:2222:22/tcp
+const publishedPorts = (ports) => (Array.isArray(ports) ? ports : [])
+  .map(entry => {
+    const [mapping, protocol = 'tcp'] = String(entry).split('/');
+    const parts = mapping.split(':');
+    return parts.length >= 2 ? { port: Number(parts[parts.length - 2]), protocol, entry: String(entry) } : null;
+  })
+  .filter(published => published && Number.isInteger(published.port) && published.port > 0);
+
+const parseTopology = (yamlText) => {
+  const doc = YAML.parseDocument(yamlText || '', { prettyErrors: true });
+  if (doc.errors.length > 0) {
+    return { doc, errors: doc.errors };
+  }
+  const data = doc.toJSON() || {};
+  return { doc, data: isPlainObject(data) ? data : {}, errors: [] };
+};
+
+/**
+ * Check the topology YAML against the rules that need nothing but the YAML.
+ *
+ * @param {string} yamlText - The topology YAML
+ * @returns {Array} - The diagnostics, see the top of this file
+ */
+export const lintTopology = (yamlText) => {
+  if (!yamlText || !yamlText.trim()) {
+    return [];
+  }
+  const { doc, data, errors } = parseTopology(yamlText);
+  if (errors.length > 0) {
+    return errors.map(error => ({
+      rule: 'yaml-syntax',
+      severity: 'error',
+      message: error.message.split('\n')[0],
+      line: error.linePos?.[0]?.line || null
+    }));
+  }
+
+  const diagnostics = [];
+  const report = (rule, severity, message, path, extra = {}) => {
+    diagnostics.push({ rule, severity, message, line: path ? lineOf(doc, yamlText, path) : null, ...extra });
+  };
+
+  const topology = isPlainObject(data.topology) ? data.topology : {};
+  const nodes = isPlainObject(topology.nodes) ? topology.nodes : {};
+  const links = Array.isArray(topology.links) ? topology.links : [];
+  const mgmt = isPlainObject(data.mgmt) ? data.mgmt : {};
+  const labName = data.name === undefined || data.name === null ? '' : String(data.name);
+
+  // Lab and node names
+  if (!labName) {
+    report('lab-name', 'error', 'The topology has no name', ['name']);
+  } else if (!VALID_NAME.test(labName)) {
+    report('lab-name', 'error', `The lab name "${labName}" may only have letters, digits, dots, dashes and underscores`, ['name']);
+  }
+  Object.keys(nodes).forEach(name => {
+    if (!VALID_NAME.test(name)) {
+      report('node-name', 'error', `The node name "${name}" may only have letters, digits, dots, dashes and underscores`, ['topology', 'nodes', name], { node: name });
+    }
+    const containerName = `clab-${labName}-${name}`;
+    if (containerName.length > MAX_CONTAINER_NAME) {
+      report('lab-name', 'error', `The container name ${containerName} is ${containerName.length} characters, containerlab allows ${MAX_CONTAINER_NAME}; shorten the lab or the node name`, ['topology', 'nodes', name], { node: name });
+    }
+  });
+
+  // Kinds and images
+  Object.entries(nodes).forEach(([name, rawNode]) => {
+    const node = effectiveNode(topology, isPlainObject(rawNode) ? rawNode : {});
+    const path = ['topology', 'nodes', name];
+    if (!node.kind) {
+      report('node-kind', 'error', `${name} has no kind, set it on the node or as the default kind`, path, { node: name });
+      return;
+    }
+    if (KINDS_WITHOUT_IMAGE.includes(node.kind)) {
+      return;
+    }
+    if (!node.image) {
+      report('missing-image', 'error', `${name} has no image for kind ${node.kind}, set it on the node, its kind or the defaults`, path, { node: name });
+      return;
+    }
+    const catalogEntries = getKindCatalog().filter(entry => entry.kind === node.kind);
+    if (catalogEntries.length === 0) {
+      report('missing-image', 'info', `Kind ${node.kind} of ${name} is not in the node catalog`, path, { node: name });
+    } else if (!catalogEntries.some(entry => entry.images.some(image => image.value === node.image))) {
+      report('missing-image', 'warning', `Image ${node.image} of ${name} is not in the image catalog for kind ${node.kind}`, path, { node: name });
+    }
+  });
+
+  // Management addresses
+  const subnet4Key = mgmt['ipv4-subnet'] !== undefined ? 'ipv4-subnet' : 'ipv4_subnet';
+  const subnet6Key = mgmt['ipv6-subnet'] !== undefined ? 'ipv6-subnet' : 'ipv6_subnet';
+  const subnet4 = mgmt[subnet4Key] ? parseCidr4(mgmt[subnet4Key]) : null;
+  if (mgmt[subnet4Key] && !subnet4) {
+    report('mgmt-ip', 'error', `The management IPv4 subnet ${mgmt[subnet4Key]} is not a valid subnet, e.g. 172.20.20.0/24`, ['mgmt', subnet4Key]);
+  }
+  const usedAddresses = {};
+  Object.entries(nodes).forEach(([name, node]) => {
+    if (!isPlainObject(node)) return;
+    ['mgmt-ipv4', 'mgmt-ipv6'].forEach(key => {
+      if (!node[key]) return;
+      const address = String(node[key]);
+      const path = ['topology', 'nodes', name, key];
+      (usedAddresses[address] = usedAddresses[address] || []).push({ name, path });
+
+      if (key === 'mgmt-ipv4') {
+        const value = parseIpv4(address);
+        if (value === null) {
+          report('mgmt-ip', 'error', `${address} of ${name} is not an IPv4 address`, path, { node: name });
+        } else if (!mgmt[subnet4Key]) {
+          report('mgmt-ip', 'warning', `${name} has a static management address, set the management IPv4 subnet it belongs to`, path, { node: name });
+        } else if (subnet4 && (value < subnet4.network || value > subnet4.broadcast)) {
+          report('mgmt-ip', 'error', `${address} of ${name} is outside the management subnet ${mgmt[subnet4Key]}`, path, { node: name });
+        } else if (subnet4 && [subnet4.network, subnet4.broadcast, subnet4.gateway].includes(value) && subnet4.size > 2) {
+          report('mgmt-ip', 'error', `${address} of ${name} is the network, broadcast or gateway address of ${mgmt[subnet4Key]}`, path, { node: name });
+        }
+      } else if (!parseIpv6(address)) {
+        report('mgmt-ip', 'error', `${address} of ${name} is not an IPv6 address`, path, { node: name });
+      } else if (mgmt[subnet6Key] && inSubnet6(address, mgmt[subnet6Key]) === false) {
+        report('mgmt-ip', 'error', `${address} of ${name} is outside the management subnet ${mgmt[subnet6Key]}`, path, { node: name });
+      }
+    });
+  });
+  Object.entries(usedAddresses).forEach(([address, users]) => {
+    if (users.length < 2) return;
+    users.forEach(({ name, path }) => {
+      const others = users.filter(other => other.name !== name).map(other => other.name).join(', ');
+      report('mgmt-ip', 'error', `${address} of ${name} is also used by ${others}`, path, { node: name });
+    });
+  });
+
+  // Links: unknown nodes and interfaces used twice
+  const interfaceUsers = {};
+  const linkedNodes = new Set();
+  links.forEach((link, index) => {
+    const endpoints = linkEndpoints(link);
+    const path = ['topology', 'links', index];
+    endpoints.forEach(endpoint => {
+      linkedNodes.add(endpoint.node);
+      if (!Object.prototype.hasOwnProperty.call(nodes, endpoint.node)) {
+        report('link-node', 'error', `Link ${index + 1} goes to ${endpoint.node}, which is not a node of the topology`, path, { link: endpoints });
+        return;
+      }
+      if (!endpoint.interface) {
+        report('duplicate-interface', 'error', `Link ${index + 1} has no interface on ${endpoint.node}`, path, { node: endpoint.node, link: endpoints });
+        return;
+      }
+      const rules = getInterfaceRules(effectiveNode(topology, isPlainObject(nodes[endpoint.node]) ? nodes[endpoint.node] : {}));
+      // eth3 and Ethernet3 are the same port
+      const port = parseInterfacePort(rules, endpoint.interface);
+      const key = `${endpoint.node}:${port ?? endpoint.interface}`;
+      (interfaceUsers[key] = interfaceUsers[key] || []).push({ index, endpoint, endpoints, path });
+    });
+  });
+  Object.values(interfaceUsers).forEach(users => {
+    if (users.length < 2) return;
+    users.forEach(({ endpoint, endpoints, path }) => {
+      const others = users.filter(other => other.path !== path).map(other => `link ${other.index + 1}`).join(', ');
+      report('duplicate-interface', 'error', `${endpoint.interface} of ${endpoint.node} is also used by ${others || 'the other end of the link'}`, path, { node: endpoint.node, link: endpoints });
+    });
+  });
+
+  // Nodes nothing is connected to
+  Object.keys(nodes).forEach(name => {
+    if (!linkedNodes.has(name) && Object.keys(nodes).length > 1) {
+      report('unlinked-node', 'warning', `${name} has no links`, ['topology', 'nodes', name], { node: name });
+    }
+  });
+
+  // Host ports published twice
+  const portUsers = {};
+  Object.entries(nodes).forEach(([name, node]) => {
+    publishedPorts(isPlainObject(node) ? node.ports : []).forEach(({ port, protocol }) => {
+      const key = `${port}/${protocol}`;
+      (portUsers[key] = portUsers[key] || []).push(name);
+    });
+  });
+  Object.entries(portUsers).forEach(([key, names]) => {
+    if (names.length < 2) return;
+    names.forEach(name => {
+      report('port-in-use', 'error', `Host port ${key} of ${name} is also published by ${names.filter(other => other !== name).join(', ') || name}`, ['topology', 'nodes', name, 'ports'], { node: name });
+    });
+  });
+
+  return diagnostics;
+};
+
+// Paths that are only known once containerlab runs, or that are not files on the server
+const isCheckablePath = (filePath) => filePath && !/^[a-z]+:\/\//i.test(filePath) && !filePath.includes('__clab');
+
+/**
+ * Check the topology against the clab server it is about to be deployed to: the startup-config and bind source paths
+ * must exist there, and the host ports the nodes publish must be free. When the server cannot be asked the check is
+ * reported as a warning, so it does not block the deploy.
+ *
+ * @param {string} yamlText - The topology YAML
+ * @param {string} serverIp - The clab server
+ * @param {Object} [options]
+ * @param {boolean} [options.checkPorts=true] - false when the lab already runs there (reconfigure) and holds its own ports
+ * @returns {Promise<Array>} - The diagnostics, see the top of this file
+ */
+export const lintOnServer = async (yamlText, serverIp, { checkPorts = true } = {}) => {
+  const { doc, data, errors } = parseTopology(yamlText);
+  if (errors.length > 0) {
+    return [];
+  }
+  const diagnostics = [];
+  const report = (rule, severity, message, path, extra = {}) => {
+    diagnostics.push({ rule, severity, message, line: path ? lineOf(doc, yamlText, path) : null, ...extra });
+  };
+  const topology = isPlainObject(data.topology) ? data.topology : {};
+  const nodes = isPlainObject(topology.nodes) ? topology.nodes : {};
+
+  // Every startup-config and bind source with where it is set: on a node, a kind or the defaults
+  const paths = [];
+  const addPaths = (config, path, node) => {
+    if (!isPlainObject(config)) return;
+    if (isCheckablePath(config['startup-config'])) {
+      paths.push({ path: String(config['startup-config']), what: 'startup-config', yamlPath: [...path, 'startup-config'], node });
+    }
+    (Array.isArray(config.binds) ? config.binds : []).forEach((bind, index) => {
+      const source = String(bind).split(':')[0];
+      if (isCheckablePath(source)) {
+        paths.push({ path: source, what: 'bind', yamlPath: [...path, 'binds', index], node });
+      }
+    });
+  };
+  Object.entries(nodes).forEach(([name, node]) => addPaths(node, ['topology', 'nodes', name], name));
+  Object.entries(isPlainObject(topology.kinds) ? topology.kinds : {}).forEach(([kind, config]) => addPaths(config, ['topology', 'kinds', kind]));
+  addPaths(topology.defaults, ['topology', 'defaults']);
+
+  if (paths.length > 0) {
+    try {
+      const response = await axios.post(`${getBackendUrl(serverIp)}/api/files/exists`, {
+        serverIp,
+        lab: data.name,
+        paths: [...new Set(paths.map(entry => entry.path))]
+      }, { headers: getAuthHeaders() });
+      paths.forEach(({ path: filePath, what, yamlPath, node }) => {
+        const result = response.data.results[filePath] || {};
+        const owner = node ? ` of ${node}` : '';
+        if (result.exists === false) {
+          report('missing-path', 'error', `The ${what} ${filePath}${owner} does not exist on ${serverIp} (${result.path})`, yamlPath, { node });
+        } else if (what === 'startup-config' && result.directory) {
+          report('missing-path', 'error', `The startup-config ${filePath}${owner} is a directory on ${serverIp}`, yamlPath, { node });
+        } else if (result.exists === null) {
+          report('missing-path', 'info', `The ${what} ${filePath}${owner} could not be checked: ${result.error}`, yamlPath, { node });
+        }
+      });
+    } catch (error) {
+      report('missing-path', 'warning', `Could not check the startup-config and bind paths on ${serverIp}: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  const published = Object.entries(nodes).flatMap(([name, node]) => publishedPorts(isPlainObject(node) ? node.ports : [])
+    .map(entry => ({ ...entry, name })));
+  if (checkPorts && published.length > 0) {
+    try {
+      const response = await axios.get(`${getBackendUrl(serverIp)}/api/ports/free`, { params: { serverIp }, headers: getAuthHeaders() });
+      const freePorts = new Set(response.data.freePorts || []);
+      // The server only lists the free ports from 1024 up
+      published.filter(({ port }) => port >= 1024 && !freePorts.has(port)).forEach(({ port, name, entry }) => {
+        report('port-in-use', 'error', `Host port ${port} (${entry}) of ${name} is already in use on ${serverIp}`, ['topology', 'nodes', name, 'ports'], { node: name });
+      });
+    } catch (error) {
+      report('port-in-use', 'warning', `Could not check the published ports on ${serverIp}: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  return diagnostics;
+};
+
+export const hasErrors = (diagnostics) => diagnostics.some(diagnostic => diagnostic.severity === 'error');
+
+const worse = (a, b) => (!a || SEVERITIES.indexOf(b) < SEVERITIES.indexOf(a) ? b : a);
+
+/**
+ * Where to show the diagnostics: the worst severity per canvas node, per canvas edge and per YAML line.
+ *
+ * @param {Array} diagnostics - From lintTopology and lintOnServer
+ * @param {Array} edges - The edges of the canvas, to find the links of the diagnostics
+ * @returns {{nodes: Object, edges: Object, lines: Object}} - nodes and edges map ids to a severity, lines map line
+ *   numbers to { severity, messages }
+ */
+export const diagnosticMarkers = (diagnostics, edges) => {
+  const markers = { nodes: {}, edges: {}, lines: {} };
+  diagnostics.forEach(diagnostic => {
+    const { severity, node, link, line, message } = diagnostic;
+    if (link) {
+      const ends = new Set(link.map(end => `${end.node}:${end.interface}`));
+      edges
+        .filter(edge => ends.has(`${edge.source}:${edge.data?.sourceInterface}`) &&
+          (link.length === 1 || ends.has(`${edge.target}:${edge.data?.targetInterface}`)))
+        .forEach(edge => { markers.edges[edge.id] = worse(markers.edges[edge.id], severity); });
+    } else if (node) {
+      markers.nodes[node] = worse(markers.nodes[node], severity);
+    }
+    if (line) {
+      const marker = markers.lines[line] || { severity: null, messages: [] };
+      markers.lines[line] = { severity: worse(marker.severity, severity), messages: [...marker.messages, message] };
+    }
+  });
+  return markers;
+};
@@ -0,0 +1,114 @@
+import { diagnosticMarkers, hasErrors, linkEndpoints, lintTopology } from './linter';
+
+const rulesOf = (diagnostics) => diagnostics.map(diagnostic => `${diagnostic.rule}:${diagnostic.severity}`);
+
+const VALID = `name: lab1
+topology:
+  nodes:
+    r1:
+      kind: ceos
+      image: ceos:4.34.0F
+    h1:
+      kind: linux
+      image: alpine
+  links:
+    - endpoints: [r1:eth1, h1:eth1]
+`;
+
+test('reads the ends of brief and extended links', () => {
+  expect(linkEndpoints({ endpoints: ['r1:eth1', 'r2:Ethernet1'] })).toEqual([
+    { node: 'r1', interface: 'eth1' },
+    { node: 'r2', interface: 'Ethernet1' }
+  ]);
+  expect(linkEndpoints({ endpoints: ['r1:eth2', 'host:veth0'] })).toEqual([{ node: 'r1', interface: 'eth2' }]);
+  expect(linkEndpoints({ type: 'veth', endpoints: [{ node: 'r1', interface: 'eth3' }, { node: 'r2', interface: 'eth3' }] }))
+    .toHaveLength(2);
+});
+
+test('finds nothing wrong with a valid topology', () => {
+  expect(lintTopology(VALID)).toEqual([]);
+  expect(lintTopology('')).toEqual([]);
+});
+
+test('reports YAML syntax errors with their line', () => {
+  const diagnostics = lintTopology('name: lab1\ntopology:\n  nodes: [unclosed\n');
+  expect(rulesOf(diagnostics)).toContain('yaml-syntax:error');
+  expect(hasErrors(diagnostics)).toBe(true);
+});
+
+test('reports bad names, missing images and unknown kinds', () => {
+  const diagnostics = lintTopology(`name: lab 1
+topology:
+  nodes:
+    r1:
+      kind: ceos
+    r2:
+      kind: ceos
+      image: ceos:0.1
+    r3:
+      kind: juniper_crpd
+      image: crpd
+    r4: {}
+  links:
+    - endpoints: [r1:eth1, r2:eth1]
+    - endpoints: [r2:eth2, r3:eth1]
+    - endpoints: [r3:eth2, r4:eth1]
+`);
+  expect(rulesOf(diagnostics)).toEqual([
+    'lab-name:error',
+    'missing-image:error',
+    'missing-image:warning',
+    'missing-image:info',
+    'node-kind:error'
+  ]);
+  expect(diagnostics[1]).toMatchObject({ node: 'r1', line: 4 });
+});
+
+test('reports interfaces used twice, in either naming', () => {
+  const diagnostics = lintTopology(`name: lab1
+topology:
+  nodes:
+    r1: { kind: ceos, image: ceos:4.34.0F }
+    r2: { kind: ceos, image: ceos:4.34.0F }
+    r3: { kind: ceos, image: ceos:4.34.0F }
+  links:
+    - endpoints: [r1:eth1, r2:eth1]
+    - endpoints: [r1:Ethernet1, r3:eth1]
+`);
+  expect(diagnostics.filter(diagnostic => diagnostic.rule === 'duplicate-interface').map(diagnostic => diagnostic.line)).toEqual([8, 9]);
+});
+
+test('reports links to unknown nodes, unlinked nodes and clashing addresses and ports', () => {
+  const diagnostics = lintTopology(`name: lab1
+mgmt:
+  ipv4-subnet: 172.20.20.0/24
+topology:
+  nodes:
+    r1: { kind: linux, image: alpine, mgmt-ipv4: 172.20.20.5, ports: ["8080:80"] }
+    r2: { kind: linux, image: alpine, mgmt-ipv4: 172.20.20.5, ports: ["8080:8080"] }
+    r3: { kind: linux, image: alpine, mgmt-ipv4: 10.0.0.1 }
+  links:
+    - endpoints: [r1:eth1, r9:eth1]
+`);
+  expect(rulesOf(diagnostics)).toEqual(expect.arrayContaining([
+    'link-node:error',
+    'unlinked-node:warning',
+    'mgmt-ip:error',
+    'port-in-use:error'
+  ]));
+  expect(diagnostics.find(diagnostic => diagnostic.node === 'r3' && diagnostic.rule === 'mgmt-ip').message).toMatch('outside the management subnet');
+});
+
+test('marks the nodes, edges and lines of the diagnostics with their worst severity', () => {
+  const edges = [{ id: 'e1', source: 'r1', target: 'r2', data: { sourceInterface: 'eth1', targetInterface: 'eth1' } }];
+  const markers = diagnosticMarkers([
+    { severity: 'warning', node: 'r1', line: 3, message: 'a' },
+    { severity: 'error', node: 'r1', line: 3, message: 'b' },
+    { severity: 'info', link: [{ node: 'r1', interface: 'eth1' }, { node: 'r2', interface: 'eth1' }], line: 8, message: 'c' }
+  ], edges);
+  expect(markers).toEqual({
+    nodes: { r1: 'error' },
+    edges: { e1: 'info' },
+    lines: { 3: { severity: 'error', messages: ['a', 'b'] }, 8: { severity: 'info', messages: ['c'] } }
+  });
+});
@@ -0,0 +1,281 @@
+/*
+ * The node properties of the containerlab topology schema (schemas/clab.schema.json, "node-config") that the node modal
+ * edits beyond kind, image, binds, management IPs, startup-config and env. Each property keeps the schema's type and
+ * constraints so the modal can draw the right input and check values before they reach the topology file.
+ * A node keeps the values in node.data.properties, keyed and shaped as in the topology file.
+ */
+
+// The deploy stages a node can wait for, in the order containerlab runs them
+export const NODE_STAGES = ['create', 'create-links', 'configure', 'healthy', 'exit'];
+
+export const NODE_PROPERTIES = [
+  {
+    key: 'ports',
+    label: 'Published ports',
+    schema: { type: 'array', items: { type: 'string', pattern: '^(\\d{1,3}(\\.\\d{1,3}){3}:)?\\d+(-\\d+)?:\\d+(-\\d+)?(/(tcp|udp|sctp))?$' } },
+    help: 'One per line, host:container[/tcp|udp], e.g. 8080:80/tcp'
+  },
+  {
+    key: 'exec',
+    label: 'Exec commands',
+    schema: { type: 'array', items: { type: 'string', minLength: 1 } },
+    help: 'Commands run in the node after it is deployed, one per line'
+  },
+  {
+    key: 'labels',
+    label: 'Labels',
+    schema: { type: 'object', additionalProperties: { type: 'string' } },
+    help: 'One per line, key=value'
+  },
+  {
+    key: 'cpu',
+    label: 'CPU limit',
+    schema: { type: 'number', exclusiveMinimum: 0 },
+    help: 'Number of CPUs, e.g. 1.5'
+  },
+  {
+    key: 'cpu-set',
+    label: 'CPU set',
+    schema: { type: 'string', pattern: '^\\d+(-\\d+)?(,\\d+(-\\d+)?)*$' },
+    help: 'CPUs the node may use, e.g. 0-3 or 0,2'
+  },
+  {
+    key: 'memory',
+    label: 'Memory limit',
+    schema: { type: 'string', pattern: '^\\d+(\\.\\d+)?([kKmMgG][bB]?|[bB])?$' },
+    help: 'e.g. 512MB or 2Gb'
+  },
+  {
+    key: 'network-mode',
+    label: 'Network mode',
+    schema: { type: 'string', pattern: '^(host|none|container:[A-Za-z0-9_.-]+)$' },
+    help: 'host, none or container:<node>'
+  },
+  {
+    key: 'user',
+    label: 'User',
+    schema: { type: 'string', pattern: '^[A-Za-z0-9_.-]+(:[A-Za-z0-9_.-]+)?$' },
+    help: 'User (and group) the node runs as, e.g. root or 1000:1000'
+  },
+  {
+    key: 'cmd',
+    label: 'Command',
+    schema: { type: 'string', minLength: 1 },
+    help: 'Overrides the image command'
+  },
+  {
+    key: 'entrypoint',
+    label: 'Entrypoint',
+    schema: { type: 'string', minLength: 1 },
+    help: 'Overrides the image entrypoint'
+  },
+  {
+    key: 'sysctls',
+    label: 'Sysctls',
+    schema: { type: 'object', propertyNames: { pattern: '^[a-z0-9_.-]+$' }, additionalProperties: { type: ['string', 'number'] } },
+    help: 'One per line, e.g. net.ipv4.ip_forward=1'
+  },
+  {
+    key: 'enforce-startup-config',
+    label: 'Enforce startup-config',
+    schema: { type: 'boolean' },
+    help: 'Apply the startup-config on every deploy, not only the first one'
+  },
+  {
+    key: 'auto-remove',
+    label: 'Auto remove',
+    schema: { type: 'boolean' },
+    help: 'Remove the container when it exits'
+  },
+  {
+    key: 'group',
+    label: 'Group',
+    schema: { type: 'string', minLength: 1 },
+    help: 'Used by containerlab graph and to select nodes by group'
+  },
+  {
+    key: 'stages',
+    label: 'Wait for',
+    schema: {
+      type: 'object',
+      propertyNames: { enum: NODE_STAGES },
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          'wait-for': {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['node'],
+              properties: { node: { type: 'string', minLength: 1 }, stage: { enum: NODE_STAGES } }
+            }
+          }
+        }
+      }
+    },
+    help: 'Hold a stage of this node until a stage of another node is reached'
+  }
+];
+
+export const NODE_PROPERTY_KEYS = NODE_PROPERTIES.map(property => property.key);
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const matchesType = (type, value) => [].concat(type).some(candidate =>
+  (candidate === typeOf(value) && !Number.isNaN(value)) || (candidate === 'integer' && Number.isInteger(value)));
+
+/**
+ * Check a value against the subset of JSON schema used above: type, enum, pattern, minLength, exclusiveMinimum,
+ * items, properties, required, propertyNames and additionalProperties.
+ *
+ * @param {Object} schema - The schema of the value
+ * @param {*} value - The value as written in the topology file
+ * @param {string} path - Where the value is, for the error
+ * @returns {string|null} - The first error, or null when the value is valid
+ */
+export const validateAgainstSchema = (schema, value, path) => {
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    return `${path} must be of type ${[].concat(schema.type).join(' or ')}`;
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      return `${path} must not be empty`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `${path} "${value}" is not valid`;
+    }
+  }
+  if (typeof value === 'number' && schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    return `${path} must be greater than ${schema.exclusiveMinimum}`;
+  }
+  if (Array.isArray(value) && schema.items) {
+    for (let index = 0; index < value.length; index++) {
+      const error = validateAgainstSchema(schema.items, value[index], `${path}[${index}]`);
+      if (error) return error;
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const missing = (schema.required || []).find(key => value[key] === undefined);
+    if (missing) {
+      return `${path}.${missing} is required`;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.propertyNames) {
+        const error = validateAgainstSchema(schema.propertyNames, key, `${path} key`);
+        if (error) return error;
+      }
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (childSchema && typeof childSchema === 'object') {
+        const error = validateAgainstSchema(childSchema, child, `${path}.${key}`);
+        if (error) return error;
+      }
+    }
+  }
+  return null;
+};
+
+// How the modal edits a property: one input per schema type
+export const getInputKind = (property) => {
+  if (property.key === 'stages') return 'stages';
+  const { type, items } = property.schema;
+  if (type === 'array' && items.type === 'string') return 'lines';
+  if (type === 'object') return 'pairs';
+  return type;
+};
+
+const parsePairValue = (value) => (value !== '' && !isNaN(Number(value)) ? Number(value) : value);
+
+/**
+ * Turn node.data.properties into the values of the modal inputs: text for lines and key=value pairs, rows for stages.
+ *
+ * @param {Object} properties - The node properties as in the topology file
+ * @returns {Object} - The form values, keyed by property
+ */
+export const propertiesToForm = (properties = {}) => Object.fromEntries(NODE_PROPERTIES.map(property => {
+  const value = properties[property.key];
+  switch (getInputKind(property)) {
+    case 'lines':
+      return [property.key, (value || []).join('\n')];
+    case 'pairs':
+      return [property.key, Object.entries(value || {}).map(([key, item]) => `${key}=${item}`).join('\n')];
+    case 'stages':
+      return [property.key, Object.entries(value || {}).flatMap(([stage, config]) =>
+        (config?.['wait-for'] || []).map(wait => ({ stage, node: wait.node || '', nodeStage: wait.stage || '' })))];
+    default:
+      return [property.key, value === undefined ? '' : String(value)];
+  }
+}));
+
+/**
+ * Turn the modal inputs back into node properties and check them against the schema.
+ *
+ * @param {Object} form - From propertiesToForm, as edited
+ * @param {Object} previous - The properties the form was made from; stage settings other than wait-for are kept
+ * @returns {{properties: Object, error: string|null}} - Only the properties that were filled in
+ */
+export const formToProperties = (form = {}, previous = {}) => {
+  const properties = {};
+  for (const property of NODE_PROPERTIES) {
+    const input = form[property.key];
+    let value;
+    switch (getInputKind(property)) {
+      case 'lines': {
+        const lines = (input || '').split('\n').map(line => line.trim()).filter(Boolean);
+        value = lines.length > 0 ? lines : undefined;
+        break;
+      }
+      case 'pairs': {
+        const lines = (input || '').split('\n').map(line => line.trim()).filter(Boolean);
+        const invalid = lines.find(line => line.indexOf('=') <= 0);
+        if (invalid) {
+          return { properties, error: `${property.label}: "${invalid}" must be written key=value` };
+        }
+        const pairs = lines.map(line => [line.slice(0, line.indexOf('=')).trim(), line.slice(line.indexOf('=') + 1).trim()]);
+        value = pairs.length > 0
+          ? Object.fromEntries(pairs.map(([key, item]) => [key, property.key === 'sysctls' ? parsePairValue(item) : item]))
+          : undefined;
+        break;
+      }
+      case 'stages': {
+        const stages = {};
+        Object.entries(previous.stages || {}).forEach(([stage, { 'wait-for': _waitFor, ...config } = {}]) => {
+          if (Object.keys(config).length > 0) stages[stage] = config;
+        });
+        (input || []).filter(row => row.node).forEach(row => {
+          const stage = row.stage || 'create';
+          stages[stage] = { ...stages[stage], 'wait-for': [...(stages[stage]?.['wait-for'] || []), row.nodeStage ? { node: row.node, stage: row.nodeStage } : { node: row.node }] };
+        });
+        value = Object.keys(stages).length > 0 ? stages : undefined;
+        break;
+      }
+      case 'boolean':
+        value = input === '' || input === undefined ? undefined : input === 'true';
+        break;
+      case 'number':
+        value = input === '' || input === undefined ? undefined : Number(input);
+        break;
+      default:
+        value = input === '' || input === undefined ? undefined : String(input).trim();
+    }
+    if (value !== undefined) {
+      const error = validateAgainstSchema(property.schema, value, property.key);
+      if (error) {
+        return { properties, error: `${property.label}: ${error}` };
+      }
+      properties[property.key] = value;
+    }
+  }
+  return { properties, error: null };
+};
+
+// Pick the schema properties out of a node of a topology file
+export const propertiesFromYamlNode = (nodeData = {}) => Object.fromEntries(
+  NODE_PROPERTY_KEYS.filter(key => nodeData[key] !== undefined).map(key => [key, nodeData[key]])
+);
@@ -0,0 +1,110 @@
+import axios from 'axios';
+import { getAuthHeaders } from './auth';
+import { getBackendApiUrl, setClabServers } from './config';
+
+// Used until the settings have been loaded, or when the backend cannot be reached. The same entries as DEFAULT_KINDS in
+// server/settings_store.js, without the credentials which only the backend needs
+export const DEFAULT_KIND_CATALOG = [
+  {
+    id: "ceos",
+    label: "Arista cEOS",
+    kind: "ceos",
+    icon: "router",
+    namePrefix: "ceos",
+    interfaceNaming: "eth{n}",
+    interfaceAlias: "Ethernet{n}",
+    maxPorts: 54,
+    terminal: "ssh",
+    images: [
+      { value: "arista_ceos:4.35.1F", label: "4.35.1F" },
+      { value: "ceos:4.34.0F", label: "4.34.0F" },
+      { value: "ceos:4.33.3F", label: "4.33.3F" },
+      { value: "ceos:4.32.5.1M", label: "4.32.5.1M" },
+      { value: "ceos:4.32.2F", label: "4.32.2F" },
+      { value: "ceos:4.31.4M", label: "4.31.4M" },
+      { value: "ceos:4.31.2F", label: "4.31.2F" },
+      { value: "ceos:4.30.5M", label: "4.30.5M" },
+      { value: "ceos:4.29.6M", label: "4.29.6M" },
+      { value: "ceos:4.28.10M", label: "4.28.10M" }
+    ]
+  },
+  {
+    id: "sonic-vm",
+    label: "SONiC",
+    kind: "sonic-vm",
+    icon: "switch",
+    namePrefix: "sonic",
+    interfaceNaming: "eth{n}",
+    maxPorts: 54,
+    terminal: "ssh-cli",
+    images: [{ value: "sonic-vm:202411", label: "sonic:202411" }]
+  },
+  {
+    id: "linux",
+    label: "Linux Host",
+    kind: "linux",
+    icon: "server",
+    namePrefix: "linux",
+    interfaceNaming: "eth{n}",
+    maxPorts: 54,
+    terminal: "docker-exec",
+    shell: "sh",
+    images: [{ value: "alpine", label: "Alpine" }]
+  }
+];
+
+let currentSettings = null;
+let currentQuota = null;
+
+const applySettings = (settings) => {
+  currentSettings = settings;
+  setClabServers(settings?.servers);
+};
+
+/**
+ * Load the admin managed settings (clab servers, node catalog, quotas) from the backend.
+ * Called once after login; until then, and if it fails, the built-in defaults are used.
+ *
+ * @returns {Promise<Object>} - The settings
+ */
+export const loadSettings = async () => {
+  const response = await axios.get(`${getBackendApiUrl()}/api/settings`, {
+    headers: getAuthHeaders()
+  });
+  applySettings(response.data.settings);
+  currentQuota = response.data.quota;
+  return response.data.settings;
+};
+
+/**
+ * Replace one section of the settings (admins only). The new settings apply straight away, without a rebuild.
+ *
+ * @param {string} section - 'servers', 'kinds' or 'quotas'
+ * @param {*} value - The new content of the section
+ * @returns {Promise<Object>} - The saved settings
+ */
+export const saveSettingsSection = async (section, value) => {
+  const response = await axios.put(`${getBackendApiUrl()}/api/settings/${section}`, { value }, {
+    headers: getAuthHeaders()
+  });
+  applySettings(response.data.settings);
+  return response.data.settings;
+};
+
+export const getKindCatalog = () => currentSettings?.kinds || DEFAULT_KIND_CATALOG;
+
+// Every image of the catalog as { value, label, kind }, for the image drop downs
+export const getImageOptions = () => {
+  const seen = new Set();
+  return getKindCatalog()
+    .flatMap(entry => entry.images.map(image => ({ ...image, kind: entry.kind })))
+    .filter(image => {
+      const key = `${image.kind}/${image.value}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// The logged in user's quota, 0 meaning unlimited
+export const getQuota = () => currentQuota;
@@ -0,0 +1,401 @@
+import axios from 'axios';
+import { getAuthHeaders } from './auth';
+import { getBackendApiUrl } from './config';
+import { formatInterfaceName, getInterfaceRules } from './catalog';
+import { getKindCatalog } from './settings';
+
+/*
+ * Parameterised topology templates. A template is data, kept by the backend (server/template_store.js):
+ *   parameters - what the form asks for: { name, label, type, default, help } with the type one of
+ *                integer (min, max), string (pattern), boolean, select (options) or image (kind, from the catalog)
+ *   groups     - nodes made alike: { id, name, count, kind, image, properties, when, layout, row, side }
+ *                name "leaf{i}" numbers the nodes of the group from 1, layout is 'row' (default) or 'circle',
+ *                row orders the groups from top to bottom and side ('left' or 'right') puts groups side by side
+ *   links      - how the groups are wired: { type, group | from, to | endpoints, count, when } where type is
+ *                ring, chain, mesh or pairs inside a group, full (every node to every node) or zip (every node of
+ *                `from` to one node of `to`, going round `to`) between two groups, or link between two named
+ *                nodes, made for every node of a group with `each`
+ * Any string may hold {expressions} over the parameters and i: arithmetic (+ - * / %), comparisons, && || and !.
+ * A string that is a single expression takes its value ("{spines}" is a number), otherwise the values are written
+ * into the text ("{prefix}{i}"). `when` leaves out a group or a link when it is false. The interfaces of the links
+ * are given in order on every node, named after the catalog entry of the node.
+ */
+
+// The most nodes a template may generate, to keep a typo in a count from freezing the browser
+export const MAX_TEMPLATE_NODES = 200;
+
+const COLUMN_GAP = 140;
+const ROW_GAP = 150;
+const SIDE_GAP = 200;
+
+const templateError = (message) => new Error(message);
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|'([^']*)'|(==|!=|<=|>=|&&|\|\||[-+*/%()<>!]))/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    if (!text.slice(TOKEN.lastIndex).trim()) break;
+    const match = TOKEN.exec(text);
+    if (!match) {
+      throw templateError(`Cannot read "${text}" at "${text.slice(TOKEN.lastIndex).trim()}"`);
+    }
+    if (match[1] !== undefined) tokens.push({ value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ name: match[2] });
+    else if (match[3] !== undefined) tokens.push({ value: match[3] });
+    else tokens.push({ operator: match[4] });
+  }
+  return tokens;
+};
+
+const BINARY = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '<', '>', '<=', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const applyOperator = (operator, left, right) => {
+  switch (operator) {
+    case '||': return left || right;
+    case '&&': return left && right;
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '>': return left > right;
+    case '<=': return left <= right;
+    case '>=': return left >= right;
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    // Counts and indexes are whole numbers, so is a division of them
+    case '/': return right === 0 ? 0 : Math.floor(left / right);
+    default: return right === 0 ? 0 : left % right;
+  }
+};
+
+// Evaluate an expression such as "spines * 2" or "hosts && i <= 2", without eval
+const evaluateExpression = (text, scope) => {
+  const tokens = tokenize(text);
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseLevel = (level) => {
+    if (level === BINARY.length) return parseUnary();
+    let left = parseLevel(level + 1);
+    while (peek()?.operator && BINARY[level].includes(peek().operator)) {
+      const { operator } = tokens[position++];
+      left = applyOperator(operator, left, parseLevel(level + 1));
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (!token) throw templateError(`"${text}" ends too early`);
+    if (token.operator === '!') return !parseUnary();
+    if (token.operator === '-') return -parseUnary();
+    if (token.operator === '(') {
+      const value = parseLevel(0);
+      if (tokens[position++]?.operator !== ')') throw templateError(`"${text}" is missing a ")"`);
+      return value;
+    }
+    if (token.name !== undefined) {
+      if (token.name === 'true' || token.name === 'false') return token.name === 'true';
+      if (!(token.name in scope)) throw templateError(`"${token.name}" is not a parameter of the template`);
+      return scope[token.name];
+    }
+    if (token.value !== undefined) return token.value;
+    throw templateError(`Unexpected "${token.operator}" in "${text}"`);
+  };
+
+  const value = parseLevel(0);
+  if (position < tokens.length) {
+    throw templateError(`Unexpected "${tokens[position].operator || tokens[position].name || tokens[position].value}" in "${text}"`);
+  }
+  return value;
+};
+
+// Fill in the {expressions} of a value; strings, lists and objects are filled in all the way down
+const expand = (value, scope) => {
+  if (Array.isArray(value)) return value.map(item => expand(item, scope));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expand(item, scope)]));
+  }
+  if (typeof value !== 'string') return value;
+  const single = /^\{([^{}]*)\}$/.exec(value);
+  if (single) return evaluateExpression(single[1], scope);
+  return value.replace(/\{([^{}]*)\}/g, (match, expression) => String(evaluateExpression(expression, scope)));
+};
+
+const isEnabled = (when, scope) => when === undefined || Boolean(expand(when, scope));
+
+// The images an image parameter offers: those of its kind in the catalog
+export const getParameterImages = (parameter) => getKindCatalog()
+  .filter(entry => entry.kind === parameter.kind)
+  .flatMap(entry => entry.images);
+
+const optionValue = (option) => (option && typeof option === 'object' ? option.value : option);
+
+/**
+ * The values a template starts with: the declared defaults, the lowest allowed number or the first option.
+ *
+ * @param {Object} template - The template
+ * @returns {Object} - The value of every parameter by name
+ */
+export const getParameterDefaults = (template) => Object.fromEntries((template.parameters || []).map(parameter => {
+  if (parameter.default !== undefined) return [parameter.name, parameter.default];
+  switch (parameter.type) {
+    case 'integer': return [parameter.name, parameter.min ?? 1];
+    case 'boolean': return [parameter.name, false];
+    case 'select': return [parameter.name, optionValue(parameter.options[0])];
+    case 'image': return [parameter.name, getParameterImages(parameter)[0]?.value || ''];
+    default: return [parameter.name, ''];
+  }
+}));
+
+/**
+ * Check the values of the form against the parameters of the template.
+ *
+ * @param {Object} template - The template
+ * @param {Object} values - The value of every parameter by name
+ * @returns {Object} - The error of each parameter in error, by name; empty when every value is fine
+ */
+export const validateParameters = (template, values) => {
+  const errors = {};
+  (template.parameters || []).forEach(parameter => {
+    const value = values[parameter.name];
+    const label = parameter.label || parameter.name;
+    if (parameter.type === 'integer') {
+      if (!Number.isInteger(value)) {
+        errors[parameter.name] = `${label} must be a whole number`;
+      } else if (parameter.min !== undefined && value < parameter.min) {
+        errors[parameter.name] = `${label} must be at least ${parameter.min}`;
+      } else if (parameter.max !== undefined && value > parameter.max) {
+        errors[parameter.name] = `${label} must be at most ${parameter.max}`;
+      }
+    } else if (parameter.type === 'string' || parameter.type === 'image') {
+      if (typeof value !== 'string' || !value.trim()) {
+        errors[parameter.name] = `${label} is required`;
+      } else if (parameter.pattern && !new RegExp(parameter.pattern).test(value)) {
+        errors[parameter.name] = parameter.patternHelp || `${label} must match ${parameter.pattern}`;
+      }
+    } else if (parameter.type === 'select' && !parameter.options.some(option => optionValue(option) === value)) {
+      errors[parameter.name] = `${label} must be one of the options`;
+    }
+  });
+  return errors;
+};
+
+// The node names of a group, in order; groups left out by `when` have none
+const expandGroups = (template, scope) => {
+  const groups = [];
+  let total = 0;
+  template.groups.forEach((group, index) => {
+    if (!isEnabled(group.when, scope)) return;
+    const count = group.count === undefined ? 1 : expand(group.count, scope);
+    if (!Number.isInteger(count) || count < 0) {
+      throw templateError(`The group "${group.id}" has a count of ${count}, it must be a whole number`);
+    }
+    total += count;
+    if (total > MAX_TEMPLATE_NODES) {
+      throw templateError(`These values generate more than ${MAX_TEMPLATE_NODES} nodes`);
+    }
+    const members = Array.from({ length: count }, (_, position) => {
+      const nodeScope = { ...scope, i: position + 1 };
+      return {
+        name: expand(group.name, nodeScope),
+        kind: expand(group.kind, nodeScope),
+        image: expand(group.image || '', nodeScope),
+        properties: expand(group.properties || {}, nodeScope)
+      };
+    });
+    groups.push({ ...group, row: group.row ?? index, members });
+  });
+  return groups;
+};
+
+// The node pairs a link pattern connects
+const linkPairs = (link, groupsById, scope) => {
+  const members = (id) => {
+    const group = groupsById[id];
+    if (group === undefined) throw templateError(`The link ${link.type} names the group "${id}" which the template does not have`);
+    // A group left out by `when` has no members, so its links are left out as well
+    return group ? group.members.map(member => member.name) : [];
+  };
+  const pairs = [];
+  switch (link.type) {
+    case 'ring':
+    case 'chain': {
+      const names = members(link.group);
+      names.slice(1).forEach((name, index) => pairs.push([names[index], name]));
+      if (link.type === 'ring' && names.length > 2) pairs.push([names[names.length - 1], names[0]]);
+      break;
+    }
+    case 'mesh': {
+      const names = members(link.group);
+      names.forEach((name, index) => names.slice(index + 1).forEach(other => pairs.push([name, other])));
+      break;
+    }
+    case 'pairs': {
+      const names = members(link.group);
+      for (let index = 0; index + 1 < names.length; index += 2) pairs.push([names[index], names[index + 1]]);
+      break;
+    }
+    case 'full': {
+      const to = members(link.to);
+      members(link.from).forEach(name => to.forEach(other => pairs.push([name, other])));
+      break;
+    }
+    case 'zip': {
+      const from = members(link.from);
+      const to = members(link.to);
+      if (to.length > 0) {
+        from.forEach((name, index) => pairs.push([name, to[index % to.length]]));
+      }
+      break;
+    }
+    case 'link': {
+      // With `each` the link is made once for every node of a group, i numbering them
+      const indexes = link.each ? members(link.each).map((name, index) => index + 1) : [undefined];
+      indexes.forEach(i => {
+        const endpoints = expand(link.endpoints || [], i === undefined ? scope : { ...scope, i });
+        if (endpoints.length !== 2) throw templateError('A link needs two endpoints');
+        pairs.push(endpoints);
+      });
+      break;
+    }
+    default:
+      throw templateError(`"${link.type}" is not a link type, use ring, chain, mesh, pairs, full, zip or link`);
+  }
+  return pairs;
+};
+
+// Where the nodes go: the rows from top to bottom, groups of a row side by side, circles for the circle layout
+const layoutGroups = (groups) => {
+  const width = (group) => (group.layout === 'circle' ? 2 * radius(group) : (group.members.length - 1) * COLUMN_GAP);
+  const height = (group) => (group.layout === 'circle' ? 2 * radius(group) : 0);
+  function radius(group) {
+    return Math.max(COLUMN_GAP, (group.members.length * COLUMN_GAP) / (2 * Math.PI));
+  }
+
+  const sideWidth = Math.max(0, ...groups.filter(group => group.side).map(width));
+  const centerX = (group) => {
+    if (group.side === 'left') return -(sideWidth / 2 + SIDE_GAP / 2);
+    if (group.side === 'right') return sideWidth / 2 + SIDE_GAP / 2;
+    return 0;
+  };
+
+  const positions = {};
+  let top = 0;
+  [...new Set(groups.map(group => group.row))].sort((a, b) => a - b).forEach(row => {
+    const inRow = groups.filter(group => group.row === row);
+    inRow.forEach(group => {
+      const x = centerX(group);
+      group.members.forEach((member, index) => {
+        if (group.layout === 'circle') {
+          const angle = (2 * Math.PI * index) / group.members.length - Math.PI / 2;
+          positions[member.name] = { x: x + radius(group) * Math.cos(angle), y: top + radius(group) + radius(group) * Math.sin(angle) };
+        } else {
+          positions[member.name] = { x: x - width(group) / 2 + index * COLUMN_GAP, y: top };
+        }
+      });
+    });
+    top += Math.max(0, ...inRow.map(height)) + ROW_GAP;
+  });
+  return positions;
+};
+
+/**
+ * Generate the topology of a template for the values of its form.
+ *
+ * @param {Object} template - The template
+ * @param {Object} values - The value of every parameter by name, checked with validateParameters
+ * @returns {{topology: Object, positions: Object}} - The containerlab topology ({ nodes, links }) and where each node
+ *   goes on the canvas, by name
+ * @throws {Error} - When the template cannot be generated, e.g. a link names a node the template does not make
+ */
+export const generateFromTemplate = (template, values) => {
+  if (!template || !Array.isArray(template.groups)) {
+    throw templateError('A template needs a list of groups');
+  }
+  const scope = { ...getParameterDefaults(template), ...values };
+  const groups = expandGroups(template, scope);
+  const groupsById = Object.fromEntries(template.groups.map(group => [group.id, null]));
+  groups.forEach(group => { groupsById[group.id] = group; });
+
+  const nodes = {};
+  groups.forEach(group => group.members.forEach(member => {
+    if (nodes[member.name]) throw templateError(`The template makes two nodes named "${member.name}"`);
+    nodes[member.name] = { kind: member.kind, ...(member.image && { image: member.image }), ...member.properties };
+  }));
+
+  // Every node hands out its interfaces in order, eth1, eth2... or whatever its catalog entry calls them
+  const nextPort = {};
+  const nextInterface = (name) => {
+    nextPort[name] = (nextPort[name] || 0) + 1;
+    const rules = getInterfaceRules(nodes[name]);
+    if (nextPort[name] > rules.maxPorts) throw templateError(`"${name}" runs out of ports, it has ${rules.maxPorts}`);
+    return formatInterfaceName(rules, nextPort[name]);
+  };
+
+  const links = [];
+  (template.links || []).forEach(link => {
+    if (!isEnabled(link.when, scope)) return;
+    const count = link.count === undefined ? 1 : expand(link.count, scope);
+    linkPairs(link, groupsById, scope).forEach(([a, b]) => {
+      [a, b].forEach(name => {
+        if (!nodes[name]) throw templateError(`A link names "${name}" which the template does not make`);
+      });
+      if (a === b) return;
+      for (let index = 0; index < count; index++) {
+        links.push({ endpoints: [`${a}:${nextInterface(a)}`, `${b}:${nextInterface(b)}`] });
+      }
+    });
+  });
+
+  return { topology: { nodes, links }, positions: layoutGroups(groups) };
+};
+
+const templateApiError = (error) => new Error(error.response?.data?.error || error.message);
+
+/**
+ * List the templates, the built-in ones first.
+ *
+ * @returns {Promise<{templates: Array, canPublish: boolean}>} - canPublish tells whether the user may publish templates
+ */
+export const listTemplates = async () => {
+  try {
+    const response = await axios.get(`${getBackendApiUrl()}/api/templates`, { headers: getAuthHeaders() });
+    return { templates: response.data.templates || [], canPublish: Boolean(response.data.canPublish) };
+  } catch (error) {
+    throw templateApiError(error);
+  }
+};
+
+/**
+ * Publish a template, or replace one published before. Instructors and admins only.
+ *
+ * @param {Object} template - The template, its id names it
+ * @returns {Promise<Object>} - The published template
+ */
+export const publishTemplate = async (template) => {
+  try {
+    const response = await axios.put(`${getBackendApiUrl()}/api/templates/${encodeURIComponent(template.id)}`, { template }, {
+      headers: getAuthHeaders()
+    });
+    return response.data.template;
+  } catch (error) {
+    throw templateApiError(error);
+  }
+};
+
+export const deleteTemplate = async (id) => {
+  try {
+    await axios.delete(`${getBackendApiUrl()}/api/templates/${encodeURIComponent(id)}`, { headers: getAuthHeaders() });
+  } catch (error) {
+    throw templateApiError(error);
+  }
+};
@@ -0,0 +1,88 @@
+import { generateFromTemplate, getParameterDefaults, MAX_TEMPLATE_NODES, validateParameters } from './templates';
+
+const RING = {
+  id: 'ring',
+  parameters: [
+    { name: 'routers', label: 'Routers', type: 'integer', default: 4, min: 3, max: 24 },
+    { name: 'prefix', label: 'Router name prefix', type: 'string', default: 'r', pattern: '^[a-z][a-z0-9-]*$' },
+    { name: 'image', label: 'Router image', type: 'image', kind: 'ceos' },
+    { name: 'hosts', label: 'Add a host to every router', type: 'boolean', default: false }
+  ],
+  groups: [
+    { id: 'routers', name: '{prefix}{i}', count: '{routers}', kind: 'ceos', image: '{image}', layout: 'circle' },
+    { id: 'hosts', name: 'h{i}', count: '{routers}', kind: 'linux', image: 'alpine', when: '{hosts}' }
+  ],
+  links: [
+    { type: 'ring', group: 'routers' },
+    { type: 'link', each: 'routers', endpoints: ['{prefix}{i}', 'h{i}'], when: '{hosts}' }
+  ]
+};
+
+test('starts the form with the declared defaults and the first image of the kind', () => {
+  expect(getParameterDefaults(RING)).toEqual({ routers: 4, prefix: 'r', image: 'arista_ceos:4.35.1F', hosts: false });
+  expect(getParameterDefaults({ parameters: [{ name: 'size', type: 'integer', min: 2 }, { name: 'mode', type: 'select', options: [{ value: 'a' }, 'b'] }] }))
+    .toEqual({ size: 2, mode: 'a' });
+});
+
+test('checks the values of the form', () => {
+  const values = getParameterDefaults(RING);
+  expect(validateParameters(RING, values)).toEqual({});
+  expect(validateParameters(RING, { ...values, routers: 2 })).toEqual({ routers: 'Routers must be at least 3' });
+  expect(validateParameters(RING, { ...values, routers: 3.5 })).toEqual({ routers: 'Routers must be a whole number' });
+  expect(validateParameters(RING, { ...values, prefix: 'R!' })).toHaveProperty('prefix');
+  expect(validateParameters(RING, { ...values, image: ' ' })).toEqual({ image: 'Router image is required' });
+});
+
+test('generates a ring with the interfaces numbered on every node', () => {
+  const { topology, positions } = generateFromTemplate(RING, { routers: 3, prefix: 'core' });
+  expect(topology.nodes).toEqual({
+    core1: { kind: 'ceos', image: 'arista_ceos:4.35.1F' },
+    core2: { kind: 'ceos', image: 'arista_ceos:4.35.1F' },
+    core3: { kind: 'ceos', image: 'arista_ceos:4.35.1F' }
+  });
+  expect(topology.links).toEqual([
+    { endpoints: ['core1:eth1', 'core2:eth1'] },
+    { endpoints: ['core2:eth2', 'core3:eth1'] },
+    { endpoints: ['core3:eth2', 'core1:eth2'] }
+  ]);
+  expect(Object.keys(positions)).toEqual(['core1', 'core2', 'core3']);
+});
+
+test('adds the groups and links turned on by when', () => {
+  const { topology } = generateFromTemplate(RING, { routers: 3, hosts: true });
+  expect(Object.keys(topology.nodes)).toEqual(['r1', 'r2', 'r3', 'h1', 'h2', 'h3']);
+  expect(topology.links.slice(3)).toEqual([
+    { endpoints: ['r1:eth3', 'h1:eth1'] },
+    { endpoints: ['r2:eth3', 'h2:eth1'] },
+    { endpoints: ['r3:eth3', 'h3:eth1'] }
+  ]);
+});
+
+test('wires groups together with full and zip links', () => {
+  const template = {
+    groups: [
+      { id: 'spines', name: 'spine{i}', count: 2, kind: 'linux' },
+      { id: 'leaves', name: 'leaf{i}', count: 3, kind: 'linux' }
+    ],
+    links: [{ type: 'full', from: 'leaves', to: 'spines' }]
+  };
+  expect(generateFromTemplate(template, {}).topology.links).toHaveLength(6);
+  const zip = { ...template, links: [{ type: 'zip', from: 'leaves', to: 'spines' }] };
+  expect(generateFromTemplate(zip, {}).topology.links.map(link => link.endpoints.map(end => end.split(':')[0]))).toEqual([
+    ['leaf1', 'spine1'],
+    ['leaf2', 'spine2'],
+    ['leaf3', 'spine1']
+  ]);
+});
+
+test('rejects templates that cannot be generated', () => {
+  expect(() => generateFromTemplate({}, {})).toThrow('A template needs a list of groups');
+  expect(() => generateFromTemplate({ groups: [{ id: 'a', name: 'n{i}', count: MAX_TEMPLATE_NODES + 1, kind: 'linux' }] }, {}))
+    .toThrow(`more than ${MAX_TEMPLATE_NODES} nodes`);
+  expect(() => generateFromTemplate({ groups: [{ id: 'a', name: 'same', count: 2, kind: 'linux' }] }, {}))
+    .toThrow('two nodes named "same"');
+  expect(() => generateFromTemplate({ groups: [{ id: 'a', name: 'n{i}', count: 2, kind: 'linux' }], links: [{ type: 'ring', group: 'b' }] }, {}))
+    .toThrow('names the group "b"');
+  expect(() => generateFromTemplate({ groups: [{ id: 'a', name: 'n{i}', count: 2, kind: 'linux' }], links: [{ type: 'star', group: 'a' }] }, {}))
+    .toThrow('"star" is not a link type');
+});
@@ -0,0 +1,18 @@
+/*
+ * Nodes and edges of the canvas for the tests of the designer utilities, shaped the way the designer builds them.
+ */
+
+// A node of the canvas, a cEOS router unless the data says otherwise
+export const canvasNode = (id, data = {}, position = { x: 0, y: 0 }) => ({
+  id,
+  position,
+  data: { label: id, kind: 'ceos', ...data }
+});
+
+// A veth link of the canvas, with the id the designer gives it
+export const canvasEdge = (source, target, sourceInterface = 'eth1', targetInterface = 'eth1') => ({
+  id: `edge_${source}_${target}_${sourceInterface}_${targetInterface}`,
+  source,
+  target,
+  data: { sourceInterface, targetInterface }
+});
@@ -0,0 +1,164 @@
+import YAML, { Scalar, YAMLMap, YAMLSeq } from 'yaml';
+import { NODE_PROPERTY_KEYS } from './nodeSchema';
+
+/*
+ * Writing the topology back into the YAML it came from. The designer builds the topology it knows as a plain object;
+ * reconcileYaml applies that object to the previous YAML document instead of dumping it from scratch, so comments,
+ * key order, quoting and flow style survive, values that did not change keep their text, and keys the designer does
+ * not manage (topology.groups, mgmt.bridge, node license, ...) stay as they are.
+ */
+
+// Long strings (startup configs, exec commands) are never folded onto several lines
+const TO_STRING_OPTIONS = { lineWidth: 0 };
+
+const owned = (keys) => Object.fromEntries(keys.map(key => [key, true]));
+
+// The keys the designer manages: when one of these is missing from its object it was removed, any other key is kept.
+// `each` applies to every entry of a map, `removeMissing` drops the entries that are gone (deleted nodes).
+const OWNED = {
+  keys: {
+    name: true,
+    mgmt: { keys: owned(['network', 'ipv4-subnet', 'ipv6-subnet', 'ipv4_subnet', 'ipv6_subnet']) },
+    topology: {
+      keys: {
+        nodes: {
+          removeMissing: true,
+          each: { keys: owned(['kind', 'image', 'binds', 'mgmt-ipv4', 'mgmt-ipv6', 'startup-config', 'env', ...NODE_PROPERTY_KEYS]) }
+        },
+        links: true,
+        defaults: { keys: owned(['kind']) },
+        kinds: { each: { keys: owned(['startup-config', 'image', 'exec', 'binds']) } }
+      }
+    }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isMapNode = (node) => node instanceof YAMLMap;
+const isSeqNode = (node) => node instanceof YAMLSeq;
+
+const nodeToJSON = (node) => {
+  try {
+    return node && typeof node.toJSON === 'function' ? node.toJSON() : node;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// New link endpoints are written on one line, endpoints: [a:eth1, b:eth1], as in containerlab's examples
+const styleNode = (node) => {
+  if (isMapNode(node)) {
+    node.items.forEach(pair => {
+      if (nodeToJSON(pair.key) === 'endpoints' && isSeqNode(pair.value) && pair.value.items.every(item => !isMapNode(item))) {
+        pair.value.flow = true;
+      } else {
+        styleNode(pair.value);
+      }
+    });
+  } else if (isSeqNode(node)) {
+    node.items.forEach(styleNode);
+  }
+  return node;
+};
+
+const createNode = (value) => styleNode(new YAML.Document().createNode(value));
+
+const childSpec = (spec, key) => (spec === true ? true : spec?.keys?.[key] ?? spec?.each);
+
+// Bring a sequence to `values`, keeping the items that are unchanged (even when they moved) and editing the others in place
+const reconcileSeq = (seq, values, spec, changes) => {
+  const used = new Set();
+  const items = values.map((value, index) => {
+    const same = seq.items.findIndex((item, i) => !used.has(i) && sameValue(nodeToJSON(item), value));
+    if (same >= 0) {
+      used.add(same);
+      return seq.items[same];
+    }
+    const inPlace = seq.items[index];
+    if (!used.has(index) && isMapNode(inPlace) && isPlainObject(value)) {
+      used.add(index);
+      reconcileMap(inPlace, value, spec, changes);
+      return inPlace;
+    }
+    return createNode(value);
+  });
+  if (items.length !== seq.items.length || items.some((item, index) => item !== seq.items[index])) {
+    changes.count++;
+  }
+  seq.items = items;
+};
+
+// Set one value of a map or sequence item, the node is only replaced when its type changed
+const reconcileValue = (node, value, spec, changes) => {
+  if (isPlainObject(value) && isMapNode(node)) {
+    reconcileMap(node, value, spec, changes);
+    return node;
+  }
+  if (Array.isArray(value) && isSeqNode(node)) {
+    reconcileSeq(node, value, spec, changes);
+    return node;
+  }
+  if (node instanceof Scalar && sameValue(nodeToJSON(node), value)) {
+    return node;
+  }
+  return createNode(value);
+};
+
+// `changes` counts the edits, so a document that already matches is returned untouched
+function reconcileMap(map, object, spec, changes) {
+  Object.entries(object).forEach(([key, value]) => {
+    if (value === undefined) return;
+    const existing = map.get(key, true);
+    const updated = reconcileValue(existing, value, childSpec(spec, key), changes);
+    if (updated !== existing) {
+      map.set(key, updated);
+      changes.count++;
+    }
+  });
+
+  map.items
+    .map(pair => nodeToJSON(pair.key))
+    .filter(key => !(key in object))
+    .forEach(key => {
+      const keySpec = childSpec(spec, key);
+      const child = map.get(key, true);
+      if (spec === true || spec?.removeMissing || keySpec === true) {
+        map.delete(key);
+        changes.count++;
+      } else if (keySpec && isMapNode(child)) {
+        // A section the designer only partly manages, e.g. mgmt once the management network is switched off
+        reconcileMap(child, {}, keySpec, changes);
+        if (child.items.length === 0) {
+          map.delete(key);
+          changes.count++;
+        }
+      }
+    });
+}
+
+/**
+ * Apply the topology built by the designer to the previous YAML text.
+ *
+ * @param {string} previousYaml - The YAML shown in the editor, may be empty or invalid
+ * @param {Object} topology - The topology as the designer builds it
+ * @returns {string} - The new YAML text
+ */
+export const reconcileYaml = (previousYaml, topology) => {
+  const doc = previousYaml && previousYaml.trim() ? YAML.parseDocument(previousYaml) : null;
+  if (!doc || doc.errors.length > 0 || !isMapNode(doc.contents)) {
+    return stringifyYaml(topology);
+  }
+  const changes = { count: 0 };
+  reconcileMap(doc.contents, topology, OWNED, changes);
+  return changes.count > 0 ? doc.toString(TO_STRING_OPTIONS) : previousYaml;
+};
+
+// YAML for a topology that has no previous text, in the style containerlab's own examples use
+export const stringifyYaml = (topology) => {
+  const doc = new YAML.Document();
+  doc.contents = createNode(topology);
+  return doc.toString(TO_STRING_OPTIONS);
+};
@@ -0,0 +1,63 @@
+import YAML from 'yaml';
+import { reconcileYaml, stringifyYaml } from './yamlDocument';
+
+const PREVIOUS = `# Lab of the routing course
+name: lab1 # the lab name
+mgmt:
+  network: clab-mgmt
+  bridge: br-mgmt
+topology:
+  groups:
+    routers: { kind: ceos }
+  nodes:
+    r1:
+      kind: ceos
+      image: "ceos:4.34.0F"
+      license: lic.txt
+    r2:
+      kind: ceos
+      image: "ceos:4.34.0F"
+  links:
+    - endpoints: [r1:eth1, r2:eth1]
+`;
+
+const topologyOf = (text) => YAML.parse(text);
+
+test('returns the previous text when nothing changed', () => {
+  expect(reconcileYaml(PREVIOUS, topologyOf(PREVIOUS))).toBe(PREVIOUS);
+});
+
+test('keeps comments, quoting and the keys the designer does not manage', () => {
+  const topology = topologyOf(PREVIOUS);
+  topology.topology.nodes.r2.image = 'ceos:4.35.0F';
+  const text = reconcileYaml(PREVIOUS, topology);
+
+  expect(text).toContain('# Lab of the routing course');
+  expect(text).toContain('name: lab1 # the lab name');
+  expect(text).toContain('bridge: br-mgmt');
+  expect(text).toContain('routers: { kind: ceos }');
+  expect(text).toContain('license: lic.txt');
+  expect(text).toContain('image: "ceos:4.34.0F"');
+  expect(topologyOf(text).topology.nodes.r2.image).toBe('ceos:4.35.0F');
+});
+
+test('removes deleted nodes and writes new links on one line', () => {
+  const topology = topologyOf(PREVIOUS);
+  delete topology.topology.nodes.r2;
+  topology.topology.nodes.r3 = { kind: 'linux', image: 'alpine' };
+  topology.topology.links = [{ endpoints: ['r1:eth1', 'r3:eth1'] }];
+  const text = reconcileYaml(PREVIOUS, topology);
+
+  expect(topologyOf(text).topology.nodes).toEqual({
+    r1: { kind: 'ceos', image: 'ceos:4.34.0F', license: 'lic.txt' },
+    r3: { kind: 'linux', image: 'alpine' }
+  });
+  expect(text).toContain('- endpoints: [ r1:eth1, r3:eth1 ]');
+});
+
+test('writes the whole topology when the previous text is empty or not YAML', () => {
+  const topology = { name: 'lab2', topology: { nodes: { r1: { kind: 'linux' } }, links: [{ endpoints: ['r1:eth1', 'r1:eth2'] }] } };
+  expect(reconcileYaml('', topology)).toBe(stringifyYaml(topology));
+  expect(reconcileYaml('name: [unclosed', topology)).toBe(stringifyYaml(topology));
+  expect(topologyOf(stringifyYaml(topology))).toEqual(topology);
+});